@@ -0,0 +1,480 @@
+#!/usr/bin/env node
+// bin/file-cross-check.js
+// Command-line interface: cross-checks two files with the same comparison the
+// web app runs and writes the result files to a directory.
+import path from "path";
+import fs from "fs";
+import { parseArgs } from "util";
+import {
+  ARTIFACT_FIELDS,
+  DATE_FORMATS,
+  DEFAULT_NORMALIZATION,
+  FILTER_OPERATORS,
+  MAX_REFERENCE_FILES,
+  describeEncoding,
+  describeKeyColumns,
+  inputFileError,
+  isSupportedFile,
+  parseCrossCheckSettings,
+  runCrossCheck,
+} from "../crossCheck.js";
+
+// Exit codes, so scripts can tell the outcomes apart without parsing output
+const EXIT_ALL_MATCHED = 0;
+const EXIT_DIFFERENCES = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: file-cross-check <fileA> <fileB>... --key <column> [options]
+
+Checks every row of File A against File B by the key column(s). Give several
+File B reference files to find which of them holds each row.
+
+Options:
+  -k, --key <column>          Key column in File A (repeat for a composite key). Against a
+                              text file, the one column compared with its lines
+      --key-b <column>        File B column paired with each --key, if named differently
+  -o, --out-dir <dir>         Directory for the result files (default: current directory)
+  -f, --format <format>       csv (default), tsv, json or xlsx
+      --output-encoding <e>   CSV/TSV result encoding: utf-8-bom (default) or source (File A's)
+      --sheet-a <name>        Worksheet of File A (default: the first)
+      --sheet-b <name>        Worksheet of File B (default: the first)
+      --header-row-a <n>      Header row of File A: 1-based (default: 1), or "auto" to detect it
+      --header-row-b <n>      Header row of File B
+      --encoding-a <enc>      Encoding of a CSV or text File A: auto (default), utf-8,
+                              utf-16le, utf-16be or windows-1252
+      --encoding-b <enc>      Encoding of a CSV or text File B
+      --delimiter-a <d>       Delimiter of a CSV File A: auto (default), comma, semicolon,
+                              tab or pipe. For a text file, splits its lines into columns
+                              Column_1, Column_2, ...
+      --delimiter-b <d>       Delimiter of a CSV or text File B
+      --full-diff             Also report File B rows missing from File A and changed rows
+      --detect-changes        Compare the other columns of matched rows
+      --compare <column>      Column to compare on matched rows (repeatable; default: all shared)
+      --identifier <column>   Column to keep as text, like UPC or ISRC (repeatable)
+      --date-column <c>       Column holding dates (repeatable), optionally with the formats its
+                              values are written in, tried in order: "Release Date:iso,dmy".
+                              Formats: iso (default), dmy, mdy, excelSerial. Dates are
+                              compared and written as YYYY-MM-DD
+      --normalize <steps>     Comma-separated key normalization steps: unicodeNFKC, trim,
+                              collapseWhitespace, caseFold, stripPunctuation, digitsOnly,
+                              removeLeadingZeros
+      --filter-a <rule>       Only compare File A rows passing the rule (repeatable), written
+                              <column>:<operator>:<value>, e.g. "Genre:notEquals:Christian" or
+                              "Release Date:after:2022-01-01". Operators: equals, notEquals,
+                              contains, notContains, regex, notRegex, after, onOrAfter,
+                              before, onOrBefore
+      --filter-b <rule>       Only compare File B rows passing the rule (repeatable)
+      --exclude-empty-keys    Leave out rows with an empty key instead of counting them missing
+      --output-column <c>     File A column to write to the result files (repeatable; default: all)
+      --append-b <column>     File B column to add to matched rows (repeatable). Prefixed
+                              "B." if File A's result columns already use the name
+      --no-row-numbers        Leave out the File A Row and File B Row source row columns
+      --fuzzy                 Report near matches for keys without an exact match
+      --fuzzy-algorithm <a>   levenshtein (default), jaroWinkler or tokenSet
+      --fuzzy-threshold <n>   Minimum similarity, 0-1 or 1-100% (default: 0.85)
+      --duplicates <policy>   all (default), first or oneToOne
+      --json                  Print the result as JSON instead of a summary
+      --verbose               Log progress to stderr
+  -h, --help                  Show this help
+
+Exit status: ${EXIT_ALL_MATCHED} if every row matched, ${EXIT_DIFFERENCES} if rows are missing or differ, ${EXIT_ERROR} on error.`;
+
+const OPTIONS = {
+  key: { type: "string", short: "k", multiple: true },
+  "key-b": { type: "string", multiple: true },
+  "out-dir": { type: "string", short: "o", default: "." },
+  format: { type: "string", short: "f", default: "csv" },
+  "output-encoding": { type: "string" },
+  "sheet-a": { type: "string" },
+  "sheet-b": { type: "string" },
+  "header-row-a": { type: "string" },
+  "header-row-b": { type: "string" },
+  "encoding-a": { type: "string" },
+  "encoding-b": { type: "string" },
+  "delimiter-a": { type: "string" },
+  "delimiter-b": { type: "string" },
+  "full-diff": { type: "boolean", default: false },
+  "detect-changes": { type: "boolean", default: false },
+  compare: { type: "string", multiple: true },
+  identifier: { type: "string", multiple: true },
+  "date-column": { type: "string", multiple: true },
+  normalize: { type: "string" },
+  "filter-a": { type: "string", multiple: true },
+  "filter-b": { type: "string", multiple: true },
+  "exclude-empty-keys": { type: "boolean", default: false },
+  "output-column": { type: "string", multiple: true },
+  "append-b": { type: "string", multiple: true },
+  "no-row-numbers": { type: "boolean", default: false },
+  fuzzy: { type: "boolean", default: false },
+  "fuzzy-algorithm": { type: "string" },
+  "fuzzy-threshold": { type: "string" },
+  duplicates: { type: "string" },
+  json: { type: "boolean", default: false },
+  verbose: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// The option behind each form field whose value is checked by the comparison
+// module, so its messages name what the user typed
+const FIELD_OPTIONS = {
+  sheetA: "--sheet-a",
+  sheetB: "--sheet-b",
+  headerRowA: "--header-row-a",
+  headerRowB: "--header-row-b",
+  encodingA: "--encoding-a",
+  encodingB: "--encoding-b",
+  delimiterA: "--delimiter-a",
+  delimiterB: "--delimiter-b",
+  dateColumns: "--date-column",
+  filtersA: "--filter-a",
+  filtersB: "--filter-b",
+  outputColumns: "--output-column",
+  appendColumnsB: "--append-b",
+  fuzzyAlgorithm: "--fuzzy-algorithm",
+  fuzzyThreshold: "--fuzzy-threshold",
+  duplicatePolicy: "--duplicates",
+  outputFormat: "--format",
+  outputEncoding: "--output-encoding",
+};
+
+/**
+ * Creates an error for a problem with the command line, shown without a stack.
+ * @param {string} message The message to show.
+ * @returns {Error} The error, with statusCode 400 like the server's input errors.
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = "INVALID_ARGUMENTS";
+  return error;
+}
+
+/**
+ * Describes an input file the way the comparison expects an upload.
+ * @param {string} filePath The path given on the command line.
+ * @param {string} side "A" or "B", naming the file in error messages.
+ * @returns {Object} { path, originalname, size }.
+ * @throws {Error} If the file does not exist or is not a supported type.
+ */
+function inputFile(filePath, side) {
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    throw usageError(`File ${side} '${filePath}' does not exist.`);
+  }
+  const name = path.basename(filePath);
+  if (!isSupportedFile(name)) {
+    throw inputFileError(
+      "UNSUPPORTED_FILE_TYPE",
+      `${name} is not a supported file. Only .xlsx, .xls, .txt and .csv files can be compared.`,
+      side
+    );
+  }
+  return {
+    path: filePath,
+    originalname: name,
+    size: fs.statSync(filePath).size,
+  };
+}
+
+/**
+ * Turns the --normalize list into the normalization settings object.
+ * @param {string|undefined} value The comma-separated step names.
+ * @returns {Object} Each named step set to true.
+ * @throws {Error} If a step does not exist.
+ */
+function normalizationSteps(value) {
+  const steps = {};
+  for (const step of (value || "").split(",").map((name) => name.trim())) {
+    if (step === "") continue;
+    if (typeof DEFAULT_NORMALIZATION[step] !== "boolean") {
+      throw usageError(`Unknown normalization step '${step}'.`);
+    }
+    steps[step] = true;
+  }
+  return steps;
+}
+
+/**
+ * Turns the --date-column options into the date columns form field.
+ * @param {Array<string>|undefined} columns Columns, each optionally followed by
+ * ":" and a comma-separated list of formats.
+ * @returns {Object} The formats of each column.
+ */
+function dateColumns(columns) {
+  const pattern = new RegExp(
+    `^(.+):((?:${DATE_FORMATS.join("|")})(?:,(?:${DATE_FORMATS.join("|")}))*)$`
+  );
+  const formats = {};
+  for (const column of columns || []) {
+    const match = pattern.exec(column);
+    if (match) formats[match[1]] = match[2].split(",");
+    else formats[column] = [DATE_FORMATS[0]];
+  }
+  return formats;
+}
+
+/**
+ * Turns --filter-a or --filter-b rules into the filter rules of a form field.
+ * @param {Array<string>|undefined} rules Rules written <column>:<operator>:<value>.
+ * @param {string} option The option name, for error messages.
+ * @returns {Array<Object>} The { column, operator, value } rules.
+ * @throws {Error} If a rule does not name a known operator.
+ */
+function filterRules(rules, option) {
+  const pattern = new RegExp(`^(.+?):(${FILTER_OPERATORS.join("|")}):(.*)$`);
+  return (rules || []).map((rule) => {
+    const match = pattern.exec(rule);
+    if (!match) {
+      throw usageError(
+        `${option} '${rule}' must be written <column>:<operator>:<value>, with one of the operators ${FILTER_OPERATORS.join(
+          ", "
+        )}.`
+      );
+    }
+    return { column: match[1], operator: match[2], value: match[3] };
+  });
+}
+
+/**
+ * Maps the parsed command-line options onto the form fields the web app
+ * sends, so the settings are validated the same way.
+ * @param {Object} values The option values from parseArgs.
+ * @returns {Object} A request-body-like object for parseCrossCheckSettings.
+ */
+function settingsBody(values) {
+  const steps = normalizationSteps(values.normalize);
+  return {
+    selectedColumns: values.key || [],
+    selectedColumnsB: values["key-b"] || [],
+    fullDiff: values["full-diff"],
+    detectChanges: values["detect-changes"],
+    compareColumns: values.compare || [],
+    identifierColumns: values.identifier || [],
+    sheetA: values["sheet-a"],
+    sheetB: values["sheet-b"],
+    headerRowA: values["header-row-a"],
+    headerRowB: values["header-row-b"],
+    encodingA: values["encoding-a"],
+    encodingB: values["encoding-b"],
+    delimiterA: values["delimiter-a"],
+    delimiterB: values["delimiter-b"],
+    dateColumns: dateColumns(values["date-column"]),
+    normalization: steps,
+    filtersA: filterRules(values["filter-a"], "--filter-a"),
+    filtersB: filterRules(values["filter-b"], "--filter-b"),
+    excludeEmptyKeys: values["exclude-empty-keys"],
+    outputColumns: values["output-column"] || [],
+    appendColumnsB: values["append-b"] || [],
+    includeRowNumbers: !values["no-row-numbers"],
+    matchMode: values.fuzzy ? "fuzzy" : "exact",
+    fuzzyAlgorithm: values["fuzzy-algorithm"],
+    fuzzyThreshold: values["fuzzy-threshold"],
+    duplicatePolicy: values.duplicates,
+    outputFormat: values.format,
+    outputEncoding: values["output-encoding"],
+  };
+}
+
+/**
+ * Lists the result files of a run.
+ * @param {Object} result The cross-check result.
+ * @param {string} outputDir The directory the files were saved in.
+ * @returns {Object} The path of each generated file, by the kind of result it holds.
+ */
+function outputFiles(result, outputDir) {
+  const files = {};
+  for (const [kind, field] of Object.entries(ARTIFACT_FIELDS)) {
+    if (result[field]) files[kind] = path.join(outputDir, result[field]);
+  }
+  return files;
+}
+
+/**
+ * Tells whether a run found any row that was missing or differed.
+ * @param {Object} result The cross-check result.
+ * @returns {boolean} True if anything did not match exactly.
+ */
+function hasDifferences(result) {
+  return (
+    result.missingCount +
+      result.nearMatchCount +
+      result.bOnlyCount +
+      result.changedCount >
+    0
+  );
+}
+
+/**
+ * Formats the human-readable summary of a run.
+ * @param {Object} result The cross-check result.
+ * @param {Object} files The result files, from outputFiles.
+ * @returns {string} The summary, one fact per line.
+ */
+function formatSummary(result, files) {
+  // CSV files are read as a workbook too, so only name the sheet of Excel
+  // files; CSV and text files are described by their encoding instead
+  const describeFile = (name, sheet, textFormat, rows) => {
+    let source = "";
+    if (textFormat) {
+      source = ` (${describeEncoding(textFormat)}${
+        textFormat.delimiter ? `, ${textFormat.delimiter}-delimited` : ""
+      })`;
+    } else if (sheet && /\.xlsx?$/i.test(name)) {
+      source = ` (sheet ${sheet})`;
+    }
+    return `${name}${source}, ${rows} rows`;
+  };
+  const lines = [
+    `File A: ${describeFile(
+      result.file1Name,
+      result.file1Sheet,
+      result.file1TextFormat,
+      result.totalFile1Rows
+    )}`,
+    `File B: ${describeFile(
+      result.file2Name,
+      result.file2Sheet,
+      result.file2TextFormat,
+      result.totalFile2Rows
+    )}`,
+    `Key: ${describeKeyColumns(
+      result.comparisonColumns,
+      result.comparisonColumnsB
+    )}`,
+    "",
+    `Found in File B:     ${result.foundCount}`,
+    `Missing from File B: ${result.missingCount}`,
+  ];
+  for (const reference of result.references || []) {
+    lines.push(
+      `  Found in ${reference.name}: ${reference.foundCount} (${reference.onlyFoundCount} only there)`
+    );
+  }
+  if (result.fuzzy && result.fuzzy.enabled) {
+    lines.push(`Near matches:        ${result.nearMatchCount}`);
+  }
+  const unparsed = result.unparsedDates;
+  if (unparsed.fileA + unparsed.fileB > 0) {
+    lines.push(
+      `Unreadable dates:    ${unparsed.fileA} in File A, ${unparsed.fileB} in File B (left as written)`
+    );
+  }
+  const excluded = result.excluded;
+  if (excluded.fileA + excluded.fileB > 0) {
+    lines.push(
+      `Excluded rows:       ${excluded.fileA} in File A, ${excluded.fileB} in File B`
+    );
+  }
+  const unparsedFilter = result.unparsedFilterDates;
+  if (unparsedFilter.fileA + unparsedFilter.fileB > 0) {
+    lines.push(
+      `  Not a date:        ${unparsedFilter.fileA} in File A, ${unparsedFilter.fileB} in File B (failed a date filter; see --date-column)`
+    );
+  }
+  if (result.fullDiff) {
+    lines.push(`Only in File B:      ${result.bOnlyCount}`);
+  }
+  if (result.detectChanges) {
+    lines.push(
+      `Changed rows:        ${result.changedCount} (${result.changedFieldCount} fields)`
+    );
+  }
+  const duplicates = result.duplicates;
+  if (
+    duplicates.fileA.keyCount + duplicates.fileB.keyCount > 0 ||
+    result.duplicatesTruncated
+  ) {
+    lines.push(
+      `Duplicate keys:      ${duplicates.fileA.keyCount} in File A, ${duplicates.fileB.keyCount} in File B`
+    );
+  }
+  if (result.duplicatesTruncated) {
+    lines.push(
+      "                     (streamed: File A duplicates are only looked for among File B's keys, with up to 100 rows listed each)"
+    );
+  }
+  const paths = Object.values(files);
+  if (paths.length > 0) {
+    lines.push("", "Result files:", ...paths.map((file) => `  ${file}`));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Runs the command line and returns the exit status.
+ * @param {Array<string>} args The command-line arguments, without node and the script.
+ * @returns {Promise<number>} One of the EXIT_ codes.
+ */
+async function main(args) {
+  let json = args.includes("--json");
+  try {
+    const { values, positionals } = parseArgs({
+      args: args,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+    json = values.json;
+    if (values.help) {
+      console.log(USAGE);
+      return EXIT_ALL_MATCHED;
+    }
+    // The comparison logs as it goes; keep stdout for the summary
+    const log = console.log;
+    console.log = values.verbose ? console.error : () => {};
+
+    if (positionals.length < 2) {
+      throw usageError(
+        "Expected File A and at least one File B to compare. Run with --help for usage."
+      );
+    }
+    if (positionals.length - 1 > MAX_REFERENCE_FILES) {
+      throw usageError(
+        `File B can be up to ${MAX_REFERENCE_FILES} reference files.`
+      );
+    }
+    const fileA = inputFile(positionals[0], "A");
+    const filesB = positionals
+      .slice(1)
+      .map((filePath) => inputFile(filePath, "B"));
+    const settings = parseCrossCheckSettings(settingsBody(values));
+    const outputDir = values["out-dir"];
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const result = await runCrossCheck(fileA, filesB, settings, outputDir);
+    const files = outputFiles(result, outputDir);
+    console.log = log;
+    if (json) {
+      console.log(JSON.stringify({ ...result, outputFiles: files }, null, 2));
+    } else {
+      console.log(formatSummary(result, files));
+    }
+    return hasDifferences(result) ? EXIT_DIFFERENCES : EXIT_ALL_MATCHED;
+  } catch (error) {
+    if (String(error.code).startsWith("ERR_PARSE_ARGS")) {
+      error.statusCode = 400;
+      error.code = "INVALID_ARGUMENTS";
+    }
+    if (FIELD_OPTIONS[error.field]) {
+      error.message = error.message.replace(
+        error.field,
+        FIELD_OPTIONS[error.field]
+      );
+    }
+    if (json) {
+      // Error codes as in the web API, plus INVALID_ARGUMENTS
+      const code = error.statusCode ? error.code : "INTERNAL_ERROR";
+      process.stdout.write(
+        JSON.stringify(
+          { success: false, code: code, message: error.message },
+          null,
+          2
+        ) + "\n"
+      );
+    } else {
+      // Unexpected failures keep their stack, like the server's error log
+      console.error(error.statusCode ? `Error: ${error.message}` : error);
+    }
+    return EXIT_ERROR;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,4871 @@
+// crossCheck.js
+// Reading the compared files and cross-checking them. Shared by the web
+// server (server.js) and the command-line interface (bin/file-cross-check.js).
+import path from "path";
+import fs from "fs";
+import readline from "readline";
+import { once } from "events";
+import { pipeline } from "stream";
+import XLSX from "xlsx";
+import ExcelJS from "exceljs";
+import iconv from "iconv-lite";
+
+// --- Input Checks ---
+
+// File types that can be compared, by extension
+const SUPPORTED_EXTENSIONS = [".xlsx", ".xls", ".csv", ".txt"];
+
+/**
+ * Most rows (header rows included) and columns a compared file may have
+ * (MAX_FILE_ROWS and MAX_FILE_COLUMNS), so an oversized file is refused
+ * before it is compared.
+ */
+export const MAX_FILE_ROWS = Number(process.env.MAX_FILE_ROWS) || 2000000;
+export const MAX_FILE_COLUMNS = Number(process.env.MAX_FILE_COLUMNS) || 500;
+
+// Leading bytes of a ZIP archive (.xlsx) and an OLE2 compound file (.xls)
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE2_SIGNATURE = Buffer.from([
+  0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1,
+]);
+
+// Bytes read from the start of a file to check its type and encoding
+const CONTENT_SAMPLE_BYTES = 64 * 1024;
+
+/**
+ * Tells whether a file name has one of the supported extensions. Only the
+ * last extension counts, so 'report.xlsx.exe' is not a workbook.
+ * @param {string} originalFilename The original name of the file.
+ * @returns {boolean} True for .xlsx, .xls, .csv and .txt files.
+ */
+export function isSupportedFile(originalFilename) {
+  return SUPPORTED_EXTENSIONS.includes(
+    path.extname(originalFilename).toLowerCase()
+  );
+}
+
+/**
+ * Creates the error for a compared file that cannot be used. Given the side,
+ * the message names the file as File A or File B and the error's field
+ * points at its input.
+ * @param {string} code The error code.
+ * @param {string} message What is wrong with the file.
+ * @param {string} [side] "A" or "B".
+ * @returns {Error} The error, with statusCode 400.
+ */
+export function inputFileError(code, message, side) {
+  const error = new Error(side ? `File ${side}: ${message}` : message);
+  error.statusCode = 400;
+  error.code = code;
+  if (side) error.field = `file${side}`;
+  return error;
+}
+
+/**
+ * Checks that a file's content matches its extension before it is parsed,
+ * and works out how a CSV or text file is written. Workbooks must start with
+ * their format's signature; CSV and text files must not be binary. Only the
+ * start of the file is read.
+ * @param {string} filePath The path to the file.
+ * @param {string} originalFilename The original name of the file.
+ * @param {Object} [options] Options.
+ * @param {string} [options.side] "A" or "B", named in the error.
+ * @param {string} [options.encoding] Encoding of a CSV or text file, or AUTO_TEXT_FORMAT (default) to detect it.
+ * @param {string} [options.delimiter] Delimiter of a CSV file (a CSV_DELIMITERS name), or AUTO_TEXT_FORMAT (default) to detect it. For a text file, a delimiter its lines are split on; by default they are not split.
+ * @returns {Object|null} { encoding, bom, delimiter } for CSV and text files (delimiter null for unsplit text), null for workbooks.
+ * @throws {Error} With statusCode 400 if the file is empty, binary or not the workbook it claims to be.
+ */
+function checkFileContent(filePath, originalFilename, options = {}) {
+  const { side } = options;
+  const ext = path.extname(originalFilename).toLowerCase();
+  const buffer = Buffer.alloc(CONTENT_SAMPLE_BYTES);
+  const fd = fs.openSync(filePath, "r");
+  let sample;
+  try {
+    sample = buffer.subarray(0, fs.readSync(fd, buffer, 0, buffer.length, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (sample.length === 0) {
+    throw inputFileError("EMPTY_FILE", `${originalFilename} is empty.`, side);
+  }
+  if (ext === ".xlsx" || ext === ".xls") {
+    const signature = ext === ".xlsx" ? ZIP_SIGNATURE : OLE2_SIGNATURE;
+    if (!sample.subarray(0, signature.length).equals(signature)) {
+      throw inputFileError(
+        "INVALID_FILE_CONTENT",
+        `${originalFilename} is not a valid ${
+          ext === ".xlsx" ? "Excel (.xlsx)" : "Excel 97-2003 (.xls)"
+        } workbook. Open it in Excel and save it again in that format.`,
+        side
+      );
+    }
+    return null;
+  }
+
+  const detected = detectEncoding(sample);
+  // UTF-16 text is full of zero bytes; any other text has none
+  if (!detected.encoding.startsWith("utf-16") && sample.includes(0)) {
+    throw inputFileError(
+      "INVALID_FILE_CONTENT",
+      `${originalFilename} contains binary data, not ${
+        ext === ".csv" ? "CSV" : "text"
+      }.`,
+      side
+    );
+  }
+  const encoding =
+    options.encoding && options.encoding !== AUTO_TEXT_FORMAT
+      ? options.encoding
+      : detected.encoding;
+  const format = {
+    encoding: encoding,
+    bom: hasByteOrderMark(sample, encoding),
+    delimiter: null,
+  };
+  const chosenDelimiter =
+    options.delimiter && options.delimiter !== AUTO_TEXT_FORMAT
+      ? options.delimiter
+      : null;
+  if (ext === ".csv") {
+    format.delimiter =
+      chosenDelimiter ||
+      detectDelimiter(
+        iconv.decode(sample, encoding),
+        sample.length === CONTENT_SAMPLE_BYTES
+      );
+  } else {
+    // A text file is a list of values unless it is asked to be split
+    format.delimiter = chosenDelimiter;
+  }
+  return format;
+}
+
+/**
+ * Checks a file's size against MAX_FILE_ROWS and MAX_FILE_COLUMNS.
+ * @param {number} rowCount The number of rows (a worksheet's used range, or the lines read).
+ * @param {number} columnCount The number of columns.
+ * @param {string} originalFilename The original name of the file.
+ * @param {string} [side] "A" or "B", named in the error.
+ * @throws {Error} With statusCode 400 if either limit is exceeded.
+ */
+function checkFileLimits(rowCount, columnCount, originalFilename, side) {
+  if (columnCount > MAX_FILE_COLUMNS) {
+    throw inputFileError(
+      "TOO_MANY_COLUMNS",
+      `${originalFilename} has ${columnCount} columns; at most ${MAX_FILE_COLUMNS} can be compared.`,
+      side
+    );
+  }
+  if (rowCount > MAX_FILE_ROWS) {
+    throw inputFileError(
+      "TOO_MANY_ROWS",
+      `${originalFilename} has more than ${MAX_FILE_ROWS} rows; at most ${MAX_FILE_ROWS} can be compared.`,
+      side
+    );
+  }
+}
+
+// --- Text Formats ---
+
+// Encodings CSV and text files can be read and results written in
+export const TEXT_ENCODINGS = ["utf-8", "utf-16le", "utf-16be", "windows-1252"];
+
+// Field delimiters of CSV files, by the name used in settings
+export const CSV_DELIMITERS = {
+  comma: ",",
+  semicolon: ";",
+  tab: "\t",
+  pipe: "|",
+};
+
+// Setting value that detects a file's encoding or delimiter
+export const AUTO_TEXT_FORMAT = "auto";
+
+// Byte order marks, by the encoding they introduce
+const BYTE_ORDER_MARKS = {
+  "utf-8": Buffer.from([0xef, 0xbb, 0xbf]),
+  "utf-16le": Buffer.from([0xff, 0xfe]),
+  "utf-16be": Buffer.from([0xfe, 0xff]),
+};
+
+/**
+ * Tells whether a file starts with the byte order mark of an encoding.
+ * @param {Buffer} sample The first bytes of the file.
+ * @param {string} encoding One of TEXT_ENCODINGS.
+ * @returns {boolean} True if the file has the encoding's BOM.
+ */
+function hasByteOrderMark(sample, encoding) {
+  const bom = BYTE_ORDER_MARKS[encoding];
+  return Boolean(bom) && sample.subarray(0, bom.length).equals(bom);
+}
+
+/**
+ * Works out the encoding of a text file from its first bytes: a byte order
+ * mark if there is one, then UTF-16 by its zero bytes, then UTF-8 if the
+ * bytes are valid UTF-8. Anything else is taken to be Windows-1252, the
+ * usual encoding of files exported by Windows tools.
+ * @param {Buffer} sample The first bytes of the file.
+ * @returns {Object} { encoding, bom }.
+ */
+function detectEncoding(sample) {
+  for (const [encoding, bom] of Object.entries(BYTE_ORDER_MARKS)) {
+    if (sample.subarray(0, bom.length).equals(bom)) {
+      return { encoding: encoding, bom: true };
+    }
+  }
+  // In UTF-16 without a BOM, mostly-ASCII text has a zero in every other byte
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i + 1 < sample.length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  const pairs = Math.floor(sample.length / 2);
+  if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) {
+    return { encoding: "utf-16le", bom: false };
+  }
+  if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) {
+    return { encoding: "utf-16be", bom: false };
+  }
+  try {
+    // A character cut off at the end of the sample is not an error
+    new TextDecoder("utf-8", { fatal: true }).decode(sample, { stream: true });
+    return { encoding: "utf-8", bom: false };
+  } catch {
+    return { encoding: "windows-1252", bom: false };
+  }
+}
+
+/**
+ * Works out the field delimiter of a CSV file: the candidate that splits the
+ * most of the first lines into the same number of fields. Delimiters inside
+ * quotes are not counted. Comma wins a tie.
+ * @param {string} text The decoded start of the file.
+ * @param {boolean} truncated True if the text stops mid-file, so its last line is incomplete.
+ * @returns {string} A CSV_DELIMITERS name.
+ */
+function detectDelimiter(text, truncated) {
+  const lines = text.split(/\r?\n/);
+  if (truncated) lines.pop();
+  const sampleLines = lines
+    .filter((line) => line.trim() !== "")
+    .slice(0, HEADER_SCAN_ROWS);
+
+  let best = { name: "comma", score: 0 };
+  for (const [name, delimiter] of Object.entries(CSV_DELIMITERS)) {
+    // How many lines have each number of delimiters
+    const lineCounts = new Map();
+    for (const line of sampleLines) {
+      let count = 0;
+      let inQuotes = false;
+      for (const char of line) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (char === delimiter && !inQuotes) count++;
+      }
+      if (count > 0) lineCounts.set(count, (lineCounts.get(count) || 0) + 1);
+    }
+    const score = Math.max(0, ...lineCounts.values());
+    if (score > best.score) best = { name: name, score: score };
+  }
+  return best.name;
+}
+
+/**
+ * Decodes a whole CSV or text file, dropping its byte order mark.
+ * @param {string} filePath The path to the file.
+ * @param {string} encoding One of TEXT_ENCODINGS.
+ * @returns {string} The text.
+ */
+function readTextFile(filePath, encoding) {
+  return iconv.decode(fs.readFileSync(filePath), encoding);
+}
+
+/**
+ * Opens a CSV or text file as a stream of decoded text. The byte order mark
+ * is dropped.
+ * @param {string} filePath The path to the file.
+ * @param {string} encoding One of TEXT_ENCODINGS.
+ * @returns {Object} { input, bytesRead() }: the text stream, and how many bytes of the file have been read.
+ */
+function openTextStream(filePath, encoding) {
+  const file = fs.createReadStream(filePath);
+  // Destroying the text stream also closes the file
+  const input = pipeline(file, iconv.decodeStream(encoding), () => {});
+  return { input: input, bytesRead: () => file.bytesRead };
+}
+
+// How result CSV and TSV files can be encoded (see resultFileFormat)
+const OUTPUT_ENCODINGS = ["utf-8-bom", "source"];
+
+// Plain UTF-8, used for JSON and for CSVs only read back by this module
+const PLAIN_UTF8 = { encoding: "utf-8", bom: false };
+
+/**
+ * Names an encoding the way it is shown to users, e.g. 'utf-8 with BOM'.
+ * @param {Object} encoding { encoding, bom }.
+ * @returns {string} The name.
+ */
+export function describeEncoding(encoding) {
+  return encoding.bom ? `${encoding.encoding} with BOM` : encoding.encoding;
+}
+
+/**
+ * Encodes text for a result file.
+ * @param {string} text The text.
+ * @param {Object} encoding { encoding, bom } of the file.
+ * @param {boolean} atStart True for the start of the file, where a BOM goes.
+ * @returns {Buffer} The bytes to write.
+ */
+function encodeText(text, encoding, atStart) {
+  return iconv.encode(text, encoding.encoding, {
+    addBOM: encoding.bom && atStart,
+  });
+}
+
+/**
+ * Splits a line of a text file into columns. Unlike CSV, quotes mean
+ * nothing here: the line is split wherever the delimiter occurs.
+ * @param {string} line The line.
+ * @param {string} delimiter A CSV_DELIMITERS name.
+ * @returns {Object} The row, with the fields keyed by splitColumnHeaders' names; empty fields are left out.
+ */
+function splitTextLine(line, delimiter) {
+  const row = {};
+  line.split(CSV_DELIMITERS[delimiter]).forEach((field, index) => {
+    if (field !== "") row[`Column_${index + 1}`] = field;
+  });
+  return row;
+}
+
+/**
+ * Names the columns of split text lines, which have no header row.
+ * @param {number} columnCount The most fields on a line.
+ * @returns {Array<string>} "Column_1", "Column_2", ...
+ */
+function splitColumnHeaders(columnCount) {
+  return Array.from(
+    { length: columnCount },
+    (value, index) => `Column_${index + 1}`
+  );
+}
+
+// --- Helper Functions ---
+
+/**
+ * Formats a calendar day as a YYYY-MM-DD string. The day is given by its
+ * parts rather than as a Date, so the result never depends on the server's
+ * timezone.
+ * @param {number} year The year.
+ * @param {number} month The month, 1-12.
+ * @param {number} day The day of the month.
+ * @returns {string} The formatted date, or an empty string if there is no such day.
+ */
+function formatDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    isNaN(date) ||
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return ""; // Return empty string for invalid dates
+  }
+  return `${String(year).padStart(4, "0")}-${String(month).padStart(
+    2,
+    "0"
+  )}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * Formats an Excel date serial number (days since 1900, or 1904) as a
+ * YYYY-MM-DD string, dropping any time of day.
+ * @param {number} serial The serial number.
+ * @param {boolean} [date1904=false] True for workbooks using the 1904 date system.
+ * @returns {string} The formatted date, or an empty string if it is out of range.
+ */
+function formatExcelDate(serial, date1904 = false) {
+  const parts = XLSX.SSF.parse_date_code(serial, { date1904: date1904 });
+  return parts ? formatDate(parts.y, parts.m, parts.d) : "";
+}
+
+/**
+ * Converts a numeric cell value into its full digit string, avoiding the
+ * exponent notation ("1.90375E+11") that the General number format produces.
+ * @param {*} value The value to convert.
+ * @returns {*} The exact string for numbers, the value unchanged otherwise.
+ */
+function toExactString(value) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return Number.isInteger(value) ? BigInt(value).toString() : String(value);
+  }
+  return value;
+}
+
+/**
+ * Turns a worksheet cell into the value stored in a row object.
+ * @param {Object} cell The SheetJS cell object (may be undefined).
+ * @param {boolean} asIdentifier True if the cell belongs to an identifier column.
+ * @param {boolean} identifierSafe True to keep whole numbers as exact digit strings.
+ * @param {boolean} [date1904=false] True for workbooks using the 1904 date system.
+ * @returns {*} The cell value, or undefined for empty cells. Dates are YYYY-MM-DD strings.
+ */
+function cellToValue(cell, asIdentifier, identifierSafe, date1904 = false) {
+  if (!cell || cell.v === undefined || cell.v === null) {
+    return undefined;
+  }
+  if (cell.t === "n") {
+    // Workbooks store dates as serial numbers with a date format
+    if (cell.z !== undefined && XLSX.SSF.is_date(cell.z)) {
+      return formatExcelDate(cell.v, date1904);
+    }
+    const keepExact =
+      asIdentifier || (identifierSafe && Number.isInteger(cell.v));
+    if (keepExact) {
+      return toExactString(cell.v);
+    }
+  }
+  return cell.w !== undefined ? cell.w : cell.v;
+}
+
+/**
+ * Sheet option value that stacks the rows of every worksheet in a workbook.
+ */
+const ALL_SHEETS = "__all__";
+
+/**
+ * Column added to every row when all sheets are stacked, naming the sheet the
+ * row came from.
+ */
+const SOURCE_SHEET_COLUMN = "Source Sheet";
+
+/**
+ * The key of a plain text file, whose lines are the values compared, and the
+ * column the lines are written in.
+ */
+const LINE_CONTENT_COLUMN = "Line Content";
+
+/**
+ * Header row option value that picks the likely header row automatically.
+ */
+const AUTO_HEADER_ROW = "auto";
+
+// Number of rows at the top of a sheet searched for the header row
+const HEADER_SCAN_ROWS = 20;
+
+/**
+ * Parses a header row form field: empty for the first row, "auto" for
+ * detection, or a 1-based row number.
+ * @param {*} value The raw form field value.
+ * @returns {number|string|undefined} The row number, AUTO_HEADER_ROW, or undefined.
+ * @throws {Error} With statusCode 400 if the value is not a valid row.
+ */
+export function parseHeaderRowField(value) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return undefined;
+  }
+  const text = String(value).trim().toLowerCase();
+  if (text === AUTO_HEADER_ROW) {
+    return AUTO_HEADER_ROW;
+  }
+  const row = Number(text);
+  if (!Number.isInteger(row) || row < 1) {
+    const error = new Error(
+      `Header row must be a row number (1 or more) or '${AUTO_HEADER_ROW}', got '${value}'.`
+    );
+    error.statusCode = 400;
+    error.code = "INVALID_FIELD";
+    throw error;
+  }
+  return row;
+}
+
+/**
+ * Picks the likely header row: the first of the top rows that fills at least
+ * half as many cells as the widest row, nearly all of them text. Title and
+ * banner rows above the table usually fill a single cell, and data rows
+ * usually hold numbers or dates.
+ * @param {Array<Object>} stats { filled, text } cell counts of the top rows.
+ * @returns {number} The index of the header row within `stats` (0 if none fits).
+ */
+function pickHeaderRow(stats) {
+  const widest = Math.max(0, ...stats.map((row) => row.filled));
+  const minFilled = Math.min(widest, Math.max(2, widest * 0.5));
+  const index = stats.findIndex(
+    (row) => row.filled >= minFilled && row.text >= row.filled * 0.8
+  );
+  return index === -1 ? 0 : index;
+}
+
+/**
+ * Finds the likely header row of a worksheet (see pickHeaderRow).
+ * @param {Object} worksheet The SheetJS worksheet.
+ * @param {Object} range The decoded worksheet range.
+ * @returns {number} The 0-based index of the header row.
+ */
+function detectHeaderRow(worksheet, range) {
+  const lastRow = Math.min(range.e.r, range.s.r + HEADER_SCAN_ROWS - 1);
+  const stats = [];
+  for (let r = range.s.r; r <= lastRow; r++) {
+    let filled = 0;
+    let text = 0;
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const cell = worksheet[XLSX.utils.encode_cell({ r: r, c: c })];
+      if (!cell || cell.v === undefined || cell.v === null || cell.v === "") {
+        continue;
+      }
+      filled++;
+      // CSV cells are read as text, so numbers are told apart by their value
+      if (cell.t === "s" && isNaN(Number(cell.v))) text++;
+    }
+    stats.push({ filled: filled, text: text });
+  }
+  return range.s.r + pickHeaderRow(stats);
+}
+
+/**
+ * Makes header names usable as row keys: blank headers get a positional
+ * placeholder (e.g. "Column_5") and repeated names get a numeric suffix
+ * ("Name", "Name_2"), so every column keeps its own value.
+ * @param {Array<string>} rawHeaders The trimmed header cell texts, in column order.
+ * @param {Array<number>} columnNumbers The 1-based column number of each header.
+ * @returns {Array<string>} The unique header names.
+ */
+function dedupeHeaders(rawHeaders, columnNumbers) {
+  const used = new Set();
+  return rawHeaders.map((raw, index) => {
+    const base = raw !== "" ? raw : `Column_${columnNumbers[index]}`;
+    let header = base;
+    for (let suffix = 2; used.has(header); suffix++) {
+      header = `${base}_${suffix}`;
+    }
+    used.add(header);
+    return header;
+  });
+}
+
+/**
+ * Reads the header row and data rows of a single worksheet.
+ * @param {Object} worksheet The SheetJS worksheet.
+ * @param {Object} options Cell read options.
+ * @param {boolean} options.identifierSafe Keep whole numbers as exact digit strings.
+ * @param {Set<string>} options.identifierSet Columns always read as exact text.
+ * @param {boolean} options.date1904 True for workbooks using the 1904 date system.
+ * @param {number|string} [options.headerRow] 1-based header row, or AUTO_HEADER_ROW (default: first row).
+ * @returns {Object} { headers, rows, rowNumbers, headerRow } for the worksheet.
+ */
+function readWorksheet(worksheet, options) {
+  if (!worksheet || !worksheet["!ref"]) {
+    return { headers: [], rows: [], rowNumbers: [], headerRow: null };
+  }
+
+  const range = XLSX.utils.decode_range(worksheet["!ref"]);
+  const cellAt = (r, c) => worksheet[XLSX.utils.encode_cell({ r: r, c: c })];
+
+  let headerR = range.s.r;
+  if (options.headerRow === AUTO_HEADER_ROW) {
+    headerR = detectHeaderRow(worksheet, range);
+  } else if (options.headerRow) {
+    headerR = options.headerRow - 1;
+  }
+  if (headerR > range.e.r) {
+    return { headers: [], rows: [], rowNumbers: [], headerRow: headerR + 1 };
+  }
+
+  // A column without a header is kept (under a placeholder name) as long as
+  // it holds data below the header row
+  const hasData = (c) => {
+    for (let r = headerR + 1; r <= range.e.r; r++) {
+      const cell = cellAt(r, c);
+      if (cell && cell.v !== undefined && cell.v !== null && cell.v !== "") {
+        return true;
+      }
+    }
+    return false;
+  };
+  const rawHeaders = [];
+  const columnNumbers = [];
+  const headerColumns = [];
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    const raw = String(
+      cellToValue(cellAt(headerR, c), false, false, options.date1904) || ""
+    ).trim();
+    if (raw === "" && !hasData(c)) continue;
+    rawHeaders.push(raw);
+    columnNumbers.push(c + 1);
+    headerColumns.push(c);
+  }
+  const headers = rawHeaders.every((header) => header === "")
+    ? []
+    : dedupeHeaders(rawHeaders, columnNumbers);
+
+  const rows = [];
+  const rowNumbers = [];
+  for (let r = headerR + 1; r <= range.e.r; r++) {
+    const obj = {};
+    headers.forEach((header, index) => {
+      obj[header] = cellToValue(
+        cellAt(r, headerColumns[index]),
+        options.identifierSet.has(header),
+        options.identifierSafe,
+        options.date1904
+      );
+    });
+    rows.push(obj);
+    rowNumbers.push(r + 1);
+  }
+  return {
+    headers: headers,
+    rows: rows,
+    rowNumbers: rowNumbers,
+    headerRow: headerR + 1,
+  };
+}
+
+/**
+ * Reads the content of a file (Excel, CSV, or plain text).
+ * @param {string} filePath The path to the file.
+ * @param {string} originalFilename The original name of the file to determine type.
+ * @param {Object} [options] Read options.
+ * @param {boolean} [options.identifierSafe=true] Keep whole numbers as exact digit strings instead of formatted text.
+ * @param {Array<string>} [options.identifierColumns=[]] Columns always read as exact text.
+ * @param {string} [options.sheet] Worksheet to read (default: the first), or ALL_SHEETS to stack every sheet.
+ * @param {number|string} [options.headerRow] 1-based header row, or AUTO_HEADER_ROW to detect it (default: first row).
+ * @param {string} [options.encoding] Encoding of a CSV or text file (default: AUTO_TEXT_FORMAT, detected).
+ * @param {string} [options.delimiter] Delimiter of a CSV file (default: AUTO_TEXT_FORMAT, detected). A text file split on a delimiter is read as structured rows with columns Column_1, Column_2, ...
+ * @param {string} [options.side] "A" or "B", naming the file in errors.
+ * @returns {Object} An object containing:
+ * - data: Array<Object> for structured, Array<string> for plain text.
+ * - type: 'structured' (for Excel/CSV and split text) or 'plain_text'.
+ * - headers: Array<string> of headers for structured files, empty array for plain text.
+ * - firstColumnHeader: The header of the first column for structured data, or 'Line Content' for plain text.
+ * - rowNumbers: Array<number> with the 1-based source row (or line) number of each data item.
+ * - sheetNames: Array<string> of the workbook's sheets, empty array for CSV and plain text.
+ * - sheetName: The sheet that was read (or ALL_SHEETS), null for CSV and plain text.
+ * - headerRow: The 1-based header row used (of the first sheet when stacking), null for plain text.
+ * - textFormat: { encoding, bom, delimiter } of a CSV or text file, null for workbooks.
+ * @throws {Error} With statusCode 400 if the file cannot be read, is too large or the requested sheet does not exist.
+ */
+export function readFileContent(filePath, originalFilename, options = {}) {
+  console.log(`[readFileContent] Starting to read file: ${originalFilename}`);
+  const {
+    identifierSafe = true,
+    identifierColumns = [],
+    sheet,
+    headerRow,
+    encoding,
+    delimiter,
+    side,
+  } = options;
+  const ext = path.extname(originalFilename).toLowerCase();
+  const isStructured = ext === ".xlsx" || ext === ".xls" || ext === ".csv";
+  const textFormat = checkFileContent(filePath, originalFilename, {
+    side: side,
+    encoding: encoding,
+    delimiter: delimiter,
+  });
+
+  if (isStructured) {
+    console.log(
+      `[readFileContent] Reading structured file (Excel/CSV): ${originalFilename}`
+    );
+    let workbook;
+    try {
+      // CSV is decoded here, so SheetJS does not have to guess the encoding
+      // and delimiter. Its cells are kept as written, as when streamed: SheetJS
+      // would read date-like text as month-first dates in the server's
+      // timezone (see the dateColumns setting instead). Workbook dates are
+      // read from their serial numbers and number formats.
+      workbook = textFormat
+        ? XLSX.read(readTextFile(filePath, textFormat.encoding), {
+            type: "string",
+            FS: CSV_DELIMITERS[textFormat.delimiter],
+            raw: true,
+          })
+        : XLSX.readFile(filePath, { cellNF: true });
+    } catch (error) {
+      console.log(
+        `[readFileContent] Could not parse ${originalFilename}: ${error.message}`
+      );
+      throw inputFileError(
+        "INVALID_FILE_CONTENT",
+        `${originalFilename} could not be read. The file may be damaged or password-protected.`,
+        side
+      );
+    }
+    console.log(`[readFileContent] Workbook read for: ${originalFilename}`);
+    const sheetName = sheet || workbook.SheetNames[0];
+    if (sheetName !== ALL_SHEETS && !workbook.SheetNames.includes(sheetName)) {
+      throw inputFileError(
+        "SHEET_NOT_FOUND",
+        `Sheet '${sheetName}' not found in ${originalFilename}.`,
+        side
+      );
+    }
+    // Size each sheet by its used range before any cell is read
+    let rowCount = 0;
+    let columnCount = 0;
+    for (const name of sheetName === ALL_SHEETS
+      ? workbook.SheetNames
+      : [sheetName]) {
+      const ref = workbook.Sheets[name] && workbook.Sheets[name]["!ref"];
+      if (!ref) continue;
+      const range = XLSX.utils.decode_range(ref);
+      rowCount += range.e.r - range.s.r + 1;
+      columnCount = Math.max(columnCount, range.e.c - range.s.c + 1);
+    }
+    checkFileLimits(rowCount, columnCount, originalFilename, side);
+    // SheetJS reads a CSV file as a workbook of one sheet, but only a real
+    // workbook has sheets to report
+    const sheetNames = textFormat ? [] : workbook.SheetNames;
+    const sheetRead = textFormat ? null : sheetName;
+    const sheetOptions = {
+      identifierSafe: identifierSafe,
+      identifierSet: new Set(identifierColumns),
+      date1904: Boolean(
+        workbook.Workbook &&
+          workbook.Workbook.WBProps &&
+          workbook.Workbook.WBProps.date1904
+      ),
+      headerRow: headerRow,
+    };
+
+    let headers;
+    let rows;
+    let rowNumbers;
+    let usedHeaderRow = null;
+    if (sheetName === ALL_SHEETS) {
+      // Stack every sheet, keeping the union of their headers in order of
+      // first appearance and tagging each row with its sheet
+      headers = [];
+      rows = [];
+      rowNumbers = [];
+      for (const name of workbook.SheetNames) {
+        const part = readWorksheet(workbook.Sheets[name], sheetOptions);
+        if (usedHeaderRow === null) usedHeaderRow = part.headerRow;
+        part.headers.forEach((header) => {
+          if (!headers.includes(header)) headers.push(header);
+        });
+        part.rows.forEach((row, index) => {
+          row[SOURCE_SHEET_COLUMN] = name;
+          rows.push(row);
+          rowNumbers.push(part.rowNumbers[index]);
+        });
+      }
+      if (headers.length > 0 && !headers.includes(SOURCE_SHEET_COLUMN)) {
+        headers.push(SOURCE_SHEET_COLUMN);
+      }
+    } else {
+      ({
+        headers,
+        rows,
+        rowNumbers,
+        headerRow: usedHeaderRow,
+      } = readWorksheet(workbook.Sheets[sheetName], sheetOptions));
+    }
+
+    if (headers.length === 0) {
+      console.log(`[readFileContent] File is empty: ${originalFilename}`);
+      return {
+        data: [],
+        type: "structured",
+        headers: [],
+        firstColumnHeader: null,
+        rowNumbers: [],
+        sheetNames: sheetNames,
+        sheetName: sheetRead,
+        headerRow: usedHeaderRow,
+        textFormat: textFormat,
+      };
+    }
+    console.log(
+      `[readFileContent] Processed rows for structured file: ${originalFilename} (sheet: ${sheetName}), actual data rows: ${rows.length}`
+    );
+
+    const firstColumnHeader = headers.length > 0 ? headers[0] : null;
+    return {
+      data: rows,
+      type: "structured",
+      headers: headers,
+      firstColumnHeader: firstColumnHeader,
+      rowNumbers: rowNumbers,
+      sheetNames: sheetNames,
+      sheetName: sheetRead,
+      headerRow: usedHeaderRow,
+      textFormat: textFormat,
+    };
+  } else {
+    // Assume plain text for .txt and other non-structured files
+    console.log(
+      `[readFileContent] Reading plain text file: ${originalFilename}`
+    );
+    const content = readTextFile(filePath, textFormat.encoding);
+    const lines = [];
+    const rowNumbers = [];
+    content.split(/\r?\n/).forEach((line, index) => {
+      if (line.trim() !== "") {
+        lines.push(line);
+        rowNumbers.push(index + 1);
+      }
+    });
+    if (textFormat.delimiter) {
+      const rows = lines.map((line) =>
+        splitTextLine(line, textFormat.delimiter)
+      );
+      const headers = splitColumnHeaders(
+        Math.max(
+          ...lines.map(
+            (line) => line.split(CSV_DELIMITERS[textFormat.delimiter]).length
+          ),
+          0
+        )
+      );
+      checkFileLimits(lines.length, headers.length, originalFilename, side);
+      console.log(
+        `[readFileContent] Split ${lines.length} lines of ${originalFilename} into ${headers.length} columns`
+      );
+      return {
+        data: rows,
+        type: "structured",
+        headers: headers,
+        firstColumnHeader: headers.length > 0 ? headers[0] : null,
+        rowNumbers: rowNumbers,
+        sheetNames: [],
+        sheetName: null,
+        headerRow: null,
+        textFormat: textFormat,
+      };
+    }
+    checkFileLimits(lines.length, 1, originalFilename, side);
+    console.log(
+      `[readFileContent] Read ${lines.length} lines from plain text file: ${originalFilename}`
+    );
+    return {
+      data: lines,
+      type: "plain_text",
+      headers: [],
+      firstColumnHeader: LINE_CONTENT_COLUMN,
+      rowNumbers: rowNumbers,
+      sheetNames: [],
+      sheetName: null,
+      headerRow: null,
+      textFormat: textFormat,
+    };
+  }
+}
+
+/**
+ * The formats result files can be written in, with their file extension and
+ * how the generated files are described to the user. Excel output is written
+ * as CSV first and then combined into one workbook (see saveResultWorkbook).
+ */
+const OUTPUT_FORMATS = {
+  csv: { extension: ".csv", label: "CSV files" },
+  tsv: { extension: ".tsv", label: "TSV files" },
+  json: { extension: ".json", label: "JSON files" },
+  xlsx: { extension: ".xlsx", label: "Excel workbook" },
+};
+
+/**
+ * Parses the output format form field.
+ * @param {*} value The raw form field value.
+ * @returns {string} One of the OUTPUT_FORMATS keys (default 'csv').
+ * @throws {Error} If the format is not known.
+ */
+function parseOutputFormat(value) {
+  if (value === undefined || value === null || value === "") {
+    return "csv";
+  }
+  if (!Object.hasOwn(OUTPUT_FORMATS, value)) {
+    throw new Error(
+      `Unknown output format '${value}'. Use one of: ${Object.keys(
+        OUTPUT_FORMATS
+      ).join(", ")}.`
+    );
+  }
+  return value;
+}
+
+/**
+ * Gives the format, file extension and encoding the result sets of a run are
+ * written in: the output format itself, or CSV for runs that end up as a
+ * workbook. CSV and TSV results follow the output encoding; JSON, and CSVs
+ * that are only read back into the workbook, are plain UTF-8.
+ * @param {Object} settings The settings from parseCrossCheckSettings.
+ * @param {Object|null} sourceFormat The textFormat of File A, null for a workbook.
+ * @returns {Object} { format, extension, encoding, encodingName }: encoding is
+ * { encoding, bom }, and encodingName describes it for CSV and TSV output (null otherwise).
+ */
+function resultFileFormat(settings, sourceFormat) {
+  const { outputFormat } = settings;
+  const format = outputFormat === "xlsx" ? "csv" : outputFormat;
+  let encoding = PLAIN_UTF8;
+  if (outputFormat === "csv" || outputFormat === "tsv") {
+    encoding =
+      settings.outputEncoding === "source" && sourceFormat
+        ? {
+            encoding: sourceFormat.encoding,
+            // Excel only recognises UTF-16 by its BOM
+            bom: sourceFormat.bom || sourceFormat.encoding.startsWith("utf-16"),
+          }
+        : { encoding: "utf-8", bom: true };
+  }
+  return {
+    format: format,
+    extension: OUTPUT_FORMATS[format].extension,
+    encoding: encoding,
+    encodingName: encoding === PLAIN_UTF8 ? null : describeEncoding(encoding),
+  };
+}
+
+/**
+ * Result fields that name a generated file, by the kind of result they hold.
+ */
+export const ARTIFACT_FIELDS = {
+  matched: "matchedCsvFilename",
+  missing: "missingCsvFilename",
+  near: "nearCsvFilename",
+  bOnly: "bOnlyCsvFilename",
+  changed: "changedCsvFilename",
+  duplicates: "duplicatesCsvFilename",
+  workbook: "workbookFilename",
+};
+
+/**
+ * Generates and saves a result file from an array of data (objects or strings).
+ * @param {string} outputDir The directory to save the file in.
+ * @param {Array<Object>|Array<string>} data The data to write to the file.
+ * @param {string} filename The name of the file to save.
+ * @param {string} dataType 'structured' or 'plain_text' indicating the data format.
+ * @param {string} [format] 'csv' (default), 'tsv' or 'json'.
+ * @param {Object} [encoding] { encoding, bom } of the file (default: UTF-8 without BOM).
+ * @returns {string} The full path to the saved file.
+ */
+function saveResultFile(
+  outputDir,
+  data,
+  filename,
+  dataType,
+  format = "csv",
+  encoding = PLAIN_UTF8
+) {
+  console.log(
+    `[saveResultFile] Starting to save ${format.toUpperCase()}: ${filename}, type: ${dataType}, data items: ${
+      data.length
+    }`
+  );
+  const filePath = path.join(outputDir, filename);
+  if (format === "json") {
+    // One row per line, as the streamed comparison writes it
+    fs.writeFileSync(
+      filePath,
+      encodeText(
+        `[\n${data.map((row) => JSON.stringify(row)).join(",\n")}\n]\n`,
+        encoding,
+        true
+      )
+    );
+    console.log(`[saveResultFile] Successfully saved JSON: ${filePath}`);
+    return filePath;
+  }
+
+  let ws;
+  if (dataType === "structured") {
+    // Write numbers as exact text so identifiers are not abbreviated by the
+    // General number format when the sheet is turned into CSV.
+    const exactRows = data.map((row) => {
+      const exactRow = {};
+      for (const key in row) {
+        exactRow[key] = toExactString(row[key]);
+      }
+      return exactRow;
+    });
+    ws = XLSX.utils.json_to_sheet(exactRows);
+  } else {
+    const aoaData = data.map((line) => [line]);
+    ws = XLSX.utils.aoa_to_sheet([[LINE_CONTENT_COLUMN], ...aoaData]);
+  }
+
+  const text = XLSX.utils.sheet_to_csv(ws, {
+    FS: format === "tsv" ? "\t" : ",",
+  });
+  fs.writeFileSync(filePath, encodeText(text, encoding, true));
+  console.log(
+    `[saveResultFile] Successfully saved ${format.toUpperCase()}: ${filePath}`
+  );
+  return filePath;
+}
+
+/**
+ * Parses a list sent as a form field: a JSON array, the field repeated, or a
+ * single value. A single value is one item even if it holds commas, since
+ * column names may contain them (e.g. "Artist, Title").
+ * @param {*} value The raw form field value.
+ * @returns {Array<string>} The list of non-empty trimmed strings.
+ */
+export function parseListField(value) {
+  if (value === undefined || value === null || value === "") {
+    return [];
+  }
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      list = JSON.parse(value);
+    } catch {
+      list = value;
+    }
+    // JSON that is not a list (e.g. a column named "2024") is the name itself
+    if (!Array.isArray(list)) {
+      list = value;
+    }
+  }
+  if (!Array.isArray(list)) {
+    list = [list];
+  }
+  return list.map((item) => String(item).trim()).filter((item) => item !== "");
+}
+
+/**
+ * Parses a boolean form field ("true"/"false", "on", "1"/"0").
+ * @param {*} value The raw form field value.
+ * @param {boolean} defaultValue The value used when the field is absent.
+ * @returns {boolean} The parsed boolean.
+ */
+function parseBooleanField(value, defaultValue) {
+  if (value === undefined || value === null || value === "") {
+    return defaultValue;
+  }
+  return ["true", "on", "1", "yes"].includes(String(value).toLowerCase());
+}
+
+/**
+ * Delimiter placed between the parts of a composite match key. The ASCII unit
+ * separator does not occur in spreadsheet text, so "A|B" + "C" can never
+ * collide with "A" + "B|C".
+ */
+const KEY_DELIMITER = "\u001F";
+
+/**
+ * Normalization steps applied to key values before comparison. All steps are
+ * off by default so values are compared exactly as read.
+ */
+export const DEFAULT_NORMALIZATION = {
+  unicodeNFKC: false,
+  trim: false,
+  collapseWhitespace: false,
+  caseFold: false,
+  stripPunctuation: false,
+  digitsOnly: false,
+  removeLeadingZeros: false,
+  regexPattern: "",
+  regexFlags: "g",
+  regexReplacement: "",
+};
+
+/**
+ * Parses the normalization settings sent with the form (a JSON object).
+ * @param {*} value The raw form field value.
+ * @returns {Object} The settings, with every known step present.
+ * @throws {Error} If the settings are not valid JSON or the regex does not compile.
+ */
+function parseNormalizationField(value) {
+  let settings = {};
+  if (typeof value === "string" && value.trim() !== "") {
+    try {
+      settings = JSON.parse(value);
+    } catch {
+      throw new Error("Normalization settings are not valid JSON.");
+    }
+  } else if (value && typeof value === "object") {
+    settings = value;
+  }
+
+  const normalization = { ...DEFAULT_NORMALIZATION };
+  for (const key of Object.keys(DEFAULT_NORMALIZATION)) {
+    if (settings[key] === undefined || settings[key] === null) continue;
+    normalization[key] =
+      typeof DEFAULT_NORMALIZATION[key] === "boolean"
+        ? parseBooleanField(settings[key], false)
+        : String(settings[key]);
+  }
+  if (normalization.regexPattern !== "") {
+    try {
+      new RegExp(normalization.regexPattern, normalization.regexFlags);
+    } catch (error) {
+      throw new Error(`Invalid normalization regex: ${error.message}`);
+    }
+  }
+  return normalization;
+}
+
+/**
+ * Creates a function that applies the normalization steps to a value. Steps
+ * run in a fixed order so the same settings always give the same keys.
+ * @param {Object} normalization The settings from parseNormalizationField.
+ * @returns {function(string): string} The normalizer.
+ */
+function createNormalizer(normalization) {
+  const regex =
+    normalization.regexPattern !== ""
+      ? new RegExp(normalization.regexPattern, normalization.regexFlags)
+      : null;
+
+  return (value) => {
+    let result = value;
+    if (normalization.unicodeNFKC) result = result.normalize("NFKC");
+    if (normalization.trim) result = result.trim();
+    if (normalization.collapseWhitespace) {
+      result = result.replace(/\s+/g, " ").trim();
+    }
+    // Upper then lower folds characters such as "ß" to "ss"
+    if (normalization.caseFold) result = result.toUpperCase().toLowerCase();
+    if (normalization.stripPunctuation) {
+      result = result.replace(/[\p{P}\p{S}]/gu, "");
+    }
+    if (normalization.digitsOnly) result = result.replace(/\D/g, "");
+    if (normalization.removeLeadingZeros) {
+      result = result.replace(/^0+(?=\d)/, "");
+    }
+    if (regex) result = result.replace(regex, normalization.regexReplacement);
+    return result;
+  };
+}
+
+/**
+ * Builds the lookup key for a row from one or more columns, in order.
+ * @param {Object} row The row object.
+ * @param {Array<string>} columns The key columns.
+ * @param {function(string): string} [normalize] Normalizer applied to each part.
+ * @returns {string} The composite key, or an empty string if every part is empty.
+ */
+function buildMatchKey(row, columns, normalize = (value) => value) {
+  const parts = columns.map((column) => {
+    const value = row[column];
+    return value === undefined || value === null
+      ? ""
+      : normalize(String(value));
+  });
+  return parts.every((part) => part === "") ? "" : parts.join(KEY_DELIMITER);
+}
+
+/**
+ * Builds the lookup key for an item of either file type.
+ * @param {Object|string} item A row object (structured) or a line (plain text).
+ * @param {string} fileType 'structured' or 'plain_text'.
+ * @param {Array<string>} columns The key columns for structured rows.
+ * @param {function(string): string} normalize Normalizer applied to the key.
+ * @returns {string} The key, or an empty string if there is nothing to compare.
+ */
+function itemMatchKey(item, fileType, columns, normalize) {
+  if (fileType === "structured") {
+    return buildMatchKey(item, columns, normalize);
+  }
+  return item === undefined || item === null ? "" : normalize(String(item));
+}
+
+/**
+ * Lists the columns whose values differ between a File A row and the File B
+ * row it matched.
+ * @param {Object} rowA The File A row.
+ * @param {Object} rowB The File B row.
+ * @param {Array<string>} columns The columns to compare (present in both files).
+ * @param {function(string): string} normalize Normalizer applied before comparing.
+ * @returns {Array<Object>} One { column, valueA, valueB } entry per differing column.
+ */
+function findChangedFields(rowA, rowB, columns, normalize) {
+  const changes = [];
+  for (const column of columns) {
+    const valueA =
+      rowA[column] === undefined || rowA[column] === null
+        ? ""
+        : String(rowA[column]);
+    const valueB =
+      rowB[column] === undefined || rowB[column] === null
+        ? ""
+        : String(rowB[column]);
+    if (normalize(valueA) !== normalize(valueB)) {
+      changes.push({ column: column, valueA: valueA, valueB: valueB });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Flattens changed rows into a field-level report: one line per differing
+ * field, identified by the row's key columns.
+ * @param {Array<Object>} changedRows Items of { item, changes } from the comparison.
+ * @param {Array<string>} keyColumns The File A key columns.
+ * @param {Array<Array<number>>} [rowNumbers] The File A and File B source row
+ * of each changed row, to add to its lines.
+ * @returns {Array<Object>} The report rows.
+ */
+function buildChangeReport(changedRows, keyColumns, rowNumbers) {
+  const report = [];
+  changedRows.forEach((changed, index) => {
+    for (const change of changed.changes) {
+      const line = {};
+      keyColumns.forEach((column) => {
+        line[column] = changed.item[column];
+      });
+      line["Column"] = change.column;
+      line["File A Value"] = change.valueA;
+      line["File B Value"] = change.valueB;
+      if (rowNumbers) {
+        [line[ROW_NUMBER_COLUMNS.A], line[ROW_NUMBER_COLUMNS.B]] =
+          rowNumbers[index];
+      }
+      report.push(line);
+    }
+  });
+  return report;
+}
+
+/**
+ * How File A rows sharing a key are matched against File B:
+ * - all: every File A row with a matching key is matched.
+ * - first: only the first File A row for each key can be matched.
+ * - oneToOne: each File B row can be matched once, so three File A rows
+ *   only all match if File B also has the key three times.
+ */
+const DUPLICATE_POLICIES = ["all", "first", "oneToOne"];
+
+/**
+ * Parses the duplicate policy form field.
+ * @param {*} value The raw form field value.
+ * @returns {string} One of DUPLICATE_POLICIES (default 'all').
+ * @throws {Error} If the policy is not known.
+ */
+function parseDuplicatePolicy(value) {
+  if (value === undefined || value === null || value === "") {
+    return "all";
+  }
+  if (!DUPLICATE_POLICIES.includes(value)) {
+    throw new Error(
+      `Unknown duplicate policy '${value}'. Use one of: ${DUPLICATE_POLICIES.join(
+        ", "
+      )}.`
+    );
+  }
+  return value;
+}
+
+/**
+ * Lists the keys that occur more than once in a file.
+ * @param {Map<string, Array<number>>} keyIndex Each key mapped to the indexes of its items.
+ * @param {Array<number>} [rowNumbers] The source row number of each item; omit when the index already holds row numbers.
+ * @returns {Array<Object>} One { key, count, rowNumbers } entry per duplicated key.
+ */
+function findDuplicateKeys(keyIndex, rowNumbers) {
+  const duplicates = [];
+  for (const [key, indexes] of keyIndex) {
+    if (Array.isArray(indexes) && indexes.length > 1) {
+      duplicates.push({
+        key: key.split(KEY_DELIMITER).join(" | "),
+        count: indexes.length,
+        rowNumbers: rowNumbers
+          ? indexes.map((index) => rowNumbers[index])
+          : indexes,
+      });
+    }
+  }
+  return duplicates;
+}
+
+/**
+ * Turns duplicate keys into rows for the duplicates CSV.
+ * @param {Array<Object>} duplicates Entries from findDuplicateKeys.
+ * @param {string} fileName The name of the file the duplicates were found in, unless an entry names its file.
+ * @returns {Array<Object>} The report rows.
+ */
+function buildDuplicateReport(duplicates, fileName) {
+  return duplicates.map((duplicate) => ({
+    File: duplicate.file || fileName,
+    Key: duplicate.key,
+    Occurrences: duplicate.count,
+    "Row Numbers": duplicate.rowNumbers.join(", "),
+  }));
+}
+
+/**
+ * Describes the key columns for display, showing both names where File A and
+ * File B call a column differently.
+ * @param {Array<string>} columnsA The File A key columns.
+ * @param {Array<string>} columnsB The matching File B key columns.
+ * @returns {string} The description, e.g. "Artist + UPC ↔ Release Display UPC".
+ */
+export function describeKeyColumns(columnsA, columnsB) {
+  return columnsA
+    .map((column, index) =>
+      columnsB[index] && columnsB[index] !== column
+        ? `${column} ↔ ${columnsB[index]}`
+        : column
+    )
+    .join(" + ");
+}
+
+/**
+ * Turns the key columns into a short, filesystem-safe filename fragment.
+ * @param {Array<string>} columns The key columns.
+ * @returns {string} The filename fragment.
+ */
+function keyColumnsSlug(columns) {
+  return columns
+    .map((column) =>
+      column.replace(/[^A-Za-z0-9]+/g, "_").replace(/^_|_$/g, "")
+    )
+    .filter((part) => part !== "")
+    .join("+")
+    .slice(0, 80);
+}
+
+/**
+ * Saves a result set in the output directory, unless it is empty.
+ * @param {string} outputDir The directory to save the file in.
+ * @param {Array<Object>|Array<string>} data The rows to write.
+ * @param {string} filename The name of the file to save.
+ * @param {string} dataType 'structured' or 'plain_text' indicating the data format.
+ * @param {string} label Short name of the result set, used in log messages.
+ * @param {string} [format] 'csv' (default), 'tsv' or 'json'.
+ * @param {Object} [encoding] { encoding, bom } of the file (default: UTF-8 without BOM).
+ * @returns {string|null} The filename, or null if there was nothing to save.
+ */
+function saveResultSet(
+  outputDir,
+  data,
+  filename,
+  dataType,
+  label,
+  format = "csv",
+  encoding = PLAIN_UTF8
+) {
+  if (data.length === 0) {
+    return null;
+  }
+  console.log(`[CROSS_CHECK] Saving ${label} ${format.toUpperCase()} file...`);
+  saveResultFile(outputDir, data, filename, dataType, format, encoding);
+  return filename;
+}
+
+// --- Excel Output ---
+
+// Data rows an Excel worksheet can hold below its header row
+const XLSX_MAX_DATA_ROWS = 1048575;
+// Fill that highlights the key columns of a result workbook
+const KEY_COLUMN_FILL = {
+  type: "pattern",
+  pattern: "solid",
+  fgColor: { argb: "FFFEF3C7" },
+};
+
+/**
+ * The sheets of a result workbook after the Summary, in order: the result
+ * field holding each set's file, its row count and which key columns to
+ * highlight. Matched and Missing are always included, the rest when not empty.
+ */
+const RESULT_SHEETS = [
+  {
+    name: "Matched",
+    field: "matchedCsvFilename",
+    rowCount: (result) => result.foundCount,
+    keyColumns: (result) => result.comparisonColumns,
+    always: true,
+  },
+  {
+    name: "Missing",
+    field: "missingCsvFilename",
+    rowCount: (result) => result.missingCount,
+    keyColumns: (result) => result.comparisonColumns,
+    always: true,
+  },
+  {
+    name: "Near Matches",
+    field: "nearCsvFilename",
+    rowCount: (result) => result.nearMatchCount,
+    keyColumns: (result) => result.comparisonColumns,
+  },
+  {
+    name: "Only in File B",
+    field: "bOnlyCsvFilename",
+    rowCount: (result) => result.bOnlyCount,
+    keyColumns: (result) => result.comparisonColumnsB,
+  },
+  {
+    name: "Changed Fields",
+    field: "changedCsvFilename",
+    rowCount: (result) => result.changedFieldCount,
+    keyColumns: (result) => result.comparisonColumns,
+  },
+  {
+    name: "Duplicate Keys",
+    field: "duplicatesCsvFilename",
+    rowCount: (result) =>
+      result.duplicates.fileA.keyCount + result.duplicates.fileB.keyCount,
+    keyColumns: () => ["Key"],
+  },
+];
+
+/**
+ * Turns a result value into a typed workbook cell value. Result rows hold
+ * text, so plain numbers and ISO dates are turned back into numbers and
+ * dates; text columns and anything else stay as written. Numbers with more
+ * than 11 digits before the point stay text too: Excel would show them in
+ * exponent notation, which is how long identifiers get mangled.
+ * @param {*} value The value from the result file.
+ * @param {boolean} asText True for key and identifier columns.
+ * @returns {*} The cell value, or null for an empty cell.
+ */
+function workbookCellValue(value, asText) {
+  if (value === undefined || value === null || value === "") return null;
+  if (asText || typeof value !== "string") return value;
+  // At most 15 significant digits, so the number is stored exactly
+  if (
+    /^-?(0|[1-9]\d{0,10})(\.\d+)?$/.test(value) &&
+    value.replace(/[-.]/g, "").replace(/^0+/, "").length <= 15
+  ) {
+    return Number(value);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!isNaN(date)) return date;
+  }
+  return value;
+}
+
+/**
+ * Lists the settings and counts of a run for the Summary sheet.
+ * @param {Object} result The cross-check result.
+ * @param {Object} settings The settings from parseCrossCheckSettings.
+ * @returns {Array<Array<*>>} [label, value] rows.
+ */
+function buildWorkbookSummary(result, settings) {
+  const describeFile = (name, sheet) =>
+    !sheet
+      ? name
+      : `${name} (${sheet === ALL_SHEETS ? "all sheets" : `sheet ${sheet}`})`;
+  const normalization = settings.normalization;
+  const steps = Object.keys(normalization).filter(
+    (step) => normalization[step] === true
+  );
+  if (normalization.regexPattern) {
+    steps.push(
+      `replace /${normalization.regexPattern}/${normalization.regexFlags} with '${normalization.regexReplacement}'`
+    );
+  }
+  const yesNo = (value) => (value ? "Yes" : "No");
+
+  return [
+    ["Generated", new Date()],
+    ["File A", describeFile(result.file1Name, result.file1Sheet)],
+    ["File B", describeFile(result.file2Name, result.file2Sheet)],
+    ["Key columns", result.comparisonColumn],
+    ["Identifier columns", settings.identifierColumns.join(", ") || "None"],
+    ["Date columns", describeDateColumns(settings.dateColumns) || "None"],
+    ["Normalization", steps.join(", ") || "None"],
+    ["File A filters", describeFilters(settings.filtersA) || "None"],
+    ["File B filters", describeFilters(settings.filtersB) || "None"],
+    ["Exclude empty keys", yesNo(settings.excludeEmptyKeys)],
+    [
+      "Match mode",
+      settings.fuzzy.enabled
+        ? `Fuzzy (${settings.fuzzy.algorithm}, threshold ${settings.fuzzy.threshold})`
+        : "Exact",
+    ],
+    ["Duplicate policy", settings.duplicatePolicy],
+    ["Full diff", yesNo(settings.fullDiff)],
+    ["Detect changes", yesNo(settings.detectChanges)],
+    ["Output columns", settings.outputColumns.join(", ") || "All"],
+    ["Appended File B columns", settings.appendColumnsB.join(", ") || "None"],
+    ["Source row numbers", yesNo(settings.includeRowNumbers)],
+    [],
+    ["File A rows", result.totalFile1Rows],
+    ["File B rows", result.totalFile2Rows],
+    ["Found in File B", result.foundCount],
+    ["Missing from File B", result.missingCount],
+    ["Near matches", result.nearMatchCount],
+    ["Excluded from File A", result.excluded.fileA],
+    ["Excluded from File B", result.excluded.fileB],
+    ["Unreadable dates in File A", result.unparsedDates.fileA],
+    ["Unreadable dates in File B", result.unparsedDates.fileB],
+    [
+      "Not a date for a date filter in File A",
+      result.unparsedFilterDates.fileA,
+    ],
+    [
+      "Not a date for a date filter in File B",
+      result.unparsedFilterDates.fileB,
+    ],
+    ["Only in File B", settings.fullDiff ? result.bOnlyCount : "Not checked"],
+    [
+      "Changed rows",
+      settings.detectChanges ? result.changedCount : "Not checked",
+    ],
+    ["Duplicate keys in File A", result.duplicates.fileA.keyCount],
+    ["Duplicate keys in File B", result.duplicates.fileB.keyCount],
+    ...(result.references || []).flatMap((reference) => [
+      [`Found in ${reference.name}`, reference.foundCount],
+      [`Found only in ${reference.name}`, reference.onlyFoundCount],
+    ]),
+  ];
+}
+
+/**
+ * Reads a result CSV back as row objects.
+ * @param {string} filePath The path of the CSV file.
+ * @yields {Object} Each row, keyed by the file's header row.
+ */
+async function* readResultCsv(filePath) {
+  const input = fs.createReadStream(filePath, {
+    encoding: "utf8",
+  });
+  let header = null;
+  for await (const fields of readCsvRecords(input)) {
+    if (header === null) {
+      header = fields;
+      continue;
+    }
+    const row = {};
+    header.forEach((column, index) => {
+      row[column] = fields[index];
+    });
+    yield row;
+  }
+}
+
+/**
+ * Replaces the result CSVs of a run with one Excel workbook: a Summary sheet
+ * followed by a sheet per result set. Header rows are frozen, key columns
+ * highlighted and identifier columns stored as text. The workbook is written
+ * as a stream, so large results do not have to fit in memory; a set longer
+ * than a worksheet allows is cut off, with a note on the Summary sheet.
+ * Sets `workbookFilename` on the result and clears the CSV filenames.
+ * @param {Object} result The cross-check result, with its CSV filenames.
+ * @param {Object} settings The settings from parseCrossCheckSettings.
+ * @param {string} outputDir The directory holding the CSVs and the workbook.
+ * @param {string} filename The name of the workbook to save.
+ * @returns {Promise<string>} The workbook filename.
+ */
+async function saveResultWorkbook(result, settings, outputDir, filename) {
+  console.log(`[CROSS_CHECK] Saving Excel workbook ${filename}...`);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    filename: path.join(outputDir, filename),
+    useStyles: true,
+  });
+  const sheets = RESULT_SHEETS.filter(
+    (sheet) => sheet.always || result[sheet.field]
+  );
+
+  const summary = workbook.addWorksheet("Summary");
+  summary.columns = [{ width: 28 }, { width: 60 }];
+  for (const values of buildWorkbookSummary(result, settings)) {
+    const row = summary.addRow(values);
+    row.getCell(1).font = { bold: true };
+    if (values[1] instanceof Date) row.getCell(2).numFmt = "yyyy-mm-dd hh:mm";
+    row.commit();
+  }
+  for (const sheet of sheets) {
+    if (sheet.rowCount(result) > XLSX_MAX_DATA_ROWS) {
+      summary
+        .addRow([
+          "Note",
+          `The ${
+            sheet.name
+          } sheet holds the first ${XLSX_MAX_DATA_ROWS} of ${sheet.rowCount(
+            result
+          )} rows (the most a worksheet can hold). Choose CSV output for the full set.`,
+        ])
+        .commit();
+    }
+  }
+  summary.commit();
+
+  for (const sheet of sheets) {
+    const worksheet = workbook.addWorksheet(sheet.name, {
+      views: [{ state: "frozen", ySplit: 1 }],
+    });
+    if (!result[sheet.field]) {
+      worksheet.addRow(["No rows."]).commit();
+      worksheet.commit();
+      continue;
+    }
+    const keyColumns = new Set(sheet.keyColumns(result));
+    const textColumns = new Set([
+      ...keyColumns,
+      ...settings.identifierColumns,
+      ...settings.identifierColumns.map(
+        (column) => `${APPENDED_COLUMN_PREFIX}${column}`
+      ),
+    ]);
+    let columns = null;
+    let written = 0;
+    for await (const item of readResultCsv(
+      path.join(outputDir, result[sheet.field])
+    )) {
+      if (columns === null) {
+        columns = Object.keys(item);
+        worksheet.columns = columns.map((column) => ({
+          header: column,
+          key: column,
+          width: Math.min(Math.max(column.length + 2, 12), 40),
+          style: {
+            ...(keyColumns.has(column) ? { fill: KEY_COLUMN_FILL } : {}),
+            ...(textColumns.has(column) ? { numFmt: "@" } : {}),
+          },
+        }));
+        worksheet.getRow(1).font = { bold: true };
+      }
+      if (written++ === XLSX_MAX_DATA_ROWS) break;
+      const row = worksheet.addRow(
+        columns.map((column) =>
+          workbookCellValue(item[column], textColumns.has(column))
+        )
+      );
+      row.eachCell((cell) => {
+        if (cell.value instanceof Date) cell.numFmt = "yyyy-mm-dd";
+      });
+      row.commit();
+    }
+    worksheet.commit();
+  }
+  await workbook.commit();
+
+  // The workbook holds every set now, so the CSVs are no longer needed
+  for (const sheet of RESULT_SHEETS) {
+    if (result[sheet.field]) {
+      fs.unlinkSync(path.join(outputDir, result[sheet.field]));
+      result[sheet.field] = null;
+    }
+  }
+  result.workbookFilename = filename;
+  console.log(`[CROSS_CHECK] Saved Excel workbook ${filename}.`);
+  return filename;
+}
+
+// --- Fuzzy Matching ---
+
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {number} The number of single-character edits.
+ */
+function levenshteinDistance(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+  let previous = new Array(b.length + 1);
+  let current = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) previous[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    [previous, current] = [current, previous];
+  }
+  return previous[b.length];
+}
+
+/**
+ * Levenshtein similarity scaled to 0..1 (1 means identical).
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {number} The similarity score.
+ */
+function levenshteinSimilarity(a, b) {
+  const maxLength = Math.max(a.length, b.length);
+  return maxLength === 0 ? 1 : 1 - levenshteinDistance(a, b) / maxLength;
+}
+
+/**
+ * Jaro-Winkler similarity (0..1), which favours strings sharing a prefix.
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {number} The similarity score.
+ */
+function jaroWinklerSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+  const matchWindow = Math.max(
+    0,
+    Math.floor(Math.max(a.length, b.length) / 2) - 1
+  );
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(i + matchWindow + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = true;
+      bMatches[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+  const jaro =
+    (matches / a.length +
+      matches / b.length +
+      (matches - transpositions / 2) / matches) /
+    3;
+
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Token-set similarity (0..1): ignores word order and repeated words, so
+ * "Okah Juliana" matches "Juliana Okah".
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {number} The similarity score.
+ */
+function tokenSetSimilarity(a, b) {
+  const tokensA = new Set(a.toLowerCase().split(/\s+/).filter(Boolean));
+  const tokensB = new Set(b.toLowerCase().split(/\s+/).filter(Boolean));
+  const common = [...tokensA].filter((token) => tokensB.has(token)).sort();
+  const onlyA = [...tokensA].filter((token) => !tokensB.has(token)).sort();
+  const onlyB = [...tokensB].filter((token) => !tokensA.has(token)).sort();
+  const base = common.join(" ");
+  const withA = [base, onlyA.join(" ")].filter(Boolean).join(" ");
+  const withB = [base, onlyB.join(" ")].filter(Boolean).join(" ");
+  return Math.max(
+    base ? levenshteinSimilarity(base, withA) : 0,
+    base ? levenshteinSimilarity(base, withB) : 0,
+    levenshteinSimilarity(withA, withB)
+  );
+}
+
+/**
+ * Similarity functions available to the fuzzy match mode.
+ */
+const FUZZY_ALGORITHMS = {
+  levenshtein: levenshteinSimilarity,
+  jaroWinkler: jaroWinklerSimilarity,
+  tokenSet: tokenSetSimilarity,
+};
+
+// Upper bound on index entries visited per lookup; the rarest trigrams are
+// visited first since they narrow the search the most
+const FUZZY_POSTING_BUDGET = 8000;
+// Number of best-blocked candidates that are fully scored per lookup
+const FUZZY_CANDIDATES = 25;
+
+/**
+ * Splits a string into padded, lower-case character trigrams.
+ * @param {string} text The text to split.
+ * @returns {Set<string>} The distinct trigrams.
+ */
+function trigrams(text) {
+  const padded = `  ${text.toLowerCase()} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * Turns a match key into the text that similarity is measured on.
+ * @param {string} key The (possibly composite) match key.
+ * @returns {string} The key parts separated by spaces.
+ */
+function fuzzyText(key) {
+  return key.split(KEY_DELIMITER).join(" ");
+}
+
+/**
+ * Builds a trigram index over File B's keys. Only keys sharing trigrams with a
+ * lookup are scored, which keeps fuzzy matching usable on large files.
+ * @param {Iterable<string>} keys The distinct File B keys.
+ * @returns {Object} The index: { keys, texts, postings, hitCounts }.
+ */
+function buildFuzzyIndex(keys) {
+  const index = { keys: [], texts: [], postings: new Map(), hitCounts: null };
+  for (const key of keys) {
+    const id = index.keys.length;
+    const text = fuzzyText(key);
+    index.keys.push(key);
+    index.texts.push(text);
+    for (const gram of trigrams(text)) {
+      let posting = index.postings.get(gram);
+      if (!posting) {
+        posting = [];
+        index.postings.set(gram, posting);
+      }
+      posting.push(id);
+    }
+  }
+  // Scratch counters reused by every lookup to avoid per-lookup allocation
+  index.hitCounts = new Uint16Array(index.keys.length);
+  return index;
+}
+
+/**
+ * Finds the File B key most similar to a File A key.
+ * @param {Object} index The index from buildFuzzyIndex.
+ * @param {string} key The File A key.
+ * @param {function(string, string): number} similarity The similarity function.
+ * @returns {Object|null} { key, score } of the best candidate, or null if none shares a trigram.
+ */
+function findBestFuzzyMatch(index, key, similarity) {
+  const text = fuzzyText(key);
+  const postings = [...trigrams(text)]
+    .map((gram) => index.postings.get(gram))
+    .filter(Boolean)
+    .sort((x, y) => x.length - y.length);
+
+  const counts = index.hitCounts;
+  const touched = [];
+  let visited = 0;
+  for (const posting of postings) {
+    if (visited > 0 && visited + posting.length > FUZZY_POSTING_BUDGET) break;
+    visited += posting.length;
+    for (const id of posting) {
+      if (counts[id] === 0) touched.push(id);
+      counts[id]++;
+    }
+  }
+
+  // Bucket candidates by shared-trigram count and keep the best-blocked ones
+  const buckets = [];
+  for (const id of touched) {
+    const count = counts[id];
+    counts[id] = 0;
+    (buckets[count] || (buckets[count] = [])).push(id);
+  }
+  const candidates = [];
+  for (let count = buckets.length - 1; count > 0; count--) {
+    if (!buckets[count]) continue;
+    for (const id of buckets[count]) {
+      if (candidates.length >= FUZZY_CANDIDATES) break;
+      candidates.push(id);
+    }
+    if (candidates.length >= FUZZY_CANDIDATES) break;
+  }
+
+  let best = null;
+  for (const id of candidates) {
+    const score = similarity(text, index.texts[id]);
+    if (!best || score > best.score) {
+      best = { key: index.keys[id], score: score };
+    }
+  }
+  return best;
+}
+
+/**
+ * Parses the fuzzy matching settings from the form fields.
+ * @param {Object} body The request body.
+ * @returns {Object} { enabled, algorithm, threshold }.
+ * @throws {Error} If the algorithm or threshold is not valid.
+ */
+function parseFuzzyOptions(body) {
+  const enabled = body.matchMode === "fuzzy";
+  const algorithm = body.fuzzyAlgorithm || "levenshtein";
+  if (!FUZZY_ALGORITHMS[algorithm]) {
+    throw new Error(
+      `Unknown fuzzy algorithm '${algorithm}'. Use one of: ${Object.keys(
+        FUZZY_ALGORITHMS
+      ).join(", ")}.`
+    );
+  }
+  let threshold =
+    body.fuzzyThreshold === undefined || body.fuzzyThreshold === ""
+      ? 0.85
+      : Number(body.fuzzyThreshold);
+  // Accept percentages as well as fractions
+  if (threshold > 1) threshold = threshold / 100;
+  if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+    throw new Error("Fuzzy threshold must be between 0 and 1 (or 1 and 100%).");
+  }
+  return { enabled: enabled, algorithm: algorithm, threshold: threshold };
+}
+
+// --- Row Filters ---
+
+/**
+ * Operators of a row filter rule. Text operators ignore case and surrounding
+ * spaces; date operators compare calendar days.
+ */
+export const FILTER_OPERATORS = [
+  "equals",
+  "notEquals",
+  "contains",
+  "notContains",
+  "regex",
+  "notRegex",
+  "after",
+  "onOrAfter",
+  "before",
+  "onOrBefore",
+];
+const DATE_FILTER_OPERATORS = ["after", "onOrAfter", "before", "onOrBefore"];
+
+/**
+ * Reads a date written as YYYY-MM-DD (anything after the day, such as a time,
+ * is ignored), the way date cells are read from workbooks.
+ * @param {*} value The value to read.
+ * @returns {number|null} The day as a UTC timestamp, or null if it is not a date.
+ */
+function parseFilterDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:$|[T ])/.exec(String(value).trim());
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject days that roll over into the next month, such as 2022-02-30
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    ? date.getTime()
+    : null;
+}
+
+/**
+ * Parses the row filters of one file, sent as a JSON array of
+ * { column, operator, value, flags } rules. A row is kept when it passes
+ * every rule.
+ * @param {*} value The raw form field value.
+ * @returns {Array<Object>} The rules; empty when the field is absent.
+ * @throws {Error} If a rule has no column, an unknown operator, a date that
+ * cannot be read or a regex that does not compile.
+ */
+function parseFiltersField(value) {
+  if (value === undefined || value === null || value === "") return [];
+  let rules = value;
+  if (typeof value === "string") {
+    try {
+      rules = JSON.parse(value);
+    } catch {
+      throw new Error("Filters are not valid JSON.");
+    }
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error(
+      "Filters must be a JSON array of { column, operator, value } rules."
+    );
+  }
+  return rules.map((rule, index) => {
+    const label = `Filter ${index + 1}`;
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+      throw new Error(`${label} must be a { column, operator, value } object.`);
+    }
+    if (typeof rule.column !== "string" || rule.column.trim() === "") {
+      throw new Error(`${label} needs a column.`);
+    }
+    if (!FILTER_OPERATORS.includes(rule.operator)) {
+      throw new Error(
+        `${label}: operator must be one of: ${FILTER_OPERATORS.join(", ")}.`
+      );
+    }
+    const ruleValue =
+      rule.value === undefined || rule.value === null ? "" : String(rule.value);
+    if (
+      DATE_FILTER_OPERATORS.includes(rule.operator) &&
+      parseFilterDate(ruleValue) === null
+    ) {
+      throw new Error(
+        `${label}: '${ruleValue}' is not a date. Write dates as YYYY-MM-DD.`
+      );
+    }
+    const parsed = {
+      column: rule.column.trim(),
+      operator: rule.operator,
+      value: ruleValue,
+    };
+    if (rule.operator === "regex" || rule.operator === "notRegex") {
+      parsed.flags =
+        rule.flags === undefined || rule.flags === null
+          ? "i"
+          : String(rule.flags);
+      try {
+        new RegExp(parsed.value, parsed.flags);
+      } catch (error) {
+        throw new Error(`${label}: invalid regex: ${error.message}`);
+      }
+    }
+    return parsed;
+  });
+}
+
+/**
+ * Describes filter rules in one line, for summaries.
+ * @param {Array<Object>} rules The rules from parseFiltersField.
+ * @returns {string} The rules joined with "; ", or an empty string if there are none.
+ */
+export function describeFilters(rules) {
+  return rules
+    .map((rule) => {
+      const flags =
+        rule.flags !== undefined && rule.flags !== "" ? ` (${rule.flags})` : "";
+      return `${rule.column} ${rule.operator} '${rule.value}'${flags}`;
+    })
+    .join("; ");
+}
+
+/**
+ * Creates the test of a single rule against a cell's text.
+ * @param {Object} rule A rule from parseFiltersField.
+ * @returns {function(string): boolean} True if the cell passes the rule.
+ */
+function createRuleTest(rule) {
+  const expected = rule.value.trim().toLowerCase();
+  switch (rule.operator) {
+    case "equals":
+      return (text) => text.trim().toLowerCase() === expected;
+    case "notEquals":
+      return (text) => text.trim().toLowerCase() !== expected;
+    case "contains":
+      return (text) => text.toLowerCase().includes(expected);
+    case "notContains":
+      return (text) => !text.toLowerCase().includes(expected);
+    case "regex":
+    case "notRegex": {
+      // Global and sticky flags would carry lastIndex from one row to the next
+      const pattern = new RegExp(rule.value, rule.flags.replace(/[gy]/g, ""));
+      return rule.operator === "regex"
+        ? (text) => pattern.test(text)
+        : (text) => !pattern.test(text);
+    }
+  }
+  // Date rules: a cell that is not a date fails them
+  const bound = parseFilterDate(rule.value);
+  const compare = {
+    after: (day) => day > bound,
+    onOrAfter: (day) => day >= bound,
+    before: (day) => day < bound,
+    onOrBefore: (day) => day <= bound,
+  }[rule.operator];
+  return (text) => {
+    const day = parseFilterDate(text);
+    return day !== null && compare(day);
+  };
+}
+
+/**
+ * Creates the predicate that decides whether a row of a file is compared.
+ * A row whose cell a date rule cannot read as a date (other than an empty
+ * cell) fails the rule, and is reported through onUnparsedDate so it is not
+ * left out unnoticed.
+ * @param {Array<Object>} rules The rules from parseFiltersField.
+ * @param {string} fileType The file type: 'structured' or 'plain_text'.
+ * @param {function(): void} onUnparsedDate Called for each row left out
+ * because a date rule could not read its cell.
+ * @returns {function(*): boolean|null} True for rows that pass every rule, or
+ * null when there are no rules.
+ */
+function createRowFilter(rules, fileType, onUnparsedDate) {
+  if (rules.length === 0) return null;
+  const tests = rules.map((rule) => ({
+    column: rule.column,
+    test: createRuleTest(rule),
+    isDate: DATE_FILTER_OPERATORS.includes(rule.operator),
+  }));
+  return (item) => {
+    let unparsed = false;
+    const passes = tests.every(({ column, test, isDate }) => {
+      const value = fileType === "structured" ? item[column] : item;
+      const text = value === undefined || value === null ? "" : String(value);
+      if (isDate && text.trim() !== "" && parseFilterDate(text) === null) {
+        unparsed = true;
+      }
+      return test(text);
+    });
+    if (unparsed) onUnparsedDate();
+    return passes;
+  };
+}
+
+/**
+ * Checks that every filter rule names a column of its file. Text files have
+ * a single column, LINE_CONTENT_COLUMN.
+ * @param {Array<Object>} rules The rules from parseFiltersField.
+ * @param {Object} fileInfo { type, headers } of the file.
+ * @param {string} side "A" or "B".
+ * @throws {Error} With statusCode 400, code COLUMN_NOT_FOUND and the field.
+ */
+function checkFilterColumns(rules, fileInfo, side) {
+  const headers =
+    fileInfo.type === "structured" ? fileInfo.headers : [LINE_CONTENT_COLUMN];
+  const unknown = [
+    ...new Set(
+      rules
+        .map((rule) => rule.column)
+        .filter((column) => !headers.includes(column))
+    ),
+  ];
+  if (unknown.length === 0) return;
+  console.log(
+    `[CROSS_CHECK] Error: Filter column(s) '${unknown.join(
+      "', '"
+    )}' not found in File ${side}.`
+  );
+  const error = invalidFieldError(
+    `filters${side}`,
+    `Filter column(s) '${unknown.join(
+      "', '"
+    )}' not found in File ${side}. Available: ${headers.join(", ")}`
+  );
+  error.code = "COLUMN_NOT_FOUND";
+  throw error;
+}
+
+/**
+ * Removes the rows of a file that do not pass its filter, keeping the source
+ * row numbers in step.
+ * @param {Object} content The file content from readFileContent; updated in place.
+ * @param {function(*): boolean|null} filter The predicate from createRowFilter.
+ * @returns {number} The number of rows removed.
+ */
+function applyRowFilter(content, filter) {
+  if (!filter) return 0;
+  const data = [];
+  const rowNumbers = [];
+  content.data.forEach((item, index) => {
+    if (!filter(item)) return;
+    data.push(item);
+    rowNumbers.push(content.rowNumbers[index]);
+  });
+  const removed = content.data.length - data.length;
+  content.data = data;
+  content.rowNumbers = rowNumbers;
+  return removed;
+}
+
+// --- Date Columns ---
+
+/**
+ * Formats the values of a date column can be written in: year first
+ * (2016-10-06), day first (06/10/2016, 6 Oct 2016), month first (10/06/2016,
+ * Oct 6, 2016) or as an Excel serial number (42649).
+ */
+export const DATE_FORMATS = ["iso", "dmy", "mdy", "excelSerial"];
+
+// Month names, matched on their first three letters
+const MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// Latest Excel serial number: 9999-12-31
+const MAX_EXCEL_SERIAL = 2958465;
+
+// The three fields of a day-first or month-first date, the month possibly a
+// name; a time after the year is ignored
+const DATE_FIELDS =
+  /^([a-z]+|\d{1,2})[-/. ]+([a-z]+|\d{1,2}),?[-/. ]+(\d{4}|\d{2})(?:[T ]|$)/i;
+
+/**
+ * Reads the month field of a date.
+ * @param {string} field A month number or name ("10", "Oct", "October").
+ * @returns {number} The month, 1-12, or NaN if the field is not a month.
+ */
+function monthNumber(field) {
+  if (/^\d+$/.test(field)) return Number(field);
+  const index = MONTH_NAMES.indexOf(field.slice(0, 3).toLowerCase());
+  return index === -1 ? NaN : index + 1;
+}
+
+/**
+ * Reads the year field of a date. Two-digit years are read as Excel does:
+ * 00-29 are 2000-2029, 30-99 are 1930-1999.
+ * @param {string} field The year field.
+ * @returns {number} The full year.
+ */
+function fullYear(field) {
+  const year = Number(field);
+  if (field.length > 2) return year;
+  return year < 30 ? 2000 + year : 1900 + year;
+}
+
+// Reads a date in one format, to YYYY-MM-DD, or returns null if it does not fit
+const DATE_PARSERS = {
+  iso: (text) => {
+    const match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ]|$)/.exec(text);
+    return match
+      ? formatDate(Number(match[1]), Number(match[2]), Number(match[3])) || null
+      : null;
+  },
+  dmy: (text) => {
+    const match = DATE_FIELDS.exec(text);
+    if (!match || !/^\d+$/.test(match[1])) return null;
+    return (
+      formatDate(fullYear(match[3]), monthNumber(match[2]), Number(match[1])) ||
+      null
+    );
+  },
+  mdy: (text) => {
+    const match = DATE_FIELDS.exec(text);
+    if (!match || !/^\d+$/.test(match[2])) return null;
+    return (
+      formatDate(fullYear(match[3]), monthNumber(match[1]), Number(match[2])) ||
+      null
+    );
+  },
+  excelSerial: (text) => {
+    if (!/^\d+(\.\d+)?$/.test(text)) return null;
+    const serial = Number(text);
+    if (serial < 1 || serial > MAX_EXCEL_SERIAL) return null;
+    return formatExcelDate(serial) || null;
+  },
+};
+
+/**
+ * Reads a date value with the first of the given formats it fits.
+ * @param {*} value The value as read from the file.
+ * @param {Array<string>} formats Formats from DATE_FORMATS, tried in order.
+ * @returns {string|null} The date as YYYY-MM-DD, or null if no format fits.
+ */
+function parseDateValue(value, formats) {
+  const text = String(value).trim();
+  for (const format of formats) {
+    const date = DATE_PARSERS[format](text);
+    if (date !== null) return date;
+  }
+  return null;
+}
+
+/**
+ * Parses the date columns sent with the form: a JSON object mapping each
+ * column to the format, or list of formats tried in order, its values are
+ * written in.
+ * @param {*} value The raw form field value.
+ * @returns {Object} The formats of each column, as arrays; empty when the field is absent.
+ * @throws {Error} If the value is not an object or names an unknown format.
+ */
+function parseDateColumnsField(value) {
+  if (value === undefined || value === null || value === "") return {};
+  let columns = value;
+  if (typeof value === "string") {
+    try {
+      columns = JSON.parse(value);
+    } catch {
+      throw new Error("Date columns are not valid JSON.");
+    }
+  }
+  if (!columns || typeof columns !== "object" || Array.isArray(columns)) {
+    throw new Error(
+      'Date columns must be a JSON object such as { "Release Date": ["iso", "dmy"] }.'
+    );
+  }
+  const dateColumns = {};
+  for (const [column, formats] of Object.entries(columns)) {
+    const list = Array.isArray(formats) ? formats : [formats];
+    if (list.length === 0 || !list.every((f) => DATE_FORMATS.includes(f))) {
+      throw new Error(
+        `Date column '${column}': formats must be among ${DATE_FORMATS.join(
+          ", "
+        )}.`
+      );
+    }
+    dateColumns[column] = list;
+  }
+  return dateColumns;
+}
+
+/**
+ * Describes the date columns in one line, for summaries.
+ * @param {Object} dateColumns The date columns from parseDateColumnsField.
+ * @returns {string} Each column with its formats, or an empty string if there are none.
+ */
+export function describeDateColumns(dateColumns) {
+  return Object.entries(dateColumns)
+    .map(([column, formats]) => `${column} (${formats.join(", ")})`)
+    .join("; ");
+}
+
+/**
+ * Checks that every date column is a column of File A or File B. Text files
+ * have a single column, LINE_CONTENT_COLUMN.
+ * @param {Object} dateColumns The date columns from parseDateColumnsField.
+ * @param {Object} fileAInfo { type, headers } of File A.
+ * @param {Object} fileBInfo { type, headers } of File B.
+ * @throws {Error} With statusCode 400, code COLUMN_NOT_FOUND and the field.
+ */
+function checkDateColumns(dateColumns, fileAInfo, fileBInfo) {
+  const columnsOf = (info) =>
+    info.type === "structured" ? info.headers : [LINE_CONTENT_COLUMN];
+  const known = new Set([...columnsOf(fileAInfo), ...columnsOf(fileBInfo)]);
+  const unknown = Object.keys(dateColumns).filter(
+    (column) => !known.has(column)
+  );
+  if (unknown.length === 0) return;
+  console.log(
+    `[CROSS_CHECK] Error: Date column(s) '${unknown.join(
+      "', '"
+    )}' not found in either file.`
+  );
+  const error = invalidFieldError(
+    "dateColumns",
+    `Date column(s) '${unknown.join("', '")}' not found in File A or File B.`
+  );
+  error.code = "COLUMN_NOT_FOUND";
+  throw error;
+}
+
+/**
+ * Creates the function that rewrites the date columns of a file's rows as
+ * YYYY-MM-DD, so keys, filters, field comparisons and result files all see
+ * the same dates. Values that fit none of a column's formats are left as
+ * written.
+ * @param {Object} dateColumns The date columns from parseDateColumnsField.
+ * @param {Object} fileInfo { type, headers } of the file.
+ * @param {function(): void} onUnparsed Called for each value left as written.
+ * @returns {function(*): *|null} The converter, taking and returning a row
+ * (or line), or null when the file has none of the columns.
+ */
+function createDateConverter(dateColumns, fileInfo, onUnparsed) {
+  const convert = (value, formats) => {
+    if (value === undefined || value === null || String(value).trim() === "") {
+      return value;
+    }
+    const date = parseDateValue(value, formats);
+    if (date === null) {
+      onUnparsed();
+      return value;
+    }
+    return date;
+  };
+  if (fileInfo.type !== "structured") {
+    const formats = dateColumns[LINE_CONTENT_COLUMN];
+    return formats ? (line) => convert(line, formats) : null;
+  }
+  const columns = fileInfo.headers.filter((header) =>
+    Object.hasOwn(dateColumns, header)
+  );
+  if (columns.length === 0) return null;
+  return (row) => {
+    for (const column of columns) {
+      row[column] = convert(row[column], dateColumns[column]);
+    }
+    return row;
+  };
+}
+
+// --- Output Columns ---
+
+// Columns holding the source row (or line) number of a result row in each file
+const ROW_NUMBER_COLUMNS = { A: "File A Row", B: "File B Row" };
+
+// Prefix of an appended File B column whose name File A's columns already use
+const APPENDED_COLUMN_PREFIX = "B.";
+
+/**
+ * Works out the columns of the result files: the File A columns written for
+ * File A rows, the File B columns appended to matched rows and whether source
+ * row numbers are added.
+ * @param {Object} fileAInfo { type, headers } of File A.
+ * @param {Object} fileBInfo { type, headers } of File B.
+ * @param {Object} settings The settings from parseCrossCheckSettings.
+ * @returns {Object} { columnsA, columnsB, appendedB: [{ column, name }], rowNumbers }.
+ * @throws {Error} With statusCode 400 and code COLUMN_NOT_FOUND if a chosen column does not exist.
+ */
+function resolveOutputColumns(fileAInfo, fileBInfo, settings) {
+  const columnsOf = (info) =>
+    info.type === "structured" ? info.headers : [LINE_CONTENT_COLUMN];
+  const headersA = columnsOf(fileAInfo);
+  const headersB = columnsOf(fileBInfo);
+  const checkColumns = (columns, headers, field, side) => {
+    const unknown = columns.filter((column) => !headers.includes(column));
+    if (unknown.length === 0) return;
+    console.log(
+      `[CROSS_CHECK] Error: Output column(s) '${unknown.join(
+        "', '"
+      )}' not found in File ${side}.`
+    );
+    const error = invalidFieldError(
+      field,
+      `Column(s) '${unknown.join(
+        "', '"
+      )}' not found in File ${side}. Available: ${headers.join(", ")}`
+    );
+    error.code = "COLUMN_NOT_FOUND";
+    throw error;
+  };
+  checkColumns(settings.outputColumns, headersA, "outputColumns", "A");
+  checkColumns(settings.appendColumnsB, headersB, "appendColumnsB", "B");
+
+  const columnsA =
+    settings.outputColumns.length > 0 ? settings.outputColumns : headersA;
+  const taken = new Set([
+    ...columnsA,
+    ...Object.values(ROW_NUMBER_COLUMNS),
+    FOUND_IN_COLUMN,
+  ]);
+  return {
+    columnsA: columnsA,
+    columnsB: headersB,
+    appendedB: settings.appendColumnsB.map((column) => ({
+      column: column,
+      name: taken.has(column) ? `${APPENDED_COLUMN_PREFIX}${column}` : column,
+    })),
+    rowNumbers: settings.includeRowNumbers,
+  };
+}
+
+/**
+ * Lists the row number columns of a result file.
+ * @param {Object} output The output columns from resolveOutputColumns.
+ * @param {string} sides The files whose row numbers the file holds: "A", "B" or "AB".
+ * @returns {Array<string>} The column names, or none when row numbers are off.
+ */
+function rowNumberColumns(output, sides) {
+  if (!output.rowNumbers) return [];
+  return [...sides].map((side) => ROW_NUMBER_COLUMNS[side]);
+}
+
+/**
+ * Reads a column of a row, or a text file's line.
+ * @param {Object|string} item The row object, or the line of a text file.
+ * @param {string} column The column.
+ * @returns {*} The value.
+ */
+function outputValue(item, column) {
+  return typeof item === "string" ? item : item[column];
+}
+
+/**
+ * Builds a result row for a File A row: its output columns, then any extra
+ * columns, the File B columns appended to a match and the source row numbers.
+ * @param {Object} output The output columns from resolveOutputColumns.
+ * @param {Object} parts The parts of the row.
+ * @param {Object|string} parts.itemA The File A row (or line).
+ * @param {number} parts.rowNumberA Its source row number.
+ * @param {Object} [parts.extra] Columns added after the File A columns.
+ * @param {Object|string} [parts.itemB] The matched File B row, whose appended columns are added.
+ * @param {number} [parts.rowNumberB] The source row number of the related File B row.
+ * @returns {Object} The result row.
+ */
+function buildOutputRow(
+  output,
+  { itemA, rowNumberA, extra, itemB, rowNumberB }
+) {
+  const row = {};
+  for (const column of output.columnsA) {
+    row[column] = outputValue(itemA, column);
+  }
+  Object.assign(row, extra);
+  if (itemB !== undefined) {
+    for (const { column, name } of output.appendedB) {
+      row[name] = outputValue(itemB, column);
+    }
+  }
+  if (output.rowNumbers) {
+    row[ROW_NUMBER_COLUMNS.A] = rowNumberA;
+    if (rowNumberB !== undefined) row[ROW_NUMBER_COLUMNS.B] = rowNumberB;
+  }
+  return row;
+}
+
+/**
+ * Builds a result row for a File B row: all its columns and its source row
+ * number.
+ * @param {Object} output The output columns from resolveOutputColumns.
+ * @param {Object|string} itemB The File B row (or line).
+ * @param {number} rowNumberB Its source row number.
+ * @returns {Object} The result row.
+ */
+function buildOutputRowB(output, itemB, rowNumberB) {
+  const row = {};
+  for (const column of output.columnsB) {
+    row[column] = outputValue(itemB, column);
+  }
+  if (output.rowNumbers) row[ROW_NUMBER_COLUMNS.B] = rowNumberB;
+  return row;
+}
+
+// --- Cross-Check ---
+
+// Rows processed between two progress updates
+const PROGRESS_EVERY_ROWS = 1000;
+
+/**
+ * The form fields a cross-check request may carry. `kind` says how a value is
+ * checked (see validateCrossCheckFields); the descriptions also document the
+ * API (see openapi.js).
+ */
+export const CROSS_CHECK_FIELDS = {
+  selectedColumns: {
+    kind: "list",
+    description:
+      "Key columns of File A, in order. Several columns form a composite key.",
+  },
+  selectedColumn: {
+    kind: "string",
+    description: "A single key column. Use selectedColumns instead.",
+    deprecated: true,
+  },
+  selectedColumnsB: {
+    kind: "list",
+    description:
+      "File B column paired with each key column, where it is named differently.",
+  },
+  fullDiff: {
+    kind: "boolean",
+    description:
+      "Also report File B rows missing from File A, and changed rows.",
+  },
+  detectChanges: {
+    kind: "boolean",
+    description: "Compare the other columns of matched rows field by field.",
+  },
+  compareColumns: {
+    kind: "list",
+    description:
+      "Columns compared on matched rows (default: every column both files share).",
+  },
+  identifierSafe: {
+    kind: "boolean",
+    description:
+      "Keep identifier-like numbers (UPC, ISRC) exactly as written. On by default.",
+  },
+  identifierColumns: {
+    kind: "list",
+    description: "Columns always read as text.",
+  },
+  sheetA: {
+    kind: "string",
+    description: "Worksheet of File A (default: the first).",
+  },
+  sheetB: {
+    kind: "string",
+    description: "Worksheet of File B (default: the first).",
+  },
+  headerRowA: {
+    kind: "headerRow",
+    description: `Header row of File A: a 1-based row number (default 1), or '${AUTO_HEADER_ROW}' to detect it.`,
+  },
+  headerRowB: {
+    kind: "headerRow",
+    description: `Header row of File B: a 1-based row number (default 1), or '${AUTO_HEADER_ROW}' to detect it.`,
+  },
+  encodingA: {
+    kind: "enum",
+    values: [AUTO_TEXT_FORMAT, ...TEXT_ENCODINGS],
+    description: `Encoding of File A if it is CSV or text (default '${AUTO_TEXT_FORMAT}': detected).`,
+  },
+  encodingB: {
+    kind: "enum",
+    values: [AUTO_TEXT_FORMAT, ...TEXT_ENCODINGS],
+    description: `Encoding of File B if it is CSV or text (default '${AUTO_TEXT_FORMAT}': detected).`,
+  },
+  delimiterA: {
+    kind: "enum",
+    values: [AUTO_TEXT_FORMAT, ...Object.keys(CSV_DELIMITERS)],
+    description: `Field delimiter of File A if it is CSV (default '${AUTO_TEXT_FORMAT}': detected). For a text file, splits each line into columns Column_1, Column_2, ... (default '${AUTO_TEXT_FORMAT}': one value per line).`,
+  },
+  delimiterB: {
+    kind: "enum",
+    values: [AUTO_TEXT_FORMAT, ...Object.keys(CSV_DELIMITERS)],
+    description: `Field delimiter of File B if it is CSV (default '${AUTO_TEXT_FORMAT}': detected). For a text file, splits each line into columns Column_1, Column_2, ... (default '${AUTO_TEXT_FORMAT}': one value per line).`,
+  },
+  normalization: {
+    kind: "normalization",
+    description:
+      "Steps applied to key values before they are compared. All are off by default.",
+  },
+  dateColumns: {
+    kind: "dateColumns",
+    description: `Columns holding dates, each with the format or list of formats its values are written in, tried in order: ${DATE_FORMATS.join(
+      ", "
+    )}. Their values are compared and written as YYYY-MM-DD; values that fit no format are left as written.`,
+  },
+  filtersA: {
+    kind: "filters",
+    description:
+      "Rules a File A row must all pass to be compared. Rows that fail are counted as excluded.",
+  },
+  filtersB: {
+    kind: "filters",
+    description:
+      "Rules a File B row must all pass to be compared. Rows that fail are counted as excluded.",
+  },
+  excludeEmptyKeys: {
+    kind: "boolean",
+    description:
+      "Leave out rows with an empty key instead of reporting them as missing. Off by default.",
+  },
+  matchMode: {
+    kind: "enum",
+    values: ["exact", "fuzzy"],
+    description:
+      "'fuzzy' also reports near matches for keys without an exact match.",
+  },
+  fuzzyAlgorithm: {
+    kind: "enum",
+    values: Object.keys(FUZZY_ALGORITHMS),
+    description: "Similarity measure for fuzzy matching.",
+  },
+  fuzzyThreshold: {
+    kind: "number",
+    description:
+      "Minimum similarity of a near match, 0-1 or 1-100 (default 0.85).",
+  },
+  duplicatePolicy: {
+    kind: "enum",
+    values: DUPLICATE_POLICIES,
+    description:
+      "How rows sharing a key are matched: every row, the first row only, or one to one.",
+  },
+  outputColumns: {
+    kind: "list",
+    description:
+      "File A columns written for File A rows in the result files, in order (default: all).",
+  },
+  appendColumnsB: {
+    kind: "list",
+    description: `File B columns appended to matched rows, from the File B row each matched. A column named like one of File A's is written as '${APPENDED_COLUMN_PREFIX}<column>'.`,
+  },
+  includeRowNumbers: {
+    kind: "boolean",
+    description: `Add the source row (or line) number of each result row, as '${ROW_NUMBER_COLUMNS.A}' and '${ROW_NUMBER_COLUMNS.B}'. On by default.`,
+  },
+  outputFormat: {
+    kind: "enum",
+    values: Object.keys(OUTPUT_FORMATS),
+    description: "Format of the result files.",
+  },
+  outputEncoding: {
+    kind: "enum",
+    values: OUTPUT_ENCODINGS,
+    description:
+      "Encoding of CSV and TSV result files: UTF-8 with a byte order mark, which Excel opens correctly (default), or the encoding of File A ('source').",
+  },
+};
+
+/**
+ * Creates the error for a form field with a value that cannot be used.
+ * @param {string} field The field name.
+ * @param {string} message The message to show.
+ * @returns {Error} The error, with statusCode 400, code INVALID_FIELD and the field.
+ */
+function invalidFieldError(field, message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = "INVALID_FIELD";
+  error.field = field;
+  return error;
+}
+
+/**
+ * Checks that a form field holds a value of its kind. Empty values count as
+ * absent. Values may come from a multipart form (strings, lists and objects
+ * as JSON) or from a JSON body (native types).
+ * @param {string} field The field name.
+ * @param {*} value The raw value.
+ * @throws {Error} With code INVALID_FIELD if the value does not fit.
+ */
+function validateField(field, value) {
+  const spec = CROSS_CHECK_FIELDS[field];
+  if (value === undefined || value === null || value === "") return;
+  const text = String(value).trim().toLowerCase();
+
+  switch (spec.kind) {
+    case "boolean":
+      if (
+        typeof value !== "boolean" &&
+        !["true", "false", "on", "off", "1", "0", "yes", "no"].includes(text)
+      ) {
+        throw invalidFieldError(field, `${field} must be true or false.`);
+      }
+      break;
+    case "string":
+      if (typeof value !== "string") {
+        throw invalidFieldError(field, `${field} must be a string.`);
+      }
+      break;
+    case "list": {
+      let list = value;
+      if (typeof value === "string" && value.trim().startsWith("[")) {
+        try {
+          list = JSON.parse(value);
+        } catch {
+          throw invalidFieldError(field, `${field} is not a valid JSON array.`);
+        }
+      }
+      const items = Array.isArray(list) ? list : [list];
+      if (!items.every((item) => typeof item === "string")) {
+        throw invalidFieldError(
+          field,
+          `${field} must be a list of column names.`
+        );
+      }
+      break;
+    }
+    case "enum":
+      if (!spec.values.includes(value)) {
+        throw invalidFieldError(
+          field,
+          `${field} must be one of: ${spec.values.join(", ")}.`
+        );
+      }
+      break;
+    case "number":
+      if (typeof value === "boolean" || !Number.isFinite(Number(value))) {
+        throw invalidFieldError(field, `${field} must be a number.`);
+      }
+      break;
+    case "headerRow":
+      if (
+        text !== AUTO_HEADER_ROW &&
+        !(Number.isInteger(Number(text)) && Number(text) >= 1)
+      ) {
+        throw invalidFieldError(
+          field,
+          `${field} must be a row number (1 or more) or '${AUTO_HEADER_ROW}'.`
+        );
+      }
+      break;
+    case "normalization": {
+      let settings = value;
+      if (typeof value === "string") {
+        try {
+          settings = JSON.parse(value);
+        } catch {
+          settings = null;
+        }
+      }
+      if (
+        !settings ||
+        typeof settings !== "object" ||
+        Array.isArray(settings)
+      ) {
+        throw invalidFieldError(field, `${field} must be a JSON object.`);
+      }
+      for (const [step, stepValue] of Object.entries(settings)) {
+        if (!(step in DEFAULT_NORMALIZATION)) {
+          throw invalidFieldError(
+            field,
+            `Unknown normalization step '${step}'. Use any of: ${Object.keys(
+              DEFAULT_NORMALIZATION
+            ).join(", ")}.`
+          );
+        }
+        const expected = typeof DEFAULT_NORMALIZATION[step];
+        if (
+          stepValue !== null &&
+          typeof stepValue !== expected &&
+          !(expected === "boolean" && ["true", "false"].includes(stepValue))
+        ) {
+          throw invalidFieldError(
+            field,
+            `Normalization step '${step}' must be a ${expected}.`
+          );
+        }
+      }
+      break;
+    }
+    case "filters":
+      try {
+        parseFiltersField(value);
+      } catch (error) {
+        throw invalidFieldError(field, error.message);
+      }
+      break;
+    case "dateColumns":
+      try {
+        parseDateColumnsField(value);
+      } catch (error) {
+        throw invalidFieldError(field, error.message);
+      }
+      break;
+  }
+}
+
+/**
+ * Checks every cross-check field in a request body before it is parsed, so a
+ * mistyped option is reported instead of silently falling back to a default.
+ * Fields that are not cross-check options are left to the caller.
+ * @param {Object} body The request body.
+ * @throws {Error} With statusCode 400, code INVALID_FIELD and the field name.
+ */
+export function validateCrossCheckFields(body) {
+  for (const field of Object.keys(CROSS_CHECK_FIELDS)) {
+    validateField(field, body[field]);
+  }
+}
+
+/**
+ * Parses the cross-check form fields into the settings of a run.
+ * @param {Object} body The request body.
+ * @returns {Object} The settings: key, compare and identifier columns, sheets,
+ * header rows, encodings and delimiters, date columns, normalization, row
+ * filters, fuzzy options,
+ * duplicate policy, diff flags, output columns, output format and output encoding.
+ * @throws {Error} With statusCode 400 if a setting is not valid.
+ */
+export function parseCrossCheckSettings(body) {
+  validateCrossCheckFields(body);
+  // Ordered key columns; the single `selectedColumn` field is still accepted
+  const selectedColumns = parseListField(
+    body.selectedColumns !== undefined
+      ? body.selectedColumns
+      : body.selectedColumn
+  );
+  // File B column paired with each File A key column (same name if omitted)
+  const selectedColumnsB = parseListField(body.selectedColumnsB);
+  console.log(
+    `[CROSS_CHECK] Selected columns: ${describeKeyColumns(
+      selectedColumns,
+      selectedColumnsB
+    )}`
+  );
+  // Full diff also reports File B rows missing from File A and changed rows
+  const fullDiff = parseBooleanField(body.fullDiff, false);
+
+  try {
+    return {
+      selectedColumns: selectedColumns,
+      selectedColumnsB: selectedColumnsB,
+      fullDiff: fullDiff,
+      // Field-level change detection on matched rows (always on in full diff)
+      detectChanges: fullDiff || parseBooleanField(body.detectChanges, false),
+      compareColumns: parseListField(body.compareColumns),
+      identifierSafe: parseBooleanField(body.identifierSafe, true),
+      identifierColumns: parseListField(body.identifierColumns),
+      sheetA: body.sheetA || undefined,
+      sheetB: body.sheetB || undefined,
+      headerRowA: parseHeaderRowField(body.headerRowA),
+      headerRowB: parseHeaderRowField(body.headerRowB),
+      encodingA: body.encodingA || AUTO_TEXT_FORMAT,
+      encodingB: body.encodingB || AUTO_TEXT_FORMAT,
+      delimiterA: body.delimiterA || AUTO_TEXT_FORMAT,
+      delimiterB: body.delimiterB || AUTO_TEXT_FORMAT,
+      normalization: parseNormalizationField(body.normalization),
+      dateColumns: parseDateColumnsField(body.dateColumns),
+      filtersA: parseFiltersField(body.filtersA),
+      filtersB: parseFiltersField(body.filtersB),
+      excludeEmptyKeys: parseBooleanField(body.excludeEmptyKeys, false),
+      fuzzy: parseFuzzyOptions(body),
+      duplicatePolicy: parseDuplicatePolicy(body.duplicatePolicy),
+      outputColumns: parseListField(body.outputColumns),
+      appendColumnsB: parseListField(body.appendColumnsB),
+      includeRowNumbers: parseBooleanField(body.includeRowNumbers, true),
+      outputFormat: parseOutputFormat(body.outputFormat),
+      outputEncoding: body.outputEncoding || OUTPUT_ENCODINGS[0],
+    };
+  } catch (error) {
+    error.statusCode = 400;
+    error.code = error.code || "INVALID_FIELD";
+    throw error;
+  }
+}
+
+/**
+ * Works out the key columns of both files and the columns compared field by
+ * field, checking that every selected column exists.
+ * @param {Object} fileAInfo { type, headers } of File A.
+ * @param {Object} fileBInfo { type, headers } of File B.
+ * @param {Object} selection The column settings (see parseCrossCheckSettings).
+ * @param {Array<string>} selection.selectedColumns The File A key columns, in order.
+ * @param {Array<string>} selection.selectedColumnsB The File B column paired with each key column.
+ * @param {boolean} selection.detectChanges True to compare the other columns of matched rows.
+ * @param {Array<string>} selection.compareColumns Columns to compare (default: all shared columns).
+ * @returns {Object} { comparisonColumns, comparisonColumnsB, diffColumns }.
+ * @throws {Error} With statusCode 400 if a selected column does not exist.
+ */
+function resolveComparisonColumns(fileAInfo, fileBInfo, selection) {
+  const rejectColumns = (code, logMessage, message) => {
+    console.log(`[CROSS_CHECK] Error: ${logMessage}`);
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.code = code;
+    throw error;
+  };
+
+  const isStructuredA = fileAInfo.type === "structured";
+  const isStructuredB = fileBInfo.type === "structured";
+  if (!isStructuredA && !isStructuredB) {
+    // Default for plain text comparison
+    return {
+      comparisonColumns: [LINE_CONTENT_COLUMN],
+      comparisonColumnsB: [LINE_CONTENT_COLUMN],
+      diffColumns: [],
+    };
+  }
+  if (!isStructuredA || !isStructuredB) {
+    // One column of the structured file is compared with the lines of the text file
+    const structuredLabel = isStructuredA ? "File A" : "File B";
+    const textLabel = isStructuredA ? "File B" : "File A";
+    const columns = structuredKeyColumns(fileAInfo.type, selection);
+    if (columns.length === 0) {
+      rejectColumns(
+        "KEY_COLUMN_REQUIRED",
+        `No ${structuredLabel} column selected.`,
+        `Please select the ${structuredLabel} column to compare with the lines of ${textLabel}.`
+      );
+    }
+    if (columns.length > 1) {
+      rejectColumns(
+        "TOO_MANY_KEY_COLUMNS",
+        `${columns.length} key columns selected against a text file.`,
+        `${textLabel} is a text file with one value per line, so select a single ${structuredLabel} column.`
+      );
+    }
+    const headers = isStructuredA ? fileAInfo.headers : fileBInfo.headers;
+    if (!headers.includes(columns[0])) {
+      rejectColumns(
+        "COLUMN_NOT_FOUND",
+        `Selected column '${columns[0]}' not found in ${structuredLabel} headers.`,
+        `Column '${columns[0]}' not found in ${structuredLabel} headers. Please select a valid column.`
+      );
+    }
+    return {
+      comparisonColumns: isStructuredA ? columns : [LINE_CONTENT_COLUMN],
+      comparisonColumnsB: isStructuredA ? [LINE_CONTENT_COLUMN] : columns,
+      diffColumns: [],
+    };
+  }
+
+  const comparisonColumns = selection.selectedColumns;
+  if (comparisonColumns.length === 0) {
+    rejectColumns(
+      "KEY_COLUMN_REQUIRED",
+      "No comparison column selected.",
+      "Please select at least one column for comparison."
+    );
+  }
+  const unknownColumns = comparisonColumns.filter(
+    (column) => !fileAInfo.headers.includes(column)
+  );
+  if (unknownColumns.length > 0) {
+    const columnList = unknownColumns.join("', '");
+    rejectColumns(
+      "COLUMN_NOT_FOUND",
+      `Selected column(s) '${columnList}' not found in File A headers.`,
+      `Selected column(s) '${columnList}' not found in File A headers. Please select valid columns.`
+    );
+  }
+  const comparisonColumnsB = comparisonColumns.map(
+    (column, index) => selection.selectedColumnsB[index] || column
+  );
+  const unknownColumnsB = comparisonColumnsB.filter(
+    (column) => !fileBInfo.headers.includes(column)
+  );
+  if (unknownColumnsB.length > 0) {
+    const columnList = unknownColumnsB.join("', '");
+    rejectColumns(
+      "COLUMN_NOT_FOUND",
+      `Mapped column(s) '${columnList}' not found in File B headers.`,
+      `Column(s) '${columnList}' not found in File B headers. Please map each key column to a File B column.`
+    );
+  }
+
+  let diffColumns = [];
+  if (selection.detectChanges) {
+    // Default: every column both files share, apart from the key itself
+    const sharedColumns = fileAInfo.headers.filter(
+      (header) =>
+        fileBInfo.headers.includes(header) &&
+        !comparisonColumns.includes(header) &&
+        !comparisonColumnsB.includes(header)
+    );
+    diffColumns =
+      selection.compareColumns.length > 0
+        ? selection.compareColumns
+        : sharedColumns;
+    const unsharedColumns = diffColumns.filter(
+      (column) =>
+        !fileAInfo.headers.includes(column) ||
+        !fileBInfo.headers.includes(column)
+    );
+    if (unsharedColumns.length > 0) {
+      const columnList = unsharedColumns.join("', '");
+      rejectColumns(
+        "COLUMN_NOT_FOUND",
+        `Compare column(s) '${columnList}' not found in both files.`,
+        `Column(s) '${columnList}' must exist in both File A and File B to be compared.`
+      );
+    }
+  }
+  return {
+    comparisonColumns: comparisonColumns,
+    comparisonColumnsB: comparisonColumnsB,
+    diffColumns: diffColumns,
+  };
+}
+
+/**
+ * Finds the key column(s) selected on the structured side when the other
+ * file is plain text. When File A is the text file, the File B column is
+ * taken from selectedColumnsB, or else from selectedColumns.
+ * @param {string} fileAType The type of File A: 'structured' or 'plain_text'.
+ * @param {Object} selection The column settings (see parseCrossCheckSettings).
+ * @returns {Array<string>} The selected columns of the structured file.
+ */
+function structuredKeyColumns(fileAType, selection) {
+  if (fileAType === "structured") return selection.selectedColumns;
+  return selection.selectedColumnsB.length > 0
+    ? selection.selectedColumnsB
+    : selection.selectedColumns.filter(
+        (column) => column !== LINE_CONTENT_COLUMN
+      );
+}
+
+/**
+ * Builds the response for a cross-check that had nothing to compare because
+ * File A has no data rows. It has every field of a full result, with nothing
+ * found, missing or changed.
+ * @param {string} message The message shown to the user.
+ * @param {number} totalFile1Rows The number of File A rows.
+ * @param {number} totalFile2Rows The number of File B rows.
+ * @param {Object} run The file names, key columns, settings and excluded row
+ * counts of the run.
+ * @returns {Object} The response body.
+ */
+function emptyCrossCheckResult(message, totalFile1Rows, totalFile2Rows, run) {
+  return {
+    success: true,
+    message: message,
+    foundCount: 0,
+    missingCount: 0,
+    nearMatchCount: 0,
+    totalFile1Rows: totalFile1Rows,
+    excluded: run.excluded,
+    unparsedDates: run.unparsedDates,
+    unparsedFilterDates: run.unparsedFilterDates,
+    missingContents: [],
+    matchedCsvFilename: null,
+    missingCsvFilename: null,
+    nearMatches: [],
+    nearCsvFilename: null,
+    fullDiff: run.fullDiff,
+    totalFile2Rows: totalFile2Rows,
+    bOnlyCount: 0,
+    bOnlyContents: [],
+    bOnlyCsvFilename: null,
+    detectChanges: run.detectChanges,
+    compareColumns: [],
+    changedCount: 0,
+    changedFieldCount: 0,
+    changedContents: [],
+    changedCsvFilename: null,
+    duplicatePolicy: run.duplicatePolicy,
+    duplicates: {
+      fileA: { keyCount: 0, sample: [] },
+      fileB: { keyCount: 0, sample: [] },
+    },
+    duplicatesCsvFilename: null,
+    duplicatesTruncated: false,
+    file1Name: run.file1Name,
+    file2Name: run.file2Name,
+    file1Sheet: null,
+    file2Sheet: null,
+    references: null,
+    file1TextFormat: null,
+    file2TextFormat: null,
+    comparisonColumn: describeKeyColumns(
+      run.comparisonColumns,
+      run.comparisonColumnsB
+    ),
+    comparisonColumns: run.comparisonColumns,
+    comparisonColumnsB: run.comparisonColumnsB,
+    normalization: run.normalization,
+    fuzzy: run.fuzzy,
+    outputFormat: run.outputFormat,
+    outputEncoding: null,
+    workbookFilename: null,
+  };
+}
+
+/**
+ * Explains why File B has nothing to compare against, in which case every
+ * File A row is reported missing.
+ * @param {number} totalFile2Rows The number of File B rows.
+ * @param {number} excludedB The File B rows the filters left out.
+ * @returns {string|null} The explanation, or null if File B has rows to compare.
+ */
+function emptyFileBMessage(totalFile2Rows, excludedB) {
+  if (totalFile2Rows === 0) {
+    return "File B is empty, so every File A row is reported missing.";
+  }
+  if (excludedB >= totalFile2Rows) {
+    return "No File B rows are left after the filters, so every File A row is reported missing.";
+  }
+  return null;
+}
+
+// --- Reference Files ---
+
+// Most reference files a run can compare File A against
+export const MAX_REFERENCE_FILES =
+  Number(process.env.MAX_REFERENCE_FILES) || 10;
+
+/**
+ * Column added to every File B row when several reference files are compared,
+ * naming the file the row came from.
+ */
+const SOURCE_FILE_COLUMN = "Source File";
+
+/**
+ * Column added to matched File A rows when several reference files are
+ * compared, listing the files that hold the row's key.
+ */
+const FOUND_IN_COLUMN = "Found In";
+
+/**
+ * Gives each reference file a name that tells it apart from the others,
+ * numbering repeated file names.
+ * @param {Array<Object>} filesB The reference files: { originalname, ... }.
+ * @returns {Array<string>} The names, in the same order.
+ */
+function referenceNames(filesB) {
+  const seen = new Map();
+  return filesB.map((file) => {
+    const count = (seen.get(file.originalname) || 0) + 1;
+    seen.set(file.originalname, count);
+    return count === 1 ? file.originalname : `${file.originalname} (${count})`;
+  });
+}
+
+/**
+ * Picks the column the lines of text reference files are put in when several
+ * reference files are combined: the File B key column. A text File A has
+ * nothing else to be compared with, so File B is then compared on that column
+ * too.
+ * @param {string} fileAType The type of File A ('structured' or 'plain_text').
+ * @param {Object} settings The settings from parseCrossCheckSettings.
+ * @returns {Object} { textColumn, selection }: the column, and the column
+ * settings File A is compared with (see resolveComparisonColumns).
+ */
+function referenceTextColumn(fileAType, settings) {
+  if (fileAType === "structured") {
+    return {
+      textColumn: settings.selectedColumnsB[0] || settings.selectedColumns[0],
+      selection: settings,
+    };
+  }
+  const textColumn =
+    structuredKeyColumns(fileAType, settings)[0] || LINE_CONTENT_COLUMN;
+  return {
+    textColumn: textColumn,
+    selection: { ...settings, selectedColumnsB: [textColumn] },
+  };
+}
+
+/**
+ * Lists the columns of the combined File B: those of every reference file,
+ * in order of appearance, then SOURCE_FILE_COLUMN.
+ * @param {Array<Object>} references { name, content } of each file, content
+ * having the file's type and headers.
+ * @param {string} textColumn The column the lines of text files are put in.
+ * @returns {Array<string>} The headers; empty if no file has any.
+ */
+function combinedReferenceHeaders(references, textColumn) {
+  const headers = [];
+  for (const { content } of references) {
+    const isText = content.type !== "structured";
+    for (const header of isText ? [textColumn] : content.headers) {
+      if (!headers.includes(header)) headers.push(header);
+    }
+  }
+  if (headers.length > 0 && !headers.includes(SOURCE_FILE_COLUMN)) {
+    headers.push(SOURCE_FILE_COLUMN);
+  }
+  return headers;
+}
+
+/**
+ * Turns a row of a reference file into a row of the combined File B, tagged
+ * with its file.
+ * @param {Object|string} item The row, or the line of a text file.
+ * @param {string} name The name of the reference file.
+ * @param {string} textColumn The column the lines of text files are put in.
+ * @returns {Object} The combined row.
+ */
+function referenceRow(item, name, textColumn) {
+  const row = typeof item === "string" ? { [textColumn]: item } : item;
+  row[SOURCE_FILE_COLUMN] = name;
+  return row;
+}
+
+/**
+ * Combines several reference files into one File B. Every row is tagged with
+ * its file in SOURCE_FILE_COLUMN, and the lines of a text file become rows
+ * holding the line in the key column, so workbooks, CSV and text files can be
+ * mixed.
+ * @param {Array<Object>} references { name, content } of each file, content being from readFileContent.
+ * @param {string} textColumn The column the lines of text files are put in.
+ * @returns {Object} The combined content, shaped like readFileContent's.
+ */
+function combineReferences(references, textColumn) {
+  const headers = combinedReferenceHeaders(references, textColumn);
+  const data = [];
+  const rowNumbers = [];
+  for (const { name, content } of references) {
+    content.data.forEach((item, index) => {
+      data.push(referenceRow(item, name, textColumn));
+      rowNumbers.push(content.rowNumbers[index]);
+    });
+  }
+  return {
+    data: data,
+    type: "structured",
+    headers: headers,
+    firstColumnHeader: headers.length > 0 ? headers[0] : null,
+    rowNumbers: rowNumbers,
+    sheetNames: [],
+    sheetName: null,
+    headerRow: null,
+    textFormat: null,
+  };
+}
+
+/**
+ * Checks that every structured reference file has the File B key columns;
+ * the combined headers would hide a file that lacks them.
+ * @param {Array<Object>} references { name, content } of each file.
+ * @param {Array<string>} keyColumnsB The File B key columns.
+ * @throws {Error} With statusCode 400 and code COLUMN_NOT_FOUND naming the file.
+ */
+function checkReferenceKeyColumns(references, keyColumnsB) {
+  for (const { name, content } of references) {
+    if (content.type !== "structured" || content.headers.length === 0) continue;
+    const missing = keyColumnsB.filter(
+      (column) => !content.headers.includes(column)
+    );
+    if (missing.length > 0) {
+      throw inputFileError(
+        "COLUMN_NOT_FOUND",
+        `Column(s) '${missing.join(
+          "', '"
+        )}' not found in ${name}. Every reference file needs the key column(s).`,
+        "B"
+      );
+    }
+  }
+}
+
+/**
+ * Finds keys that occur more than once within the same reference file. A key
+ * found in two different files is what a multi-file run is looking for, so it
+ * does not count as a duplicate.
+ * @param {Map<string, Array<number>>} keyIndex File B key -> indexes of the combined rows.
+ * @param {Array<Object>} rows The combined File B rows.
+ * @param {Array<number>} rowNumbers The source row number of each combined row.
+ * @param {Array<string>} names The reference file names.
+ * @returns {Array<Object>} Entries like findDuplicateKeys', plus the file they are in.
+ */
+function findReferenceDuplicateKeys(keyIndex, rows, rowNumbers, names) {
+  return names.flatMap((name) => {
+    const fileIndex = new Map();
+    for (const [key, indexes] of keyIndex) {
+      fileIndex.set(
+        key,
+        indexes.filter((index) => rows[index][SOURCE_FILE_COLUMN] === name)
+      );
+    }
+    return findDuplicateKeys(fileIndex, rowNumbers).map((duplicate) => ({
+      ...duplicate,
+      file: name,
+    }));
+  });
+}
+
+// --- Streaming Comparison ---
+
+/**
+ * Combined size of File A and File B from which CSV and text comparisons are
+ * streamed instead of read into memory (STREAM_THRESHOLD_MB, default 20 MB).
+ */
+export const STREAM_THRESHOLD_BYTES =
+  (Number(process.env.STREAM_THRESHOLD_MB) || 20) * 1024 * 1024;
+
+/**
+ * Tells whether a file can be read as a stream, and as which type. Only CSV
+ * and plain text can; workbooks always have to be read whole.
+ * @param {string} originalFilename The original name of the file.
+ * @returns {string|null} 'structured' for CSV, 'plain_text' for text, null for workbooks.
+ */
+export function streamableType(originalFilename) {
+  const ext = path.extname(originalFilename).toLowerCase();
+  if (ext === ".xlsx" || ext === ".xls") return null;
+  return ext === ".csv" ? "structured" : "plain_text";
+}
+
+/**
+ * Decides whether a cross-check should be streamed: the files are large
+ * enough together and are all CSV or plain text, in any mix.
+ * @param {Object} fileA The uploaded File A (multer file).
+ * @param {Array<Object>} filesB The File B reference files (multer files).
+ * @returns {boolean} True to stream the comparison.
+ */
+function shouldStreamCrossCheck(fileA, filesB) {
+  const files = [fileA, ...filesB];
+  return (
+    files.every((file) => streamableType(file.originalname) !== null) &&
+    files.reduce((total, file) => total + file.size, 0) >=
+      STREAM_THRESHOLD_BYTES
+  );
+}
+
+/**
+ * Reads the records of a CSV file one at a time, so the file is never held in
+ * memory. Quoted fields may contain commas, doubled quotes and line breaks.
+ * @param {stream.Readable} input The decoded text of the file.
+ * @param {string} [delimiter] The field delimiter (default ',').
+ * @yields {Array<string>} The fields of each record.
+ */
+async function* readCsvRecords(input, delimiter = ",") {
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  // The current field was opened with a quote, so a second quote after the
+  // closing one is an escaped quote
+  let quoted = false;
+  let skipNewline = false;
+  let firstChunk = true;
+
+  for await (let chunk of input) {
+    if (firstChunk && chunk.charCodeAt(0) === 0xfeff) chunk = chunk.slice(1);
+    firstChunk = false;
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      if (skipNewline) {
+        skipNewline = false;
+        if (char === "\n") continue;
+      }
+      if (inQuotes) {
+        if (char === '"') inQuotes = false;
+        else field += char;
+      } else if (char === '"') {
+        if (quoted) {
+          field += '"';
+          inQuotes = true;
+        } else if (field === "") {
+          quoted = true;
+          inQuotes = true;
+        } else {
+          field += char;
+        }
+      } else if (char === delimiter) {
+        record.push(field);
+        field = "";
+        quoted = false;
+      } else if (char === "\n" || char === "\r") {
+        record.push(field);
+        field = "";
+        quoted = false;
+        yield record;
+        record = [];
+        skipNewline = char === "\r";
+      } else {
+        field += char;
+      }
+    }
+  }
+  if (field !== "" || quoted || record.length > 0) {
+    record.push(field);
+    yield record;
+  }
+}
+
+/**
+ * Reads the non-blank lines of a text file one at a time.
+ * @param {stream.Readable} input The decoded text of the file.
+ * @yields {Object} { line, lineNumber } for each non-blank line.
+ */
+async function* readTextLines(input) {
+  const lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+  let lineNumber = 0;
+  try {
+    for await (const line of lines) {
+      lineNumber++;
+      if (line.trim() !== "") {
+        yield { line: line, lineNumber: lineNumber };
+      }
+    }
+  } finally {
+    // Closing readline leaves its input open
+    input.destroy();
+  }
+}
+
+/**
+ * Opens a CSV or text file as a stream of rows, reading only as far as the
+ * header row up front. Rows hold the text as written in the file; unlike the
+ * in-memory path, a header-less column is only dropped at the end of the
+ * header row, since later rows are not known yet.
+ * @param {string} filePath The path to the file.
+ * @param {string} originalFilename The original name of the file to determine type.
+ * @param {Object} [options] Read options.
+ * @param {number|string} [options.headerRow] 1-based header row, or AUTO_HEADER_ROW to detect it (default: first row).
+ * @param {string} [options.encoding] Encoding of the file (default: AUTO_TEXT_FORMAT, detected).
+ * @param {string} [options.delimiter] Delimiter of a CSV file (default: AUTO_TEXT_FORMAT, detected), or to split the lines of a text file on (default: not split).
+ * @param {string} [options.side] "A" or "B", naming the file in errors.
+ * @returns {Promise<Object>} { type, headers, headerRow, textFormat, rows, progress, close } where
+ * `rows` yields { item, rowNumber }, `progress` gives the share of the file read
+ * so far and `close` stops reading early. Reading past MAX_FILE_ROWS throws.
+ */
+export async function openRowStream(filePath, originalFilename, options = {}) {
+  const type = streamableType(originalFilename);
+  const textFormat = checkFileContent(filePath, originalFilename, options);
+  const { input, bytesRead } = openTextStream(filePath, textFormat.encoding);
+  const size = fs.statSync(filePath).size;
+  const progress = () => (size > 0 ? bytesRead() / size : 1);
+  if (type === "plain_text" && textFormat.delimiter) {
+    // Split lines have no header row; their columns are counted over the
+    // first lines, which are read ahead
+    const lines = readTextLines(input);
+    const ahead = [];
+    while (ahead.length < HEADER_SCAN_ROWS) {
+      const next = await lines.next();
+      if (next.done) break;
+      ahead.push(next.value);
+    }
+    const headers = splitColumnHeaders(
+      Math.max(
+        ...ahead.map(
+          ({ line }) => line.split(CSV_DELIMITERS[textFormat.delimiter]).length
+        ),
+        0
+      )
+    );
+    checkFileLimits(
+      ahead.length,
+      headers.length,
+      originalFilename,
+      options.side
+    );
+    return {
+      type: "structured",
+      headers: headers,
+      headerRow: null,
+      textFormat: textFormat,
+      progress: progress,
+      rows: (async function* () {
+        let lineCount = 0;
+        for (const { line, lineNumber } of ahead) {
+          lineCount++;
+          yield {
+            item: splitTextLine(line, textFormat.delimiter),
+            rowNumber: lineNumber,
+          };
+        }
+        for await (const { line, lineNumber } of lines) {
+          checkFileLimits(++lineCount, 0, originalFilename, options.side);
+          yield {
+            item: splitTextLine(line, textFormat.delimiter),
+            rowNumber: lineNumber,
+          };
+        }
+      })(),
+      close: () => lines.return(),
+    };
+  }
+  if (type === "plain_text") {
+    const lines = readTextLines(input);
+    return {
+      type: type,
+      headers: [],
+      headerRow: null,
+      textFormat: textFormat,
+      progress: progress,
+      rows: (async function* () {
+        let lineCount = 0;
+        for await (const { line, lineNumber } of lines) {
+          checkFileLimits(++lineCount, 1, originalFilename, options.side);
+          yield { item: line, rowNumber: lineNumber };
+        }
+      })(),
+      close: () => lines.return(),
+    };
+  }
+
+  const records = readCsvRecords(input, CSV_DELIMITERS[textFormat.delimiter]);
+  // Records read ahead of the data rows: at most the rows scanned for a header
+  const ahead = [];
+  const scanRows =
+    options.headerRow === AUTO_HEADER_ROW
+      ? HEADER_SCAN_ROWS
+      : options.headerRow || 1;
+  while (ahead.length < scanRows) {
+    const next = await records.next();
+    if (next.done) break;
+    ahead.push(next.value);
+  }
+
+  let headerIndex = scanRows - 1;
+  if (options.headerRow === AUTO_HEADER_ROW) {
+    headerIndex = pickHeaderRow(
+      ahead.map((fields) => {
+        const values = fields.filter((field) => field.trim() !== "");
+        return {
+          filled: values.length,
+          text: values.filter((field) => isNaN(Number(field))).length,
+        };
+      })
+    );
+  }
+  const rawHeaders = (ahead[headerIndex] || []).map((field) => field.trim());
+  while (rawHeaders.length > 0 && rawHeaders[rawHeaders.length - 1] === "") {
+    rawHeaders.pop();
+  }
+  checkFileLimits(
+    ahead.length,
+    rawHeaders.length,
+    originalFilename,
+    options.side
+  );
+  const headers =
+    rawHeaders.length === 0
+      ? []
+      : dedupeHeaders(
+          rawHeaders,
+          rawHeaders.map((header, index) => index + 1)
+        );
+
+  const toRow = (fields) => {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = fields[index] === "" ? undefined : fields[index];
+    });
+    return row;
+  };
+
+  return {
+    type: type,
+    headers: headers,
+    headerRow: headerIndex + 1,
+    textFormat: textFormat,
+    progress: progress,
+    rows: (async function* () {
+      let rowNumber = headerIndex + 1;
+      for (const fields of ahead.slice(headerIndex + 1)) {
+        yield { item: toRow(fields), rowNumber: ++rowNumber };
+      }
+      for await (const fields of records) {
+        checkFileLimits(++rowNumber, 0, originalFilename, options.side);
+        yield { item: toRow(fields), rowNumber: rowNumber };
+      }
+    })(),
+    close: () => records.return(),
+  };
+}
+
+/**
+ * Quotes a value for a CSV or TSV line where needed, writing numbers as
+ * exact text.
+ * @param {*} value The value to write.
+ * @param {string} [separator] The field separator (default ',').
+ * @returns {string} The field.
+ */
+function csvField(value, separator = ",") {
+  const text =
+    value === undefined || value === null ? "" : String(toExactString(value));
+  return /["\r\n]/.test(text) || text.includes(separator)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Creates a result file that rows are appended to one at a time, waiting for
+ * the disk whenever the write buffer is full. The file is only created once
+ * the first row arrives.
+ * @param {string} outputDir The directory to save the file in.
+ * @param {string} filename The name of the file to save.
+ * @param {Array<string>} columns The header row; row objects are written in this order.
+ * @param {string} label Short name of the result set, used in log messages.
+ * @param {string} [format] 'csv' (default), 'tsv' or 'json' (an array of rows).
+ * @param {Object} [encoding] { encoding, bom } of the file (default: UTF-8 without BOM).
+ * @returns {Object} { write(row), close() }; `close` resolves to the filename, or null if nothing was written.
+ */
+function createResultWriter(
+  outputDir,
+  filename,
+  columns,
+  label,
+  format = "csv",
+  encoding = PLAIN_UTF8
+) {
+  const filePath = path.join(outputDir, filename);
+  const separator = format === "tsv" ? "\t" : ",";
+  let output = null;
+  let closed = false;
+  let atStart = true;
+
+  const writeText = async (text) => {
+    const bytes = encodeText(text, encoding, atStart);
+    atStart = false;
+    if (!output.write(bytes)) {
+      await once(output, "drain");
+    }
+  };
+  const writeLine = (values) =>
+    writeText(
+      values.map((value) => csvField(value, separator)).join(separator) + "\n"
+    );
+
+  return {
+    async write(row) {
+      if (!output) {
+        console.log(
+          `[CROSS_CHECK] Streaming ${label} ${format.toUpperCase()} file...`
+        );
+        output = fs.createWriteStream(filePath);
+        if (format === "json") {
+          await writeText("[\n");
+        } else {
+          await writeLine(columns);
+        }
+      } else if (format === "json") {
+        await writeText(",\n");
+      }
+      if (format === "json") {
+        const item =
+          typeof row === "string"
+            ? row
+            : Object.fromEntries(
+                columns.map((column) => [column, row[column]])
+              );
+        await writeText(JSON.stringify(item));
+      } else {
+        await writeLine(
+          typeof row === "string" ? [row] : columns.map((column) => row[column])
+        );
+      }
+    },
+    async close() {
+      if (!output || closed) return output ? filename : null;
+      closed = true;
+      if (format === "json") output.write(encodeText("\n]\n", encoding, false));
+      output.end();
+      await once(output, "finish");
+      return filename;
+    },
+  };
+}
+
+/**
+ * Combines the streams of several reference files into one File B stream, the
+ * way combineReferences combines their content: the files are read one after
+ * the other and every row is tagged with its file.
+ * @param {Array<Object>} references { name, content } of each file, content
+ * being from openRowStream.
+ * @param {string} textColumn The column the lines of text files are put in.
+ * @returns {Object} A stream shaped like openRowStream's, whose `rows` also
+ * yield the index of the reference file each row came from as `source`.
+ */
+function combineReferenceStreams(references, textColumn) {
+  let current = 0;
+  return {
+    type: "structured",
+    headers: combinedReferenceHeaders(references, textColumn),
+    headerRow: null,
+    textFormat: null,
+    // Each file counts as an equal share of the whole
+    progress: () =>
+      current < references.length
+        ? (current + references[current].content.progress()) / references.length
+        : 1,
+    rows: (async function* () {
+      for (const [index, { name, content }] of references.entries()) {
+        current = index;
+        for await (const { item, rowNumber } of content.rows) {
+          yield {
+            item: referenceRow(item, name, textColumn),
+            rowNumber: rowNumber,
+            source: index,
+          };
+        }
+      }
+      current = references.length;
+    })(),
+    close: async () => {
+      for (const { content } of references) await content.close();
+    },
+  };
+}
+
+// Row numbers listed per duplicate File A key in a streamed comparison
+const MAX_STREAMED_DUPLICATE_ROWS = 100;
+
+/**
+ * Cross-checks CSV and text files without reading any into memory. File B,
+ * one reference file or several read one after the other as a combined File
+ * B, is read first into a lookup index of its keys; File A is then read
+ * row by row against that index and each result row is written straight to
+ * its file. Nothing is kept per File A row: what the duplicate policy and the
+ * full diff need to know about File A (how often each File B key was seen) is
+ * counted on the index entries, so memory grows with File B's distinct keys,
+ * not with File A or the size of the files. As a consequence, duplicate File
+ * A keys are only reported for keys File B also holds, listing at most
+ * MAX_STREAMED_DUPLICATE_ROWS row numbers each; the result says so with
+ * duplicatesTruncated.
+ * A full diff reads File B a second time to find the rows missing from A.
+ * @param {Object} fileA The uploaded File A (multer file).
+ * @param {Array<Object>} filesB The File B reference files (multer files).
+ * @param {Object} settings The settings from parseCrossCheckSettings.
+ * @param {string} outputDir The directory to save the result files in.
+ * @param {function(Object): void} [onProgress] Called with progress updates (see runCrossCheck).
+ * @returns {Promise<Object>} The response body, shaped like the in-memory result.
+ * @throws {Error} With statusCode 400 if a selected column does not exist.
+ */
+async function streamCrossCheck(
+  fileA,
+  filesB,
+  settings,
+  outputDir,
+  onProgress = () => {}
+) {
+  const normalize = createNormalizer(settings.normalization);
+  const multiReference = filesB.length > 1;
+  const referenceNamesB = referenceNames(filesB);
+  const streamA = await openRowStream(fileA.path, fileA.originalname, {
+    headerRow: settings.headerRowA,
+    encoding: settings.encodingA,
+    delimiter: settings.delimiterA,
+    side: "A",
+  });
+  // Every file stream opened, closed once the comparison ends
+  const opened = [streamA];
+  const writers = [];
+  // Opens each reference file as far as its header row, with the read
+  // options given for its index
+  const openReferences = async (optionsOf) => {
+    const references = [];
+    for (const [index, file] of filesB.entries()) {
+      const content = await openRowStream(file.path, file.originalname, {
+        ...optionsOf(index),
+        side: "B",
+      });
+      opened.push(content);
+      references.push({ name: referenceNamesB[index], content: content });
+    }
+    return references;
+  };
+
+  try {
+    const references = await openReferences(() => ({
+      headerRow: settings.headerRowB,
+      encoding: settings.encodingB,
+      delimiter: settings.delimiterB,
+    }));
+    const { textColumn, selection } = multiReference
+      ? referenceTextColumn(streamA.type, settings)
+      : { textColumn: null, selection: settings };
+    const combine = (streams) =>
+      multiReference
+        ? combineReferenceStreams(streams, textColumn)
+        : streams[0].content;
+    const streamB = combine(references);
+    const { comparisonColumns, comparisonColumnsB, diffColumns } =
+      resolveComparisonColumns(streamA, streamB, selection);
+    if (multiReference) {
+      checkReferenceKeyColumns(references, comparisonColumnsB);
+    }
+    const actualComparisonColumn = describeKeyColumns(
+      comparisonColumns,
+      comparisonColumnsB
+    );
+    console.log(
+      `[CROSS_CHECK] Streaming comparison based on: '${actualComparisonColumn}'`
+    );
+    checkFilterColumns(settings.filtersA, streamA, "A");
+    checkFilterColumns(settings.filtersB, streamB, "B");
+    checkDateColumns(settings.dateColumns, streamA, streamB);
+    const output = resolveOutputColumns(streamA, streamB, settings);
+    // Rows left out of the comparison by the filters or for an empty key
+    const excluded = { fileA: 0, fileB: 0 };
+    // Date values that fit none of their column's formats, left as written
+    const unparsedDates = { fileA: 0, fileB: 0 };
+    // Rows left out because a date filter could not read their date
+    const unparsedFilterDates = { fileA: 0, fileB: 0 };
+    const convertDatesA = createDateConverter(
+      settings.dateColumns,
+      streamA,
+      () => unparsedDates.fileA++
+    );
+    const convertDatesB = createDateConverter(
+      settings.dateColumns,
+      streamB,
+      () => unparsedDates.fileB++
+    );
+    const run = {
+      file1Name: fileA.originalname,
+      file2Name: referenceNamesB.join(", "),
+      comparisonColumns: comparisonColumns,
+      comparisonColumnsB: comparisonColumnsB,
+      normalization: settings.normalization,
+      fuzzy: settings.fuzzy,
+      fullDiff: settings.fullDiff,
+      detectChanges: settings.detectChanges,
+      duplicatePolicy: settings.duplicatePolicy,
+      outputFormat: settings.outputFormat,
+      excluded: excluded,
+      unparsedDates: unparsedDates,
+      unparsedFilterDates: unparsedFilterDates,
+    };
+    const file1Type = streamA.type;
+    const file2Type = streamB.type;
+    const filterA = createRowFilter(
+      settings.filtersA,
+      file1Type,
+      () => unparsedFilterDates.fileA++
+    );
+    // Creates the test of whether a File B row is left out of the comparison
+    const excludesB = (filterB) => (item, key) =>
+      (filterB !== null && !filterB(item)) ||
+      (key === "" && settings.excludeEmptyKeys);
+    const isExcludedB = excludesB(
+      createRowFilter(
+        settings.filtersB,
+        file2Type,
+        () => unparsedFilterDates.fileB++
+      )
+    );
+    const keyOfA = (item) =>
+      itemMatchKey(item, file1Type, comparisonColumns, normalize);
+    const keyOfB = (item) =>
+      itemMatchKey(item, file2Type, comparisonColumnsB, normalize);
+
+    const firstA = await streamA.rows.next();
+
+    // Each File B key maps to its source row numbers, with several reference
+    // files the file of each row, the values compared on or appended to
+    // matched rows (per row, only when there are any), the File A rows found
+    // with it (counted while streaming File A) and, for fuzzy matching, the
+    // key as written
+    const values2Index = new Map();
+    // Per reference file: its rows, and the File A rows found in it and in
+    // no other file
+    const rowCounts = filesB.map(() => 0);
+    const foundCounts = filesB.map(() => 0);
+    const onlyFoundCounts = filesB.map(() => 0);
+    const fieldColumnsB = [
+      ...new Set([
+        ...diffColumns,
+        ...output.appendedB.map(({ column }) => column),
+      ]),
+    ];
+    let totalFile2Rows = 0;
+    for await (let { item, rowNumber, source = 0 } of streamB.rows) {
+      if (totalFile2Rows % PROGRESS_EVERY_ROWS === 0) {
+        // File B is read and indexed in a single pass
+        onProgress({
+          phase: "reading",
+          rowsParsed: totalFile2Rows,
+          fraction: streamB.progress(),
+        });
+      }
+      totalFile2Rows++;
+      rowCounts[source]++;
+      if (convertDatesB) item = convertDatesB(item);
+      const key = keyOfB(item);
+      if (isExcludedB(item, key)) {
+        excluded.fileB++;
+        continue;
+      }
+      if (key === "") continue;
+      let entry = values2Index.get(key);
+      if (!entry) {
+        entry = {
+          rowNumbers: [],
+          sources: [],
+          fields: [],
+          countA: 0,
+          rowNumbersA: [],
+        };
+        if (settings.fuzzy.enabled) {
+          entry.display = itemMatchKey(
+            item,
+            file2Type,
+            comparisonColumnsB,
+            String
+          );
+        }
+        values2Index.set(key, entry);
+      }
+      entry.rowNumbers.push(rowNumber);
+      if (multiReference) entry.sources.push(source);
+      if (fieldColumnsB.length > 0) {
+        const fields = {};
+        fieldColumnsB.forEach((column) => {
+          fields[column] = outputValue(item, column);
+        });
+        entry.fields.push(fields);
+      }
+    }
+    console.log(
+      `[CROSS_CHECK] Lookup set built from File B (${totalFile2Rows} items) with ${values2Index.size} unique values.`
+    );
+
+    if (firstA.done) {
+      console.log("[CROSS_CHECK] File A is empty.");
+      return emptyCrossCheckResult(
+        "File A is empty. Nothing to cross-check.",
+        0,
+        totalFile2Rows,
+        run
+      );
+    }
+    const emptyB = emptyFileBMessage(totalFile2Rows, excluded.fileB);
+    if (emptyB) console.log(`[CROSS_CHECK] ${emptyB}`);
+
+    let fuzzyIndex = null;
+    if (settings.fuzzy.enabled) {
+      fuzzyIndex = buildFuzzyIndex(values2Index.keys());
+      console.log(
+        `[CROSS_CHECK] Fuzzy index built (${settings.fuzzy.algorithm}, threshold ${settings.fuzzy.threshold}) with ${fuzzyIndex.postings.size} trigrams.`
+      );
+    }
+    const similarity = FUZZY_ALGORITHMS[settings.fuzzy.algorithm];
+
+    const timestamp = new Date().toISOString().slice(0, 10);
+    const keySlug = keyColumnsSlug(comparisonColumns);
+    const filenameKey = keySlug ? `${keySlug}_` : "";
+    const { format, extension, encoding, encodingName } = resultFileFormat(
+      settings,
+      streamA.textFormat
+    );
+    const { columnsA, columnsB } = output;
+    const addWriter = (prefix, columns, label) => {
+      const writer = createResultWriter(
+        outputDir,
+        `${prefix}_${filenameKey}${timestamp}_${Date.now()}${extension}`,
+        columns,
+        label,
+        format,
+        encoding
+      );
+      writers.push(writer);
+      return writer;
+    };
+    const matchedWriter = addWriter(
+      "matched_contents",
+      [
+        ...columnsA,
+        ...(multiReference ? [FOUND_IN_COLUMN] : []),
+        ...output.appendedB.map(({ name }) => name),
+        ...rowNumberColumns(output, "AB"),
+      ],
+      "matched"
+    );
+    const missingWriter = addWriter(
+      multiReference ? "found_in_none" : "missing_contents",
+      [...columnsA, ...rowNumberColumns(output, "A")],
+      "missing"
+    );
+    const nearWriter = addWriter(
+      "near_matches",
+      [
+        ...columnsA,
+        "Near Match (File B)",
+        "Similarity",
+        ...rowNumberColumns(output, "AB"),
+      ],
+      "near match"
+    );
+    const bOnlyWriter = addWriter(
+      "only_in_file_b",
+      [...columnsB, ...rowNumberColumns(output, "B")],
+      "B-only"
+    );
+    const changedWriter = addWriter(
+      "changed_fields",
+      [
+        ...comparisonColumns,
+        "Column",
+        "File A Value",
+        "File B Value",
+        ...rowNumberColumns(output, "AB"),
+      ],
+      "changed fields"
+    );
+
+    let totalFile1Rows = 0;
+    let foundCount = 0;
+    let changedCount = 0;
+    let changedFieldCount = 0;
+    const missingContents = [];
+    let missingCount = 0;
+    const nearMatches = [];
+    let nearMatchCount = 0;
+    const changedContents = [];
+
+    const writeMissing = async (item, rowNumber) => {
+      missingCount++;
+      if (missingContents.length < 10) missingContents.push(item);
+      await missingWriter.write(
+        buildOutputRow(output, { itemA: item, rowNumberA: rowNumber })
+      );
+    };
+
+    console.log(
+      `[CROSS_CHECK] Streaming File A against File B (duplicate policy: ${settings.duplicatePolicy}).`
+    );
+    const rowsA = (async function* () {
+      yield firstA.value;
+      yield* streamA.rows;
+    })();
+    for await (let { item: item1, rowNumber } of rowsA) {
+      if (totalFile1Rows % PROGRESS_EVERY_ROWS === 0) {
+        onProgress({
+          phase: "comparing",
+          rowsParsed: totalFile2Rows + totalFile1Rows,
+          rowsCompared: totalFile1Rows,
+          fraction: streamA.progress(),
+        });
+      }
+      totalFile1Rows++;
+      if (convertDatesA) item1 = convertDatesA(item1);
+      if (filterA && !filterA(item1)) {
+        excluded.fileA++;
+        continue;
+      }
+      const value1 = keyOfA(item1);
+      if (value1 === "") {
+        if (settings.excludeEmptyKeys) excluded.fileA++;
+        else await writeMissing(item1, rowNumber);
+        continue;
+      }
+
+      const entry = values2Index.get(value1);
+      if (entry) {
+        // How many earlier File A rows had this key
+        const occurrence = entry.countA++;
+        if (entry.rowNumbersA.length < MAX_STREAMED_DUPLICATE_ROWS) {
+          entry.rowNumbersA.push(rowNumber);
+        }
+        // Pick the File B row this File A row is paired with, if the
+        // duplicate policy allows a match at all. One to one, the earlier
+        // rows with the key have used up as many File B rows.
+        let paired = 0;
+        if (settings.duplicatePolicy === "first" && occurrence > 0) {
+          paired = -1;
+        } else if (settings.duplicatePolicy === "oneToOne") {
+          paired = occurrence < entry.rowNumbers.length ? occurrence : -1;
+        }
+        if (paired === -1) {
+          await writeMissing(item1, rowNumber);
+          continue;
+        }
+
+        foundCount++;
+        let extra;
+        if (multiReference) {
+          // The reference files holding the key, in the order they were read
+          const sources = [...new Set(entry.sources)];
+          sources.forEach((index) => foundCounts[index]++);
+          if (sources.length === 1) onlyFoundCounts[sources[0]]++;
+          extra = {
+            [FOUND_IN_COLUMN]: sources
+              .map((index) => referenceNamesB[index])
+              .join("; "),
+          };
+        }
+        await matchedWriter.write(
+          buildOutputRow(output, {
+            itemA: item1,
+            rowNumberA: rowNumber,
+            extra: extra,
+            itemB: entry.fields[paired],
+            rowNumberB: entry.rowNumbers[paired],
+          })
+        );
+        if (diffColumns.length > 0) {
+          const changes = findChangedFields(
+            item1,
+            entry.fields[paired],
+            diffColumns,
+            normalize
+          );
+          if (changes.length > 0) {
+            changedCount++;
+            changedFieldCount += changes.length;
+            const changed = { item: item1, changes: changes };
+            if (changedContents.length < 10) changedContents.push(changed);
+            for (const line of buildChangeReport([changed], comparisonColumns, [
+              [rowNumber, entry.rowNumbers[paired]],
+            ])) {
+              await changedWriter.write(line);
+            }
+          }
+        }
+      } else if (fuzzyIndex) {
+        const best = findBestFuzzyMatch(fuzzyIndex, value1, similarity);
+        if (best && best.score >= settings.fuzzy.threshold) {
+          const candidate = values2Index.get(best.key);
+          const near = {
+            item: item1,
+            candidate: candidate.display.split(KEY_DELIMITER).join(" | "),
+            score: Math.round(best.score * 1000) / 1000,
+          };
+          nearMatchCount++;
+          if (nearMatches.length < 10) nearMatches.push(near);
+          await nearWriter.write(
+            buildOutputRow(output, {
+              itemA: item1,
+              rowNumberA: rowNumber,
+              extra: {
+                "Near Match (File B)": near.candidate,
+                Similarity: near.score,
+              },
+              rowNumberB: candidate.rowNumbers[0],
+            })
+          );
+        } else {
+          await writeMissing(item1, rowNumber);
+        }
+      } else {
+        await writeMissing(item1, rowNumber);
+      }
+    }
+    console.log(
+      `[CROSS_CHECK] Comparison complete. Found: ${foundCount}, Near: ${nearMatchCount}, Missing: ${missingCount}, Excluded: ${excluded.fileA}`
+    );
+
+    const bOnlyContents = [];
+    let bOnlyCount = 0;
+    if (settings.fullDiff) {
+      // Each file is read as detected on the first pass
+      const secondB = combine(
+        await openReferences((index) => {
+          const first = references[index].content;
+          return {
+            headerRow: first.headerRow || undefined,
+            encoding: first.textFormat.encoding,
+            delimiter: first.textFormat.delimiter || undefined,
+          };
+        })
+      );
+      // File B's unparsed dates were counted on the first pass
+      const convertDatesAgain = createDateConverter(
+        settings.dateColumns,
+        secondB,
+        () => {}
+      );
+      const isExcludedAgain = excludesB(
+        createRowFilter(settings.filtersB, file2Type, () => {})
+      );
+      let rowsChecked = 0;
+      for await (let { item: item2, rowNumber } of secondB.rows) {
+        if (rowsChecked++ % PROGRESS_EVERY_ROWS === 0) {
+          onProgress({
+            phase: "fullDiff",
+            rowsCompared: totalFile1Rows,
+            fraction: secondB.progress(),
+          });
+        }
+        if (convertDatesAgain) item2 = convertDatesAgain(item2);
+        const value2 = keyOfB(item2);
+        if (isExcludedAgain(item2, value2)) continue;
+        if (value2 === "" || values2Index.get(value2).countA === 0) {
+          bOnlyCount++;
+          if (bOnlyContents.length < 10) bOnlyContents.push(item2);
+          await bOnlyWriter.write(buildOutputRowB(output, item2, rowNumber));
+        }
+      }
+      console.log(
+        `[CROSS_CHECK] Full diff complete. Only in B: ${bOnlyCount}, Changed: ${changedCount}`
+      );
+    }
+
+    let referenceCounts = null;
+    if (multiReference) {
+      referenceCounts = referenceNamesB.map((name, index) => ({
+        name: name,
+        rowCount: rowCounts[index],
+        foundCount: foundCounts[index],
+        onlyFoundCount: onlyFoundCounts[index],
+      }));
+      for (const reference of referenceCounts) {
+        console.log(
+          `[CROSS_CHECK] ${reference.name}: found ${reference.foundCount}, only there ${reference.onlyFoundCount}`
+        );
+      }
+    }
+
+    onProgress({ phase: "saving", rowsCompared: totalFile1Rows });
+    const duplicates = {
+      fileA: Array.from(values2Index)
+        .filter(([key, entry]) => entry.countA > 1)
+        .map(([key, entry]) => ({
+          key: key.split(KEY_DELIMITER).join(" | "),
+          count: entry.countA,
+          rowNumbers: entry.rowNumbersA,
+        })),
+      // With several reference files, only keys repeated within one file
+      fileB: multiReference
+        ? referenceNamesB.flatMap((name, source) =>
+            findDuplicateKeys(
+              new Map(
+                Array.from(values2Index, ([key, entry]) => [
+                  key,
+                  entry.rowNumbers.filter(
+                    (rowNumber, index) => entry.sources[index] === source
+                  ),
+                ])
+              )
+            ).map((duplicate) => ({ ...duplicate, file: name }))
+          )
+        : findDuplicateKeys(
+            new Map(
+              Array.from(values2Index, ([key, entry]) => [
+                key,
+                entry.rowNumbers,
+              ])
+            )
+          ),
+    };
+    console.log(
+      `[CROSS_CHECK] Duplicate keys. File A: ${duplicates.fileA.length}, File B: ${duplicates.fileB.length}`
+    );
+    const duplicatesCsvFilename = saveResultSet(
+      outputDir,
+      [
+        ...buildDuplicateReport(duplicates.fileA, fileA.originalname),
+        ...buildDuplicateReport(duplicates.fileB, run.file2Name),
+      ],
+      `duplicate_keys_${filenameKey}${timestamp}_${Date.now()}${extension}`,
+      "structured",
+      "duplicates",
+      format,
+      encoding
+    );
+
+    const result = {
+      success: true,
+      message: `${emptyB || "Cross-check completed successfully!"} ${
+        OUTPUT_FORMATS[settings.outputFormat].label
+      } generated.`,
+      streamed: true,
+      foundCount: foundCount,
+      missingCount: missingCount,
+      nearMatchCount: nearMatchCount,
+      totalFile1Rows: totalFile1Rows,
+      excluded: excluded,
+      unparsedDates: unparsedDates,
+      unparsedFilterDates: unparsedFilterDates,
+      missingContents: missingContents,
+      matchedCsvFilename: await matchedWriter.close(),
+      missingCsvFilename: await missingWriter.close(),
+      nearMatches: nearMatches,
+      nearCsvFilename: await nearWriter.close(),
+      fullDiff: settings.fullDiff,
+      totalFile2Rows: totalFile2Rows,
+      bOnlyCount: bOnlyCount,
+      bOnlyContents: bOnlyContents,
+      bOnlyCsvFilename: await bOnlyWriter.close(),
+      detectChanges: settings.detectChanges,
+      compareColumns: diffColumns,
+      changedCount: changedCount,
+      changedFieldCount: changedFieldCount,
+      changedContents: changedContents,
+      changedCsvFilename: await changedWriter.close(),
+      duplicatePolicy: settings.duplicatePolicy,
+      duplicates: {
+        fileA: {
+          keyCount: duplicates.fileA.length,
+          sample: duplicates.fileA.slice(0, 10),
+        },
+        fileB: {
+          keyCount: duplicates.fileB.length,
+          sample: duplicates.fileB.slice(0, 10),
+        },
+      },
+      duplicatesCsvFilename: duplicatesCsvFilename,
+      // File A keys are not indexed, so the File A report is partial
+      duplicatesTruncated: true,
+      file1Name: fileA.originalname,
+      file2Name: run.file2Name,
+      file1Sheet: null,
+      file2Sheet: null,
+      references: referenceCounts,
+      file1TextFormat: streamA.textFormat,
+      file2TextFormat: streamB.textFormat,
+      comparisonColumn: actualComparisonColumn,
+      comparisonColumns: comparisonColumns,
+      comparisonColumnsB: comparisonColumnsB,
+      normalization: settings.normalization,
+      fuzzy: settings.fuzzy,
+      outputFormat: settings.outputFormat,
+      outputEncoding: encodingName,
+      workbookFilename: null,
+    };
+    if (settings.outputFormat === "xlsx") {
+      await saveResultWorkbook(
+        result,
+        settings,
+        outputDir,
+        `comparison_${filenameKey}${timestamp}_${Date.now()}.xlsx`
+      );
+    }
+    return result;
+  } finally {
+    // Stop reading and finish any result file left open by an early return
+    // or an error
+    for (const stream of opened) await stream.close();
+    await Promise.all(writers.map((writer) => writer.close()));
+  }
+}
+
+/**
+ * Runs a cross-check of two uploaded files. Large CSV and text files are
+ * streamed; everything else is read into memory. File B may be several
+ * reference files, in which case each match records the files it was found in.
+ * @param {Object} fileA File A: { path, originalname, size }.
+ * @param {Object|Array<Object>} fileB File B: { path, originalname, size }, or a list of reference files.
+ * @param {Object} settings The settings from parseCrossCheckSettings.
+ * @param {string} outputDir The existing directory to save the result files in.
+ * @param {function(Object): void} [onProgress] Called with progress updates:
+ * { phase, rowsParsed, rowsCompared, totalRows, fraction }, all optional but the phase.
+ * @returns {Promise<Object>} The response body; result filenames are relative to outputDir.
+ * @throws {Error} With statusCode 400 if a selected column or sheet does not exist.
+ */
+export async function runCrossCheck(
+  fileA,
+  fileB,
+  settings,
+  outputDir,
+  onProgress = () => {}
+) {
+  onProgress({ phase: "reading" });
+  const filesB = Array.isArray(fileB) ? fileB : [fileB];
+  if (shouldStreamCrossCheck(fileA, filesB)) {
+    const totalBytes = filesB.reduce(
+      (total, file) => total + file.size,
+      fileA.size
+    );
+    console.log(`[CROSS_CHECK] Streaming large files (${totalBytes} bytes).`);
+    return streamCrossCheck(fileA, filesB, settings, outputDir, onProgress);
+  }
+  const multiReference = filesB.length > 1;
+  const referenceNamesB = referenceNames(filesB);
+
+  const normalize = createNormalizer(settings.normalization);
+  console.log("[CROSS_CHECK] Reading file A content...");
+  const fileAContent = readFileContent(fileA.path, fileA.originalname, {
+    identifierSafe: settings.identifierSafe,
+    identifierColumns: settings.identifierColumns,
+    sheet: settings.sheetA,
+    headerRow: settings.headerRowA,
+    encoding: settings.encodingA,
+    delimiter: settings.delimiterA,
+    side: "A",
+  });
+  const references = filesB.map((file, index) => {
+    console.log(
+      `[CROSS_CHECK] Reading file B content (${file.originalname})...`
+    );
+    return {
+      name: referenceNamesB[index],
+      content: readFileContent(file.path, file.originalname, {
+        identifierSafe: settings.identifierSafe,
+        identifierColumns: settings.identifierColumns,
+        sheet: settings.sheetB,
+        headerRow: settings.headerRowB,
+        encoding: settings.encodingB,
+        delimiter: settings.delimiterB,
+        side: "B",
+      }),
+    };
+  });
+  const { textColumn, selection } = multiReference
+    ? referenceTextColumn(fileAContent.type, settings)
+    : { textColumn: null, selection: settings };
+  const fileBContent = multiReference
+    ? combineReferences(references, textColumn)
+    : references[0].content;
+  console.log("[CROSS_CHECK] Both files read.");
+  onProgress({
+    phase: "indexing",
+    rowsParsed: fileAContent.data.length + fileBContent.data.length,
+    totalRows: fileAContent.data.length,
+  });
+
+  const file1Type = fileAContent.type;
+  const file2Type = fileBContent.type;
+
+  const { comparisonColumns, comparisonColumnsB, diffColumns } =
+    resolveComparisonColumns(fileAContent, fileBContent, selection);
+  if (multiReference) checkReferenceKeyColumns(references, comparisonColumnsB);
+  checkFilterColumns(settings.filtersA, fileAContent, "A");
+  checkFilterColumns(settings.filtersB, fileBContent, "B");
+  checkDateColumns(settings.dateColumns, fileAContent, fileBContent);
+  const output = resolveOutputColumns(fileAContent, fileBContent, settings);
+
+  // Date values that fit none of their column's formats, left as written
+  const unparsedDates = { fileA: 0, fileB: 0 };
+  const convertDatesA = createDateConverter(
+    settings.dateColumns,
+    fileAContent,
+    () => unparsedDates.fileA++
+  );
+  const convertDatesB = createDateConverter(
+    settings.dateColumns,
+    fileBContent,
+    () => unparsedDates.fileB++
+  );
+  if (convertDatesA) fileAContent.data = fileAContent.data.map(convertDatesA);
+  if (convertDatesB) fileBContent.data = fileBContent.data.map(convertDatesB);
+
+  const totalFile1Rows = fileAContent.data.length;
+  const totalFile2Rows = fileBContent.data.length;
+  // Rows left out because a date filter could not read their date
+  const unparsedFilterDates = { fileA: 0, fileB: 0 };
+  // Rows left out of the comparison by the filters or for an empty key
+  const excluded = {
+    fileA: applyRowFilter(
+      fileAContent,
+      createRowFilter(
+        settings.filtersA,
+        file1Type,
+        () => unparsedFilterDates.fileA++
+      )
+    ),
+    fileB: applyRowFilter(
+      fileBContent,
+      createRowFilter(
+        settings.filtersB,
+        file2Type,
+        () => unparsedFilterDates.fileB++
+      )
+    ),
+  };
+  if (excluded.fileA + excluded.fileB > 0) {
+    console.log(
+      `[CROSS_CHECK] Filtered out. File A: ${excluded.fileA}, File B: ${excluded.fileB}`
+    );
+  }
+  const data1 = fileAContent.data;
+  const data2 = fileBContent.data;
+  const rowNumbers1 = fileAContent.rowNumbers;
+  const rowNumbers2 = fileBContent.rowNumbers;
+  const actualComparisonColumn = describeKeyColumns(
+    comparisonColumns,
+    comparisonColumnsB
+  );
+  console.log(
+    `[CROSS_CHECK] Comparison will be based on: '${actualComparisonColumn}'`
+  );
+
+  const file2Name = referenceNamesB.join(", ");
+  const run = {
+    file1Name: fileA.originalname,
+    file2Name: file2Name,
+    comparisonColumns: comparisonColumns,
+    comparisonColumnsB: comparisonColumnsB,
+    normalization: settings.normalization,
+    fuzzy: settings.fuzzy,
+    fullDiff: settings.fullDiff,
+    detectChanges: settings.detectChanges,
+    duplicatePolicy: settings.duplicatePolicy,
+    outputFormat: settings.outputFormat,
+    excluded: excluded,
+    unparsedDates: unparsedDates,
+    unparsedFilterDates: unparsedFilterDates,
+  };
+  if (data1.length === 0) {
+    console.log("[CROSS_CHECK] File A is empty.");
+    return emptyCrossCheckResult(
+      totalFile1Rows === 0
+        ? "File A is empty. Nothing to cross-check."
+        : "No File A rows are left after the filters. Nothing to cross-check.",
+      totalFile1Rows,
+      totalFile2Rows,
+      run
+    );
+  }
+  const emptyB = emptyFileBMessage(totalFile2Rows, excluded.fileB);
+  if (emptyB) console.log(`[CROSS_CHECK] ${emptyB}`);
+
+  console.log(
+    `[CROSS_CHECK] Building lookup set from File B (${data2.length} items)...`
+  );
+  // Each File B key maps to the indexes of the File B items that carry it
+  const values2Index = new Map();
+  data2.forEach((item2, index2) => {
+    const key = itemMatchKey(item2, file2Type, comparisonColumnsB, normalize);
+    if (key !== "") {
+      const indexes = values2Index.get(key);
+      if (indexes) indexes.push(index2);
+      else values2Index.set(key, [index2]);
+    } else if (settings.excludeEmptyKeys) {
+      excluded.fileB++;
+    }
+  });
+  console.log(
+    `[CROSS_CHECK] Lookup set built with ${values2Index.size} unique values.`
+  );
+
+  const foundInFile2 = [];
+  // The reference files each matched File A row was found in, by position in foundInFile2
+  const foundSources = [];
+  const missingInFile2 = [];
+  const nearMatches = [];
+  const changedRows = [];
+  // The File A and File B source row of each changed row
+  const changedRowNumbers = [];
+  // The rows written to the result files (see buildOutputRow)
+  const matchedRows = [];
+  const missingRows = [];
+  const nearRows = [];
+  const addMissing = (item1, index1) => {
+    missingInFile2.push(item1);
+    missingRows.push(
+      buildOutputRow(output, { itemA: item1, rowNumberA: rowNumbers1[index1] })
+    );
+  };
+  // Each File A key maps to the indexes of the File A items that carry it
+  const values1Index = new Map();
+  // File B rows already matched per key, for the one-to-one policy
+  const consumedCounts = new Map();
+
+  let fuzzyIndex = null;
+  if (settings.fuzzy.enabled) {
+    fuzzyIndex = buildFuzzyIndex(values2Index.keys());
+    console.log(
+      `[CROSS_CHECK] Fuzzy index built (${settings.fuzzy.algorithm}, threshold ${settings.fuzzy.threshold}) with ${fuzzyIndex.postings.size} trigrams.`
+    );
+  }
+  const similarity = FUZZY_ALGORITHMS[settings.fuzzy.algorithm];
+
+  console.log(
+    `[CROSS_CHECK] Starting comparison of File A (${data1.length} items) against File B (duplicate policy: ${settings.duplicatePolicy}).`
+  );
+  data1.forEach((item1, index1) => {
+    if (index1 % PROGRESS_EVERY_ROWS === 0) {
+      onProgress({
+        phase: "comparing",
+        rowsCompared: index1,
+        fraction: index1 / data1.length,
+      });
+    }
+    const value1 = itemMatchKey(item1, file1Type, comparisonColumns, normalize);
+
+    if (value1 === "") {
+      if (settings.excludeEmptyKeys) excluded.fileA++;
+      else addMissing(item1, index1);
+      return;
+    }
+
+    const earlierIndexes = values1Index.get(value1);
+    if (earlierIndexes) earlierIndexes.push(index1);
+    else values1Index.set(value1, [index1]);
+    const occurrence = earlierIndexes ? earlierIndexes.length - 1 : 0;
+
+    const indexes2 = values2Index.get(value1);
+    if (indexes2) {
+      // Pick the File B row this File A row is paired with, if the
+      // duplicate policy allows a match at all
+      let pairedIndex2 = indexes2[0];
+      if (settings.duplicatePolicy === "first" && occurrence > 0) {
+        pairedIndex2 = -1;
+      } else if (settings.duplicatePolicy === "oneToOne") {
+        const consumed = consumedCounts.get(value1) || 0;
+        pairedIndex2 = consumed < indexes2.length ? indexes2[consumed] : -1;
+        consumedCounts.set(value1, consumed + 1);
+      }
+      if (pairedIndex2 === -1) {
+        addMissing(item1, index1);
+        return;
+      }
+
+      foundInFile2.push(item1);
+      let extra;
+      if (multiReference) {
+        const sources = [
+          ...new Set(
+            indexes2.map((index2) => data2[index2][SOURCE_FILE_COLUMN])
+          ),
+        ];
+        foundSources.push(sources);
+        extra = { [FOUND_IN_COLUMN]: sources.join("; ") };
+      }
+      matchedRows.push(
+        buildOutputRow(output, {
+          itemA: item1,
+          rowNumberA: rowNumbers1[index1],
+          extra: extra,
+          itemB: data2[pairedIndex2],
+          rowNumberB: rowNumbers2[pairedIndex2],
+        })
+      );
+      if (diffColumns.length > 0) {
+        const changes = findChangedFields(
+          item1,
+          data2[pairedIndex2],
+          diffColumns,
+          normalize
+        );
+        if (changes.length > 0) {
+          changedRows.push({ item: item1, changes: changes });
+          changedRowNumbers.push([
+            rowNumbers1[index1],
+            rowNumbers2[pairedIndex2],
+          ]);
+        }
+      }
+    } else if (fuzzyIndex) {
+      const best = findBestFuzzyMatch(fuzzyIndex, value1, similarity);
+      if (best && best.score >= settings.fuzzy.threshold) {
+        const index2 = values2Index.get(best.key)[0];
+        const near = {
+          item: item1,
+          candidate: itemMatchKey(
+            data2[index2],
+            file2Type,
+            comparisonColumnsB,
+            String
+          )
+            .split(KEY_DELIMITER)
+            .join(" | "),
+          score: Math.round(best.score * 1000) / 1000,
+        };
+        nearMatches.push(near);
+        nearRows.push(
+          buildOutputRow(output, {
+            itemA: item1,
+            rowNumberA: rowNumbers1[index1],
+            extra: {
+              "Near Match (File B)": near.candidate,
+              Similarity: near.score,
+            },
+            rowNumberB: rowNumbers2[index2],
+          })
+        );
+      } else {
+        addMissing(item1, index1);
+      }
+    } else {
+      addMissing(item1, index1);
+    }
+  });
+  console.log(
+    `[CROSS_CHECK] Comparison complete. Found: ${foundInFile2.length}, Near: ${nearMatches.length}, Missing: ${missingInFile2.length}, Excluded: ${excluded.fileA}`
+  );
+
+  const duplicates = {
+    fileA: findDuplicateKeys(values1Index, fileAContent.rowNumbers),
+    fileB: multiReference
+      ? findReferenceDuplicateKeys(
+          values2Index,
+          data2,
+          fileBContent.rowNumbers,
+          referenceNamesB
+        )
+      : findDuplicateKeys(values2Index, fileBContent.rowNumbers),
+  };
+  console.log(
+    `[CROSS_CHECK] Duplicate keys. File A: ${duplicates.fileA.length}, File B: ${duplicates.fileB.length}`
+  );
+
+  let referenceCounts = null;
+  if (multiReference) {
+    referenceCounts = references.map(({ name, content }) => ({
+      name: name,
+      rowCount: content.data.length,
+      foundCount: foundSources.filter((sources) => sources.includes(name))
+        .length,
+      onlyFoundCount: foundSources.filter(
+        (sources) => sources.length === 1 && sources[0] === name
+      ).length,
+    }));
+    for (const reference of referenceCounts) {
+      console.log(
+        `[CROSS_CHECK] ${reference.name}: found ${reference.foundCount}, only there ${reference.onlyFoundCount}`
+      );
+    }
+  }
+
+  const onlyInFile2 = [];
+  const bOnlyRows = [];
+  if (settings.fullDiff) {
+    onProgress({ phase: "fullDiff", rowsCompared: data1.length });
+    for (const [index2, item2] of data2.entries()) {
+      const value2 = itemMatchKey(
+        item2,
+        file2Type,
+        comparisonColumnsB,
+        normalize
+      );
+      if (value2 === "" && settings.excludeEmptyKeys) continue;
+      if (value2 === "" || !values1Index.has(value2)) {
+        onlyInFile2.push(item2);
+        bOnlyRows.push(buildOutputRowB(output, item2, rowNumbers2[index2]));
+      }
+    }
+    console.log(
+      `[CROSS_CHECK] Full diff complete. Only in B: ${onlyInFile2.length}, Changed: ${changedRows.length}`
+    );
+  }
+
+  onProgress({ phase: "saving", rowsCompared: data1.length });
+  const timestamp = new Date().toISOString().slice(0, 10);
+  const keySlug = keyColumnsSlug(comparisonColumns);
+  const filenameKey = keySlug ? `${keySlug}_` : "";
+  const { format, extension, encoding, encodingName } = resultFileFormat(
+    settings,
+    fileAContent.textFormat
+  );
+  const matchedCsvFilename = `matched_contents_${filenameKey}${timestamp}_${Date.now()}${extension}`;
+  const missingCsvFilename = `${
+    multiReference ? "found_in_none" : "missing_contents"
+  }_${filenameKey}${timestamp}_${Date.now()}${extension}`;
+  const nearCsvFilename = `near_matches_${filenameKey}${timestamp}_${Date.now()}${extension}`;
+  const bOnlyCsvFilename = `only_in_file_b_${filenameKey}${timestamp}_${Date.now()}${extension}`;
+  const changedCsvFilename = `changed_fields_${filenameKey}${timestamp}_${Date.now()}${extension}`;
+  const duplicatesCsvFilename = `duplicate_keys_${filenameKey}${timestamp}_${Date.now()}${extension}`;
+
+  saveResultSet(
+    outputDir,
+    matchedRows,
+    matchedCsvFilename,
+    "structured",
+    "matched",
+    format,
+    encoding
+  );
+  saveResultSet(
+    outputDir,
+    missingRows,
+    missingCsvFilename,
+    "structured",
+    "missing",
+    format,
+    encoding
+  );
+  saveResultSet(
+    outputDir,
+    nearRows,
+    nearCsvFilename,
+    "structured",
+    "near match",
+    format,
+    encoding
+  );
+  saveResultSet(
+    outputDir,
+    bOnlyRows,
+    bOnlyCsvFilename,
+    "structured",
+    "B-only",
+    format,
+    encoding
+  );
+  saveResultSet(
+    outputDir,
+    buildChangeReport(
+      changedRows,
+      comparisonColumns,
+      output.rowNumbers ? changedRowNumbers : null
+    ),
+    changedCsvFilename,
+    "structured",
+    "changed fields",
+    format,
+    encoding
+  );
+  saveResultSet(
+    outputDir,
+    [
+      ...buildDuplicateReport(duplicates.fileA, fileA.originalname),
+      ...buildDuplicateReport(duplicates.fileB, file2Name),
+    ],
+    duplicatesCsvFilename,
+    "structured",
+    "duplicates",
+    format,
+    encoding
+  );
+  console.log("[CROSS_CHECK] Result files saving process initiated.");
+
+  const result = {
+    success: true,
+    message: `${emptyB || "Cross-check completed successfully!"} ${
+      OUTPUT_FORMATS[settings.outputFormat].label
+    } generated.`,
+    foundCount: foundInFile2.length,
+    missingCount: missingInFile2.length,
+    nearMatchCount: nearMatches.length,
+    totalFile1Rows: totalFile1Rows,
+    excluded: excluded,
+    unparsedDates: unparsedDates,
+    unparsedFilterDates: unparsedFilterDates,
+    missingContents: missingInFile2.slice(0, 10), // Still send sample for on-screen display
+    matchedCsvFilename: foundInFile2.length > 0 ? matchedCsvFilename : null,
+    missingCsvFilename: missingInFile2.length > 0 ? missingCsvFilename : null,
+    nearMatches: nearMatches.slice(0, 10),
+    nearCsvFilename: nearMatches.length > 0 ? nearCsvFilename : null,
+    fullDiff: settings.fullDiff,
+    totalFile2Rows: totalFile2Rows,
+    bOnlyCount: onlyInFile2.length,
+    bOnlyContents: onlyInFile2.slice(0, 10),
+    bOnlyCsvFilename: onlyInFile2.length > 0 ? bOnlyCsvFilename : null,
+    detectChanges: settings.detectChanges,
+    compareColumns: diffColumns,
+    changedCount: changedRows.length,
+    changedFieldCount: changedRows.reduce(
+      (total, changed) => total + changed.changes.length,
+      0
+    ),
+    changedContents: changedRows.slice(0, 10),
+    changedCsvFilename: changedRows.length > 0 ? changedCsvFilename : null,
+    duplicatePolicy: settings.duplicatePolicy,
+    duplicates: {
+      fileA: {
+        keyCount: duplicates.fileA.length,
+        sample: duplicates.fileA.slice(0, 10),
+      },
+      fileB: {
+        keyCount: duplicates.fileB.length,
+        sample: duplicates.fileB.slice(0, 10),
+      },
+    },
+    duplicatesCsvFilename:
+      duplicates.fileA.length + duplicates.fileB.length > 0
+        ? duplicatesCsvFilename
+        : null,
+    duplicatesTruncated: false,
+    file1Name: fileA.originalname,
+    file2Name: file2Name,
+    file1Sheet: fileAContent.sheetName,
+    file2Sheet: fileBContent.sheetName,
+    references: referenceCounts,
+    file1TextFormat: fileAContent.textFormat,
+    file2TextFormat: fileBContent.textFormat,
+    comparisonColumn: actualComparisonColumn, // Report the actual column used for comparison
+    comparisonColumns: comparisonColumns,
+    comparisonColumnsB: comparisonColumnsB,
+    normalization: settings.normalization, // Echo the settings so the run can be reproduced
+    fuzzy: settings.fuzzy,
+    outputFormat: settings.outputFormat,
+    outputEncoding: encodingName,
+    workbookFilename: null,
+  };
+  if (settings.outputFormat === "xlsx") {
+    await saveResultWorkbook(
+      result,
+      settings,
+      outputDir,
+      `comparison_${filenameKey}${timestamp}_${Date.now()}.xlsx`
+    );
+  }
+  return result;
+}
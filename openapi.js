@@ -0,0 +1,850 @@
+// openapi.js
+// The OpenAPI description of the /api/v1 endpoints in server.js, served at
+// GET /api/v1/openapi.json. The cross-check options are described from
+// CROSS_CHECK_FIELDS, so the document follows the validation.
+import {
+  CROSS_CHECK_FIELDS,
+  CSV_DELIMITERS,
+  DATE_FORMATS,
+  DEFAULT_NORMALIZATION,
+  FILTER_OPERATORS,
+  MAX_REFERENCE_FILES,
+  TEXT_ENCODINGS,
+} from "./crossCheck.js";
+
+// Every code an error response can carry (see sendError in server.js)
+const ERROR_CODES = [
+  "INVALID_REQUEST",
+  "INVALID_JSON",
+  "INVALID_FIELD",
+  "UNKNOWN_FIELD",
+  "FILES_REQUIRED",
+  "UNSUPPORTED_FILE_TYPE",
+  "FILE_TOO_LARGE",
+  "INVALID_UPLOAD",
+  "EMPTY_FILE",
+  "INVALID_FILE_CONTENT",
+  "TOO_MANY_ROWS",
+  "TOO_MANY_COLUMNS",
+  "TOO_MANY_FILES",
+  "KEY_COLUMN_REQUIRED",
+  "TOO_MANY_KEY_COLUMNS",
+  "COLUMN_NOT_FOUND",
+  "SHEET_NOT_FOUND",
+  "UPLOAD_EXPIRED",
+  "UPLOAD_NOT_FOUND",
+  "JOB_NOT_FOUND",
+  "JOB_FINISHED",
+  "RUN_NOT_FOUND",
+  "ARTIFACT_NOT_FOUND",
+  "LINK_INVALID",
+  "LINK_EXPIRED",
+  "LINK_USED",
+  "NOT_FOUND",
+  "ENDPOINT_REMOVED",
+  "CONFLICT",
+  "PAYLOAD_TOO_LARGE",
+  "INTERNAL_ERROR",
+];
+
+/**
+ * Describes one cross-check form field as a JSON schema.
+ * @param {Object} spec The field's entry in CROSS_CHECK_FIELDS.
+ * @returns {Object} The schema.
+ */
+function fieldSchema(spec) {
+  const schemas = {
+    boolean: { type: "boolean" },
+    string: { type: "string" },
+    number: { type: "number" },
+    enum: { type: "string", enum: spec.values },
+    list: {
+      type: "array",
+      items: { type: "string" },
+      description:
+        "In a multipart form, a JSON array, the field repeated, or a single value (never split on commas).",
+    },
+    headerRow: {
+      oneOf: [
+        { type: "integer", minimum: 1 },
+        { type: "string", enum: ["auto"] },
+      ],
+    },
+    dateColumns: {
+      type: "object",
+      additionalProperties: {
+        oneOf: [
+          { type: "string", enum: DATE_FORMATS },
+          { type: "array", items: { type: "string", enum: DATE_FORMATS } },
+        ],
+      },
+      description: "In a multipart form, a JSON object.",
+    },
+    filters: {
+      type: "array",
+      items: { $ref: "#/components/schemas/FilterRule" },
+      description:
+        "In a multipart form, a JSON array. A text file's only column is 'Line Content'.",
+    },
+    normalization: {
+      type: "object",
+      additionalProperties: false,
+      properties: Object.fromEntries(
+        Object.entries(DEFAULT_NORMALIZATION).map(([step, value]) => [
+          step,
+          { type: typeof value, default: value },
+        ])
+      ),
+    },
+  };
+  const schema = { ...schemas[spec.kind] };
+  schema.description = [spec.description, schema.description]
+    .filter(Boolean)
+    .join(" ");
+  if (spec.deprecated) schema.deprecated = true;
+  return schema;
+}
+
+const crossCheckOptions = Object.fromEntries(
+  Object.entries(CROSS_CHECK_FIELDS).map(([field, spec]) => [
+    field,
+    fieldSchema(spec),
+  ])
+);
+
+// How a CSV or text file is written, as detected or chosen; null for workbooks
+const textFormatSchema = {
+  nullable: true,
+  allOf: [{ $ref: "#/components/schemas/TextFormat" }],
+};
+
+// Lists and objects in a multipart form are sent as JSON text
+const multipartEncoding = Object.fromEntries(
+  Object.entries(CROSS_CHECK_FIELDS)
+    .filter(([, spec]) =>
+      ["list", "normalization", "filters", "dateColumns"].includes(spec.kind)
+    )
+    .map(([field]) => [field, { contentType: "application/json" }])
+);
+
+const fileFields = {
+  fileA: {
+    type: "string",
+    format: "binary",
+    description:
+      "File A (.xlsx, .xls, .csv or .txt). Omit when sending uploadIdA.",
+  },
+  fileB: {
+    type: "array",
+    items: { type: "string", format: "binary" },
+    maxItems: MAX_REFERENCE_FILES,
+    description:
+      "File B: one or more reference files, which may mix formats. Omit when sending uploadIdB.",
+  },
+  uploadIdA: {
+    type: "string",
+    description: "A stored upload of File A, from POST /headers.",
+  },
+  uploadIdB: {
+    oneOf: [
+      { type: "string" },
+      {
+        type: "array",
+        items: { type: "string" },
+        maxItems: MAX_REFERENCE_FILES,
+      },
+    ],
+    description:
+      "Stored uploads of File B, from POST /headers: one id, or a list (or the field repeated) for several reference files.",
+  },
+};
+
+/**
+ * The request body of an endpoint that takes both files.
+ * @param {Object} fields The fields besides the files.
+ * @returns {Object} The requestBody object.
+ */
+function filesRequestBody(fields) {
+  const { fileA, fileB, ...storedFields } = fileFields;
+  return {
+    required: true,
+    content: {
+      "multipart/form-data": {
+        schema: {
+          type: "object",
+          additionalProperties: false,
+          properties: { ...fileFields, ...fields },
+        },
+        encoding: Object.fromEntries(
+          Object.entries(multipartEncoding).filter(([field]) => field in fields)
+        ),
+      },
+      // Files uploaded earlier can be compared without a multipart form
+      "application/json": {
+        schema: {
+          type: "object",
+          additionalProperties: false,
+          required: ["uploadIdA", "uploadIdB"],
+          properties: { ...storedFields, ...fields },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * A JSON response.
+ * @param {string} description What the response is.
+ * @param {string} schema The name of the schema in components.
+ * @returns {Object} The response object.
+ */
+function jsonResponse(description, schema) {
+  return {
+    description: description,
+    content: {
+      "application/json": {
+        schema: { $ref: `#/components/schemas/${schema}` },
+      },
+    },
+  };
+}
+
+/**
+ * Error responses, by status. Any endpoint answers 400 to a malformed
+ * X-Owner-Token header, and 500 to an unexpected error.
+ * @param {...number} statuses The other statuses the endpoint can answer with.
+ * @returns {Object} The response objects.
+ */
+function errorResponses(...statuses) {
+  const descriptions = {
+    400: "The request is not valid.",
+    403: "The link's signature does not match.",
+    404: "What the request refers to does not exist.",
+    409: "The request conflicts with the current state.",
+    410: "The link has expired or was already used.",
+    413: "A file is too large.",
+    500: "An unexpected error.",
+  };
+  return Object.fromEntries(
+    [400, ...statuses, 500].map((status) => [
+      status,
+      jsonResponse(descriptions[status], "Error"),
+    ])
+  );
+}
+
+const idParameter = (description) => ({
+  name: "id",
+  in: "path",
+  required: true,
+  schema: { type: "string" },
+  description: description,
+});
+
+const artifactIdParameter = {
+  name: "artifactId",
+  in: "path",
+  required: true,
+  schema: { type: "string" },
+  description: "The id of the result file, from the run's artifacts.",
+};
+
+const fileResponse = {
+  description: "The file, as an attachment.",
+  content: {
+    "application/octet-stream": {
+      schema: { type: "string", format: "binary" },
+    },
+  },
+};
+
+// Uploads, jobs and runs are only visible to the owner token that created them
+const ownerSecurity = [{ ownerHeader: [] }, { ownerCookie: [] }];
+
+const fileSummary = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    size: { type: "integer" },
+    sha256: { type: "string" },
+  },
+};
+
+export const openApiDocument = {
+  openapi: "3.0.3",
+  info: {
+    title: "File Cross-Check API",
+    version: "1.0.0",
+    description:
+      "Checks the rows of File A against File B by one or more key columns. Every error response is an Error object with a stable code. Stored uploads, jobs and runs belong to the owner token they were created with: send it in the X-Owner-Token header, or let a browser keep the ownerToken cookie. A request without either is given a new token in both.",
+  },
+  servers: [{ url: "/api/v1" }],
+  paths: {
+    "/openapi.json": {
+      get: {
+        summary: "This document",
+        responses: {
+          200: { description: "The OpenAPI document." },
+        },
+      },
+    },
+    "/headers": {
+      post: {
+        summary: "Read the headers, sheets and a preview of both files",
+        description:
+          "Uploaded files are stored; send the returned upload ids instead of the files in later requests.",
+        security: ownerSecurity,
+        requestBody: filesRequestBody({
+          sheetA: crossCheckOptions.sheetA,
+          sheetB: crossCheckOptions.sheetB,
+          headerRowA: crossCheckOptions.headerRowA,
+          headerRowB: crossCheckOptions.headerRowB,
+          encodingA: crossCheckOptions.encodingA,
+          encodingB: crossCheckOptions.encodingB,
+          delimiterA: crossCheckOptions.delimiterA,
+          delimiterB: crossCheckOptions.delimiterB,
+        }),
+        responses: {
+          200: jsonResponse("The headers of both files.", "Headers"),
+          ...errorResponses(400, 404, 413),
+        },
+      },
+    },
+    "/uploads/{id}": {
+      delete: {
+        summary: "Discard a stored upload",
+        security: ownerSecurity,
+        parameters: [idParameter("The upload id.")],
+        responses: {
+          200: jsonResponse("The upload was removed.", "Message"),
+          ...errorResponses(404),
+        },
+      },
+    },
+    "/cross-checks": {
+      post: {
+        summary: "Run a cross-check and wait for the result",
+        description:
+          "Runs on the same worker threads as POST /jobs, so the request may wait for a free worker first.",
+        security: ownerSecurity,
+        requestBody: filesRequestBody(crossCheckOptions),
+        responses: {
+          200: jsonResponse("The result.", "CrossCheckResult"),
+          ...errorResponses(400, 404, 413),
+        },
+      },
+    },
+    "/jobs": {
+      post: {
+        summary: "Start a cross-check in the background",
+        security: ownerSecurity,
+        requestBody: filesRequestBody(crossCheckOptions),
+        responses: {
+          202: jsonResponse("The job was queued.", "JobCreated"),
+          ...errorResponses(400, 404, 413),
+        },
+      },
+    },
+    "/jobs/{id}": {
+      get: {
+        summary: "Job status",
+        security: ownerSecurity,
+        parameters: [idParameter("The job id.")],
+        responses: {
+          200: jsonResponse("The job.", "JobResponse"),
+          ...errorResponses(404),
+        },
+      },
+      delete: {
+        summary: "Cancel a queued or running job",
+        security: ownerSecurity,
+        parameters: [idParameter("The job id.")],
+        responses: {
+          200: jsonResponse("The cancelled job.", "JobResponse"),
+          ...errorResponses(404, 409),
+        },
+      },
+    },
+    "/jobs/{id}/events": {
+      get: {
+        summary: "Job status as server-sent events",
+        security: ownerSecurity,
+        description:
+          "Each event's data is a Job; the stream ends when the job finishes.",
+        parameters: [idParameter("The job id.")],
+        responses: {
+          200: {
+            description: "An event stream.",
+            content: { "text/event-stream": { schema: { type: "string" } } },
+          },
+          ...errorResponses(404),
+        },
+      },
+    },
+    "/runs": {
+      get: {
+        summary: "The requester's recorded runs, newest first",
+        security: ownerSecurity,
+        responses: {
+          200: jsonResponse("The runs.", "RunList"),
+          ...errorResponses(),
+        },
+      },
+    },
+    "/runs/{id}": {
+      get: {
+        summary: "A recorded run with its settings and full result",
+        security: ownerSecurity,
+        parameters: [idParameter("The run id.")],
+        responses: {
+          200: jsonResponse("The run.", "RunResponse"),
+          ...errorResponses(404),
+        },
+      },
+      delete: {
+        summary: "Delete a recorded run and its result files",
+        security: ownerSecurity,
+        parameters: [idParameter("The run id.")],
+        responses: {
+          200: jsonResponse("The run was deleted.", "Message"),
+          ...errorResponses(404),
+        },
+      },
+    },
+    "/runs/{id}/artifacts/{artifactId}": {
+      get: {
+        summary: "Download a result file of a run",
+        security: ownerSecurity,
+        parameters: [idParameter("The run id."), artifactIdParameter],
+        responses: {
+          200: fileResponse,
+          ...errorResponses(404),
+        },
+      },
+    },
+    "/runs/{id}/artifacts/{artifactId}/links": {
+      post: {
+        summary: "Create a signed download link",
+        security: ownerSecurity,
+        description:
+          "The link works without the run or artifact id until it expires; a single-use link works once.",
+        parameters: [idParameter("The run id."), artifactIdParameter],
+        requestBody: {
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                additionalProperties: false,
+                properties: {
+                  expiresInMinutes: {
+                    type: "integer",
+                    minimum: 1,
+                    maximum: 10080,
+                    default: 60,
+                  },
+                  singleUse: { type: "boolean", default: false },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: jsonResponse("The link.", "DownloadLink"),
+          ...errorResponses(400, 404),
+        },
+      },
+    },
+    "/downloads/{token}": {
+      get: {
+        summary: "Download a result file through a signed link",
+        parameters: [
+          {
+            name: "token",
+            in: "path",
+            required: true,
+            schema: { type: "string" },
+          },
+        ],
+        responses: {
+          200: fileResponse,
+          ...errorResponses(403, 404, 410),
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      ownerHeader: { type: "apiKey", in: "header", name: "X-Owner-Token" },
+      ownerCookie: { type: "apiKey", in: "cookie", name: "ownerToken" },
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["success", "code", "message"],
+        properties: {
+          success: { type: "boolean", enum: [false] },
+          code: { type: "string", enum: ERROR_CODES },
+          message: { type: "string" },
+          field: {
+            type: "string",
+            description:
+              "The request field at fault, for INVALID_FIELD and UNKNOWN_FIELD; fileA or fileB for errors about one of the files.",
+          },
+          fileAUploadId: {
+            type: "string",
+            nullable: true,
+            description: "POST /headers: the stored upload of File A, if any.",
+          },
+          fileBUploadId: { type: "string", nullable: true },
+          fileBUploadIds: { type: "array", items: { type: "string" } },
+        },
+      },
+      DownloadLink: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          url: { type: "string", description: "The download path." },
+          expiresAt: { type: "string", format: "date-time" },
+          singleUse: { type: "boolean" },
+        },
+      },
+      Message: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          message: { type: "string" },
+        },
+      },
+      TextFormat: {
+        type: "object",
+        properties: {
+          encoding: { type: "string", enum: TEXT_ENCODINGS },
+          bom: {
+            type: "boolean",
+            description: "Whether the file starts with a byte order mark.",
+          },
+          delimiter: {
+            type: "string",
+            nullable: true,
+            enum: [...Object.keys(CSV_DELIMITERS), null],
+            description:
+              "The field delimiter of a CSV file, or the delimiter a text file was split on; null for text read one value per line.",
+          },
+        },
+      },
+      FilterRule: {
+        type: "object",
+        required: ["column", "operator"],
+        properties: {
+          column: { type: "string" },
+          operator: {
+            type: "string",
+            enum: FILTER_OPERATORS,
+            description:
+              "Text operators ignore case and surrounding spaces. Date operators compare YYYY-MM-DD days; a cell that is not a date fails them.",
+          },
+          value: {
+            type: "string",
+            description:
+              "The text, regex or date (YYYY-MM-DD) to compare with.",
+          },
+          flags: {
+            type: "string",
+            description: "Flags of a regex rule (default 'i').",
+          },
+        },
+      },
+      ReferenceFile: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          uploadId: { type: "string" },
+          type: { type: "string", enum: ["structured", "plain_text"] },
+          rowCount: { type: "integer" },
+          textFormat: textFormatSchema,
+        },
+      },
+      ReferenceCounts: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          rowCount: { type: "integer" },
+          foundCount: {
+            type: "integer",
+            description: "File A rows whose key is in this file.",
+          },
+          onlyFoundCount: {
+            type: "integer",
+            description: "File A rows whose key is in this file and no other.",
+          },
+        },
+      },
+      Headers: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          headers: {
+            type: "array",
+            items: { type: "string" },
+            description:
+              "The columns of the structured files, or ['Line Content'] when both are text.",
+          },
+          fileAUploadId: { type: "string" },
+          fileBUploadId: {
+            type: "string",
+            description: "The stored upload of the first File B file.",
+          },
+          fileBUploadIds: { type: "array", items: { type: "string" } },
+          fileBFiles: {
+            type: "array",
+            items: { $ref: "#/components/schemas/ReferenceFile" },
+            description:
+              "Each File B reference file. The other fileB fields describe them together: all their headers, their total row count, and the first file's sheets and preview.",
+          },
+          fileAHeaders: { type: "array", items: { type: "string" } },
+          fileBHeaders: { type: "array", items: { type: "string" } },
+          fileASheets: { type: "array", items: { type: "string" } },
+          fileBSheets: { type: "array", items: { type: "string" } },
+          fileASheet: { type: "string", nullable: true },
+          fileBSheet: { type: "string", nullable: true },
+          fileAHeaderRow: { type: "integer", nullable: true },
+          fileBHeaderRow: { type: "integer", nullable: true },
+          fileATextFormat: textFormatSchema,
+          fileBTextFormat: textFormatSchema,
+          fileARowCount: { type: "integer" },
+          fileBRowCount: { type: "integer" },
+          fileAPreview: { type: "array", items: {} },
+          fileBPreview: { type: "array", items: {} },
+          fileAType: { type: "string", enum: ["structured", "plain_text"] },
+          fileBType: {
+            type: "string",
+            enum: ["structured", "plain_text"],
+            description:
+              "When one file is text, its lines are compared with a single column of the other file.",
+          },
+        },
+      },
+      CrossCheckResult: {
+        type: "object",
+        description:
+          "Counts, the first rows of each result set, and the names of the result files (null when a set is empty). Download the files from the paths in downloads.",
+        properties: {
+          success: { type: "boolean" },
+          message: { type: "string" },
+          historyId: {
+            type: "string",
+            description: "The id of the recorded run.",
+          },
+          file1Name: { type: "string" },
+          file2Name: {
+            type: "string",
+            description: "The File B reference files, separated by commas.",
+          },
+          references: {
+            type: "array",
+            nullable: true,
+            items: { $ref: "#/components/schemas/ReferenceCounts" },
+            description:
+              "Matches per reference file when File B is several files, else null. The missing set then holds the rows found in none of them.",
+          },
+          file1TextFormat: textFormatSchema,
+          file2TextFormat: textFormatSchema,
+          comparisonColumns: { type: "array", items: { type: "string" } },
+          comparisonColumnsB: { type: "array", items: { type: "string" } },
+          totalFile1Rows: { type: "integer" },
+          totalFile2Rows: { type: "integer" },
+          excluded: {
+            type: "object",
+            properties: {
+              fileA: { type: "integer" },
+              fileB: { type: "integer" },
+            },
+            description:
+              "Rows left out by the filters or, with excludeEmptyKeys, for an empty key. File A rows add up: found + missing + near matches + excluded = totalFile1Rows.",
+          },
+          unparsedDates: {
+            type: "object",
+            properties: {
+              fileA: { type: "integer" },
+              fileB: { type: "integer" },
+            },
+            description:
+              "Values of the date columns that fit none of their formats and were left as written.",
+          },
+          unparsedFilterDates: {
+            type: "object",
+            properties: {
+              fileA: { type: "integer" },
+              fileB: { type: "integer" },
+            },
+            description:
+              "Excluded rows whose cell a date filter could not read as a date: date filters read YYYY-MM-DD, or the formats given for the column in dateColumns.",
+          },
+          foundCount: { type: "integer" },
+          missingCount: { type: "integer" },
+          nearMatchCount: { type: "integer" },
+          bOnlyCount: { type: "integer" },
+          changedCount: { type: "integer" },
+          changedFieldCount: { type: "integer" },
+          missingContents: { type: "array", items: {} },
+          nearMatches: { type: "array", items: {} },
+          bOnlyContents: { type: "array", items: {} },
+          changedContents: { type: "array", items: {} },
+          streamed: {
+            type: "boolean",
+            description:
+              "True when large CSV or text files were compared as streams, File A against an index of the keys of every File B reference file.",
+          },
+          duplicates: {
+            type: "object",
+            description:
+              "Duplicate keys in each file. In a streamed run, File A's are only found among the keys File B holds (see duplicatesTruncated).",
+          },
+          duplicatesTruncated: {
+            type: "boolean",
+            description:
+              "True when the File A duplicate report is partial: a streamed run only looks for duplicate File A keys among the keys File B holds, and lists at most 100 row numbers for each.",
+          },
+          outputFormat: crossCheckOptions.outputFormat,
+          outputEncoding: {
+            type: "string",
+            nullable: true,
+            description:
+              "The encoding of CSV and TSV result files, e.g. 'utf-8 with BOM'; null for other formats.",
+          },
+          matchedCsvFilename: { type: "string", nullable: true },
+          missingCsvFilename: { type: "string", nullable: true },
+          nearCsvFilename: { type: "string", nullable: true },
+          bOnlyCsvFilename: { type: "string", nullable: true },
+          changedCsvFilename: { type: "string", nullable: true },
+          duplicatesCsvFilename: { type: "string", nullable: true },
+          workbookFilename: { type: "string", nullable: true },
+          downloads: {
+            type: "object",
+            additionalProperties: { type: "string" },
+            description:
+              "The download path of each result file, by kind (matched, missing, near, bOnly, changed, duplicates, workbook).",
+          },
+        },
+      },
+      Job: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          status: {
+            type: "string",
+            enum: ["queued", "running", "completed", "failed", "cancelled"],
+          },
+          file1Name: { type: "string" },
+          file2Name: { type: "string" },
+          createdAt: { type: "string", format: "date-time" },
+          startedAt: { type: "string", format: "date-time", nullable: true },
+          finishedAt: { type: "string", format: "date-time", nullable: true },
+          queuePosition: { type: "integer", nullable: true },
+          progress: {
+            type: "object",
+            properties: {
+              phase: { type: "string" },
+              rowsParsed: { type: "integer" },
+              rowsCompared: { type: "integer" },
+              totalRows: { type: "integer", nullable: true },
+              percent: { type: "integer" },
+              etaSeconds: { type: "integer", nullable: true },
+            },
+          },
+          message: { type: "string", nullable: true },
+          errorCode: {
+            type: "string",
+            nullable: true,
+            enum: [...ERROR_CODES, null],
+            description: "Why a failed job failed.",
+          },
+          errorField: {
+            type: "string",
+            nullable: true,
+            description:
+              "The file (fileA or fileB) or field a failed job failed on, if any.",
+          },
+          result: {
+            nullable: true,
+            allOf: [{ $ref: "#/components/schemas/CrossCheckResult" }],
+          },
+        },
+      },
+      JobCreated: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          jobId: { type: "string" },
+          job: { $ref: "#/components/schemas/Job" },
+        },
+      },
+      JobResponse: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          job: { $ref: "#/components/schemas/Job" },
+        },
+      },
+      RunSummary: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          createdAt: { type: "string", format: "date-time" },
+          expiresAt: { type: "string", format: "date-time" },
+          file1: fileSummary,
+          file2: fileSummary,
+          keyColumns: { type: "array", items: { type: "string" } },
+          keyColumnsB: { type: "array", items: { type: "string" } },
+          counts: {
+            type: "object",
+            additionalProperties: { type: "integer" },
+          },
+          artifacts: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                kind: { type: "string" },
+                filename: { type: "string" },
+                size: { type: "integer" },
+                url: { type: "string", description: "The download path." },
+              },
+            },
+          },
+        },
+      },
+      RunList: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          retentionDays: { type: "integer" },
+          maxRuns: { type: "integer" },
+          runs: {
+            type: "array",
+            items: { $ref: "#/components/schemas/RunSummary" },
+          },
+        },
+      },
+      RunResponse: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          run: {
+            allOf: [
+              { $ref: "#/components/schemas/RunSummary" },
+              {
+                type: "object",
+                properties: {
+                  options: { type: "object" },
+                  result: { $ref: "#/components/schemas/CrossCheckResult" },
+                },
+              },
+            ],
+          },
+        },
+      },
+    },
+  },
+};
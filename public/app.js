@@ -6,6 +6,10 @@ const crossCheckBtn = document.getElementById("crossCheckBtn");
 const messageBox = document.getElementById("messageBox");
 const resultsSection = document.getElementById("resultsSection");
 const resultsSummary = document.getElementById("resultsSummary");
+const downloadWorkbookSection = document.getElementById(
+  "downloadWorkbookSection"
+);
+const downloadWorkbookBtn = document.getElementById("downloadWorkbookBtn");
 const downloadMatchedSection = document.getElementById(
   "downloadMatchedSection"
 );
@@ -17,10 +21,76 @@ const downloadMissingBtn = document.getElementById("downloadMissingBtn");
 const missingContentsDisplay = document.getElementById(
   "missingContentsDisplay"
 );
+const downloadNearSection = document.getElementById("downloadNearSection");
+const downloadNearBtn = document.getElementById("downloadNearBtn");
+const nearMatchesDisplay = document.getElementById("nearMatchesDisplay");
+const diffSection = document.getElementById("diffSection");
+const vennSummary = document.getElementById("vennSummary");
+const bOnlySection = document.getElementById("bOnlySection");
+const downloadBOnlyBtn = document.getElementById("downloadBOnlyBtn");
+const bOnlyContentsDisplay = document.getElementById("bOnlyContentsDisplay");
+const changedSection = document.getElementById("changedSection");
+const downloadChangedBtn = document.getElementById("downloadChangedBtn");
+const changedContentsDisplay = document.getElementById(
+  "changedContentsDisplay"
+);
+const duplicatesSection = document.getElementById("duplicatesSection");
+const downloadDuplicatesBtn = document.getElementById("downloadDuplicatesBtn");
+const duplicatesDisplay = document.getElementById("duplicatesDisplay");
 const buttonText = document.getElementById("buttonText");
 const loadingSpinner = document.getElementById("loadingSpinner");
+const sheetASelect = document.getElementById("sheetASelect");
+const sheetBSelect = document.getElementById("sheetBSelect");
+const headerRowAInput = document.getElementById("headerRowAInput");
+const headerRowBInput = document.getElementById("headerRowBInput");
+const encodingASelect = document.getElementById("encodingASelect");
+const encodingBSelect = document.getElementById("encodingBSelect");
+const delimiterASelect = document.getElementById("delimiterASelect");
+const delimiterBSelect = document.getElementById("delimiterBSelect");
 const headerSelect = document.getElementById("headerSelect"); // Re-added
 const headerMessage = document.getElementById("headerMessage"); // New element for messages
+const filePreview = document.getElementById("filePreview");
+const keyColumnsList = document.getElementById("keyColumnsList");
+const identifierSafeInput = document.getElementById("identifierSafeInput");
+const identifierColumnsList = document.getElementById("identifierColumnsList");
+const dateColumnsList = document.getElementById("dateColumnsList");
+const normalizationOptions = document.getElementById("normalizationOptions");
+const regexPatternInput = document.getElementById("regexPatternInput");
+const regexReplacementInput = document.getElementById("regexReplacementInput");
+const excludeEmptyKeysInput = document.getElementById("excludeEmptyKeysInput");
+// Row filter rules and the button adding one, per file
+const filterLists = {
+  A: document.getElementById("filtersAList"),
+  B: document.getElementById("filtersBList"),
+};
+const addFilterButtons = {
+  A: document.getElementById("addFilterABtn"),
+  B: document.getElementById("addFilterBBtn"),
+};
+const matchModeSelect = document.getElementById("matchModeSelect");
+const fuzzyAlgorithmSelect = document.getElementById("fuzzyAlgorithmSelect");
+const fuzzyThresholdInput = document.getElementById("fuzzyThresholdInput");
+const duplicatePolicySelect = document.getElementById("duplicatePolicySelect");
+const outputFormatSelect = document.getElementById("outputFormatSelect");
+const outputEncodingSelect = document.getElementById("outputEncodingSelect");
+const fullDiffInput = document.getElementById("fullDiffInput");
+const detectChangesInput = document.getElementById("detectChangesInput");
+const compareColumnsList = document.getElementById("compareColumnsList");
+const outputColumnsList = document.getElementById("outputColumnsList");
+const appendColumnsBList = document.getElementById("appendColumnsBList");
+const includeRowNumbersInput = document.getElementById(
+  "includeRowNumbersInput"
+);
+const jobProgress = document.getElementById("jobProgress");
+const jobPhase = document.getElementById("jobPhase");
+const jobDetails = document.getElementById("jobDetails");
+const progressBar = document.getElementById("progressBar");
+const cancelJobBtn = document.getElementById("cancelJobBtn");
+// Error messages shown next to each file input, by the input's field name
+const fileErrors = {
+  fileA: document.getElementById("fileAError"),
+  fileB: document.getElementById("fileBError"),
+};
 
 /**
  * Displays a message in the message box.
@@ -58,6 +128,32 @@ function hideMessage() {
   messageBox.textContent = "";
 }
 
+/**
+ * Shows an error from the server. Errors about one of the files (field
+ * 'fileA' or 'fileB') go next to that file's input, others to the message box.
+ * @param {string} message The error message.
+ * @param {string} [field] The field the server named as the cause.
+ */
+function showError(message, field) {
+  const fileError = fileErrors[field];
+  if (!fileError) {
+    showMessage(message, true);
+    return;
+  }
+  fileError.textContent = message;
+  fileError.classList.remove("hidden");
+}
+
+/**
+ * Hides the errors shown next to the file inputs.
+ */
+function hideFileErrors() {
+  for (const fileError of Object.values(fileErrors)) {
+    fileError.textContent = "";
+    fileError.classList.add("hidden");
+  }
+}
+
 /**
  * Shows the loading indicator.
  * @param {string} text The text to display next to the spinner.
@@ -85,6 +181,657 @@ function hideLoading() {
   // headerSelect.disabled = false; // Re-enable after cross-check, if applicable
 }
 
+// Ordered list of key column pairs: { fileA: "<File A column>", fileB: "<File B column>" }
+let selectedKeyColumns = [];
+// Headers of File B, used to map each File A key column
+let fileBHeaders = [];
+// "A" or "B" when that file is plain text and the other is structured: its
+// lines are then compared with one column of the other file
+let textSide = null;
+// The key of a text file's lines (matches the server)
+const LINE_CONTENT = "Line Content";
+// Row filters of each file: { column, operator, value } rules a row must all pass
+const filterRules = { A: [], B: [] };
+// The columns each file's filters can test
+const filterColumns = { A: [], B: [] };
+// The filter operators the server accepts, as shown in the form
+const FILTER_OPERATORS = {
+  equals: "equals",
+  notEquals: "does not equal",
+  contains: "contains",
+  notContains: "does not contain",
+  regex: "matches regex",
+  notRegex: "does not match regex",
+  after: "is after",
+  onOrAfter: "is on or after",
+  before: "is before",
+  onOrBefore: "is on or before",
+};
+// Ids of the files stored on the server, so each file is only uploaded once.
+// File B may be several reference files.
+const uploadIds = { A: null, B: [] };
+
+/**
+ * Guesses the File B column that corresponds to a File A column.
+ * @param {string} column The File A column name.
+ * @returns {string} The best matching File B header, or "" if none looks right.
+ */
+function guessFileBColumn(column) {
+  const lower = column.toLowerCase();
+  return (
+    fileBHeaders.find((header) => header === column) ||
+    fileBHeaders.find((header) => header.toLowerCase() === lower) ||
+    fileBHeaders.find((header) => header.toLowerCase().includes(lower)) ||
+    fileBHeaders.find((header) => lower.includes(header.toLowerCase())) ||
+    ""
+  );
+}
+
+/**
+ * Renders the selected key columns as removable chips, each with a File B
+ * column picker, and updates the cross-check button state.
+ */
+function renderKeyColumns() {
+  keyColumnsList.innerHTML = "";
+  selectedKeyColumns.forEach((pair, index) => {
+    const chip = document.createElement("span");
+    chip.className = "key-column-chip";
+    chip.appendChild(document.createTextNode(`${index + 1}. ${pair.fileA} ↔`));
+
+    const mappingSelect = document.createElement("select");
+    mappingSelect.title = `File B column compared with '${pair.fileA}'`;
+    mappingSelect.appendChild(new Option("Choose File B column...", ""));
+    fileBHeaders.forEach((header) => {
+      mappingSelect.appendChild(new Option(header, header));
+    });
+    mappingSelect.value = pair.fileB;
+    mappingSelect.addEventListener("change", () => {
+      pair.fileB = mappingSelect.value;
+      renderKeyColumns();
+    });
+    chip.appendChild(mappingSelect);
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.textContent = "×";
+    removeBtn.title = `Remove '${pair.fileA}' from the match key`;
+    removeBtn.addEventListener("click", () => {
+      selectedKeyColumns = selectedKeyColumns.filter((p) => p !== pair);
+      renderKeyColumns();
+    });
+    chip.appendChild(removeBtn);
+    keyColumnsList.appendChild(chip);
+  });
+  if (!headerSelect.disabled) {
+    crossCheckBtn.disabled =
+      selectedKeyColumns.length === 0 ||
+      selectedKeyColumns.some((pair) => pair.fileB === "");
+  }
+}
+
+/**
+ * Fills the identifier column checkbox list with the given headers.
+ * @param {Array<string>} headers The headers to offer, or an empty array to reset the list.
+ * @param {string} emptyText The text shown when there are no headers.
+ */
+function populateIdentifierColumns(headers, emptyText) {
+  identifierColumnsList.innerHTML = "";
+  if (headers.length === 0) {
+    const message = document.createElement("p");
+    message.className = "header-loading-message";
+    message.textContent = emptyText;
+    identifierColumnsList.appendChild(message);
+    return;
+  }
+  headers.forEach((header) => {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = header;
+    // Pre-select columns that look like product/recording codes
+    checkbox.checked = /\b(upc|ean|isrc|gtin|barcode)\b/i.test(header);
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(header));
+    identifierColumnsList.appendChild(label);
+  });
+}
+
+/**
+ * Returns the headers ticked in the identifier column list.
+ * @returns {Array<string>} The selected identifier columns.
+ */
+function getIdentifierColumns() {
+  return Array.from(
+    identifierColumnsList.querySelectorAll("input[type=checkbox]:checked")
+  ).map((checkbox) => checkbox.value);
+}
+
+// The date formats offered for a date column; mixed columns try each format in turn
+const DATE_FORMAT_CHOICES = {
+  "": "Not a date",
+  iso: "YYYY-MM-DD",
+  dmy: "Day first (DD/MM/YYYY)",
+  mdy: "Month first (MM/DD/YYYY)",
+  excelSerial: "Excel serial number",
+  "iso,dmy,excelSerial": "Mixed, day first",
+  "iso,mdy,excelSerial": "Mixed, month first",
+};
+
+/**
+ * Fills the date column list with the given headers, each with a format picker.
+ * @param {Array<string>} headers The headers to offer, or an empty array to reset the list.
+ * @param {string} emptyText The text shown when there are no headers.
+ */
+function populateDateColumns(headers, emptyText) {
+  dateColumnsList.innerHTML = "";
+  if (headers.length === 0) {
+    const message = document.createElement("p");
+    message.className = "header-loading-message";
+    message.textContent = emptyText;
+    dateColumnsList.appendChild(message);
+    return;
+  }
+  headers.forEach((header) => {
+    const label = document.createElement("label");
+    const select = document.createElement("select");
+    select.dataset.column = header;
+    Object.entries(DATE_FORMAT_CHOICES).forEach(([formats, text]) => {
+      select.appendChild(new Option(text, formats));
+    });
+    label.appendChild(document.createTextNode(header));
+    label.appendChild(select);
+    dateColumnsList.appendChild(label);
+  });
+}
+
+/**
+ * Returns the date columns and their formats.
+ * @returns {Object} The formats of each column given a date format.
+ */
+function getDateColumns() {
+  const dateColumns = {};
+  dateColumnsList.querySelectorAll("select").forEach((select) => {
+    if (select.value !== "") {
+      dateColumns[select.dataset.column] = select.value.split(",");
+    }
+  });
+  return dateColumns;
+}
+
+/**
+ * Fills the compared-columns checkbox list with the headers both files share,
+ * all ticked by default.
+ * @param {Array<string>} headers The shared headers, or an empty array to reset the list.
+ * @param {string} emptyText The text shown when there are no shared headers.
+ */
+function populateCompareColumns(headers, emptyText) {
+  compareColumnsList.innerHTML = "";
+  if (headers.length === 0) {
+    const message = document.createElement("p");
+    message.className = "header-loading-message";
+    message.textContent = emptyText;
+    compareColumnsList.appendChild(message);
+    return;
+  }
+  headers.forEach((header) => {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = header;
+    checkbox.checked = true;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(header));
+    compareColumnsList.appendChild(label);
+  });
+}
+
+/**
+ * Returns the columns to compare on matched rows. An empty list means "all
+ * shared columns", which lets the server leave out the key columns.
+ * @returns {Array<string>} The selected columns, or [] when all are ticked.
+ */
+function getCompareColumns() {
+  const checkboxes = Array.from(
+    compareColumnsList.querySelectorAll("input[type=checkbox]")
+  );
+  const selected = checkboxes.filter((checkbox) => checkbox.checked);
+  if (selected.length === checkboxes.length) {
+    return [];
+  }
+  return selected.map((checkbox) => checkbox.value);
+}
+
+/**
+ * Fills the output column checkbox lists: the File A columns written to the
+ * result files, all ticked by default, and the File B columns added to
+ * matched rows, none ticked.
+ * @param {Array<string>} headersA The File A columns, or an empty array to reset the lists.
+ * @param {Array<string>} headersB The File B columns.
+ * @param {string} emptyText The text shown when there are no columns.
+ */
+function populateOutputColumns(headersA, headersB, emptyText) {
+  [
+    [outputColumnsList, headersA, true],
+    [appendColumnsBList, headersB, false],
+  ].forEach(([list, headers, checked]) => {
+    list.innerHTML = "";
+    if (headers.length === 0) {
+      const message = document.createElement("p");
+      message.className = "header-loading-message";
+      message.textContent = emptyText;
+      list.appendChild(message);
+      return;
+    }
+    headers.forEach((header) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = header;
+      checkbox.checked = checked;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(header));
+      list.appendChild(label);
+    });
+  });
+}
+
+/**
+ * Returns the File A columns to write to the result files. An empty list
+ * means all of them, in file order.
+ * @returns {Array<string>} The selected columns, or [] when all are ticked.
+ */
+function getOutputColumns() {
+  const checkboxes = Array.from(
+    outputColumnsList.querySelectorAll("input[type=checkbox]")
+  );
+  const selected = checkboxes.filter((checkbox) => checkbox.checked);
+  if (selected.length === checkboxes.length) {
+    return [];
+  }
+  return selected.map((checkbox) => checkbox.value);
+}
+
+/**
+ * Returns the File B columns ticked to be added to matched rows.
+ * @returns {Array<string>} The selected columns.
+ */
+function getAppendColumnsB() {
+  return Array.from(
+    appendColumnsBList.querySelectorAll("input[type=checkbox]:checked")
+  ).map((checkbox) => checkbox.value);
+}
+
+/**
+ * Renders the filter rules of one file, each with its column, operator and
+ * value inputs and a remove button.
+ * @param {string} side "A" or "B".
+ */
+function renderFilters(side) {
+  const list = filterLists[side];
+  list.innerHTML = "";
+  filterRules[side].forEach((rule) => {
+    const row = document.createElement("div");
+    row.className = "filter-rule";
+    row.appendChild(document.createTextNode(`File ${side}:`));
+
+    const columnSelect = document.createElement("select");
+    filterColumns[side].forEach((column) => {
+      columnSelect.appendChild(new Option(column, column));
+    });
+    columnSelect.value = rule.column;
+    columnSelect.addEventListener("change", () => {
+      rule.column = columnSelect.value;
+    });
+    row.appendChild(columnSelect);
+
+    const operatorSelect = document.createElement("select");
+    Object.entries(FILTER_OPERATORS).forEach(([operator, label]) => {
+      operatorSelect.appendChild(new Option(label, operator));
+    });
+    operatorSelect.value = rule.operator;
+    row.appendChild(operatorSelect);
+
+    const valueInput = document.createElement("input");
+    valueInput.type = "text";
+    valueInput.value = rule.value;
+    const updatePlaceholder = () => {
+      valueInput.placeholder = [
+        "after",
+        "onOrAfter",
+        "before",
+        "onOrBefore",
+      ].includes(rule.operator)
+        ? "YYYY-MM-DD"
+        : "Value";
+    };
+    updatePlaceholder();
+    valueInput.addEventListener("input", () => {
+      rule.value = valueInput.value;
+    });
+    operatorSelect.addEventListener("change", () => {
+      rule.operator = operatorSelect.value;
+      updatePlaceholder();
+    });
+    row.appendChild(valueInput);
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.textContent = "×";
+    removeBtn.title = "Remove this filter";
+    removeBtn.addEventListener("click", () => {
+      filterRules[side] = filterRules[side].filter((r) => r !== rule);
+      renderFilters(side);
+    });
+    row.appendChild(removeBtn);
+    list.appendChild(row);
+  });
+  addFilterButtons[side].disabled = filterColumns[side].length === 0;
+}
+
+/**
+ * Sets the columns a file's filters can test, dropping rules on columns the
+ * file no longer has.
+ * @param {string} side "A" or "B".
+ * @param {Array<string>} columns The columns, or an empty array to reset the filters.
+ */
+function setFilterColumns(side, columns) {
+  filterColumns[side] = columns;
+  filterRules[side] = filterRules[side].filter((rule) =>
+    columns.includes(rule.column)
+  );
+  renderFilters(side);
+}
+
+["A", "B"].forEach((side) => {
+  addFilterButtons[side].addEventListener("click", () => {
+    filterRules[side].push({
+      column: filterColumns[side][0],
+      operator: "equals",
+      value: "",
+    });
+    renderFilters(side);
+  });
+});
+
+/**
+ * Collects the normalization settings from the form.
+ * @returns {Object} The settings, keyed by normalization step.
+ */
+function getNormalizationOptions() {
+  const settings = {};
+  normalizationOptions
+    .querySelectorAll("input[data-normalize]")
+    .forEach((checkbox) => {
+      settings[checkbox.dataset.normalize] = checkbox.checked;
+    });
+  settings.regexPattern = regexPatternInput.value;
+  settings.regexReplacement = regexReplacementInput.value;
+  return settings;
+}
+
+/**
+ * Describes the normalization steps that were applied, for the results summary.
+ * @param {Object} normalization The settings echoed back by the server.
+ * @returns {string} A comma-separated list of steps, or "none".
+ */
+function describeNormalization(normalization) {
+  if (!normalization) return "none";
+  const labels = {
+    trim: "trim",
+    collapseWhitespace: "collapse whitespace",
+    caseFold: "ignore case",
+    unicodeNFKC: "Unicode NFKC",
+    stripPunctuation: "strip punctuation",
+    digitsOnly: "digits only",
+    removeLeadingZeros: "remove leading zeros",
+  };
+  const steps = Object.keys(labels)
+    .filter((key) => normalization[key])
+    .map((key) => labels[key]);
+  if (normalization.regexPattern) {
+    steps.push(
+      `replace /${normalization.regexPattern}/${normalization.regexFlags} with '${normalization.regexReplacement}'`
+    );
+  }
+  return steps.length > 0 ? steps.join(", ") : "none";
+}
+
+/**
+ * Reports which header rows were detected for files set to 'auto', so the
+ * user can check the guess before comparing.
+ * @param {Object} result The /api/v1/headers response.
+ * @returns {string} e.g. "Header row detected: File A row 4.", or "".
+ */
+function describeDetectedHeaderRows(result) {
+  const detected = [];
+  if (isAutoHeaderRow(headerRowAInput) && result.fileAHeaderRow) {
+    detected.push(`File A row ${result.fileAHeaderRow}`);
+  }
+  if (isAutoHeaderRow(headerRowBInput) && result.fileBHeaderRow) {
+    detected.push(`File B row ${result.fileBHeaderRow}`);
+  }
+  return detected.length > 0
+    ? `Header row detected: ${detected.join(", ")}.`
+    : "";
+}
+
+/**
+ * @param {HTMLInputElement} input A header row input.
+ * @returns {boolean} True if the header row is set to be detected.
+ */
+function isAutoHeaderRow(input) {
+  return input.value.trim().toLowerCase() === "auto";
+}
+
+// Sheet option value that stacks every worksheet (matches the server)
+const ALL_SHEETS = "__all__";
+
+/**
+ * Fills a sheet picker with the worksheets of an uploaded workbook. The
+ * picker is only shown when there is more than one sheet to choose from.
+ * @param {HTMLSelectElement} select The sheet picker.
+ * @param {Array<string>} sheets The workbook's sheet names.
+ * @param {string} current The sheet that was read.
+ */
+function populateSheetSelect(select, sheets, current) {
+  select.innerHTML = "";
+  if (!sheets || sheets.length === 0) {
+    select.classList.add("hidden");
+    return;
+  }
+  sheets.forEach((sheet) => {
+    select.appendChild(new Option(`Sheet: ${sheet}`, sheet));
+  });
+  if (sheets.length > 1) {
+    select.appendChild(new Option("All sheets (stacked)", ALL_SHEETS));
+  }
+  select.value = current || sheets[0];
+  select.classList.toggle("hidden", sheets.length < 2);
+}
+
+/**
+ * Shows the encoding and delimiter pickers of a file when it is CSV or text.
+ * The pickers keep the user's choice; what was detected is shown in the
+ * preview (see describeTextFormat). For a text file the delimiter splits its
+ * lines into columns, and by default they are not split.
+ * @param {HTMLSelectElement} encodingSelect The file's encoding picker.
+ * @param {HTMLSelectElement} delimiterSelect The file's delimiter picker.
+ * @param {Object|null} textFormat { encoding, bom, delimiter } from the server, null for workbooks.
+ * @param {boolean} isText True if the file is a .txt file.
+ */
+function showTextFormatSelects(
+  encodingSelect,
+  delimiterSelect,
+  textFormat,
+  isText
+) {
+  encodingSelect.classList.toggle("hidden", !textFormat);
+  delimiterSelect.classList.toggle("hidden", !textFormat);
+  delimiterSelect.options[0].textContent = isText
+    ? "Split lines: no"
+    : "Delimiter: auto";
+  delimiterSelect.title = isText
+    ? "Character to split each line of the text file into columns (Column_1, Column_2, ...). By default each line is one value."
+    : "Character separating the fields of the CSV file. Auto detects it from the file.";
+}
+
+/**
+ * @param {File} file A chosen file.
+ * @returns {boolean} True for a .txt file.
+ */
+function isTextFile(file) {
+  return /\.txt$/i.test(file.name);
+}
+
+/**
+ * Resets a file's encoding and delimiter pickers to detection.
+ * @param {HTMLSelectElement} encodingSelect The file's encoding picker.
+ * @param {HTMLSelectElement} delimiterSelect The file's delimiter picker.
+ */
+function resetTextFormatSelects(encodingSelect, delimiterSelect) {
+  encodingSelect.value = "auto";
+  delimiterSelect.value = "auto";
+  showTextFormatSelects(encodingSelect, delimiterSelect, null);
+}
+
+/**
+ * Describes how a CSV or text file is read.
+ * @param {Object|null} textFormat { encoding, bom, delimiter }, null for workbooks.
+ * @returns {string} e.g. "windows-1252, semicolon-delimited", or "" for workbooks.
+ */
+function describeTextFormat(textFormat) {
+  if (!textFormat) return "";
+  const parts = [
+    textFormat.bom ? `${textFormat.encoding} with BOM` : textFormat.encoding,
+  ];
+  if (textFormat.delimiter) parts.push(`${textFormat.delimiter}-delimited`);
+  return parts.join(", ");
+}
+
+/**
+ * Describes a compared file for the results summary, including its sheet.
+ * @param {string} fileName The uploaded file name.
+ * @param {string|null} sheet The sheet that was read, if any.
+ * @returns {string} e.g. "'catalogue.xlsx', sheet 'Q2'".
+ */
+function describeSource(fileName, sheet) {
+  if (!sheet) return `'${fileName}'`;
+  if (sheet === ALL_SHEETS) return `'${fileName}', all sheets`;
+  return `'${fileName}', sheet '${sheet}'`;
+}
+
+/**
+ * Adds File A and the File B reference files to a request: the ids of the
+ * stored uploads when the server has the files already, the files otherwise.
+ * @param {FormData} formData The request body.
+ */
+function appendFiles(formData) {
+  if (uploadIds.A) {
+    formData.append("uploadIdA", uploadIds.A);
+  } else {
+    formData.append("fileA", file1Input.files[0]);
+  }
+  if (uploadIds.B.length > 0) {
+    uploadIds.B.forEach((uploadId) => formData.append("uploadIdB", uploadId));
+  } else {
+    for (const file of file2Input.files) formData.append("fileB", file);
+  }
+}
+
+/**
+ * Posts a request that carries both files. If a stored upload has expired
+ * the request is sent once more with the files themselves.
+ * @param {string} url The endpoint.
+ * @param {function(): FormData} buildFormData Builds the request body.
+ * @returns {Promise<Response>} The response.
+ */
+async function postWithFiles(url, buildFormData) {
+  const response = await fetch(url, { method: "POST", body: buildFormData() });
+  if (response.status !== 404 || (!uploadIds.A && uploadIds.B.length === 0)) {
+    return response;
+  }
+  const error = await response
+    .clone()
+    .json()
+    .catch(() => ({}));
+  if (error.code !== "UPLOAD_EXPIRED") {
+    return response;
+  }
+  uploadIds.A = null;
+  uploadIds.B = [];
+  return fetch(url, { method: "POST", body: buildFormData() });
+}
+
+/**
+ * Discards the stored uploads of files that were replaced or removed.
+ * @param {string} side "A" or "B".
+ */
+function releaseUpload(side) {
+  const stored = side === "B" ? uploadIds.B : [uploadIds.A].filter(Boolean);
+  for (const uploadId of stored) {
+    fetch(`/api/v1/uploads/${uploadId}`, { method: "DELETE" });
+  }
+  uploadIds[side] = side === "B" ? [] : null;
+}
+
+/**
+ * Shows the row count and first rows of each file, so the user can check the
+ * sheet and header row before picking columns.
+ * @param {Object} result The /api/v1/headers response.
+ */
+function renderFilePreview(result) {
+  const renderFile = (label, name, headers, rowCount, preview, textFormat) => {
+    const format = describeTextFormat(textFormat);
+    const title = `<h4 class="font-semibold text-gray-700 mt-2">${label} ('${name}'${
+      format ? `, read as ${format}` : ""
+    }): ${rowCount.toLocaleString()} rows</h4>`;
+    if (preview.length === 0) {
+      return `${title}<p class="header-loading-message">No rows.</p>`;
+    }
+    if (headers.length === 0) {
+      return `${title}<div class="content-list-container">${renderItemsHtml(
+        preview
+      )}</div>`;
+    }
+    const headerCells = headers.map((header) => `<th>${header}</th>`).join("");
+    const bodyRows = preview
+      .map(
+        (row) =>
+          `<tr>${headers
+            .map((header) => `<td>${row[header] ?? ""}</td>`)
+            .join("")}</tr>`
+      )
+      .join("");
+    return `${title}<div class="content-list-container"><table class="changes-table"><thead><tr>${headerCells}</tr></thead><tbody>${bodyRows}</tbody></table></div>`;
+  };
+  filePreview.innerHTML =
+    renderFile(
+      "File A",
+      file1Input.files[0].name,
+      result.fileAHeaders,
+      result.fileARowCount,
+      result.fileAPreview,
+      result.fileATextFormat
+    ) +
+    renderFile(
+      "File B",
+      file2Input.files[0].name,
+      result.fileBHeaders,
+      result.fileBRowCount,
+      result.fileBPreview,
+      result.fileBTextFormat
+    );
+  // With several reference files the File B preview is of the first one
+  const references = result.fileBFiles || [];
+  if (references.length > 1) {
+    const counts = references
+      .map((file) => `'${file.name}': ${file.rowCount.toLocaleString()} rows`)
+      .join(" · ");
+    filePreview.innerHTML += `<p class="header-loading-message">${references.length} reference files (${counts}). The preview shows the first one.</p>`;
+  }
+  filePreview.classList.remove("hidden");
+}
+
 /**
  * Fetches headers from the server and populates the dropdown.
  */
@@ -92,12 +839,25 @@ async function fetchAndPopulateHeaders() {
   const file1 = file1Input.files[0];
   const file2 = file2Input.files[0];
 
+  selectedKeyColumns = [];
+  fileBHeaders = [];
+  textSide = null;
+  renderKeyColumns();
+  filePreview.classList.add("hidden");
+  hideFileErrors();
+
   if (!file1 || !file2) {
     headerSelect.innerHTML =
       '<option value="">Upload both files to load options...</option>';
     headerSelect.disabled = true;
     crossCheckBtn.disabled = true;
     headerMessage.textContent = "";
+    populateIdentifierColumns([], "Upload both files to load columns...");
+    populateDateColumns([], "Upload both files to load columns...");
+    populateCompareColumns([], "Upload both files to load shared columns...");
+    setFilterColumns("A", []);
+    setFilterColumns("B", []);
+    populateOutputColumns([], [], "Upload both files to load columns...");
     return;
   }
 
@@ -108,43 +868,122 @@ async function fetchAndPopulateHeaders() {
   headerMessage.textContent = "Fetching column headers...";
   hideMessage();
 
-  const formData = new FormData();
-  formData.append("fileA", file1);
-  formData.append("fileB", file2);
+  const buildFormData = () => {
+    const formData = new FormData();
+    appendFiles(formData);
+    formData.append("sheetA", sheetASelect.value);
+    formData.append("sheetB", sheetBSelect.value);
+    formData.append("headerRowA", headerRowAInput.value);
+    formData.append("headerRowB", headerRowBInput.value);
+    formData.append("encodingA", encodingASelect.value);
+    formData.append("encodingB", encodingBSelect.value);
+    formData.append("delimiterA", delimiterASelect.value);
+    formData.append("delimiterB", delimiterBSelect.value);
+    return formData;
+  };
 
   try {
-    const response = await fetch("/get-headers", {
-      method: "POST",
-      body: formData,
-    });
+    const response = await postWithFiles("/api/v1/headers", buildFormData);
     const result = await response.json();
+    // Later requests refer to the stored files instead of uploading them again
+    uploadIds.A = result.fileAUploadId || null;
+    uploadIds.B = result.fileBUploadIds || [];
 
     if (result.success) {
+      renderFilePreview(result);
+      populateSheetSelect(sheetASelect, result.fileASheets, result.fileASheet);
+      populateSheetSelect(sheetBSelect, result.fileBSheets, result.fileBSheet);
+      showTextFormatSelects(
+        encodingASelect,
+        delimiterASelect,
+        result.fileATextFormat,
+        isTextFile(file1)
+      );
+      showTextFormatSelects(
+        encodingBSelect,
+        delimiterBSelect,
+        result.fileBTextFormat,
+        Array.from(file2Input.files).every(isTextFile)
+      );
+      const isStructuredA = result.fileAType === "structured";
+      const isStructuredB = result.fileBType === "structured";
+      textSide = null;
+      if (isStructuredA !== isStructuredB) textSide = isStructuredA ? "B" : "A";
+      setFilterColumns(
+        "A",
+        isStructuredA ? result.fileAHeaders || [] : [LINE_CONTENT]
+      );
+      setFilterColumns(
+        "B",
+        isStructuredB ? result.fileBHeaders || [] : [LINE_CONTENT]
+      );
+      populateOutputColumns(
+        isStructuredA ? result.fileAHeaders || [] : [LINE_CONTENT],
+        isStructuredB ? result.fileBHeaders || [] : [LINE_CONTENT],
+        ""
+      );
       headerSelect.innerHTML = ""; // Clear existing options
       if (result.headers && result.headers.length > 0) {
-        if (result.fileAType === "structured") {
-          headerSelect.appendChild(new Option("Select a column...", "")); // Prompt for selection
-          result.headers.forEach((header) => {
+        if (textSide) {
+          // One column of the structured file is compared with the text lines
+          const structuredLabel = textSide === "A" ? "File B" : "File A";
+          headerSelect.appendChild(
+            new Option(`Choose the ${structuredLabel} column...`, "")
+          );
+          fileBHeaders = isStructuredB
+            ? result.fileBHeaders || []
+            : [LINE_CONTENT];
+          (isStructuredA ? result.fileAHeaders : result.fileBHeaders).forEach(
+            (header) => {
+              headerSelect.appendChild(new Option(header, header));
+            }
+          );
+          headerSelect.disabled = false;
+          headerMessage.textContent = [
+            `Each line of File ${textSide} is compared with the ${structuredLabel} column you choose.`,
+            describeDetectedHeaderRows(result),
+          ]
+            .join(" ")
+            .trim();
+          populateIdentifierColumns(result.headers, "");
+          populateDateColumns(result.headers, "");
+          populateCompareColumns(
+            [],
+            "Text lines have no other columns to compare."
+          );
+        } else if (isStructuredA) {
+          headerSelect.appendChild(new Option("Add a key column...", "")); // Prompt for selection
+          fileBHeaders = result.fileBHeaders || [];
+          (result.fileAHeaders || result.headers).forEach((header) => {
             headerSelect.appendChild(new Option(header, header));
           });
           headerSelect.disabled = false;
-          headerMessage.textContent = "";
+          headerMessage.textContent = describeDetectedHeaderRows(result);
+          populateIdentifierColumns(result.headers, "");
+          populateDateColumns(result.headers, "");
+          populateCompareColumns(
+            (result.fileAHeaders || []).filter((header) =>
+              fileBHeaders.includes(header)
+            ),
+            "The files share no column names."
+          );
         } else {
           // Plain text files
-          headerSelect.appendChild(new Option("Line Content", "Line Content"));
+          headerSelect.appendChild(new Option(LINE_CONTENT, LINE_CONTENT));
           headerSelect.disabled = true; // Disable selection as it's line-by-line
           headerMessage.textContent =
             "Comparison will be line-by-line for text files.";
+          populateIdentifierColumns(
+            [],
+            "Text lines are always compared as exact text."
+          );
+          populateDateColumns([], "Text lines are compared as written.");
+          populateCompareColumns([], "Text lines have no other columns.");
           crossCheckBtn.disabled = false; // Enable cross-check button immediately
         }
-        // If it's structured, crossCheckBtn remains disabled until a column is selected
-        if (result.fileAType === "structured" && headerSelect.value === "") {
-          crossCheckBtn.disabled = true;
-        } else if (
-          result.fileAType === "structured" &&
-          headerSelect.value !== ""
-        ) {
-          crossCheckBtn.disabled = false;
+        // If either file is structured, crossCheckBtn remains disabled until a column is selected
+        if (isStructuredA || isStructuredB) {
+          renderKeyColumns();
         }
       } else {
         headerSelect.innerHTML =
@@ -154,7 +993,7 @@ async function fetchAndPopulateHeaders() {
         headerMessage.textContent = "No suitable headers found for comparison.";
       }
     } else {
-      showMessage(result.message, true);
+      showError(result.message, result.field);
       headerSelect.innerHTML =
         '<option value="">Error loading headers.</option>';
       headerSelect.disabled = true;
@@ -172,38 +1011,507 @@ async function fetchAndPopulateHeaders() {
   }
 }
 
-// Event listeners for file input changes to trigger header loading
-file1Input.addEventListener("change", fetchAndPopulateHeaders);
-file2Input.addEventListener("change", fetchAndPopulateHeaders);
+// Event listeners for file input changes to trigger header loading; a new
+// file starts again from its first sheet
+file1Input.addEventListener("change", () => {
+  releaseUpload("A");
+  populateSheetSelect(sheetASelect, [], "");
+  resetTextFormatSelects(encodingASelect, delimiterASelect);
+  fetchAndPopulateHeaders();
+});
+file2Input.addEventListener("change", () => {
+  releaseUpload("B");
+  populateSheetSelect(sheetBSelect, [], "");
+  resetTextFormatSelects(encodingBSelect, delimiterBSelect);
+  fetchAndPopulateHeaders();
+});
+// Picking another sheet changes the available headers
+sheetASelect.addEventListener("change", fetchAndPopulateHeaders);
+sheetBSelect.addEventListener("change", fetchAndPopulateHeaders);
+// So does reading the headers from another row
+headerRowAInput.addEventListener("change", fetchAndPopulateHeaders);
+headerRowBInput.addEventListener("change", fetchAndPopulateHeaders);
+// And reading a file with another encoding or delimiter
+encodingASelect.addEventListener("change", fetchAndPopulateHeaders);
+encodingBSelect.addEventListener("change", fetchAndPopulateHeaders);
+delimiterASelect.addEventListener("change", fetchAndPopulateHeaders);
+delimiterBSelect.addEventListener("change", fetchAndPopulateHeaders);
 
-// Event listener for header selection change to enable/disable button
+// Event listener for header selection: each pick appends a column to the match
+// key. Against a text file there is a single key column, which a pick replaces.
 headerSelect.addEventListener("change", () => {
-  // Enable cross-check button only if a header is selected (and it's not the placeholder)
+  const column = headerSelect.value;
+  if (column !== "" && textSide === "A") {
+    selectedKeyColumns = [{ fileA: LINE_CONTENT, fileB: column }];
+  } else if (column !== "" && textSide === "B") {
+    selectedKeyColumns = [{ fileA: column, fileB: LINE_CONTENT }];
+  } else if (
+    column !== "" &&
+    !selectedKeyColumns.some((pair) => pair.fileA === column)
+  ) {
+    selectedKeyColumns.push({ fileA: column, fileB: guessFileBColumn(column) });
+  }
+  headerSelect.value = ""; // Reset to the prompt so the next column can be added
+  renderKeyColumns();
+});
+
+// Fuzzy settings only apply in fuzzy match mode
+matchModeSelect.addEventListener("change", () => {
+  const isFuzzy = matchModeSelect.value === "fuzzy";
+  fuzzyAlgorithmSelect.disabled = !isFuzzy;
+  fuzzyThresholdInput.disabled = !isFuzzy;
+});
+
+/**
+ * Renders the near match preview: each File A item with its best File B
+ * candidate and similarity score.
+ * @param {Array<Object>} nearMatches The preview items ({ item, candidate, score }).
+ */
+function renderNearMatches(nearMatches) {
+  nearMatchesDisplay.innerHTML = nearMatches
+    .map((near) => {
+      let itemDetails = "";
+      if (typeof near.item === "object" && near.item !== null) {
+        for (const key in near.item) {
+          if (Object.hasOwnProperty.call(near.item, key)) {
+            itemDetails += `<p><strong>${key}:</strong> <span>${near.item[key]}</span></p>`;
+          }
+        }
+      } else {
+        itemDetails = `<p><strong>File A:</strong> <span>${near.item}</span></p>`;
+      }
+      const scorePercent = Math.round(near.score * 100);
+      return `<div class="missing-item">
+                <span class="near-match-score">${scorePercent}%</span>
+                ${itemDetails}
+                <p><strong>Closest in File B:</strong> <span>${near.candidate}</span></p>
+              </div>`;
+    })
+    .join("");
+}
+
+/**
+ * Builds the on-screen list for a preview of result items.
+ * @param {Array<Object>|Array<string>} items Row objects (structured data) or lines (plain text).
+ * @returns {string} The HTML for the list.
+ */
+function renderItemsHtml(items) {
+  // Check if the items are objects (structured data) or strings (plain text)
+  const isStructured = typeof items[0] === "object" && items[0] !== null;
+
+  if (isStructured) {
+    // Display structured data (objects) as key-value pairs
+    return items
+      .map((item) => {
+        let itemDetails = "";
+        for (const key in item) {
+          if (Object.hasOwnProperty.call(item, key)) {
+            itemDetails += `<p><strong>${key}:</strong> <span>${item[key]}</span></p>`;
+          }
+        }
+        return `<div class="missing-item">${itemDetails}</div>`;
+      })
+      .join("");
+  }
+  // Display plain text data (strings) as simple lines
+  return items
+    .map((line) => {
+      return `<div class="missing-item missing-item-line">${line}</div>`;
+    })
+    .join("");
+}
+
+/**
+ * Points a download button at a result file, hiding it when the result set
+ * has no file of its own (e.g. when the results went into one workbook).
+ * @param {HTMLAnchorElement} button The download button.
+ * @param {Object} result The cross-check response.
+ * @param {string} kind The result set: matched, missing, near, bOnly, changed, duplicates or workbook.
+ */
+function setDownloadLink(button, result, kind) {
+  const url = result.downloads && result.downloads[kind];
+  button.classList.toggle("hidden", !url);
+  if (!url) return;
+  button.href = url;
+  button.download = ""; // The server names the file
+}
+
+/**
+ * Renders the full diff results: the Venn-style summary and File B-only rows.
+ * @param {Object} result The cross-check response.
+ */
+function renderDiffResults(result) {
+  if (!result.fullDiff) {
+    diffSection.classList.add("hidden");
+    return;
+  }
+  vennSummary.innerHTML = `
+          <div class="venn-set venn-a-only"><span>${result.missingCount}</span>Only in File A</div>
+          <div class="venn-set venn-both"><span>${result.foundCount}</span>In both<small>${result.changedCount} with changes</small></div>
+          <div class="venn-set venn-b-only"><span>${result.bOnlyCount}</span>Only in File B</div>
+        `;
+
+  if (result.bOnlyCount > 0) {
+    bOnlySection.classList.remove("hidden");
+    setDownloadLink(downloadBOnlyBtn, result, "bOnly");
+    bOnlyContentsDisplay.innerHTML = renderItemsHtml(result.bOnlyContents);
+  } else {
+    bOnlySection.classList.add("hidden");
+  }
+
+  diffSection.classList.remove("hidden");
+}
+
+/**
+ * Renders matched rows whose compared columns changed as a table, with each
+ * changed cell showing the File A value struck out next to the File B value.
+ * @param {Object} result The cross-check response.
+ */
+function renderChangedRows(result) {
+  if (!result.changedCount) {
+    changedSection.classList.add("hidden");
+    return;
+  }
+  setDownloadLink(downloadChangedBtn, result, "changed");
+
+  // Only show the compared columns that actually changed in the preview
+  const changedColumns = result.compareColumns.filter((column) =>
+    result.changedContents.some((changed) =>
+      changed.changes.some((change) => change.column === column)
+    )
+  );
+  const headerCells = [...result.comparisonColumns, ...changedColumns]
+    .map((column) => `<th>${column}</th>`)
+    .join("");
+  const bodyRows = result.changedContents
+    .map((changed) => {
+      const keyCells = result.comparisonColumns
+        .map((column) => `<td>${changed.item[column]}</td>`)
+        .join("");
+      const valueCells = changedColumns
+        .map((column) => {
+          const change = changed.changes.find((c) => c.column === column);
+          if (!change) {
+            return `<td>${changed.item[column]}</td>`;
+          }
+          return `<td class="cell-changed"><del>${change.valueA}</del> <ins>${change.valueB}</ins></td>`;
+        })
+        .join("");
+      return `<tr>${keyCells}${valueCells}</tr>`;
+    })
+    .join("");
+  changedContentsDisplay.innerHTML = `
+          <p class="text-sm text-gray-600">${result.changedFieldCount} changed field(s) across ${result.changedCount} matched row(s).</p>
+          <table class="changes-table"><thead><tr>${headerCells}</tr></thead><tbody>${bodyRows}</tbody></table>
+        `;
+  changedSection.classList.remove("hidden");
+}
+
+/**
+ * Renders the duplicate keys found in each file with their row numbers.
+ * @param {Object} result The cross-check response.
+ */
+function renderDuplicates(result) {
   if (
-    headerSelect.value !== "" &&
-    headerSelect.value !== "Loading headers..." &&
-    headerSelect.value !== "No headers found or files are empty." &&
-    headerSelect.value !== "Error loading headers."
+    !result.duplicates ||
+    (result.duplicates.fileA.keyCount + result.duplicates.fileB.keyCount ===
+      0 &&
+      !result.duplicatesTruncated)
   ) {
-    crossCheckBtn.disabled = false;
+    duplicatesSection.classList.add("hidden");
+    return;
+  }
+  setDownloadLink(downloadDuplicatesBtn, result, "duplicates");
+
+  const renderFile = (label, fileName, summary, partial) => {
+    // A streamed run only finds File A duplicates among File B's keys
+    const note = partial
+      ? `<p class="text-sm text-gray-600">These files were large enough to be compared as streams, so only keys that are also in File B are checked for duplicates here, and long lists of rows are cut short.</p>`
+      : "";
+    if (summary.keyCount === 0) {
+      return `<p>${label} ('${fileName}') has no duplicate keys${
+        partial ? " among File B's keys" : ""
+      }.</p>${note}`;
+    }
+    const items = summary.sample
+      .map((duplicate) => {
+        const rows = duplicate.rowNumbers.join(", ");
+        return `<div class="missing-item"><p><strong>${duplicate.key}</strong> <span>appears ${duplicate.count} times, rows ${rows}</span></p></div>`;
+      })
+      .join("");
+    return `<p class="text-gray-700 font-semibold">${label} ('${fileName}'): ${summary.keyCount} duplicated key(s)</p>${note}${items}`;
+  };
+  duplicatesDisplay.innerHTML =
+    renderFile(
+      "File A",
+      result.file1Name,
+      result.duplicates.fileA,
+      result.duplicatesTruncated
+    ) + renderFile("File B", result.file2Name, result.duplicates.fileB, false);
+  duplicatesSection.classList.remove("hidden");
+}
+
+/**
+ * Lists, for a run against several reference files, how many File A rows
+ * each file holds and how many are in that file alone.
+ * @param {Object} result The cross-check result.
+ * @returns {string} The HTML, or "" for a single File B.
+ */
+function renderReferenceCounts(result) {
+  if (!result.references) return "";
+  const rows = result.references
+    .map(
+      (reference) =>
+        `<tr><td>${reference.name}</td><td>${reference.rowCount}</td><td>${reference.foundCount}</td><td>${reference.onlyFoundCount}</td></tr>`
+    )
+    .join("");
+  return `<table class="changes-table mt-2"><thead><tr><th>Reference file</th><th>Rows</th><th>Found</th><th>Found only here</th></tr></thead><tbody>${rows}<tr><td><b>Found in none</b></td><td></td><td>${result.missingCount}</td><td></td></tr></tbody></table>`;
+}
+
+/**
+ * Shows the results of a completed cross-check.
+ * @param {Object} result The cross-check result from the server.
+ */
+function renderResults(result) {
+  // Display results summary
+  const normalizationSummary = describeNormalization(result.normalization);
+  const file1Label = describeSource(result.file1Name, result.file1Sheet);
+  const file2Label = describeSource(result.file2Name, result.file2Sheet);
+  let nearSummary = "";
+  if (result.fuzzy && result.fuzzy.enabled) {
+    const thresholdPercent = Math.round(result.fuzzy.threshold * 100);
+    nearSummary = `<p class="text-lg font-semibold"><span class="text-yellow-600">${result.nearMatchCount}</span> of the items not found exactly have a near match in File B (${result.fuzzy.algorithm}, similarity ≥ ${thresholdPercent}%).</p>`;
+  }
+  let excludedSummary = "";
+  if (result.excluded && result.excluded.fileA + result.excluded.fileB > 0) {
+    excludedSummary = `<p class="text-lg font-semibold"><span class="text-gray-600">${result.excluded.fileA}</span> File A items and ${result.excluded.fileB} File B items were left out by the filters or for an empty key.</p>`;
+  }
+  let unparsedSummary = "";
+  if (
+    result.unparsedDates &&
+    result.unparsedDates.fileA + result.unparsedDates.fileB > 0
+  ) {
+    unparsedSummary = `<p class="text-sm text-gray-600">Dates not in the chosen format (left as written): ${result.unparsedDates.fileA} in File A, ${result.unparsedDates.fileB} in File B.</p>`;
+  }
+  if (
+    result.unparsedFilterDates &&
+    result.unparsedFilterDates.fileA + result.unparsedFilterDates.fileB > 0
+  ) {
+    unparsedSummary += `<p class="text-sm text-gray-600">Left out by a date filter because the cell is not a date (set the column's date format to read it): ${result.unparsedFilterDates.fileA} in File A, ${result.unparsedFilterDates.fileB} in File B.</p>`;
+  }
+  resultsSummary.innerHTML = `
+            <p class="text-lg font-semibold">File A (${file1Label}) contains ${
+    result.totalFile1Rows
+  } items.</p>
+            <p class="text-lg font-semibold">Out of these, <span class="text-green-600">${
+              result.foundCount
+            }</span> items were found in File B (${file2Label}) based on the <b>'${
+    result.comparisonColumn
+  }'</b>.</p>
+            <p class="text-lg font-semibold">The remaining <span class="text-red-600">${
+              result.missingCount
+            }</span> items were NOT found in ${
+    result.references ? "any of the File B reference files" : "File B"
+  } based on the <b>'${result.comparisonColumn}'</b>.</p>
+            ${nearSummary}
+            ${excludedSummary}
+            ${renderReferenceCounts(result)}
+            <p class="text-sm text-gray-600">Normalization: ${normalizationSummary}</p>
+            ${unparsedSummary}
+          `;
+
+  // Excel output puts every result set in one workbook
+  downloadWorkbookSection.classList.toggle("hidden", !result.workbookFilename);
+  setDownloadLink(downloadWorkbookBtn, result, "workbook");
+
+  if (result.matchedCsvFilename) {
+    downloadMatchedSection.classList.remove("hidden");
+    setDownloadLink(downloadMatchedBtn, result, "matched");
   } else {
-    crossCheckBtn.disabled = true;
+    downloadMatchedSection.classList.add("hidden");
+  }
+
+  if (result.nearMatchCount > 0) {
+    downloadNearSection.classList.remove("hidden");
+    setDownloadLink(downloadNearBtn, result, "near");
+    renderNearMatches(result.nearMatches || []);
+  } else {
+    downloadNearSection.classList.add("hidden");
   }
-});
+
+  if (result.missingCsvFilename) {
+    downloadMissingSection.classList.remove("hidden");
+    setDownloadLink(downloadMissingBtn, result, "missing");
+  } else {
+    downloadMissingSection.classList.add("hidden");
+  }
+  if (result.missingContents && result.missingContents.length > 0) {
+    missingContentsDisplay.innerHTML = renderItemsHtml(result.missingContents);
+  } else {
+    missingContentsDisplay.innerHTML = `
+              <p class="text-green-700 font-semibold">All items from File A were found in File B.</p>
+            `;
+  }
+  renderDiffResults(result);
+  renderChangedRows(result);
+  renderDuplicates(result);
+  resultsSection.classList.remove("hidden");
+  showMessage("Cross-check completed successfully! Download your file.", false);
+}
+
+// --- Cross-Check Jobs ---
+
+// Local storage key of the running job, so it can be picked up again after
+// leaving the page
+const ACTIVE_JOB_KEY = "crossCheckJobId";
+
+const JOB_PHASE_LABELS = {
+  queued: "Waiting for a free worker",
+  reading: "Reading files",
+  indexing: "Indexing File B",
+  comparing: "Comparing rows",
+  fullDiff: "Finding rows only in File B",
+  saving: "Saving result files",
+};
+
+/**
+ * Formats a number of seconds as e.g. "2m 05s".
+ * @param {number} seconds The duration.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}m ${String(seconds % 60).padStart(2, "0")}s`;
+}
+
+/**
+ * Updates the progress bar with a job's state.
+ * @param {Object} job The job from the server.
+ */
+function renderJobProgress(job) {
+  const progress = job.progress;
+  jobProgress.classList.remove("hidden");
+  progressBar.style.width = `${progress.percent}%`;
+  let phase = JOB_PHASE_LABELS[progress.phase] || progress.phase;
+  if (job.status === "queued" && job.queuePosition) {
+    phase += ` (position ${job.queuePosition} in the queue)`;
+  }
+  jobPhase.textContent = `${phase}... ${progress.percent}%`;
+
+  const details = [];
+  if (progress.rowsParsed > 0) {
+    details.push(`${progress.rowsParsed.toLocaleString()} rows parsed`);
+  }
+  if (progress.rowsCompared > 0) {
+    const total = progress.totalRows
+      ? ` of ${progress.totalRows.toLocaleString()}`
+      : "";
+    details.push(
+      `${progress.rowsCompared.toLocaleString()}${total} rows compared`
+    );
+  }
+  if (progress.etaSeconds !== null && progress.etaSeconds > 0) {
+    details.push(`about ${formatDuration(progress.etaSeconds)} left`);
+  }
+  jobDetails.textContent = details.join(" · ");
+}
+
+/**
+ * @param {Object} job The job from the server.
+ * @returns {boolean} True once the job has completed, failed or been cancelled.
+ */
+function isJobFinished(job) {
+  return ["completed", "failed", "cancelled"].includes(job.status);
+}
+
+/**
+ * Shows the outcome of a finished job and forgets it.
+ * @param {Object} job The finished job from the server.
+ */
+function handleFinishedJob(job) {
+  localStorage.removeItem(ACTIVE_JOB_KEY);
+  jobProgress.classList.add("hidden");
+  hideLoading();
+  if (job.status === "completed") {
+    renderResults(job.result);
+  } else if (job.status === "failed") {
+    showError(job.message, job.errorField);
+  } else {
+    showMessage(job.message, false);
+  }
+}
+
+/**
+ * Follows a job's progress through server-sent events until it finishes. The
+ * job id is remembered so the page can pick it up again after a reload.
+ * @param {string} jobId The id of the job.
+ */
+function followJob(jobId) {
+  localStorage.setItem(ACTIVE_JOB_KEY, jobId);
+  showLoading("Cross-Checking, please wait🙏...");
+  cancelJobBtn.disabled = false;
+  cancelJobBtn.onclick = async () => {
+    cancelJobBtn.disabled = true;
+    await fetch(`/api/v1/jobs/${jobId}`, { method: "DELETE" });
+  };
+
+  const events = new EventSource(`/api/v1/jobs/${jobId}/events`);
+  events.onmessage = (event) => {
+    const job = JSON.parse(event.data);
+    renderJobProgress(job);
+    if (isJobFinished(job)) {
+      events.close();
+      handleFinishedJob(job);
+    }
+  };
+  events.onerror = async () => {
+    // The browser reconnects by itself unless the server refused the stream
+    if (events.readyState !== EventSource.CLOSED) return;
+    try {
+      const response = await fetch(`/api/v1/jobs/${jobId}`);
+      const result = await response.json();
+      if (!result.success) {
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+        jobProgress.classList.add("hidden");
+        hideLoading();
+        showMessage(result.message);
+      } else if (isJobFinished(result.job)) {
+        handleFinishedJob(result.job);
+      } else {
+        setTimeout(() => followJob(jobId), 2000);
+      }
+    } catch (error) {
+      setTimeout(() => followJob(jobId), 2000);
+    }
+  };
+}
+
+// Pick up a job that was still running when the page was left
+const activeJobId = localStorage.getItem(ACTIVE_JOB_KEY);
+if (activeJobId) {
+  followJob(activeJobId);
+}
 
 // Event listener for the form submission
 uploadForm.addEventListener("submit", async (event) => {
   event.preventDefault(); // Prevent default form submission
 
   hideMessage();
+  hideFileErrors();
   resultsSection.classList.add("hidden");
+  downloadWorkbookSection.classList.add("hidden");
   downloadMatchedSection.classList.add("hidden");
   downloadMissingSection.classList.add("hidden");
+  downloadNearSection.classList.add("hidden");
+  diffSection.classList.add("hidden");
+  changedSection.classList.add("hidden");
+  duplicatesSection.classList.add("hidden");
   missingContentsDisplay.innerHTML = "";
+  nearMatchesDisplay.innerHTML = "";
 
   const file1 = file1Input.files[0];
   const file2 = file2Input.files[0];
-  const selectedColumn = headerSelect.value; // Get the selected column value
 
   if (!file1 || !file2) {
     showMessage("Please select both File A and File B.");
@@ -211,100 +1519,75 @@ uploadForm.addEventListener("submit", async (event) => {
   }
 
   // Validate selected column if it's not a plain text scenario
-  if (headerSelect.disabled === false && selectedColumn === "") {
-    showMessage("Please select a column header for comparison.");
+  if (headerSelect.disabled === false && selectedKeyColumns.length === 0) {
+    showMessage("Please select at least one column header for comparison.");
+    return;
+  }
+  if (selectedKeyColumns.some((pair) => pair.fileB === "")) {
+    showMessage("Please choose the File B column for every key column.");
     return;
   }
 
   showLoading("Cross-Checking, please wait🙏...");
 
-  const formData = new FormData();
-  formData.append("fileA", file1);
-  formData.append("fileB", file2);
-  formData.append("selectedColumn", selectedColumn); // Append the selected column
+  const buildFormData = () => {
+    const formData = new FormData();
+    appendFiles(formData);
+    formData.append("sheetA", sheetASelect.value);
+    formData.append("sheetB", sheetBSelect.value);
+    formData.append("headerRowA", headerRowAInput.value);
+    formData.append("headerRowB", headerRowBInput.value);
+    formData.append("encodingA", encodingASelect.value);
+    formData.append("encodingB", encodingBSelect.value);
+    formData.append("delimiterA", delimiterASelect.value);
+    formData.append("delimiterB", delimiterBSelect.value);
+    // Append the key columns in order, with the File B column mapped to each
+    formData.append(
+      "selectedColumns",
+      JSON.stringify(selectedKeyColumns.map((pair) => pair.fileA))
+    );
+    formData.append(
+      "selectedColumnsB",
+      JSON.stringify(selectedKeyColumns.map((pair) => pair.fileB))
+    );
+    formData.append("normalization", JSON.stringify(getNormalizationOptions()));
+    formData.append("filtersA", JSON.stringify(filterRules.A));
+    formData.append("filtersB", JSON.stringify(filterRules.B));
+    formData.append("excludeEmptyKeys", excludeEmptyKeysInput.checked);
+    formData.append("duplicatePolicy", duplicatePolicySelect.value);
+    formData.append("outputFormat", outputFormatSelect.value);
+    formData.append("outputEncoding", outputEncodingSelect.value);
+    formData.append("fullDiff", fullDiffInput.checked);
+    formData.append("detectChanges", detectChangesInput.checked);
+    formData.append("compareColumns", JSON.stringify(getCompareColumns()));
+    formData.append("outputColumns", JSON.stringify(getOutputColumns()));
+    formData.append("appendColumnsB", JSON.stringify(getAppendColumnsB()));
+    formData.append("includeRowNumbers", includeRowNumbersInput.checked);
+    formData.append("matchMode", matchModeSelect.value);
+    formData.append("fuzzyAlgorithm", fuzzyAlgorithmSelect.value);
+    formData.append("fuzzyThreshold", fuzzyThresholdInput.value);
+    formData.append("identifierSafe", identifierSafeInput.checked);
+    formData.append(
+      "identifierColumns",
+      JSON.stringify(getIdentifierColumns())
+    );
+    formData.append("dateColumns", JSON.stringify(getDateColumns()));
+    return formData;
+  };
 
   try {
-    const response = await fetch("/cross-check", {
-      method: "POST",
-      body: formData,
-    });
+    const response = await postWithFiles("/api/v1/jobs", buildFormData);
     const result = await response.json();
 
     if (result.success) {
-      // Display results summary
-      resultsSummary.innerHTML = `
-              <p class="text-lg font-semibold">File A ('${result.file1Name}') contains ${result.totalFile1Rows} items.</p>
-              <p class="text-lg font-semibold">Out of these, <span class="text-green-600">${result.foundCount}</span> items were found in File B ('${result.file2Name}') based on the <b>'${result.comparisonColumn}'</b>.</p>
-              <p class="text-lg font-semibold">The remaining <span class="text-red-600">${result.missingCount}</span> items were NOT found in File B based on the <b>'${result.comparisonColumn}'</b>.</p>
-            `;
-
-      if (result.matchedCsvFilename) {
-        downloadMatchedSection.classList.remove("hidden");
-        downloadMatchedBtn.href = `/download-csv/${result.matchedCsvFilename}`;
-        downloadMatchedBtn.download = result.matchedCsvFilename; // Ensure correct download name
-      } else {
-        downloadMatchedSection.classList.add("hidden");
-      }
-
-      if (result.missingCsvFilename) {
-        downloadMissingSection.classList.remove("hidden");
-        downloadMissingBtn.href = `/download-csv/${result.missingCsvFilename}`;
-        downloadMissingBtn.download = result.missingCsvFilename; // Ensure correct download name
-
-        // --- START: MODIFIED DISPLAY LOGIC FOR missingContents ---
-        if (result.missingContents && result.missingContents.length > 0) {
-          let displayHtml = "";
-          // Check if the missing content items are objects (structured data) or strings (plain text)
-          const isStructured =
-            typeof result.missingContents[0] === "object" &&
-            result.missingContents[0] !== null;
-
-          if (isStructured) {
-            // Display structured data (objects) as key-value pairs
-            displayHtml = result.missingContents
-              .map((item) => {
-                let itemDetails = "";
-                for (const key in item) {
-                  if (Object.hasOwnProperty.call(item, key)) {
-                    itemDetails += `<p><strong>${key}:</strong> <span>${item[key]}</span></p>`;
-                  }
-                }
-                return `<div class="missing-item">${itemDetails}</div>`;
-              })
-              .join("");
-          } else {
-            // Display plain text data (strings) as simple lines
-            displayHtml = result.missingContents
-              .map((line) => {
-                return `<div class="missing-item missing-item-line">${line}</div>`;
-              })
-              .join("");
-          }
-          missingContentsDisplay.innerHTML = displayHtml;
-        } else {
-          missingContentsDisplay.innerHTML = `
-                  <p class="text-green-700 font-semibold">All items from File A were found in File B.</p>
-                `;
-        }
-        // --- END: MODIFIED DISPLAY LOGIC FOR missingContents ---
-      } else {
-        downloadMissingSection.classList.add("hidden");
-        missingContentsDisplay.innerHTML = `
-                <p class="text-green-700 font-semibold">All items from File A were found in File B.</p>
-              `;
-      }
-      resultsSection.classList.remove("hidden");
-      showMessage(
-        "Cross-check completed successfully! Download your file.",
-        false
-      );
+      followJob(result.jobId);
     } else {
-      showMessage(result.message);
+      showError(result.message, result.field);
+      hideLoading();
     }
   } catch (error) {
     console.error("Cross-check error:", error);
     showMessage(`An error occurred: ${error.message}`);
-  } finally {
     hideLoading();
   }
 });
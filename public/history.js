@@ -0,0 +1,239 @@
+// Get references to DOM elements
+const messageBox = document.getElementById("messageBox");
+const retentionNote = document.getElementById("retentionNote");
+const historyList = document.getElementById("historyList");
+const runDetail = document.getElementById("runDetail");
+const runTitle = document.getElementById("runTitle");
+const deleteRunBtn = document.getElementById("deleteRunBtn");
+const runSummary = document.getElementById("runSummary");
+const runArtifacts = document.getElementById("runArtifacts");
+const runOptions = document.getElementById("runOptions");
+
+// Labels for the kinds of result file a run can keep
+const ARTIFACT_LABELS = {
+  matched: "Matched Data",
+  missing: "Missing Data",
+  near: "Near Matches",
+  bOnly: "File B-only Data",
+  changed: "Changed Fields",
+  duplicates: "Duplicate Keys",
+  workbook: "Excel Workbook",
+};
+
+/**
+ * Displays a message in the message box.
+ * @param {string} message The message to display.
+ * @param {boolean} isError True if it's an error message, false for success/info.
+ */
+function showMessage(message, isError = true) {
+  messageBox.textContent = message;
+  messageBox.classList.remove(
+    "hidden",
+    "bg-green-50",
+    "text-green-700",
+    "border-green-400",
+    "bg-red-50",
+    "text-red-700",
+    "border-red-400"
+  );
+  if (isError) {
+    messageBox.classList.add("bg-red-50", "text-red-700", "border-red-400");
+  } else {
+    messageBox.classList.add(
+      "bg-green-50",
+      "text-green-700",
+      "border-green-400"
+    );
+  }
+  messageBox.classList.add("show"); // Use 'show' class for display
+}
+
+/**
+ * Hides the message box.
+ */
+function hideMessage() {
+  messageBox.classList.remove("show");
+  messageBox.textContent = "";
+}
+
+/**
+ * Formats a byte count for display.
+ * @param {number} bytes The size in bytes.
+ * @returns {string} The size, e.g. "1.2 MB".
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Builds an element with the given text.
+ * @param {string} tag The element's tag name.
+ * @param {string} text The element's text.
+ * @param {string} [className] The element's classes.
+ * @returns {HTMLElement} The element.
+ */
+function textElement(tag, text, className) {
+  const element = document.createElement(tag);
+  element.textContent = text;
+  if (className) element.className = className;
+  return element;
+}
+
+/**
+ * Fetches the recorded runs and lists them, newest first.
+ */
+async function loadHistory() {
+  try {
+    const response = await fetch("/api/v1/runs");
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      showMessage(data.message || "Failed to load the history.");
+      return;
+    }
+    retentionNote.textContent = `Runs are kept for ${data.retentionDays} days (at most ${data.maxRuns} runs), then removed with their result files.`;
+    renderHistoryList(data.runs);
+  } catch (error) {
+    console.error("Error loading history:", error);
+    showMessage(`Network error or server unreachable: ${error.message}`);
+  }
+}
+
+/**
+ * Renders the list of recorded runs.
+ * @param {Array<Object>} runs The run summaries from the server.
+ */
+function renderHistoryList(runs) {
+  historyList.innerHTML = "";
+  if (runs.length === 0) {
+    historyList.appendChild(
+      textElement("p", "No comparisons recorded yet.", "text-gray-500")
+    );
+    return;
+  }
+  for (const run of runs) {
+    const link = document.createElement("a");
+    link.href = `#${run.id}`;
+    link.className = "history-item";
+    link.appendChild(
+      textElement("strong", `${run.file1.name} vs ${run.file2.name}`)
+    );
+    link.appendChild(
+      textElement(
+        "span",
+        `${new Date(run.createdAt).toLocaleString()} · Found: ${
+          run.counts.found
+        } · Missing: ${run.counts.missing} · Key: ${run.comparisonColumn}`
+      )
+    );
+    historyList.appendChild(link);
+  }
+}
+
+/**
+ * Fetches a run and shows its details, or hides the detail view when no run
+ * is selected.
+ * @param {string} id The id of the run, or an empty string.
+ */
+async function showRun(id) {
+  runDetail.classList.add("hidden");
+  if (!id) return;
+  hideMessage();
+  try {
+    const response = await fetch(`/api/v1/runs/${id}`);
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      showMessage(data.message || "Failed to load the run.");
+      return;
+    }
+    renderRun(data.run);
+  } catch (error) {
+    console.error("Error loading run:", error);
+    showMessage(`Network error or server unreachable: ${error.message}`);
+  }
+}
+
+/**
+ * Renders the details of a run: its files, counts, result files and options.
+ * @param {Object} run The history record.
+ */
+function renderRun(run) {
+  runTitle.textContent = `${run.file1.name} vs ${run.file2.name}`;
+  deleteRunBtn.dataset.runId = run.id;
+
+  runSummary.innerHTML = "";
+  const lines = [
+    `Run on ${new Date(run.createdAt).toLocaleString()}, kept until ${new Date(
+      run.expiresAt
+    ).toLocaleString()}.`,
+    `File A: ${run.file1.name} (${formatSize(run.file1.size)}, SHA-256 ${
+      run.file1.sha256
+    })`,
+    ...(run.file2.references || [run.file2]).map(
+      (file) =>
+        `File B: ${file.name} (${formatSize(file.size)}, SHA-256 ${
+          file.sha256
+        })`
+    ),
+    `Key columns: ${run.comparisonColumn}`,
+    `Rows: ${run.counts.file1Rows} in File A, ${run.counts.file2Rows} in File B`,
+    `Found: ${run.counts.found} · Missing: ${run.counts.missing} · Near matches: ${run.counts.nearMatches} · Only in File B: ${run.counts.bOnly} · Changed: ${run.counts.changed}`,
+    `Duplicate keys: ${run.counts.duplicateKeysA} in File A, ${run.counts.duplicateKeysB} in File B`,
+    // Runs recorded before row filters have no excluded counts
+    `Excluded rows: ${run.counts.excludedA || 0} in File A, ${
+      run.counts.excludedB || 0
+    } in File B`,
+  ];
+  lines.forEach((line) => runSummary.appendChild(textElement("p", line)));
+
+  runArtifacts.innerHTML = "";
+  if (run.artifacts.length === 0) {
+    runArtifacts.appendChild(
+      textElement("p", "This run produced no result files.", "text-gray-500")
+    );
+  }
+  for (const artifact of run.artifacts) {
+    const link = textElement(
+      "a",
+      `Download ${
+        ARTIFACT_LABELS[artifact.kind] || artifact.kind
+      } (${formatSize(artifact.size)})`,
+      "btn-download"
+    );
+    link.href = artifact.url;
+    link.download = artifact.filename;
+    runArtifacts.appendChild(link);
+  }
+
+  runOptions.textContent = JSON.stringify(run.options, null, 2);
+  runDetail.classList.remove("hidden");
+}
+
+// Event listener for deleting the selected run
+deleteRunBtn.addEventListener("click", async () => {
+  const id = deleteRunBtn.dataset.runId;
+  if (!confirm("Delete this run and its result files?")) return;
+  try {
+    const response = await fetch(`/api/v1/runs/${id}`, {
+      method: "DELETE",
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      showMessage(data.message || "Failed to delete the run.");
+      return;
+    }
+    showMessage(data.message, false);
+    location.hash = "";
+    loadHistory();
+  } catch (error) {
+    console.error("Error deleting run:", error);
+    showMessage(`Network error or server unreachable: ${error.message}`);
+  }
+});
+
+// The selected run is kept in the URL hash so it can be linked to
+window.addEventListener("hashchange", () => showRun(location.hash.slice(1)));
+
+loadHistory();
+showRun(location.hash.slice(1));
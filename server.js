@@ -3,8 +3,26 @@ import express from "express";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
-import XLSX from "xlsx";
+import crypto from "crypto";
+import { Worker, isMainThread, parentPort, workerData } from "worker_threads";
 import { fileURLToPath } from "url";
+import {
+  ARTIFACT_FIELDS,
+  CROSS_CHECK_FIELDS,
+  MAX_REFERENCE_FILES,
+  STREAM_THRESHOLD_BYTES,
+  inputFileError,
+  isSupportedFile,
+  openRowStream,
+  parseCrossCheckSettings,
+  parseHeaderRowField,
+  parseListField,
+  readFileContent,
+  runCrossCheck,
+  streamableType,
+  validateCrossCheckFields,
+} from "./crossCheck.js";
+import { openApiDocument } from "./openapi.js";
 
 // Derive __dirname equivalent for ES Modules
 const __filename = fileURLToPath(import.meta.url);
@@ -13,54 +31,72 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 8090;
 
+// Directory holding the uploads, result files and history (STORAGE_DIR,
+// default: next to this file)
+const storageDir = process.env.STORAGE_DIR
+  ? path.resolve(process.env.STORAGE_DIR)
+  : __dirname;
+
 // Create an 'uploads' directory if it doesn't exist to store temporary files
-const uploadsDir = path.join(__dirname, "uploads");
+const uploadsDir = path.join(storageDir, "uploads");
 if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir);
+  fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
 // Create a 'temp_csv' directory to store temporary CSV files for download
-const tempCsvDir = path.join(__dirname, "temp_csv");
+const tempCsvDir = path.join(storageDir, "temp_csv");
 if (!fs.existsSync(tempCsvDir)) {
-  fs.mkdirSync(tempCsvDir);
+  fs.mkdirSync(tempCsvDir, { recursive: true });
+}
+
+// Create a 'data' directory for the comparison history index
+const dataDir = path.join(storageDir, "data");
+if (!fs.existsSync(dataDir)) {
+  fs.mkdirSync(dataDir, { recursive: true });
 }
+const historyFile = path.join(dataDir, "history.json");
 
 // Configure Multer for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
     cb(null, uploadsDir);
   },
+  // The random part keeps several files of one field (File B reference
+  // files) uploaded in the same millisecond apart
   filename: function (req, file, cb) {
     cb(
       null,
-      file.fieldname + "-" + Date.now() + path.extname(file.originalname)
+      `${file.fieldname}-${Date.now()}-${crypto
+        .randomBytes(4)
+        .toString("hex")}${path.extname(file.originalname)}`
     );
   },
 });
 
-// Filter to allow Excel, CSV, and Text files
+// Filter to allow Excel, CSV, and Text files. The content is checked when the
+// file is read (see readFileContent).
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = /xlsx|xls|txt|csv/;
-  const extname = allowedTypes.test(
-    path.extname(file.originalname).toLowerCase()
-  );
-
-  if (extname) {
+  if (isSupportedFile(file.originalname)) {
     return cb(null, true);
   } else {
     cb(
-      new Error(
-        "Only Excel (.xlsx, .xls), Text (.txt), and CSV (.csv) files are allowed!"
+      inputFileError(
+        "UNSUPPORTED_FILE_TYPE",
+        `${file.originalname} is not a supported file. Only Excel (.xlsx, .xls), Text (.txt), and CSV (.csv) files are allowed!`,
+        fileSide(file.fieldname)
       ),
       false
     );
   }
 };
 
+// Largest file accepted for upload
+const MAX_UPLOAD_MB = 100;
+
 const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
-  limits: { fileSize: 100 * 1024 * 1024 }, // 100 MB limit
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 },
 });
 
 // Serve static files from the 'public' directory
@@ -69,470 +105,1721 @@ app.use(express.static(path.join(__dirname, "public")));
 // --- Helper Functions ---
 
 /**
- * Formats a JavaScript Date object into a YYYY-MM-DD string.
- * @param {Date} date The Date object to format.
- * @returns {string} The formatted date string.
+ * Creates an error that is sent to the client with the given status and code.
+ * @param {number} statusCode The HTTP status.
+ * @param {string} code The error code of the API (see sendError).
+ * @param {string} message The message shown to the user.
+ * @returns {Error} The error.
+ */
+function httpError(statusCode, code, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Tells which of the compared files an upload field holds.
+ * @param {string} fieldname The multipart field: 'fileA' or 'fileB'.
+ * @returns {string|undefined} "A" or "B", undefined for other fields.
  */
-function formatDate(date) {
-  if (!(date instanceof Date) || isNaN(date)) {
-    return ""; // Return empty string for invalid dates
+function fileSide(fieldname) {
+  if (fieldname === "fileA") return "A";
+  if (fieldname === "fileB") return "B";
+  return undefined;
+}
+
+// Error codes for errors thrown without one, by HTTP status
+const DEFAULT_ERROR_CODES = {
+  400: "INVALID_REQUEST",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+};
+
+/**
+ * Works out the error code reported for an error. Unexpected errors are all
+ * INTERNAL_ERROR, so system error codes (ENOENT, ...) are not passed on.
+ * @param {Error} error The error.
+ * @returns {string} The code.
+ */
+function errorCode(error) {
+  const statusCode = error.statusCode || 500;
+  if (statusCode >= 500) return "INTERNAL_ERROR";
+  return error.code || DEFAULT_ERROR_CODES[statusCode] || "INVALID_REQUEST";
+}
+
+/**
+ * Sends an error response: { success: false, code, message, field? }, plus
+ * any details the endpoint adds.
+ * @param {Object} res The Express response.
+ * @param {Error} error The error; its statusCode (default 500) is the HTTP status.
+ * @param {Object} [details] Extra fields for the response body.
+ */
+function sendError(res, error, details = {}) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    code: errorCode(error),
+    message: crossCheckErrorMessage(error),
+    ...(error.field ? { field: error.field } : {}),
+    ...details,
+  });
+}
+
+/**
+ * Turns a cross-check error into the message shown to the user. Problems with
+ * the request (4xx) are shown as they are; anything else is marked as unexpected.
+ * @param {Error} error The error thrown by the cross-check.
+ * @returns {string} The message.
+ */
+function crossCheckErrorMessage(error) {
+  return error.statusCode && error.statusCode < 500
+    ? error.message
+    : `An error occurred: ${error.message}`;
+}
+
+/**
+ * Deletes uploaded files that are no longer needed. Stored uploads (those
+ * with an uploadId) are left for their session to remove.
+ * @param {Array<Object>} files Multer files (or { path } objects); missing entries are skipped.
+ */
+function removeUploads(files) {
+  for (const file of files) {
+    if (file && !file.uploadId && fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
   }
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, "0");
-  const day = String(date.getDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
 }
 
+// --- Upload Sessions ---
+
+// A stored upload is removed once it has not been used for this long
+const UPLOAD_SESSION_TTL_MS =
+  (Number(process.env.UPLOAD_SESSION_TTL_MINUTES) || 30) * 60 * 1000;
+const UPLOAD_SWEEP_INTERVAL_MS = 60 * 1000; // 1 minute
+// Rows of each file sent back as a preview
+const PREVIEW_ROWS = 5;
+
+// Stored uploads by id. Only the main thread keeps them.
+const uploadSessions = new Map();
+
 /**
- * Reads the content of a file (Excel, CSV, or plain text).
- * @param {string} filePath The path to the file.
- * @param {string} originalFilename The original name of the file to determine type.
- * @returns {Object} An object containing:
- * - data: Array<Object> for structured, Array<string> for plain text.
- * - type: 'structured' (for Excel/CSV) or 'plain_text'.
- * - headers: Array<string> of headers for structured files, empty array for plain text.
- * - firstColumnHeader: The header of the first column for structured data, or 'Line Content' for plain text.
- */
-function readFileContent(filePath, originalFilename) {
-  console.log(`[readFileContent] Starting to read file: ${originalFilename}`);
-  const ext = path.extname(originalFilename).toLowerCase();
-  const isStructured = ext === ".xlsx" || ext === ".xls" || ext === ".csv";
-
-  if (isStructured) {
-    console.log(
-      `[readFileContent] Reading structured file (Excel/CSV): ${originalFilename}`
+ * Keeps an uploaded file so later requests can refer to it by id instead of
+ * uploading it again.
+ * @param {Object} file The uploaded file (multer file).
+ * @param {string} owner The owner id of the requester (see identifyOwner).
+ * @returns {Object} The session: { uploadId, owner, path, originalname, size, createdAt, lastUsedAt }.
+ */
+function createUploadSession(file, owner) {
+  const session = {
+    uploadId: crypto.randomUUID(),
+    owner: owner,
+    path: file.path,
+    originalname: file.originalname,
+    size: file.size,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: Date.now(),
+  };
+  uploadSessions.set(session.uploadId, session);
+  console.log(
+    `[UPLOADS] Stored ${file.originalname} as upload ${session.uploadId}.`
+  );
+  return session;
+}
+
+/**
+ * Looks up a stored upload and marks it as used, which keeps it from expiring.
+ * Someone else's upload is reported as expired.
+ * @param {string} uploadId The id of the upload.
+ * @param {string} label "File A" or "File B", for the error message.
+ * @param {string} owner The owner id of the requester.
+ * @returns {Object} The session.
+ * @throws {Error} With statusCode 404 if the upload does not exist or has expired.
+ */
+function useUploadSession(uploadId, label, owner) {
+  const session = uploadSessions.get(uploadId);
+  if (!session || session.owner !== owner) {
+    throw httpError(
+      404,
+      "UPLOAD_EXPIRED",
+      `The ${label} upload has expired. Please choose the file again.`
     );
-    const workbook = XLSX.readFile(filePath, { cellDates: true });
-    console.log(`[readFileContent] Workbook read for: ${originalFilename}`);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-
-    const rawData = XLSX.utils.sheet_to_json(worksheet, {
-      header: 1,
-      raw: false,
-    });
-    console.log(
-      `[readFileContent] Converted to JSON array for: ${originalFilename}, rows: ${rawData.length}`
+  }
+  session.lastUsedAt = Date.now();
+  return session;
+}
+
+/**
+ * Deletes a stored upload and its file.
+ * @param {string} uploadId The id of the upload.
+ * @returns {boolean} True if the upload existed.
+ */
+function removeUploadSession(uploadId) {
+  const session = uploadSessions.get(uploadId);
+  if (!session) return false;
+  uploadSessions.delete(uploadId);
+  if (fs.existsSync(session.path)) {
+    fs.unlinkSync(session.path);
+  }
+  return true;
+}
+
+/**
+ * @param {string} [uploadId] An upload id from a request.
+ * @param {string} owner The owner id of the requester.
+ * @returns {string|null} The id if the requester's upload is still stored, else null.
+ */
+function storedUploadId(uploadId, owner) {
+  const session = uploadId && uploadSessions.get(uploadId);
+  return session && session.owner === owner ? uploadId : null;
+}
+
+/**
+ * Finds File A and the File B reference files of a request: each is either
+ * uploaded with the request (fileA, fileB) or refers to a stored upload
+ * (uploadIdA, uploadIdB). File B may be up to MAX_REFERENCE_FILES files.
+ * @param {Object} req The Express request, after multer and identifyOwner.
+ * @returns {Object} { fileA, filesB }; fileA is null and filesB empty when missing from the request.
+ * @throws {Error} With statusCode 404 if a stored upload has expired, 400 if there are too many reference files.
+ */
+function requestFiles(req) {
+  const body = req.body || {};
+  const uploadedA = req.files && req.files.fileA;
+  const fileA = uploadedA
+    ? uploadedA[0]
+    : parseListField(body.uploadIdA)
+        .slice(0, 1)
+        .map((uploadId) =>
+          useUploadSession(uploadId, "File A", req.owner)
+        )[0] || null;
+  const filesB = [
+    ...((req.files && req.files.fileB) || []),
+    ...parseListField(body.uploadIdB).map((uploadId) =>
+      useUploadSession(uploadId, "File B", req.owner)
+    ),
+  ];
+  if (filesB.length > MAX_REFERENCE_FILES) {
+    throw fieldError(
+      "TOO_MANY_FILES",
+      "fileB",
+      `File B can be up to ${MAX_REFERENCE_FILES} reference files.`
     );
+  }
+  return { fileA: fileA, filesB: filesB };
+}
 
-    if (rawData.length === 0) {
-      console.log(`[readFileContent] File is empty: ${originalFilename}`);
-      return {
-        data: [],
-        type: "structured",
-        headers: [],
-        firstColumnHeader: null,
-      };
+/**
+ * Removes stored uploads that have not been used within
+ * UPLOAD_SESSION_TTL_MS, unless a queued or running job still reads them.
+ */
+function sweepUploadSessions() {
+  const inUse = new Set();
+  for (const job of jobs.values()) {
+    if (!isJobFinished(job)) {
+      inUse.add(job.fileA.uploadId);
+      for (const file of job.filesB) inUse.add(file.uploadId);
+    }
+  }
+  let expired = 0;
+  for (const session of uploadSessions.values()) {
+    if (
+      !inUse.has(session.uploadId) &&
+      Date.now() - session.lastUsedAt > UPLOAD_SESSION_TTL_MS
+    ) {
+      removeUploadSession(session.uploadId);
+      expired++;
     }
+  }
+  if (expired > 0) {
+    console.log(`[UPLOADS] Removed ${expired} expired upload(s).`);
+  }
+}
+
+/**
+ * Reads what the column picker needs from a file: its headers, sheets, row
+ * count and first rows. Large CSV and text files are read as a stream, like
+ * the comparison itself (see STREAM_THRESHOLD_BYTES).
+ * @param {Object} file The uploaded file: { path, originalname, size }.
+ * @param {Object} options { sheet, headerRow, encoding, delimiter, side }, as for readFileContent.
+ * @returns {Promise<Object>} { type, headers, sheetNames, sheetName, headerRow, textFormat, rowCount, preview }.
+ */
+async function describeFile(file, options) {
+  if (
+    streamableType(file.originalname) !== null &&
+    file.size >= STREAM_THRESHOLD_BYTES
+  ) {
+    const stream = await openRowStream(file.path, file.originalname, {
+      headerRow: options.headerRow,
+      encoding: options.encoding,
+      delimiter: options.delimiter,
+      side: options.side,
+    });
+    const preview = [];
+    let rowCount = 0;
+    for await (const { item } of stream.rows) {
+      if (preview.length < PREVIEW_ROWS) preview.push(item);
+      rowCount++;
+    }
+    return {
+      type: stream.type,
+      headers: stream.headers,
+      sheetNames: [],
+      sheetName: null,
+      headerRow: stream.headerRow,
+      textFormat: stream.textFormat,
+      rowCount: rowCount,
+      preview: preview,
+    };
+  }
+
+  const content = readFileContent(file.path, file.originalname, options);
+  return {
+    type: content.type,
+    headers: content.headers,
+    sheetNames: content.sheetNames,
+    sheetName: content.sheetName,
+    headerRow: content.headerRow,
+    textFormat: content.textFormat,
+    rowCount: content.data.length,
+    preview: content.data.slice(0, PREVIEW_ROWS),
+  };
+}
+
+/**
+ * Combines the descriptions of the File B reference files for the column
+ * picker: the headers of all of them, the total row count and the first
+ * file's sheets and preview.
+ * @param {Array<Object>} descriptions The reference files, from describeFile.
+ * @returns {Object} A description shaped like describeFile's.
+ */
+function combineFileDescriptions(descriptions) {
+  if (descriptions.length === 1) return descriptions[0];
+  const structured = descriptions.filter(
+    (description) => description.type === "structured"
+  );
+  return {
+    ...descriptions[0],
+    type: structured.length > 0 ? "structured" : descriptions[0].type,
+    headers: Array.from(
+      new Set(structured.flatMap((description) => description.headers))
+    ),
+    rowCount: descriptions.reduce(
+      (total, description) => total + description.rowCount,
+      0
+    ),
+  };
+}
+
+/**
+ * @param {Array<Object>} files The File B reference files: { originalname }.
+ * @returns {string} Their names, for logs and job listings.
+ */
+function referenceList(files) {
+  return files.map((file) => file.originalname).join(", ");
+}
+
+// --- Cross-Check Jobs ---
+
+/**
+ * Phases a cross-check goes through, with the share of the overall progress
+ * reached when each one starts.
+ */
+const JOB_PHASES = {
+  queued: 0,
+  reading: 0,
+  indexing: 0.3,
+  comparing: 0.4,
+  fullDiff: 0.9,
+  saving: 0.97,
+};
+
+// Cross-checks running at the same time, each on its own worker thread
+const MAX_CONCURRENT_JOBS = Number(process.env.MAX_CONCURRENT_JOBS) || 2;
+// How long a finished job (and its result) can still be looked up
+const JOB_RETENTION_MS = 60 * 60 * 1000; // 1 hour
+
+// All known jobs by id, and the ids of those waiting for a free worker
+const jobs = new Map();
+const jobQueue = [];
+let runningJobCount = 0;
+
+/**
+ * Queues a cross-check job for the uploaded files. The job owns the uploads
+ * from then on and deletes them when it finishes.
+ * @param {Object} fileA The uploaded File A (multer file).
+ * @param {Array<Object>} filesB The uploaded File B reference files (multer files).
+ * @param {Object} settings The settings from parseCrossCheckSettings.
+ * @param {string} owner The owner id of the requester (see identifyOwner).
+ * @returns {Object} The job.
+ */
+function createJob(fileA, filesB, settings, owner) {
+  const job = {
+    id: crypto.randomUUID(),
+    owner: owner,
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    fileA: {
+      path: fileA.path,
+      originalname: fileA.originalname,
+      size: fileA.size,
+      uploadId: fileA.uploadId,
+    },
+    filesB: filesB.map((file) => ({
+      path: file.path,
+      originalname: file.originalname,
+      size: file.size,
+      uploadId: file.uploadId,
+    })),
+    settings: settings,
+    progress: {
+      phase: "queued",
+      rowsParsed: 0,
+      rowsCompared: 0,
+      totalRows: null,
+      percent: 0,
+      etaSeconds: null,
+    },
+    result: null,
+    message: null,
+    errorCode: null,
+    errorStatusCode: null,
+    errorField: null,
+    worker: null,
+    listeners: new Set(),
+  };
+  jobs.set(job.id, job);
+  jobQueue.push(job.id);
+  console.log(
+    `[JOBS] Job ${job.id} queued: ${fileA.originalname} against ${referenceList(
+      filesB
+    )}.`
+  );
+  startQueuedJobs();
+  return job;
+}
+
+/**
+ * Starts queued jobs while there are free workers.
+ */
+function startQueuedJobs() {
+  while (runningJobCount < MAX_CONCURRENT_JOBS && jobQueue.length > 0) {
+    const job = jobs.get(jobQueue.shift());
+    if (job && job.status === "queued") startJob(job);
+  }
+}
+
+/**
+ * Runs a job on a worker thread. The worker runs this same module (see the
+ * end of the file) and reports back through messages.
+ * @param {Object} job The job to start.
+ */
+function startJob(job) {
+  runningJobCount++;
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  console.log(`[JOBS] Job ${job.id} started.`);
 
-    const headers = rawData[0]
-      .map((h) => String(h || "").trim())
-      .filter((h) => h !== "");
-    const rows = rawData.slice(1).map((row) => {
-      const obj = {};
-      headers.forEach((header, index) => {
-        let value = row[index];
-        if (value instanceof Date) {
-          value = formatDate(value);
-        }
-        obj[header] = value;
+  const worker = new Worker(new URL(import.meta.url), {
+    workerData: {
+      fileA: job.fileA,
+      filesB: job.filesB,
+      settings: job.settings,
+    },
+  });
+  job.worker = worker;
+  // Set once the worker has reported its outcome; it exits right after
+  let reported = false;
+  worker.on("message", (message) => {
+    if (message.type === "progress") {
+      updateJobProgress(job, message.progress);
+    } else if (message.type === "result") {
+      reported = true;
+      recordJobResult(job, message.result);
+    } else if (message.type === "error") {
+      reported = true;
+      finishJob(job, "failed", {
+        message: message.message,
+        statusCode: message.statusCode,
+        errorCode: message.errorCode,
+        errorField: message.errorField,
       });
-      return obj;
+    }
+  });
+  worker.on("error", (error) => {
+    console.error(`[JOBS] Job ${job.id} worker error:`, error);
+    finishJob(job, "failed", {
+      message: `An error occurred: ${error.message}`,
+      errorCode: "INTERNAL_ERROR",
     });
-    console.log(
-      `[readFileContent] Processed rows for structured file: ${originalFilename}, actual data rows: ${rows.length}`
+  });
+  worker.on("exit", (code) => {
+    runningJobCount--;
+    if (!reported && !isJobFinished(job)) {
+      finishJob(job, "failed", {
+        message: `The comparison stopped unexpectedly (exit code ${code}).`,
+        errorCode: "INTERNAL_ERROR",
+      });
+    }
+    startQueuedJobs();
+  });
+}
+
+/**
+ * Records a progress update from a job's worker and works out the overall
+ * percentage and the estimated time left.
+ * @param {Object} job The job.
+ * @param {Object} update { phase, rowsParsed, rowsCompared, totalRows, fraction }
+ * from runCrossCheck; fraction is the share of the current phase done.
+ */
+function updateJobProgress(job, update) {
+  const { fraction = 0, ...counts } = update;
+  Object.assign(job.progress, counts);
+
+  const phases = Object.keys(JOB_PHASES);
+  const start = JOB_PHASES[job.progress.phase] || 0;
+  const nextPhase = phases[phases.indexOf(job.progress.phase) + 1];
+  const end = nextPhase ? JOB_PHASES[nextPhase] : 1;
+  const share = Math.min(1, start + (end - start) * Math.min(1, fraction));
+  job.progress.percent = Math.round(share * 100);
+
+  const elapsedSeconds = (Date.now() - Date.parse(job.startedAt)) / 1000;
+  job.progress.etaSeconds =
+    share >= 0.05 ? Math.round((elapsedSeconds * (1 - share)) / share) : null;
+  notifyJobListeners(job);
+}
+
+/**
+ * Marks a job as finished, deletes its uploads and tells anyone following it.
+ * The job can still be looked up for JOB_RETENTION_MS.
+ * @param {Object} job The job.
+ * @param {string} status 'completed', 'failed' or 'cancelled'.
+ * @param {Object} [outcome] { result } for completed jobs, { message } otherwise;
+ * failed jobs also have an errorCode, the HTTP statusCode of the error, and an
+ * errorField naming the file or field at fault.
+ */
+function finishJob(job, status, outcome = {}) {
+  if (isJobFinished(job)) return;
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  job.result = outcome.result || null;
+  job.message = outcome.message || null;
+  job.errorCode = outcome.errorCode || null;
+  job.errorStatusCode = outcome.statusCode || null;
+  job.errorField = outcome.errorField || null;
+  job.worker = null;
+  if (status === "completed") {
+    job.progress.percent = 100;
+    job.progress.etaSeconds = 0;
+  }
+  removeUploads([job.fileA, ...job.filesB]);
+  console.log(`[JOBS] Job ${job.id} ${status}.`);
+
+  notifyJobListeners(job);
+  for (const listener of job.listeners) listener.end();
+  job.listeners.clear();
+  setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS);
+}
+
+/**
+ * Records a job's result in the history, then completes the job. A job
+ * cancelled before or while its run is recorded is left as it is, and its
+ * run and result files are removed.
+ * @param {Object} job The job.
+ * @param {Object} result The cross-check result from the worker.
+ */
+async function recordJobResult(job, result) {
+  if (isJobFinished(job)) {
+    removeResultFiles(result);
+    return;
+  }
+  try {
+    await recordRun(
+      job.id,
+      job.owner,
+      job.fileA,
+      job.filesB,
+      job.settings,
+      result
     );
+  } catch (error) {
+    console.error(`[HISTORY] Could not record job ${job.id}:`, error);
+  }
+  if (isJobFinished(job)) {
+    console.log(`[JOBS] Job ${job.id} was cancelled while being recorded.`);
+    if (!deleteRun(job.id)) removeResultFiles(result);
+    return;
+  }
+  finishJob(job, "completed", { result: result });
+}
 
-    const firstColumnHeader = headers.length > 0 ? headers[0] : null;
-    return {
-      data: rows,
-      type: "structured",
-      headers: headers,
-      firstColumnHeader: firstColumnHeader,
-    };
-  } else {
-    // Assume plain text for .txt and other non-structured files
-    console.log(
-      `[readFileContent] Reading plain text file: ${originalFilename}`
+/**
+ * Cancels a queued or running job, stopping its worker.
+ * @param {Object} job The job.
+ */
+function cancelJob(job) {
+  const worker = job.worker;
+  const queueIndex = jobQueue.indexOf(job.id);
+  if (queueIndex !== -1) jobQueue.splice(queueIndex, 1);
+  finishJob(job, "cancelled", { message: "The cross-check was cancelled." });
+  if (worker) worker.terminate();
+}
+
+/**
+ * @param {Object} job The job.
+ * @returns {boolean} True once the job has completed, failed or been cancelled.
+ */
+function isJobFinished(job) {
+  return ["completed", "failed", "cancelled"].includes(job.status);
+}
+
+/**
+ * Waits for a job to finish, following it like an events stream that ignores
+ * the progress updates.
+ * @param {Object} job The job.
+ * @returns {Promise<Object>} The job, once completed, failed or cancelled.
+ */
+function waitForJob(job) {
+  if (isJobFinished(job)) return Promise.resolve(job);
+  return new Promise((resolve) => {
+    job.listeners.add({ write: () => {}, end: () => resolve(job) });
+  });
+}
+
+/**
+ * Describes a job for API responses.
+ * @param {Object} job The job.
+ * @returns {Object} The job's public fields, with the result once completed.
+ */
+function jobView(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    file1Name: job.fileA.originalname,
+    file2Name: referenceList(job.filesB),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    queuePosition:
+      job.status === "queued" ? jobQueue.indexOf(job.id) + 1 : null,
+    progress: job.progress,
+    message: job.message,
+    errorCode: job.errorCode,
+    errorField: job.errorField,
+    result: job.result,
+  };
+}
+
+/**
+ * Writes a job's current state to a server-sent events stream.
+ * @param {Object} res The response of an events request.
+ * @param {Object} job The job.
+ */
+function sendJobEvent(res, job) {
+  res.write(`data: ${JSON.stringify(jobView(job))}\n\n`);
+}
+
+/**
+ * Sends a job's current state to everyone following its events.
+ * @param {Object} job The job.
+ */
+function notifyJobListeners(job) {
+  for (const listener of job.listeners) sendJobEvent(listener, job);
+}
+
+/**
+ * Worker thread entry point: runs the cross-check passed in workerData and
+ * posts progress and the outcome to the main thread.
+ */
+async function runWorkerJob() {
+  const { fileA, filesB, settings } = workerData;
+  try {
+    const result = await runCrossCheck(
+      fileA,
+      filesB,
+      settings,
+      tempCsvDir,
+      (progress) =>
+        parentPort.postMessage({ type: "progress", progress: progress })
     );
-    const content = fs.readFileSync(filePath, "utf8");
-    const lines = content.split(/\r?\n/).filter((line) => line.trim() !== "");
-    console.log(
-      `[readFileContent] Read ${lines.length} lines from plain text file: ${originalFilename}`
+    parentPort.postMessage({ type: "result", result: result });
+  } catch (error) {
+    console.error("[JOBS] Cross-check failed in worker:", error);
+    parentPort.postMessage({
+      type: "error",
+      message: crossCheckErrorMessage(error),
+      statusCode: error.statusCode || 500,
+      errorCode: errorCode(error),
+      errorField: error.field || null,
+    });
+  }
+}
+
+// --- Comparison History ---
+
+// Runs older than this are removed with their result files
+const HISTORY_RETENTION_DAYS = Number(process.env.HISTORY_RETENTION_DAYS) || 30;
+// At most this many runs are kept; the oldest are removed first
+const HISTORY_MAX_RUNS = Number(process.env.HISTORY_MAX_RUNS) || 500;
+const HISTORY_SWEEP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+// Result files no run refers to, and uploads, are removed once they are this
+// old. It is long enough not to touch the files of a comparison still running.
+const STALE_FILE_AGE_MS = 24 * 60 * 60 * 1000; // 1 day
+
+// Recorded runs, newest first. Only the main thread keeps the history.
+let history = isMainThread ? loadHistory() : [];
+
+/**
+ * Reads the history index from disk. An unreadable index is set aside
+ * (renamed) rather than overwritten, and the history starts empty. Result
+ * files recorded before they had ids are given one.
+ * @returns {Array<Object>} The recorded runs, newest first.
+ */
+function loadHistory() {
+  if (!fs.existsSync(historyFile)) {
+    return [];
+  }
+  try {
+    const runs = JSON.parse(fs.readFileSync(historyFile, "utf8"));
+    const unnamed = runs
+      .flatMap((run) => run.artifacts)
+      .filter((artifact) => !artifact.id);
+    if (unnamed.length > 0) {
+      unnamed.forEach((artifact) => (artifact.id = newArtifactId()));
+      saveHistory(runs);
+    }
+    return runs;
+  } catch (error) {
+    const backupFile = `${historyFile}.${Date.now()}.broken`;
+    console.error(
+      `[HISTORY] Could not read ${historyFile} (${error.message}); moved it to ${backupFile}.`
     );
-    return {
-      data: lines,
-      type: "plain_text",
-      headers: [],
-      firstColumnHeader: "Line Content",
-    };
+    fs.renameSync(historyFile, backupFile);
+    return [];
   }
 }
 
 /**
- * Generates and saves a CSV file from an array of data (objects or strings).
- * @param {Array<Object>|Array<string>} data The data to write to the CSV file.
- * @param {string} filename The name of the file to save.
- * @param {string} dataType 'structured' or 'plain_text' indicating the data format.
- * @returns {string} The full path to the saved CSV file.
+ * Writes the history index to disk. The index is written to a temporary file
+ * first so a crash mid-write cannot leave it half written.
+ * @param {Array<Object>} [runs] The runs to write (default: the history).
  */
-function saveCsvFile(data, filename, dataType) {
+function saveHistory(runs = history) {
+  const tempFile = `${historyFile}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(runs, null, 2));
+  fs.renameSync(tempFile, historyFile);
+}
+
+/**
+ * Creates the id a result file is downloaded by. It is random, so knowing one
+ * result file (or its name) does not lead to any other.
+ * @returns {string} 128 random bits, base64url encoded.
+ */
+function newArtifactId() {
+  return crypto.randomBytes(16).toString("base64url");
+}
+
+/**
+ * Resolves the path of a result file, making sure it stays directly inside
+ * temp_csv. Filenames come from results and the history index rather than
+ * from requests, but a damaged or edited index must not reach other files.
+ * @param {string} filename The name of the result file.
+ * @returns {string|null} The absolute path, or null if the name leads elsewhere.
+ */
+function resultFilePath(filename) {
+  const filePath = path.resolve(tempCsvDir, String(filename));
+  if (path.dirname(filePath) !== path.resolve(tempCsvDir)) {
+    console.warn(`[HISTORY] Refused result file outside temp_csv: ${filename}`);
+    return null;
+  }
+  return filePath;
+}
+
+/**
+ * @param {Object} run The history record.
+ * @param {Object} artifact One of the run's result files.
+ * @returns {string} The API path the file is downloaded from.
+ */
+function artifactUrl(run, artifact) {
+  return `/api/v1/runs/${run.id}/artifacts/${artifact.id}`;
+}
+
+/**
+ * Computes the SHA-256 hash of a file without reading it into memory.
+ * @param {string} filePath The path to the file.
+ * @returns {Promise<string>} The hex digest.
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Records a completed cross-check in the history, so its result files stay
+ * available until the run expires. Sets `historyId` on the result, and
+ * `downloads`: the download path of each result file, by kind.
+ * @param {string} id The id of the run.
+ * @param {string} owner The owner id of whoever started the run; only they can
+ * see and download it.
+ * @param {Object} fileA File A: { path, originalname, size }.
+ * @param {Array<Object>} filesB The File B reference files: { path, originalname, size }.
+ * @param {Object} settings The settings from parseCrossCheckSettings.
+ * @param {Object} result The cross-check result.
+ * @returns {Promise<Object>} The history record.
+ */
+async function recordRun(id, owner, fileA, filesB, settings, result) {
+  const [file1Hash, ...file2Hashes] = await Promise.all([
+    hashFile(fileA.path),
+    ...filesB.map((file) => hashFile(file.path)),
+  ]);
+  result.historyId = id;
+  const artifacts = [];
+  for (const [kind, field] of Object.entries(ARTIFACT_FIELDS)) {
+    const filePath = result[field] ? resultFilePath(result[field]) : null;
+    if (filePath && fs.existsSync(filePath)) {
+      artifacts.push({
+        id: newArtifactId(),
+        kind: kind,
+        filename: result[field],
+        size: fs.statSync(filePath).size,
+      });
+    }
+  }
+  const duplicates = result.duplicates || {};
+
+  const record = {
+    id: id,
+    owner: owner,
+    createdAt: new Date().toISOString(),
+    file1: { name: fileA.originalname, size: fileA.size, sha256: file1Hash },
+    file2:
+      filesB.length === 1
+        ? {
+            name: filesB[0].originalname,
+            size: filesB[0].size,
+            sha256: file2Hashes[0],
+          }
+        : {
+            name: referenceList(filesB),
+            size: filesB.reduce((total, file) => total + file.size, 0),
+            sha256: null,
+            references: filesB.map((file, index) => ({
+              name: file.originalname,
+              size: file.size,
+              sha256: file2Hashes[index],
+            })),
+          },
+    comparisonColumn: result.comparisonColumn,
+    keyColumns: result.comparisonColumns,
+    keyColumnsB: result.comparisonColumnsB,
+    options: settings,
+    counts: {
+      file1Rows: result.totalFile1Rows || 0,
+      file2Rows: result.totalFile2Rows || 0,
+      found: result.foundCount || 0,
+      missing: result.missingCount || 0,
+      nearMatches: result.nearMatchCount || 0,
+      bOnly: result.bOnlyCount || 0,
+      changed: result.changedCount || 0,
+      excludedA: result.excluded ? result.excluded.fileA : 0,
+      excludedB: result.excluded ? result.excluded.fileB : 0,
+      duplicateKeysA: duplicates.fileA ? duplicates.fileA.keyCount : 0,
+      duplicateKeysB: duplicates.fileB ? duplicates.fileB.keyCount : 0,
+    },
+    artifacts: artifacts,
+    result: result,
+  };
+  result.downloads = Object.fromEntries(
+    artifacts.map((artifact) => [artifact.kind, artifactUrl(record, artifact)])
+  );
+  history.unshift(record);
+  saveHistory();
   console.log(
-    `[saveCsvFile] Starting to save CSV: ${filename}, type: ${dataType}, data items: ${data.length}`
+    `[HISTORY] Recorded run ${id} with ${artifacts.length} result file(s).`
   );
-  let ws;
-  if (dataType === "structured") {
-    ws = XLSX.utils.json_to_sheet(data);
-  } else {
-    const aoaData = data.map((line) => [line]);
-    ws = XLSX.utils.aoa_to_sheet([["Line Content"], ...aoaData]);
+  return record;
+}
+
+/**
+ * Describes a run for the history list, without its stored result or owner.
+ * @param {Object} run The history record.
+ * @returns {Object} The run's summary fields.
+ */
+function historySummary(run) {
+  const { result, options, owner, ...summary } = run;
+  return {
+    ...summary,
+    artifacts: run.artifacts.map((artifact) => ({
+      ...artifact,
+      url: artifactUrl(run, artifact),
+    })),
+    expiresAt: runExpiry(run),
+  };
+}
+
+/**
+ * @param {Object} run The history record.
+ * @returns {string} When the retention policy removes the run (ISO date).
+ */
+function runExpiry(run) {
+  const retentionMs = HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  return new Date(Date.parse(run.createdAt) + retentionMs).toISOString();
+}
+
+/**
+ * Deletes the result files of a run.
+ * @param {Object} run The history record.
+ */
+function removeRunArtifacts(run) {
+  for (const artifact of run.artifacts) {
+    const filePath = resultFilePath(artifact.filename);
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+}
+
+/**
+ * Deletes the result files of a cross-check that is not kept in the history.
+ * @param {Object} result The cross-check result.
+ */
+function removeResultFiles(result) {
+  for (const field of Object.values(ARTIFACT_FIELDS)) {
+    const filePath = result[field] ? resultFilePath(result[field]) : null;
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
   }
+}
 
-  const csv = XLSX.utils.sheet_to_csv(ws);
-  const filePath = path.join(tempCsvDir, filename);
-  fs.writeFileSync(filePath, csv);
-  console.log(`[saveCsvFile] Successfully saved CSV: ${filePath}`);
-  return filePath;
+/**
+ * Removes a run and its result files from the history.
+ * @param {string} id The id of the run.
+ * @returns {boolean} True if the run existed.
+ */
+function deleteRun(id) {
+  const run = history.find((entry) => entry.id === id);
+  if (!run) return false;
+  removeRunArtifacts(run);
+  history = history.filter((entry) => entry !== run);
+  saveHistory();
+  console.log(`[HISTORY] Deleted run ${id}.`);
+  return true;
+}
+
+/**
+ * Deletes the files in a directory that are older than STALE_FILE_AGE_MS
+ * and not kept by the given test.
+ * @param {string} dir The directory to clean.
+ * @param {function(string): boolean} keep Returns true for filenames to keep.
+ * @returns {number} The number of files deleted.
+ */
+function removeStaleFiles(dir, keep) {
+  let removed = 0;
+  for (const filename of fs.readdirSync(dir)) {
+    const filePath = path.join(dir, filename);
+    const stats = fs.statSync(filePath);
+    if (
+      stats.isFile() &&
+      !keep(filename) &&
+      Date.now() - stats.mtimeMs > STALE_FILE_AGE_MS
+    ) {
+      fs.unlinkSync(filePath);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Enforces the retention policy: removes runs past HISTORY_RETENTION_DAYS or
+ * beyond HISTORY_MAX_RUNS with their result files, then stale result files
+ * that no run refers to and stale uploads that no session holds. Runs at startup and every hour, so the
+ * policy holds across restarts.
+ */
+function sweepHistory() {
+  const cutoff = Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const expired = history.filter(
+    (run, index) =>
+      index >= HISTORY_MAX_RUNS || Date.parse(run.createdAt) < cutoff
+  );
+  if (expired.length > 0) {
+    expired.forEach(removeRunArtifacts);
+    history = history.filter((run) => !expired.includes(run));
+    saveHistory();
+  }
+
+  const kept = new Set(
+    history.flatMap((run) => run.artifacts.map((artifact) => artifact.filename))
+  );
+  const staleResults = removeStaleFiles(tempCsvDir, (filename) =>
+    kept.has(filename)
+  );
+  const storedUploads = new Set(
+    Array.from(uploadSessions.values(), (session) =>
+      path.basename(session.path)
+    )
+  );
+  const staleUploads = removeStaleFiles(uploadsDir, (filename) =>
+    storedUploads.has(filename)
+  );
+  for (const [nonce, expiresAt] of usedDownloadLinks) {
+    if (expiresAt < Date.now()) usedDownloadLinks.delete(nonce);
+  }
+  console.log(
+    `[HISTORY] Sweep done. Expired runs: ${expired.length}, stale result files: ${staleResults}, stale uploads: ${staleUploads}.`
+  );
+}
+
+// --- Download Links ---
+
+// Signs download links. Set DOWNLOAD_LINK_SECRET to keep links working
+// across restarts; otherwise each start makes a new secret.
+const DOWNLOAD_LINK_SECRET =
+  process.env.DOWNLOAD_LINK_SECRET || crypto.randomBytes(32).toString("hex");
+const DOWNLOAD_LINK_DEFAULT_MINUTES = 60;
+const DOWNLOAD_LINK_MAX_MINUTES = 7 * 24 * 60; // 1 week
+// Single-use links that have been used, by nonce, with when each expires.
+// Kept in memory: after a restart with the same secret they work once more.
+const usedDownloadLinks = new Map();
+
+/**
+ * @param {string} payload The encoded link payload.
+ * @returns {string} Its HMAC-SHA256 signature, base64url encoded.
+ */
+function signDownloadLink(payload) {
+  return crypto
+    .createHmac("sha256", DOWNLOAD_LINK_SECRET)
+    .update(payload)
+    .digest("base64url");
+}
+
+/**
+ * Creates a signed link to one result file that works until it expires, and
+ * only once if it is single-use. Anyone holding the link can download the
+ * file, so it can be passed on without sharing the run.
+ * @param {Object} run The history record.
+ * @param {Object} artifact One of the run's result files.
+ * @param {number} expiresInMinutes How long the link works.
+ * @param {boolean} singleUse True if the link works only once.
+ * @returns {Object} { token, expiresAt }.
+ */
+function createDownloadLink(run, artifact, expiresInMinutes, singleUse) {
+  const expiresAt = Date.now() + expiresInMinutes * 60 * 1000;
+  const payload = Buffer.from(
+    JSON.stringify({
+      run: run.id,
+      artifact: artifact.id,
+      expiresAt: expiresAt,
+      singleUse: singleUse,
+      nonce: crypto.randomBytes(9).toString("base64url"),
+    })
+  ).toString("base64url");
+  return {
+    token: `${payload}.${signDownloadLink(payload)}`,
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+/**
+ * Checks a download link and finds the file it points to. A single-use link
+ * is used up by the call.
+ * @param {string} token The token from the link.
+ * @returns {Object} The result file (an artifact of its run).
+ * @throws {Error} With statusCode 403 if the signature does not match, 410 if
+ * the link has expired or was used, or 404 if the run or file is gone.
+ */
+function useDownloadLink(token) {
+  const [payload = "", signature = ""] = String(token).split(".");
+  const given = Buffer.from(signature);
+  const expected = Buffer.from(signDownloadLink(payload));
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    throw httpError(403, "LINK_INVALID", "This download link is not valid.");
+  }
+  const link = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  if (link.expiresAt < Date.now()) {
+    throw httpError(410, "LINK_EXPIRED", "This download link has expired.");
+  }
+  if (link.singleUse && usedDownloadLinks.has(link.nonce)) {
+    throw httpError(
+      410,
+      "LINK_USED",
+      "This download link has already been used."
+    );
+  }
+  const artifact = requireArtifact(requireRun(link.run, null), link.artifact);
+  if (link.singleUse) usedDownloadLinks.set(link.nonce, link.expiresAt);
+  return artifact;
+}
+
+// --- Run Ownership ---
+
+// Jobs and runs belong to whoever started them: a browser, through a cookie
+// set on its first request, or an API client, through a header it sends with
+// every request. Only a hash of the token is kept with a job or run.
+const OWNER_COOKIE = "ownerToken";
+const OWNER_HEADER = "X-Owner-Token";
+const OWNER_TOKEN_PATTERN = /^[A-Za-z0-9_-]{22,128}$/;
+const OWNER_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+/**
+ * Reads a cookie of a request.
+ * @param {Object} req The Express request.
+ * @param {string} name The cookie name.
+ * @returns {string|null} The cookie value, or null if it was not sent.
+ */
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
 }
 
-// --- Express Routes ---
-
-// Route to get headers for the dropdown (when files are selected)
-app.post(
-  "/get-headers",
-  upload.fields([
-    { name: "fileA", maxCount: 1 },
-    { name: "fileB", maxCount: 1 },
-  ]),
-  async (req, res) => {
-    console.log("[GET_HEADERS] Request received.");
-    try {
-      const fileA = req.files["fileA"] ? req.files["fileA"][0] : null;
-      const fileB = req.files["fileB"] ? req.files["fileB"][0] : null;
-
-      if (!fileA || !fileB) {
-        console.log("[GET_HEADERS] Error: File A or File B missing.");
-        return res.status(400).json({
-          success: false,
-          message: "Please upload both files to get headers.",
-        });
+/**
+ * Middleware setting `req.owner`, the owner id of the requester, from the
+ * X-Owner-Token header or the owner cookie. A requester without either is
+ * given a new token, in the cookie and in the X-Owner-Token response header.
+ * @param {Object} req The Express request.
+ * @param {Object} res The Express response.
+ * @param {function} next Continues with the request.
+ */
+function identifyOwner(req, res, next) {
+  let token = req.get(OWNER_HEADER);
+  if (token !== undefined && !OWNER_TOKEN_PATTERN.test(token)) {
+    return sendError(
+      res,
+      httpError(
+        400,
+        "INVALID_REQUEST",
+        `${OWNER_HEADER} must be 22 to 128 letters, digits, '-' or '_'.`
+      )
+    );
+  }
+  if (token === undefined) {
+    token = readCookie(req, OWNER_COOKIE);
+  }
+  if (!token || !OWNER_TOKEN_PATTERN.test(token)) {
+    token = crypto.randomBytes(32).toString("base64url");
+    res.cookie(OWNER_COOKIE, token, {
+      httpOnly: true,
+      sameSite: "strict",
+      path: "/",
+      maxAge: OWNER_COOKIE_MAX_AGE_MS,
+    });
+    res.set(OWNER_HEADER, token);
+  }
+  req.owner = crypto.createHash("sha256").update(token).digest("hex");
+  next();
+}
+
+// --- API v1 ---
+
+// The JSON API. Every error is answered with { success: false, code, message }
+// (see sendError); the contract is described by GET /api/v1/openapi.json.
+const api = express.Router();
+api.use(express.json());
+api.use(identifyOwner);
+
+// The file fields of a request; File B may be several reference files
+const UPLOAD_FIELDS = [
+  { name: "fileA", maxCount: 1 },
+  { name: "fileB", maxCount: MAX_REFERENCE_FILES },
+];
+// Stored uploads a request may use in place of File A and File B
+const UPLOAD_ID_FIELDS = ["uploadIdA", "uploadIdB"];
+// Fields of a cross-check request, besides the files
+const CROSS_CHECK_REQUEST_FIELDS = [
+  ...Object.keys(CROSS_CHECK_FIELDS),
+  ...UPLOAD_ID_FIELDS,
+];
+// Fields of a headers request, besides the files
+const HEADER_REQUEST_FIELDS = [
+  "sheetA",
+  "sheetB",
+  "headerRowA",
+  "headerRowB",
+  "encodingA",
+  "encodingB",
+  "delimiterA",
+  "delimiterB",
+  ...UPLOAD_ID_FIELDS,
+];
+
+/**
+ * Creates the error for a request field that cannot be used.
+ * @param {string} code INVALID_FIELD or UNKNOWN_FIELD.
+ * @param {string} field The field.
+ * @param {string} message The message shown to the user.
+ * @returns {Error} The error, with statusCode 400.
+ */
+function fieldError(code, field, message) {
+  const error = httpError(400, code, message);
+  error.field = field;
+  return error;
+}
+
+/**
+ * Rejects a request body with a field the endpoint does not read, so a
+ * mistyped option is reported instead of being ignored.
+ * @param {Object} body The request body.
+ * @param {Array<string>} allowed The fields the endpoint reads.
+ * @throws {Error} With statusCode 400 and code UNKNOWN_FIELD.
+ */
+function rejectUnknownFields(body, allowed) {
+  const unknown = Object.keys(body || {}).filter(
+    (field) => !allowed.includes(field)
+  );
+  if (unknown.length > 0) {
+    throw fieldError(
+      "UNKNOWN_FIELD",
+      unknown[0],
+      `Unknown field(s): ${unknown.join(", ")}.`
+    );
+  }
+}
+
+/**
+ * Looks up a job by id. Someone else's job is reported as not found.
+ * @param {string} id The job id.
+ * @param {string} owner The owner id of the requester.
+ * @returns {Object} The job.
+ * @throws {Error} With statusCode 404 and code JOB_NOT_FOUND.
+ */
+function requireJob(id, owner) {
+  const job = jobs.get(id);
+  if (!job || job.owner !== owner) {
+    throw httpError(
+      404,
+      "JOB_NOT_FOUND",
+      "Job not found. It may have expired."
+    );
+  }
+  return job;
+}
+
+/**
+ * Looks up a recorded run by id. Someone else's run is reported as not found,
+ * as are runs recorded before runs had owners.
+ * @param {string} id The run id.
+ * @param {string|null} owner The owner id of the requester; null for a signed
+ * download link, which grants access by itself.
+ * @returns {Object} The run.
+ * @throws {Error} With statusCode 404 and code RUN_NOT_FOUND.
+ */
+function requireRun(id, owner) {
+  const run = history.find((entry) => entry.id === id);
+  if (!run || (owner !== null && run.owner !== owner)) {
+    throw httpError(
+      404,
+      "RUN_NOT_FOUND",
+      "Run not found. It may have expired or been deleted."
+    );
+  }
+  return run;
+}
+
+/**
+ * Looks up one of a run's result files by id.
+ * @param {Object} run The history record.
+ * @param {string} artifactId The id of the result file.
+ * @returns {Object} The result file.
+ * @throws {Error} With statusCode 404 and code ARTIFACT_NOT_FOUND.
+ */
+function requireArtifact(run, artifactId) {
+  const artifact = run.artifacts.find((entry) => entry.id === artifactId);
+  if (!artifact) {
+    throw httpError(
+      404,
+      "ARTIFACT_NOT_FOUND",
+      "Result file not found. It may have expired."
+    );
+  }
+  return artifact;
+}
+
+/**
+ * Sends a result file as an attachment. Results can hold commercially
+ * sensitive data, so they are marked as not to be cached.
+ * @param {Object} res The Express response.
+ * @param {Object} artifact The result file.
+ * @throws {Error} With statusCode 404 if the file is gone.
+ */
+function sendArtifact(res, artifact) {
+  const filePath = resultFilePath(artifact.filename);
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw httpError(
+      404,
+      "ARTIFACT_NOT_FOUND",
+      "Result file not found. It may have expired."
+    );
+  }
+  res.set("Cache-Control", "private, no-store");
+  // Files stay until their run expires, so reports can be fetched again
+  res.download(filePath, artifact.filename, (err) => {
+    if (err) {
+      console.error(`Error downloading file ${artifact.filename}:`, err);
+      if (!res.headersSent) {
+        sendError(res, err);
       }
-      console.log(
-        `[GET_HEADERS] Files received: ${fileA.originalname}, ${fileB.originalname}`
+    }
+  });
+}
+
+// The OpenAPI description of this API
+api.get("/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Headers for the column pickers (when files are selected). Uploaded files
+// are stored and their ids returned, so later requests (another sheet, the
+// cross-check itself) can send uploadIdA/uploadIdB instead of the files.
+api.post("/headers", upload.fields(UPLOAD_FIELDS), async (req, res) => {
+  console.log("[GET_HEADERS] Request received.");
+  try {
+    // Keep newly uploaded files before anything can fail, so none is left behind
+    const uploadedA = req.files && req.files.fileA;
+    if (uploadedA) {
+      req.body.uploadIdA = createUploadSession(
+        uploadedA[0],
+        req.owner
+      ).uploadId;
+      delete req.files.fileA;
+    }
+    const uploadedB = req.files && req.files.fileB;
+    if (uploadedB) {
+      req.body.uploadIdB = [
+        ...parseListField(req.body.uploadIdB),
+        ...uploadedB.map(
+          (file) => createUploadSession(file, req.owner).uploadId
+        ),
+      ];
+      delete req.files.fileB;
+    }
+    rejectUnknownFields(req.body, HEADER_REQUEST_FIELDS);
+    validateCrossCheckFields(req.body);
+    const { fileA, filesB } = requestFiles(req);
+
+    if (!fileA || filesB.length === 0) {
+      console.log("[GET_HEADERS] Error: File A or File B missing.");
+      throw httpError(
+        400,
+        "FILES_REQUIRED",
+        "Please upload both files to get headers."
       );
+    }
+    console.log(
+      `[GET_HEADERS] Files ready: ${fileA.originalname}, ${referenceList(
+        filesB
+      )}`
+    );
 
-      const fileAContent = readFileContent(fileA.path, fileA.originalname);
-      const fileBContent = readFileContent(fileB.path, fileB.originalname);
-      console.log(
-        "[GET_HEADERS] Files read successfully for headers extraction."
+    const fileAContent = await describeFile(fileA, {
+      sheet: req.body.sheetA || undefined,
+      headerRow: parseHeaderRowField(req.body.headerRowA),
+      encoding: req.body.encodingA || undefined,
+      delimiter: req.body.delimiterA || undefined,
+      side: "A",
+    });
+    // The sheet and format settings of File B apply to every reference file
+    const referenceContents = [];
+    for (const file of filesB) {
+      referenceContents.push(
+        await describeFile(file, {
+          sheet: req.body.sheetB || undefined,
+          headerRow: parseHeaderRowField(req.body.headerRowB),
+          encoding: req.body.encodingB || undefined,
+          delimiter: req.body.delimiterB || undefined,
+          side: "B",
+        })
       );
+    }
+    const fileBContent = combineFileDescriptions(referenceContents);
+    console.log(
+      "[GET_HEADERS] Files read successfully for headers extraction."
+    );
 
-      // Clean up uploaded files immediately after reading headers
-      fs.unlinkSync(fileA.path);
-      fs.unlinkSync(fileB.path);
-      console.log("[GET_HEADERS] Temporary upload files cleaned up.");
-
-      // Determine if both files are structured (Excel/CSV)
-      const areBothStructured =
-        fileAContent.type === "structured" &&
-        fileBContent.type === "structured";
-
-      let uniqueHeaders = [];
-      if (areBothStructured) {
-        uniqueHeaders = Array.from(
-          new Set([...fileAContent.headers, ...fileBContent.headers])
-        ).filter((h) => h && h.trim() !== "");
-      } else {
-        uniqueHeaders = ["Line Content"];
-      }
+    // The columns of the structured (Excel/CSV) files; a text file only
+    // offers its lines, which are compared with a column of the other file
+    const structuredContents = [fileAContent, fileBContent].filter(
+      (content) => content.type === "structured"
+    );
 
-      if (uniqueHeaders.length === 0 && areBothStructured) {
-        uniqueHeaders = ["No Headers Found"];
-      }
-      console.log("[GET_HEADERS] Unique headers determined:", uniqueHeaders);
+    let uniqueHeaders = [];
+    if (structuredContents.length > 0) {
+      uniqueHeaders = Array.from(
+        new Set(structuredContents.flatMap((content) => content.headers))
+      ).filter((h) => h && h.trim() !== "");
+    } else {
+      uniqueHeaders = ["Line Content"];
+    }
 
-      res.json({
-        success: true,
-        headers: uniqueHeaders,
-        fileAType: fileAContent.type,
-      });
-    } catch (error) {
-      console.error("[GET_HEADERS] Server error getting headers:", error);
-      if (req.files && req.files["fileA"] && req.files["fileA"][0])
-        fs.unlinkSync(req.files["fileA"][0].path);
-      if (req.files && req.files["fileB"] && req.files["fileB"][0])
-        fs.unlinkSync(req.files["fileB"][0].path);
-      res.status(500).json({
-        success: false,
-        message: `An error occurred while getting headers: ${error.message}`,
-      });
+    if (uniqueHeaders.length === 0 && structuredContents.length > 0) {
+      uniqueHeaders = ["No Headers Found"];
     }
+    console.log("[GET_HEADERS] Unique headers determined:", uniqueHeaders);
+
+    res.json({
+      success: true,
+      headers: uniqueHeaders,
+      fileAUploadId: fileA.uploadId,
+      fileBUploadId: filesB[0].uploadId,
+      fileBUploadIds: filesB.map((file) => file.uploadId),
+      fileBFiles: filesB.map((file, index) => ({
+        name: file.originalname,
+        uploadId: file.uploadId,
+        type: referenceContents[index].type,
+        rowCount: referenceContents[index].rowCount,
+        textFormat: referenceContents[index].textFormat,
+      })),
+      fileAHeaders: fileAContent.headers,
+      fileBHeaders: fileBContent.headers,
+      fileASheets: fileAContent.sheetNames,
+      fileBSheets: fileBContent.sheetNames,
+      fileASheet: fileAContent.sheetName,
+      fileBSheet: fileBContent.sheetName,
+      fileAHeaderRow: fileAContent.headerRow,
+      fileBHeaderRow: fileBContent.headerRow,
+      fileATextFormat: fileAContent.textFormat,
+      fileBTextFormat: fileBContent.textFormat,
+      fileARowCount: fileAContent.rowCount,
+      fileBRowCount: fileBContent.rowCount,
+      fileAPreview: fileAContent.preview,
+      fileBPreview: fileBContent.preview,
+      fileAType: fileAContent.type,
+      fileBType: fileBContent.type,
+    });
+  } catch (error) {
+    console.error("[GET_HEADERS] Error getting headers:", error.message);
+    // The ids of the files that were stored, so they need not be sent again
+    const storedIdsB = parseListField(req.body && req.body.uploadIdB)
+      .map((uploadId) => storedUploadId(uploadId, req.owner))
+      .filter(Boolean);
+    sendError(res, error, {
+      fileAUploadId: storedUploadId(req.body && req.body.uploadIdA, req.owner),
+      fileBUploadId: storedIdsB[0] || null,
+      fileBUploadIds: storedIdsB,
+    });
   }
-);
-
-// Route to handle file uploads and perform cross-check
-app.post(
-  "/cross-check",
-  upload.fields([
-    { name: "fileA", maxCount: 1 },
-    { name: "fileB", maxCount: 1 },
-  ]),
-  async (req, res) => {
-    console.log("[CROSS_CHECK] Request received.");
-    try {
-      const fileA = req.files["fileA"] ? req.files["fileA"][0] : null;
-      const fileB = req.files["fileB"] ? req.files["fileB"][0] : null;
-      const selectedColumn = req.body.selectedColumn; // Get the selected column from the form data
-      console.log(`[CROSS_CHECK] Selected column: ${selectedColumn}`);
-
-      if (!fileA || !fileB) {
-        console.log("[CROSS_CHECK] Error: File A or File B missing.");
-        return res.status(400).json({
-          success: false,
-          message: "Please upload both File A and File B.",
-        });
-      }
-      console.log(
-        `[CROSS_CHECK] Files received: ${fileA.originalname}, ${fileB.originalname}`
-      );
+});
 
-      console.log("[CROSS_CHECK] Reading file A content...");
-      const fileAContent = readFileContent(fileA.path, fileA.originalname);
-      console.log("[CROSS_CHECK] Reading file B content...");
-      const fileBContent = readFileContent(fileB.path, fileB.originalname);
-      console.log("[CROSS_CHECK] Both files read.");
-
-      const data1 = fileAContent.data;
-      const data2 = fileBContent.data;
-      const file1Type = fileAContent.type;
-      const file2Type = fileBContent.type;
-
-      let actualComparisonColumn;
-
-      // Determine the actual column to use for comparison
-      if (file1Type === "structured" && file2Type === "structured") {
-        actualComparisonColumn = selectedColumn;
-        if (!fileAContent.headers.includes(actualComparisonColumn)) {
-          console.log(
-            `[CROSS_CHECK] Error: Selected column '${actualComparisonColumn}' not found in File A headers.`
-          );
-          fs.unlinkSync(fileA.path);
-          fs.unlinkSync(fileB.path);
-          return res.status(400).json({
-            success: false,
-            message: `Selected column '${actualComparisonColumn}' not found in File A headers. Please select a valid column.`,
-          });
-        }
-      } else {
-        actualComparisonColumn = "Line Content"; // Default for plain text comparison
-      }
-      console.log(
-        `[CROSS_CHECK] Comparison will be based on: '${actualComparisonColumn}'`
-      );
+// Discard a stored upload that is no longer needed (e.g. another file was chosen)
+api.delete("/uploads/:id", (req, res) => {
+  if (storedUploadId(req.params.id, req.owner) === null) {
+    throw httpError(
+      404,
+      "UPLOAD_NOT_FOUND",
+      "Upload not found. It may have expired."
+    );
+  }
+  removeUploadSession(req.params.id);
+  console.log(`[UPLOADS] Removed upload ${req.params.id}.`);
+  res.json({ success: true, message: "Upload removed." });
+});
 
-      if (data1.length === 0) {
-        fs.unlinkSync(fileA.path);
-        fs.unlinkSync(fileB.path);
-        console.log("[CROSS_CHECK] File A is empty.");
-        return res.status(200).json({
-          success: true,
-          message: "File A is empty. Nothing to cross-check.",
-          foundCount: 0,
-          missingCount: 0,
-          missingContents: [],
-          totalFile1Rows: 0,
-          file1Name: fileA.originalname,
-          file2Name: fileB.originalname,
-          comparisonColumn: actualComparisonColumn,
-        });
-      }
-      if (data2.length === 0) {
-        fs.unlinkSync(fileA.path);
-        fs.unlinkSync(fileB.path);
-        console.log("[CROSS_CHECK] File B is empty.");
-        return res.status(200).json({
-          success: true,
-          message: "File B is empty. No contents to compare against.",
-          foundCount: 0,
-          missingCount: 0,
-          missingContents: [],
-          totalFile1Rows: data1.length,
-          file1Name: fileA.originalname,
-          file2Name: fileB.originalname,
-          comparisonColumn: actualComparisonColumn,
-        });
-      }
+// Run a cross-check on a job worker and respond with its result once done
+api.post("/cross-checks", upload.fields(UPLOAD_FIELDS), async (req, res) => {
+  console.log("[CROSS_CHECK] Request received.");
+  try {
+    rejectUnknownFields(req.body, CROSS_CHECK_REQUEST_FIELDS);
+    const { fileA, filesB } = requestFiles(req);
+    if (!fileA || filesB.length === 0) {
+      console.log("[CROSS_CHECK] Error: File A or File B missing.");
+      throw httpError(
+        400,
+        "FILES_REQUIRED",
+        "Please upload both File A and File B."
+      );
+    }
+    console.log(
+      `[CROSS_CHECK] Files received: ${fileA.originalname}, ${referenceList(
+        filesB
+      )}`
+    );
 
-      console.log(
-        `[CROSS_CHECK] Building lookup set from File B (${data2.length} items)...`
+    // The job records the run and deletes the uploads when it finishes
+    const job = await waitForJob(
+      createJob(fileA, filesB, parseCrossCheckSettings(req.body), req.owner)
+    );
+    if (job.status !== "completed") {
+      const error = httpError(
+        job.errorStatusCode || 500,
+        job.errorCode || "INTERNAL_ERROR",
+        job.message
       );
-      const values2Set = new Set();
-      if (file2Type === "structured") {
-        data2.forEach((row) => {
-          const value = row[actualComparisonColumn];
-          if (value !== undefined && value !== null && value !== "") {
-            values2Set.add(String(value));
-          }
-        });
-      } else {
-        data2.forEach((line) => {
-          if (line !== undefined && line !== null && line !== "") {
-            values2Set.add(String(line));
-          }
-        });
-      }
-      console.log(
-        `[CROSS_CHECK] Lookup set built with ${values2Set.size} unique values.`
+      error.field = job.errorField;
+      // The job's message is already worded for the user
+      return sendError(res, error, { message: job.message });
+    }
+    res.json(job.result);
+    console.log("[CROSS_CHECK] Response sent to client.");
+  } catch (error) {
+    console.error("[CROSS_CHECK] Error during cross-check:", error);
+    sendError(res, error);
+  } finally {
+    // Uploads no job took over; stored uploads are kept until their session
+    // expires
+    removeUploads(Object.values(req.files || {}).flat());
+  }
+});
+
+// Start a cross-check in the background; responds with a job id
+api.post("/jobs", upload.fields(UPLOAD_FIELDS), (req, res) => {
+  console.log("[JOBS] Job request received.");
+  let job;
+  try {
+    rejectUnknownFields(req.body, CROSS_CHECK_REQUEST_FIELDS);
+    const { fileA, filesB } = requestFiles(req);
+    if (!fileA || filesB.length === 0) {
+      throw httpError(
+        400,
+        "FILES_REQUIRED",
+        "Please upload both File A and File B."
       );
+    }
+    job = createJob(
+      fileA,
+      filesB,
+      parseCrossCheckSettings(req.body),
+      req.owner
+    );
+  } catch (error) {
+    console.log(`[JOBS] Error: ${error.message}`);
+    // Without a job to own them, the uploaded files are not needed
+    removeUploads(Object.values(req.files || {}).flat());
+    return sendError(res, error);
+  }
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    job: jobView(job),
+  });
+});
 
-      const foundInFile2 = [];
-      const missingInFile2 = [];
+// Job status, for polling
+api.get("/jobs/:id", (req, res) => {
+  res.json({
+    success: true,
+    job: jobView(requireJob(req.params.id, req.owner)),
+  });
+});
 
-      console.log(
-        `[CROSS_CHECK] Starting comparison of File A (${data1.length} items) against File B.`
-      );
-      for (const item1 of data1) {
-        let value1;
-        if (file1Type === "structured") {
-          value1 = item1[actualComparisonColumn];
-        } else {
-          value1 = item1;
-        }
-
-        if (value1 !== undefined && value1 !== null && value1 !== "") {
-          if (values2Set.has(String(value1))) {
-            foundInFile2.push(item1);
-          } else {
-            missingInFile2.push(item1);
-          }
-        } else {
-          missingInFile2.push(item1);
-        }
-      }
-      console.log(
-        `[CROSS_CHECK] Comparison complete. Found: ${foundInFile2.length}, Missing: ${missingInFile2.length}`
-      );
+// Job status as server-sent events, one event per progress update until the
+// job finishes
+api.get("/jobs/:id/events", (req, res) => {
+  const job = requireJob(req.params.id, req.owner);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stop reverse proxies from holding events back
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  sendJobEvent(res, job);
+  if (isJobFinished(job)) {
+    return res.end();
+  }
 
-      const timestamp = new Date().toISOString().slice(0, 10);
-      const matchedCsvFilename = `matched_contents_${timestamp}_${Date.now()}.csv`;
-      const missingCsvFilename = `missing_contents_${timestamp}_${Date.now()}.csv`;
-
-      let matchedCsvFilePath = null;
-      if (foundInFile2.length > 0) {
-        console.log("[CROSS_CHECK] Saving matched CSV file...");
-        matchedCsvFilePath = saveCsvFile(
-          foundInFile2,
-          matchedCsvFilename,
-          file1Type
-        );
-        setTimeout(() => {
-          if (fs.existsSync(matchedCsvFilePath)) {
-            fs.unlink(matchedCsvFilePath, (err) => {
-              if (err)
-                console.error(
-                  `Error deleting temp matched CSV: ${err.message}`
-                );
-              else
-                console.log(
-                  `Cleaned up temp matched CSV: ${matchedCsvFilename}`
-                );
-            });
-          }
-        }, 5 * 60 * 1000); // 5 minutes
-      }
+  job.listeners.add(res);
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    job.listeners.delete(res);
+  });
+});
 
-      let missingCsvFilePath = null;
-      if (missingInFile2.length > 0) {
-        console.log("[CROSS_CHECK] Saving missing CSV file...");
-        missingCsvFilePath = saveCsvFile(
-          missingInFile2,
-          missingCsvFilename,
-          file1Type
-        );
-        setTimeout(() => {
-          if (fs.existsSync(missingCsvFilePath)) {
-            fs.unlink(missingCsvFilePath, (err) => {
-              if (err)
-                console.error(
-                  `Error deleting temp missing CSV: ${err.message}`
-                );
-              else
-                console.log(
-                  `Cleaned up temp missing CSV: ${missingCsvFilename}`
-                );
-            });
-          }
-        }, 5 * 60 * 1000); // 5 minutes
-      }
-      console.log("[CROSS_CHECK] CSV files saving process initiated.");
-
-      // Clean up uploaded source files immediately
-      fs.unlinkSync(fileA.path);
-      fs.unlinkSync(fileB.path);
-      console.log("[CROSS_CHECK] Original upload files cleaned up.");
-
-      res.json({
-        success: true,
-        message: "Cross-check completed successfully! CSV files generated.",
-        foundCount: foundInFile2.length,
-        missingCount: missingInFile2.length,
-        totalFile1Rows: data1.length,
-        missingContents: missingInFile2.slice(0, 10), // Still send sample for on-screen display
-        matchedCsvFilename: foundInFile2.length > 0 ? matchedCsvFilename : null,
-        missingCsvFilename:
-          missingInFile2.length > 0 ? missingCsvFilename : null,
-        file1Name: fileA.originalname,
-        file2Name: fileB.originalname,
-        comparisonColumn: actualComparisonColumn, // Report the actual column used for comparison
-      });
-      console.log("[CROSS_CHECK] Response sent to client.");
-    } catch (error) {
-      console.error("[CROSS_CHECK] Server error during cross-check:", error);
-      // Clean up uploaded files in case of error
-      if (req.files && req.files["fileA"] && req.files["fileA"][0])
-        fs.unlinkSync(req.files["fileA"][0].path);
-      if (req.files && req.files["fileB"] && req.files["fileB"][0])
-        fs.unlinkSync(req.files["fileB"][0].path);
-      res.status(500).json({
-        success: false,
-        message: `An error occurred: ${error.message}`,
-      });
+// Cancel a queued or running job
+api.delete("/jobs/:id", (req, res) => {
+  const job = requireJob(req.params.id, req.owner);
+  if (isJobFinished(job)) {
+    throw httpError(409, "JOB_FINISHED", `Job has already ${job.status}.`);
+  }
+  cancelJob(job);
+  res.json({ success: true, job: jobView(job) });
+});
+
+// The requester's recorded runs, newest first
+api.get("/runs", (req, res) => {
+  res.json({
+    success: true,
+    retentionDays: HISTORY_RETENTION_DAYS,
+    maxRuns: HISTORY_MAX_RUNS,
+    runs: history.filter((run) => run.owner === req.owner).map(historySummary),
+  });
+});
+
+// One recorded run, with its settings and full result
+api.get("/runs/:id", (req, res) => {
+  const run = requireRun(req.params.id, req.owner);
+  res.json({
+    success: true,
+    run: { ...historySummary(run), options: run.options, result: run.result },
+  });
+});
+
+// Delete a recorded run and its result files
+api.delete("/runs/:id", (req, res) => {
+  requireRun(req.params.id, req.owner);
+  deleteRun(req.params.id);
+  res.json({ success: true, message: "Run deleted." });
+});
+
+// Download a result file of a run
+api.get("/runs/:id/artifacts/:artifactId", (req, res) => {
+  const run = requireRun(req.params.id, req.owner);
+  sendArtifact(res, requireArtifact(run, req.params.artifactId));
+});
+
+// Create a signed link to a result file that expires, and optionally works
+// only once
+api.post("/runs/:id/artifacts/:artifactId/links", (req, res) => {
+  const run = requireRun(req.params.id, req.owner);
+  const artifact = requireArtifact(run, req.params.artifactId);
+  const body = req.body || {};
+  rejectUnknownFields(body, ["expiresInMinutes", "singleUse"]);
+
+  const expiresInMinutes =
+    body.expiresInMinutes === undefined
+      ? DOWNLOAD_LINK_DEFAULT_MINUTES
+      : Number(body.expiresInMinutes);
+  if (
+    !Number.isInteger(expiresInMinutes) ||
+    expiresInMinutes < 1 ||
+    expiresInMinutes > DOWNLOAD_LINK_MAX_MINUTES
+  ) {
+    throw fieldError(
+      "INVALID_FIELD",
+      "expiresInMinutes",
+      `expiresInMinutes must be a whole number from 1 to ${DOWNLOAD_LINK_MAX_MINUTES}.`
+    );
+  }
+  if (![undefined, true, false, "true", "false"].includes(body.singleUse)) {
+    throw fieldError(
+      "INVALID_FIELD",
+      "singleUse",
+      "singleUse must be true or false."
+    );
+  }
+  const singleUse = String(body.singleUse) === "true";
+
+  const link = createDownloadLink(run, artifact, expiresInMinutes, singleUse);
+  console.log(
+    `[HISTORY] Created a ${
+      singleUse ? "single-use " : ""
+    }download link for run ${run.id}, expiring ${link.expiresAt}.`
+  );
+  res.status(201).json({
+    success: true,
+    url: `/api/v1/downloads/${link.token}`,
+    expiresAt: link.expiresAt,
+    singleUse: singleUse,
+  });
+});
+
+// Download a result file through a signed link
+api.get("/downloads/:token", (req, res) => {
+  sendArtifact(res, useDownloadLink(req.params.token));
+});
+
+// Any other path under the API
+api.use((req, res) => {
+  sendError(
+    res,
+    httpError(
+      404,
+      "NOT_FOUND",
+      `No endpoint ${req.method} ${req.baseUrl}${req.path}.`
+    )
+  );
+});
+
+// Errors thrown by the endpoints, and request errors from multer and the JSON parser
+api.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    const tooLarge = error.code === "LIMIT_FILE_SIZE";
+    // More File B files than UPLOAD_FIELDS allows
+    const tooMany =
+      error.code === "LIMIT_UNEXPECTED_FILE" && error.field === "fileB";
+    error.statusCode = tooLarge ? 413 : 400;
+    error.code = tooLarge
+      ? "FILE_TOO_LARGE"
+      : tooMany
+      ? "TOO_MANY_FILES"
+      : "INVALID_UPLOAD";
+    if (tooMany) {
+      error.message = `File B can be up to ${MAX_REFERENCE_FILES} reference files.`;
+    }
+    if (tooLarge) {
+      const side = fileSide(error.field);
+      error.message = `${
+        side ? `File ${side}: the` : "The"
+      } file is too large. Files can be up to ${MAX_UPLOAD_MB} MB.`;
     }
+  } else if (error.type === "entity.parse.failed") {
+    error.code = "INVALID_JSON";
   }
-);
-
-// Endpoint to download generated CSV files
-app.get("/download-csv/:filename", (req, res) => {
-  const filename = req.params.filename;
-  const filePath = path.join(tempCsvDir, filename);
-
-  if (fs.existsSync(filePath)) {
-    res.setHeader("Content-Type", "text/csv");
-    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-    res.download(filePath, (err) => {
-      if (err) {
-        console.error(`Error downloading file ${filename}:`, err);
-        if (!res.headersSent) {
-          res.status(500).send("Error downloading file.");
-        }
-      } else {
-        // Delete the file after successful download
-        fs.unlink(filePath, (unlinkErr) => {
-          if (unlinkErr)
-            console.error(
-              `Error deleting temp CSV after download: ${unlinkErr.message}`
-            );
-          else console.log(`Cleaned up temp CSV after download: ${filename}`);
-        });
-      }
-    });
-  } else {
-    res.status(404).send("File not found or has expired.");
+  if (!error.statusCode || error.statusCode >= 500) {
+    console.error("[API] Unexpected error:", error);
   }
+  sendError(res, error);
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
-  console.log(`Open your browser to http://localhost:${PORT}`);
+app.use("/api/v1", api);
+
+// Result files were once downloaded by filename; they are now only served by
+// artifact id, so the old path is answered with an error
+app.use("/download-csv", (req, res) => {
+  sendError(
+    res,
+    httpError(
+      410,
+      "ENDPOINT_REMOVED",
+      "Result files are downloaded from /api/v1/runs/{id}/artifacts/{artifactId}."
+    )
+  );
+});
+
+// Paths from before the versioned API. They are answered by the same
+// endpoints, so scripts written against them keep working.
+const LEGACY_PATHS = {
+  "/get-headers": "/headers",
+  "/cross-check": "/cross-checks",
+};
+app.use((req, res, next) => {
+  const legacyPath = Object.keys(LEGACY_PATHS).find(
+    (prefix) => req.path === prefix || req.path.startsWith(`${prefix}/`)
+  );
+  if (!legacyPath) return next();
+  req.url = LEGACY_PATHS[legacyPath] + req.url.slice(legacyPath.length);
+  api(req, res, next);
 });
+
+// --- Pages ---
+
+// History page
+app.get("/history", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "history.html"));
+});
+
+// Start the server
+// Job workers load this module too; only the main thread serves requests
+if (isMainThread) {
+  sweepHistory();
+  setInterval(sweepHistory, HISTORY_SWEEP_INTERVAL_MS);
+  setInterval(sweepUploadSessions, UPLOAD_SWEEP_INTERVAL_MS);
+  app.listen(PORT, () => {
+    console.log(`Server is running on http://localhost:${PORT}`);
+    console.log(`Open your browser to http://localhost:${PORT}`);
+  });
+} else {
+  runWorkerJob();
+}
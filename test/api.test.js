@@ -0,0 +1,301 @@
+// Integration tests of the /api/v1 endpoints: every response is checked
+// against the OpenAPI document the server serves.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { filesForm, startServer } from "./helpers/server.js";
+import { createApiClient, resolveRef } from "./helpers/openapi.js";
+
+const CATALOGUE = "UPC,Title\n0001,Song A\n0002,Song B\n0003,Song C\n";
+const REFERENCE = "UPC,Label\n0001,Label X\n0003,Label Y\n0009,Label Z\n";
+// A distributor report with a title row above its header row
+const BANNER_REPORT = "Monthly report,,\nUPC,Title,Units\n0001,Song A,5\n";
+
+// The owner token every request of these tests is sent with
+const OWNER_TOKEN = crypto.randomBytes(24).toString("base64url");
+
+let server;
+let document;
+let call;
+
+/**
+ * Builds the form of a cross-check of the catalogue against the reference.
+ * @param {Object} [fields] Fields besides the files and the key column.
+ * @returns {FormData} The form.
+ */
+function crossCheckForm(fields = {}) {
+  return filesForm(
+    {
+      fileA: ["catalogue.csv", CATALOGUE],
+      fileB: ["reference.csv", REFERENCE],
+    },
+    { selectedColumns: ["UPC"], ...fields }
+  );
+}
+
+before(async () => {
+  server = await startServer();
+  const response = await fetch(`${server.baseUrl}/api/v1/openapi.json`);
+  assert.equal(response.status, 200);
+  document = await response.json();
+  call = createApiClient(server.baseUrl, document, OWNER_TOKEN);
+});
+
+after(() => server.stop());
+
+describe("OpenAPI document", () => {
+  test("resolves every reference", () => {
+    const refs = [];
+    const walk = (node) => {
+      if (Array.isArray(node)) node.forEach(walk);
+      else if (node && typeof node === "object") {
+        if (typeof node.$ref === "string") refs.push(node.$ref);
+        Object.values(node).forEach(walk);
+      }
+    };
+    walk(document);
+    assert.ok(refs.length > 0);
+    for (const ref of refs) assert.ok(resolveRef(document, ref), ref);
+  });
+
+  test("has no repeated enum values", () => {
+    const walk = (node, at) => {
+      if (Array.isArray(node)) {
+        node.forEach((item, index) => walk(item, `${at}/${index}`));
+      } else if (node && typeof node === "object") {
+        if (Array.isArray(node.enum)) {
+          assert.equal(new Set(node.enum).size, node.enum.length, at);
+        }
+        for (const [key, item] of Object.entries(node)) {
+          walk(item, `${at}/${key}`);
+        }
+      }
+    };
+    walk(document, "#");
+  });
+});
+
+describe("POST /headers", () => {
+  test("describes both files", async () => {
+    const { status, body } = await call("POST", "/headers", {
+      body: filesForm({
+        fileA: ["catalogue.csv", CATALOGUE],
+        fileB: ["reference.csv", REFERENCE],
+      }),
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.fileAHeaders, ["UPC", "Title"]);
+    assert.deepEqual(body.fileBHeaders, ["UPC", "Label"]);
+    assert.equal(body.fileAHeaderRow, 1);
+  });
+
+  test("reads row 1 as the header row unless told otherwise", async () => {
+    const files = {
+      fileA: ["report.csv", BANNER_REPORT],
+      fileB: ["reference.csv", REFERENCE],
+    };
+    const first = await call("POST", "/headers", { body: filesForm(files) });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.fileAHeaderRow, 1);
+    assert.ok(!first.body.fileAHeaders.includes("UPC"));
+
+    const detected = await call("POST", "/headers", {
+      body: filesForm(files, { headerRowA: "auto" }),
+    });
+    assert.equal(detected.status, 200);
+    assert.equal(detected.body.fileAHeaderRow, 2);
+    assert.deepEqual(detected.body.fileAHeaders, ["UPC", "Title", "Units"]);
+  });
+});
+
+describe("POST /cross-checks", () => {
+  test("returns the result with its downloads", async () => {
+    const { status, body } = await call("POST", "/cross-checks", {
+      body: crossCheckForm({ fullDiff: true }),
+    });
+    assert.equal(status, 200);
+    assert.equal(body.foundCount, 2);
+    assert.equal(body.missingCount, 1);
+    assert.equal(body.bOnlyCount, 1);
+    assert.ok(body.downloads.matched);
+  });
+
+  test("runs on a job worker", async () => {
+    const run = await call("POST", "/cross-checks", { body: crossCheckForm() });
+    assert.equal(run.status, 200);
+    const { status, body } = await call("GET", "/jobs/{id}", {
+      params: { id: run.body.historyId },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.job.status, "completed");
+    assert.equal(body.job.result.foundCount, run.body.foundCount);
+  });
+
+  test("reports a key column missing from File A", async () => {
+    const { status, body } = await call("POST", "/cross-checks", {
+      body: filesForm(
+        {
+          fileA: ["report.csv", BANNER_REPORT],
+          fileB: ["reference.csv", REFERENCE],
+        },
+        { selectedColumns: ["UPC"] }
+      ),
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, "COLUMN_NOT_FOUND");
+  });
+
+  test("takes a key column whose name holds a comma", async () => {
+    const files = {
+      fileA: [
+        "tracks.csv",
+        '"Artist, Title",UPC\nA - One,0001\nB - Two,0002\n',
+      ],
+      fileB: ["played.csv", '"Artist, Title",Plays\nA - One,7\n'],
+    };
+    const single = await call("POST", "/cross-checks", {
+      body: filesForm(files, { selectedColumns: "Artist, Title" }),
+    });
+    assert.equal(single.status, 200);
+    assert.equal(single.body.foundCount, 1);
+    assert.equal(single.body.missingCount, 1);
+
+    // The field repeated, once per key column
+    const repeated = filesForm(files);
+    repeated.append("selectedColumns", "Artist, Title");
+    repeated.append("selectedColumns", "UPC");
+    const { status, body } = await call("POST", "/cross-checks", {
+      body: repeated,
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, "COLUMN_NOT_FOUND");
+    assert.match(body.message, /UPC/);
+  });
+
+  test("rejects an invalid field value", async () => {
+    const { status, body } = await call("POST", "/cross-checks", {
+      body: crossCheckForm({ headerRowA: "0" }),
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_FIELD");
+    assert.equal(body.field, "headerRowA");
+  });
+
+  test("rejects an unknown field", async () => {
+    const { status, body } = await call("POST", "/cross-checks", {
+      body: crossCheckForm({ colour: "blue" }),
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, "UNKNOWN_FIELD");
+    assert.equal(body.field, "colour");
+  });
+
+  test("requires both files", async () => {
+    const { status, body } = await call("POST", "/cross-checks", {
+      body: filesForm(
+        { fileA: ["catalogue.csv", CATALOGUE] },
+        { selectedColumns: ["UPC"] }
+      ),
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, "FILES_REQUIRED");
+  });
+
+  test("rejects an unsupported file type", async () => {
+    const { status, body } = await call("POST", "/cross-checks", {
+      body: filesForm(
+        {
+          fileA: ["catalogue.pdf", CATALOGUE],
+          fileB: ["reference.csv", REFERENCE],
+        },
+        { selectedColumns: ["UPC"] }
+      ),
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, "UNSUPPORTED_FILE_TYPE");
+    assert.equal(body.field, "fileA");
+  });
+});
+
+describe("jobs", () => {
+  test("run in the background until completed", async () => {
+    const created = await call("POST", "/jobs", { body: crossCheckForm() });
+    assert.equal(created.status, 202);
+    const id = created.body.jobId;
+
+    let job = created.body.job;
+    for (
+      let attempt = 0;
+      attempt < 100 && job.status !== "completed";
+      attempt++
+    ) {
+      assert.ok(["queued", "running"].includes(job.status), job.message);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      const { status, body } = await call("GET", "/jobs/{id}", {
+        params: { id },
+      });
+      assert.equal(status, 200);
+      job = body.job;
+    }
+    assert.equal(job.status, "completed");
+    assert.equal(job.result.foundCount, 2);
+
+    const cancel = await call("DELETE", "/jobs/{id}", { params: { id } });
+    assert.equal(cancel.status, 409);
+    assert.equal(cancel.body.code, "JOB_FINISHED");
+  });
+
+  test("answer 404 for an unknown job", async () => {
+    const { status, body } = await call("GET", "/jobs/{id}", {
+      params: { id: "no-such-job" },
+    });
+    assert.equal(status, 404);
+    assert.equal(body.code, "JOB_NOT_FOUND");
+  });
+});
+
+describe("runs", () => {
+  test("are listed, downloaded and deleted", async () => {
+    const run = await call("POST", "/cross-checks", { body: crossCheckForm() });
+    const id = run.body.historyId;
+
+    const list = await call("GET", "/runs");
+    assert.equal(list.status, 200);
+    assert.ok(list.body.runs.some((entry) => entry.id === id));
+
+    const detail = await call("GET", "/runs/{id}", { params: { id } });
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.run.result.foundCount, 2);
+
+    const artifact = detail.body.run.artifacts.find(
+      (entry) => entry.kind === "matched"
+    );
+    const file = await call("GET", "/runs/{id}/artifacts/{artifactId}", {
+      params: { id, artifactId: artifact.id },
+    });
+    assert.equal(file.status, 200);
+    assert.match(file.body, /0001/);
+
+    const link = await call("POST", "/runs/{id}/artifacts/{artifactId}/links", {
+      params: { id, artifactId: artifact.id },
+      body: { singleUse: true },
+    });
+    assert.equal(link.status, 201);
+    const token = link.body.url.split("/").pop();
+    const download = await call("GET", "/downloads/{token}", {
+      params: { token },
+    });
+    assert.equal(download.status, 200);
+    const reused = await call("GET", "/downloads/{token}", {
+      params: { token },
+    });
+    assert.equal(reused.status, 410);
+    assert.equal(reused.body.code, "LINK_USED");
+
+    const deleted = await call("DELETE", "/runs/{id}", { params: { id } });
+    assert.equal(deleted.status, 200);
+    const gone = await call("GET", "/runs/{id}", { params: { id } });
+    assert.equal(gone.status, 404);
+    assert.equal(gone.body.code, "RUN_NOT_FOUND");
+  });
+});
@@ -0,0 +1,136 @@
+// Tests of field-level change detection on rows that match on the key.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createFixture } from "./helpers/crossCheck.js";
+
+const FILES = {
+  "catalogue.csv":
+    "UPC,Title,Genre,Released,Notes\n" +
+    "0001,Song A,Pop,2020-01-01,x\n" +
+    "0002,Song B,Rock,2021-02-02,y\n" +
+    "0003,Song C,Jazz,2022-03-03,z\n",
+  "reference.csv":
+    "UPC,Title,Genre,Released,Label\n" +
+    "0003,song c,Jazz,2022-03-03,L\n" +
+    "0001,Song A,Pop,2020-01-01,L\n" +
+    "0002,Song B,Metal,2021-02-03,L\n",
+};
+
+/**
+ * Sums up the changed rows of a run.
+ * @param {Object} result The cross-check result.
+ * @returns {Object} The changed columns of each changed row, by UPC.
+ */
+function changedColumns(result) {
+  return Object.fromEntries(
+    result.changedContents.map((changed) => [
+      changed.item.UPC,
+      changed.changes.map((change) => change.column),
+    ])
+  );
+}
+
+describe("change detection", () => {
+  test("is off by default", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("catalogue.csv", "reference.csv", {
+      selectedColumns: "UPC",
+    });
+    assert.equal(result.foundCount, 3);
+    assert.deepEqual(result.compareColumns, []);
+    assert.equal(result.changedCount, 0);
+  });
+
+  test("compares every shared column but the key", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("catalogue.csv", "reference.csv", {
+      selectedColumns: "UPC",
+      detectChanges: "true",
+    });
+    assert.deepEqual(result.compareColumns, ["Title", "Genre", "Released"]);
+    assert.equal(result.changedCount, 2);
+    assert.equal(result.changedFieldCount, 3);
+    assert.deepEqual(changedColumns(result), {
+      "0002": ["Genre", "Released"],
+      "0003": ["Title"],
+    });
+  });
+
+  test("compares only the columns chosen", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("catalogue.csv", "reference.csv", {
+      selectedColumns: "UPC",
+      detectChanges: "true",
+      compareColumns: ["Genre"],
+    });
+    assert.deepEqual(changedColumns(result), { "0002": ["Genre"] });
+  });
+
+  test("compares values after normalization", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("catalogue.csv", "reference.csv", {
+      selectedColumns: "UPC",
+      detectChanges: "true",
+      normalization: { caseFold: true },
+    });
+    assert.deepEqual(Object.keys(changedColumns(result)), ["0002"]);
+  });
+
+  test("is part of a full diff", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("catalogue.csv", "reference.csv", {
+      selectedColumns: "UPC",
+      fullDiff: "true",
+    });
+    assert.equal(result.detectChanges, true);
+    assert.equal(result.changedCount, 2);
+  });
+
+  test("rejects a compare column missing from File B", async (t) => {
+    const { run } = createFixture(t, FILES);
+    await assert.rejects(
+      run("catalogue.csv", "reference.csv", {
+        selectedColumns: "UPC",
+        detectChanges: "true",
+        compareColumns: ["Notes"],
+      }),
+      { statusCode: 400, code: "COLUMN_NOT_FOUND" }
+    );
+  });
+});
+
+describe("change report", () => {
+  test("lists each differing field with both values and rows", async (t) => {
+    const { run, rows } = createFixture(t, FILES);
+    const result = await run("catalogue.csv", "reference.csv", {
+      selectedColumns: "UPC",
+      detectChanges: "true",
+    });
+    assert.deepEqual(rows(result, "changed"), [
+      {
+        UPC: "0002",
+        Column: "Genre",
+        "File A Value": "Rock",
+        "File B Value": "Metal",
+        "File A Row": 3,
+        "File B Row": 4,
+      },
+      {
+        UPC: "0002",
+        Column: "Released",
+        "File A Value": "2021-02-02",
+        "File B Value": "2021-02-03",
+        "File A Row": 3,
+        "File B Row": 4,
+      },
+      {
+        UPC: "0003",
+        Column: "Title",
+        "File A Value": "Song C",
+        "File B Value": "song c",
+        "File A Row": 4,
+        "File B Row": 2,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,209 @@
+// Tests of the command-line interface's exit status and JSON result.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const cliScript = fileURLToPath(
+  new URL("../bin/file-cross-check.js", import.meta.url)
+);
+
+const FILES = {
+  "catalogue.csv": "UPC,Title\n0001,Song A\n0002,Song B\n0003,Song C\n",
+  "reference.csv": "UPC,Label\n0001,Label X\n0002,Label Y\n0003,Label Z\n",
+  "partial.csv": "UPC,Label\n0001,Label X\n",
+  "headers-only.csv": "UPC,Label\n",
+  // Reference files mixing CSV and text, with keys in several of them
+  "labels.csv":
+    "UPC,Label\n0001,Label X\n0002,Label Q\n0002,Label R\n0009,Label N\n",
+  "upcs.txt": "0003\n0001\n0008\n0008\n",
+  // Release dates, one written day first and one missing
+  "releases.csv":
+    "UPC,Released\n0001,2019-05-01\n0002,01/05/2019\n0003,2021-01-01\n0004,\n",
+};
+
+let dir;
+
+/**
+ * Runs the CLI in the test directory.
+ * @param {Array<string>} args The arguments.
+ * @param {Object} [env] More environment variables.
+ * @returns {Object} { status, result }: the exit status and, with --json, the
+ * parsed output.
+ */
+function cli(args, env = {}) {
+  const child = spawnSync(
+    process.execPath,
+    [cliScript, ...args, "--out-dir", dir],
+    {
+      cwd: dir,
+      env: { ...process.env, ...env },
+      encoding: "utf8",
+      timeout: 30000,
+    }
+  );
+  return {
+    status: child.status,
+    result: args.includes("--json") ? JSON.parse(child.stdout) : null,
+  };
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "cross-check-cli-"));
+  for (const [name, content] of Object.entries(FILES)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("exit status", () => {
+  test("is 0 when every row matched", () => {
+    const { status } = cli(["catalogue.csv", "reference.csv", "--key", "UPC"]);
+    assert.equal(status, 0);
+  });
+
+  test("is 1 when rows are missing", () => {
+    const { status } = cli(["catalogue.csv", "partial.csv", "--key", "UPC"]);
+    assert.equal(status, 1);
+  });
+
+  test("is 2 on an error", () => {
+    const { status } = cli(["catalogue.csv", "reference.csv", "--key", "ISRC"]);
+    assert.equal(status, 2);
+  });
+
+  // Read into memory, and streamed as a large file would be
+  for (const [mode, env] of [
+    ["in memory", {}],
+    ["streamed", { STREAM_THRESHOLD_MB: "0.000001" }],
+  ]) {
+    test(`is 1 when File B has no rows, ${mode}`, () => {
+      const { status, result } = cli(
+        ["catalogue.csv", "headers-only.csv", "--key", "UPC", "--json"],
+        env
+      );
+      assert.equal(status, 1);
+      assert.equal(result.totalFile2Rows, 0);
+      assert.equal(result.missingCount, 3);
+      assert.equal(result.bOnlyCount, 0);
+    });
+
+    test(`is 1 when the filters leave no File B rows, ${mode}`, () => {
+      const { status, result } = cli(
+        [
+          "catalogue.csv",
+          "reference.csv",
+          "--key",
+          "UPC",
+          "--filter-b",
+          "Label:equals:Label W",
+          "--json",
+        ],
+        env
+      );
+      assert.equal(status, 1);
+      assert.equal(result.totalFile2Rows, 3);
+      assert.equal(result.excluded.fileB, 3);
+      assert.equal(result.missingCount, 3);
+    });
+  }
+
+  test("is 0 when File A has no rows, with every count set", () => {
+    const { status, result } = cli([
+      "headers-only.csv",
+      "reference.csv",
+      "--key",
+      "UPC",
+      "--json",
+    ]);
+    assert.equal(status, 0);
+    assert.equal(result.totalFile2Rows, 3);
+    for (const count of [
+      "foundCount",
+      "missingCount",
+      "nearMatchCount",
+      "bOnlyCount",
+      "changedCount",
+    ]) {
+      assert.equal(result[count], 0, count);
+    }
+  });
+});
+
+describe("duplicate report", () => {
+  test("says when a streamed run's File A report is partial", () => {
+    const args = ["catalogue.csv", "partial.csv", "--key", "UPC", "--json"];
+    assert.equal(cli(args).result.duplicatesTruncated, false);
+    const streamed = cli(args, { STREAM_THRESHOLD_MB: "0.000001" }).result;
+    assert.equal(streamed.streamed, true);
+    assert.equal(streamed.duplicatesTruncated, true);
+  });
+});
+
+describe("several reference files", () => {
+  test("give the same result streamed as in memory", () => {
+    const args = [
+      "catalogue.csv",
+      "labels.csv",
+      "upcs.txt",
+      "--key",
+      "UPC",
+      "--full-diff",
+      "--json",
+    ];
+    const inMemory = cli(args).result;
+    const streamed = cli(args, { STREAM_THRESHOLD_MB: "0.000001" }).result;
+    assert.equal(streamed.streamed, true);
+    assert.deepEqual(streamed.references, [
+      { name: "labels.csv", rowCount: 4, foundCount: 2, onlyFoundCount: 1 },
+      { name: "upcs.txt", rowCount: 4, foundCount: 2, onlyFoundCount: 1 },
+    ]);
+    for (const field of [
+      "foundCount",
+      "missingCount",
+      "bOnlyCount",
+      "totalFile2Rows",
+      "references",
+      "file2Name",
+    ]) {
+      assert.deepEqual(streamed[field], inMemory[field], field);
+    }
+    assert.deepEqual(streamed.duplicates.fileB, inMemory.duplicates.fileB);
+  });
+});
+
+describe("date filters", () => {
+  for (const [mode, env] of [
+    ["in memory", {}],
+    ["streamed", { STREAM_THRESHOLD_MB: "0.000001" }],
+  ]) {
+    test(`report the rows whose date they cannot read, ${mode}`, () => {
+      const args = [
+        "releases.csv",
+        "releases.csv",
+        "--key",
+        "UPC",
+        "--filter-a",
+        "Released:before:2020-01-01",
+        "--json",
+      ];
+      const { result } = cli(args, env);
+      assert.equal(result.foundCount, 1);
+      assert.equal(result.excluded.fileA, 3);
+      assert.deepEqual(result.unparsedFilterDates, { fileA: 1, fileB: 0 });
+
+      const { result: withFormats } = cli(
+        [...args, "--date-column", "Released:iso,dmy"],
+        env
+      );
+      assert.equal(withFormats.foundCount, 2);
+      assert.deepEqual(withFormats.unparsedFilterDates, { fileA: 0, fileB: 0 });
+    });
+  }
+});
@@ -0,0 +1,151 @@
+// Tests of date columns: their formats, how they are read and where the
+// normalized dates are used.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import XLSX from "xlsx";
+import { parseCrossCheckSettings, readFileContent } from "../crossCheck.js";
+import { createFixture } from "./helpers/crossCheck.js";
+
+const FILES = {
+  "catalogue.csv":
+    "UPC,Released\n" +
+    "0001,14/06/2022\n" +
+    "0002,6 Oct 2016\n" +
+    "0003,44562\n" +
+    "0004,31/02/2022\n" +
+    "0005,\n",
+  "reference.csv":
+    "UPC,Released\n" +
+    "0001,2022-06-14\n" +
+    "0002,2016-10-06\n" +
+    "0003,2022-01-01\n" +
+    "0004,2022-02-28\n",
+  "ambiguous.csv": "UPC,Released\n0001,03/04/2022\n0002,1/2/29\n0003,1/2/30\n",
+};
+
+describe("date column settings", () => {
+  test("take a format or a list of them per column", () => {
+    const settings = parseCrossCheckSettings({
+      selectedColumns: "UPC",
+      dateColumns: JSON.stringify({ Released: "dmy", Added: ["iso", "mdy"] }),
+    });
+    assert.deepEqual(settings.dateColumns, {
+      Released: ["dmy"],
+      Added: ["iso", "mdy"],
+    });
+  });
+
+  test("reject unknown formats and anything but an object", () => {
+    for (const dateColumns of [
+      { Released: "ymd" },
+      { Released: [] },
+      ["Released"],
+    ]) {
+      assert.throws(
+        () =>
+          parseCrossCheckSettings({
+            selectedColumns: "UPC",
+            dateColumns: JSON.stringify(dateColumns),
+          }),
+        { statusCode: 400, code: "INVALID_FIELD", field: "dateColumns" },
+        JSON.stringify(dateColumns)
+      );
+    }
+  });
+});
+
+describe("date columns", () => {
+  test("are compared as dates in keys", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const fields = { selectedColumns: ["UPC", "Released"] };
+    const asWritten = await run("catalogue.csv", "reference.csv", fields);
+    assert.equal(asWritten.foundCount, 0);
+
+    const result = await run("catalogue.csv", "reference.csv", {
+      ...fields,
+      dateColumns: { Released: ["iso", "dmy", "excelSerial"] },
+    });
+    assert.equal(result.foundCount, 3);
+    assert.equal(result.missingCount, 2);
+    // 31/02/2022 is no day, so it is counted and left as written
+    assert.deepEqual(result.unparsedDates, { fileA: 1, fileB: 0 });
+    assert.deepEqual(
+      result.missingContents.map((row) => row.Released),
+      ["31/02/2022", undefined]
+    );
+  });
+
+  test("are written as YYYY-MM-DD in the result files", async (t) => {
+    const { run, rows } = createFixture(t, FILES);
+    const result = await run("catalogue.csv", "reference.csv", {
+      selectedColumns: "UPC",
+      dateColumns: { Released: ["dmy", "excelSerial"] },
+    });
+    assert.deepEqual(
+      rows(result, "matched").map((row) => row.Released),
+      ["2022-06-14", "2016-10-06", "2022-01-01", "31/02/2022"]
+    );
+  });
+
+  test("try their formats in order", async (t) => {
+    const { run, rows } = createFixture(t, FILES);
+    const read = async (formats) => {
+      const result = await run("ambiguous.csv", "ambiguous.csv", {
+        selectedColumns: "UPC",
+        dateColumns: { Released: formats },
+      });
+      return rows(result, "matched").map((row) => row.Released);
+    };
+    assert.deepEqual(await read(["mdy", "dmy"]), [
+      "2022-03-04",
+      "2029-01-02",
+      "1930-01-02",
+    ]);
+    // Two-digit years are read as Excel reads them
+    assert.deepEqual(await read(["dmy"]), [
+      "2022-04-03",
+      "2029-02-01",
+      "1930-02-01",
+    ]);
+  });
+
+  test("must be in one of the files", async (t) => {
+    const { run } = createFixture(t, FILES);
+    await assert.rejects(
+      run("catalogue.csv", "reference.csv", {
+        selectedColumns: "UPC",
+        dateColumns: { Added: "iso" },
+      }),
+      { statusCode: 400, code: "COLUMN_NOT_FOUND", field: "dateColumns" }
+    );
+  });
+});
+
+describe("workbook dates", () => {
+  test("do not depend on the server's timezone", (t) => {
+    const { filePath } = createFixture(t, {});
+    const sheet = XLSX.utils.aoa_to_sheet([["UPC", "Released"]]);
+    XLSX.utils.sheet_add_aoa(
+      sheet,
+      [["0001", { t: "n", v: 44726, z: "dd/mm/yyyy" }]],
+      { origin: "A2" }
+    );
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, "Releases");
+    XLSX.writeFile(workbook, filePath("releases.xlsx"));
+
+    const timezone = process.env.TZ;
+    t.after(() => {
+      if (timezone === undefined) delete process.env.TZ;
+      else process.env.TZ = timezone;
+    });
+    for (const zone of ["Pacific/Kiritimati", "UTC", "America/Adak"]) {
+      process.env.TZ = zone;
+      const content = readFileContent(
+        filePath("releases.xlsx"),
+        "releases.xlsx"
+      );
+      assert.equal(content.data[0].Released, "2022-06-14", zone);
+    }
+  });
+});
@@ -0,0 +1,297 @@
+// Integration tests of who can reach uploads, runs, jobs and result files: owner
+// tokens, unknown ids and paths that try to leave the result directory.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { filesForm, startServer } from "./helpers/server.js";
+import { createApiClient, schemaErrors } from "./helpers/openapi.js";
+
+const CATALOGUE = "UPC,Title\n0001,Song A\n0002,Song B\n";
+const REFERENCE = "UPC,Label\n0001,Label X\n";
+// Content of a file outside the result directory no request may reach
+const SECRET = "not a result file";
+
+let server;
+let document;
+let owner;
+let stranger;
+
+/**
+ * @returns {string} A new owner token.
+ */
+function newToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * Records a run as the given client.
+ * @param {function} call The API client.
+ * @returns {Promise<Object>} The run, with its result and result files.
+ */
+async function recordRun(call) {
+  const created = await call("POST", "/cross-checks", {
+    body: filesForm(
+      {
+        fileA: ["catalogue.csv", CATALOGUE],
+        fileB: ["reference.csv", REFERENCE],
+      },
+      { selectedColumns: ["UPC"] }
+    ),
+  });
+  assert.equal(created.status, 200);
+  const detail = await call("GET", "/runs/{id}", {
+    params: { id: created.body.historyId },
+  });
+  return detail.body.run;
+}
+
+/**
+ * Fetches a path outside the documented ones and checks an error answer
+ * against the Error schema.
+ * @param {string} url The path, as sent.
+ * @returns {Promise<Object>} { status, body, text }.
+ */
+async function fetchRaw(url) {
+  const response = await fetch(`${server.baseUrl}${url}`);
+  const text = await response.text();
+  let body = null;
+  if ((response.headers.get("content-type") || "").includes("json")) {
+    body = JSON.parse(text);
+    assert.deepEqual(
+      schemaErrors(document.components.schemas.Error, body, document),
+      []
+    );
+  }
+  return { status: response.status, body, text };
+}
+
+before(async () => {
+  server = await startServer();
+  const response = await fetch(`${server.baseUrl}/api/v1/openapi.json`);
+  document = await response.json();
+  owner = createApiClient(server.baseUrl, document, newToken());
+  stranger = createApiClient(server.baseUrl, document, newToken());
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+describe("owner tokens", () => {
+  test("keep runs from other owners", async () => {
+    const run = await recordRun(owner);
+    const params = { id: run.id, artifactId: run.artifacts[0].id };
+
+    const listed = await stranger("GET", "/runs");
+    assert.equal(listed.status, 200);
+    assert.ok(listed.body.runs.every((entry) => entry.id !== run.id));
+
+    for (const [method, pathTemplate] of [
+      ["GET", "/runs/{id}"],
+      ["GET", "/runs/{id}/artifacts/{artifactId}"],
+      ["POST", "/runs/{id}/artifacts/{artifactId}/links"],
+      ["DELETE", "/runs/{id}"],
+    ]) {
+      const denied = await stranger(method, pathTemplate, { params });
+      assert.equal(denied.status, 404, `${method} ${pathTemplate}`);
+      assert.equal(denied.body.code, "RUN_NOT_FOUND");
+    }
+    const kept = await owner("GET", "/runs/{id}", { params });
+    assert.equal(kept.status, 200);
+  });
+
+  test("keep jobs from other owners", async () => {
+    const created = await owner("POST", "/jobs", {
+      body: filesForm(
+        {
+          fileA: ["catalogue.csv", CATALOGUE],
+          fileB: ["reference.csv", REFERENCE],
+        },
+        { selectedColumns: ["UPC"] }
+      ),
+    });
+    assert.equal(created.status, 202);
+    const params = { id: created.body.jobId };
+
+    for (const method of ["GET", "DELETE"]) {
+      const denied = await stranger(method, "/jobs/{id}", { params });
+      assert.equal(denied.status, 404, method);
+      assert.equal(denied.body.code, "JOB_NOT_FOUND");
+    }
+  });
+
+  test("keep stored uploads from other owners", async () => {
+    const headers = await owner("POST", "/headers", {
+      body: filesForm({
+        fileA: ["catalogue.csv", CATALOGUE],
+        fileB: ["reference.csv", REFERENCE],
+      }),
+    });
+    assert.equal(headers.status, 200);
+    const uploadIds = {
+      uploadIdA: headers.body.fileAUploadId,
+      uploadIdB: [headers.body.fileBUploadId],
+    };
+
+    const used = await stranger("POST", "/cross-checks", {
+      body: filesForm({}, { ...uploadIds, selectedColumns: ["UPC"] }),
+    });
+    assert.equal(used.status, 404);
+    assert.equal(used.body.code, "UPLOAD_EXPIRED");
+    const removed = await stranger("DELETE", "/uploads/{id}", {
+      params: { id: uploadIds.uploadIdA },
+    });
+    assert.equal(removed.status, 404);
+    assert.equal(removed.body.code, "UPLOAD_NOT_FOUND");
+
+    const run = await owner("POST", "/cross-checks", {
+      body: filesForm({}, { ...uploadIds, selectedColumns: ["UPC"] }),
+    });
+    assert.equal(run.status, 200);
+    assert.equal(run.body.foundCount, 1);
+  });
+
+  test("are issued as a cookie when none is sent", async () => {
+    const first = await fetch(`${server.baseUrl}/api/v1/runs`);
+    assert.equal(first.status, 200);
+    const token = first.headers.get("x-owner-token");
+    assert.ok(token);
+    const cookie = first.headers.get("set-cookie");
+    assert.match(cookie, new RegExp(`^ownerToken=${token};`));
+    assert.match(cookie, /HttpOnly/i);
+
+    // The cookie alone identifies the same owner on the next request
+    const call = createApiClient(server.baseUrl, document, null);
+    const run = await recordRun((method, pathTemplate, options = {}) =>
+      call(method, pathTemplate, {
+        ...options,
+        headers: { Cookie: `ownerToken=${token}` },
+      })
+    );
+    const mine = await call("GET", "/runs", {
+      headers: { Cookie: `ownerToken=${token}` },
+    });
+    assert.ok(mine.body.runs.some((entry) => entry.id === run.id));
+    const tokenCall = createApiClient(server.baseUrl, document, token);
+    const byHeader = await tokenCall("GET", "/runs/{id}", {
+      params: { id: run.id },
+    });
+    assert.equal(byHeader.status, 200);
+  });
+
+  test("reject a malformed token", async () => {
+    const call = createApiClient(server.baseUrl, document, "short");
+    const { status, body } = await call("GET", "/runs");
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_REQUEST");
+  });
+});
+
+describe("unknown ids", () => {
+  test("answer 404 for a run", async () => {
+    const { status, body } = await owner("GET", "/runs/{id}", {
+      params: { id: "no-such-run" },
+    });
+    assert.equal(status, 404);
+    assert.equal(body.code, "RUN_NOT_FOUND");
+  });
+
+  test("answer 404 for a result file", async () => {
+    const run = await recordRun(owner);
+    const { status, body } = await owner(
+      "GET",
+      "/runs/{id}/artifacts/{artifactId}",
+      { params: { id: run.id, artifactId: "no-such-file" } }
+    );
+    assert.equal(status, 404);
+    assert.equal(body.code, "ARTIFACT_NOT_FOUND");
+  });
+
+  test("answer 404 for a job", async () => {
+    const { status, body } = await owner("DELETE", "/jobs/{id}", {
+      params: { id: "no-such-job" },
+    });
+    assert.equal(status, 404);
+    assert.equal(body.code, "JOB_NOT_FOUND");
+  });
+
+  test("answer 403 for a forged download link", async () => {
+    const { status, body } = await owner("GET", "/downloads/{token}", {
+      params: { token: "../../server.js" },
+    });
+    assert.equal(status, 403);
+    assert.equal(body.code, "LINK_INVALID");
+  });
+});
+
+describe("path traversal", () => {
+  test("is not reached through an artifact id", async () => {
+    const run = await recordRun(owner);
+    for (const artifactId of [
+      "../../server.js",
+      "..%2F..%2Fserver.js",
+      "%2e%2e%2f%2e%2e%2fserver.js",
+    ]) {
+      const { status, body } = await owner(
+        "GET",
+        "/runs/{id}/artifacts/{artifactId}",
+        { params: { id: run.id, artifactId } }
+      );
+      assert.equal(status, 404, artifactId);
+      assert.equal(body.code, "ARTIFACT_NOT_FOUND");
+    }
+  });
+
+  test("is not reached through the removed download path", async () => {
+    for (const url of [
+      "/download-csv/matched.csv",
+      "/download-csv/..%2Fserver.js",
+      "/download-csv/%2e%2e%2fserver.js",
+    ]) {
+      const { status, body } = await fetchRaw(url);
+      assert.equal(status, 410, url);
+      assert.equal(body.code, "ENDPOINT_REMOVED");
+    }
+  });
+
+  test("is refused for a filename in an edited history", async () => {
+    const storageDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "cross-check-history-")
+    );
+    const token = newToken();
+    fs.writeFileSync(path.join(storageDir, "secret.txt"), SECRET);
+    fs.mkdirSync(path.join(storageDir, "data"));
+    fs.writeFileSync(
+      path.join(storageDir, "data", "history.json"),
+      JSON.stringify([
+        {
+          id: "edited",
+          owner: crypto.createHash("sha256").update(token).digest("hex"),
+          createdAt: new Date().toISOString(),
+          artifacts: [
+            { id: "outside", kind: "matched", filename: "../secret.txt" },
+          ],
+          result: {},
+        },
+      ])
+    );
+    const edited = await startServer({ storageDir });
+    try {
+      const call = createApiClient(edited.baseUrl, document, token);
+      const { status, body } = await call(
+        "GET",
+        "/runs/{id}/artifacts/{artifactId}",
+        { params: { id: "edited", artifactId: "outside" } }
+      );
+      assert.equal(status, 404);
+      assert.equal(body.code, "ARTIFACT_NOT_FOUND");
+      assert.doesNotMatch(JSON.stringify(body), new RegExp(SECRET));
+    } finally {
+      await edited.stop();
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    }
+  });
+});
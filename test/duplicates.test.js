@@ -0,0 +1,121 @@
+// Tests of duplicate key detection and the duplicate policies.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCrossCheckSettings } from "../crossCheck.js";
+import { createFixture } from "./helpers/crossCheck.js";
+
+const FILES = {
+  "catalogue.csv":
+    "UPC,Title\n0001,Song A\n0001,Song A (Live)\n0001,Song A (Edit)\n" +
+    "0002,Song B\n0002,Song B (Demo)\n0003,Song C\n",
+  "reference.csv": "UPC,Label\n0001,Label X\n0002,Label Y\n0001,Label Z\n",
+};
+
+describe("duplicate policy", () => {
+  test("defaults to matching every row", () => {
+    const settings = parseCrossCheckSettings({ selectedColumns: "UPC" });
+    assert.equal(settings.duplicatePolicy, "all");
+  });
+
+  test("rejects an unknown policy", () => {
+    assert.throws(
+      () =>
+        parseCrossCheckSettings({
+          selectedColumns: "UPC",
+          duplicatePolicy: "last",
+        }),
+      { statusCode: 400, code: "INVALID_FIELD", field: "duplicatePolicy" }
+    );
+  });
+
+  for (const [policy, found, missing] of [
+    ["all", 5, 1],
+    ["first", 2, 4],
+    ["oneToOne", 3, 3],
+  ]) {
+    test(`'${policy}' matches ${found} of the rows`, async (t) => {
+      const { run } = createFixture(t, FILES);
+      const result = await run("catalogue.csv", "reference.csv", {
+        selectedColumns: "UPC",
+        duplicatePolicy: policy,
+      });
+      assert.equal(result.duplicatePolicy, policy);
+      assert.equal(result.foundCount, found);
+      assert.equal(result.missingCount, missing);
+    });
+  }
+
+  test("'oneToOne' leaves the extra File A rows missing", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("catalogue.csv", "reference.csv", {
+      selectedColumns: "UPC",
+      duplicatePolicy: "oneToOne",
+    });
+    assert.deepEqual(
+      result.missingContents.map((row) => row.Title),
+      ["Song A (Edit)", "Song B (Demo)", "Song C"]
+    );
+  });
+});
+
+describe("duplicate report", () => {
+  test("lists the duplicated keys of each file with their rows", async (t) => {
+    const { run, rows } = createFixture(t, FILES);
+    const result = await run("catalogue.csv", "reference.csv", {
+      selectedColumns: "UPC",
+    });
+    assert.deepEqual(result.duplicates, {
+      fileA: {
+        keyCount: 2,
+        sample: [
+          { key: "0001", count: 3, rowNumbers: [2, 3, 4] },
+          { key: "0002", count: 2, rowNumbers: [5, 6] },
+        ],
+      },
+      fileB: {
+        keyCount: 1,
+        sample: [{ key: "0001", count: 2, rowNumbers: [2, 4] }],
+      },
+    });
+    assert.deepEqual(rows(result, "duplicates"), [
+      {
+        File: "catalogue.csv",
+        Key: "0001",
+        Occurrences: 3,
+        "Row Numbers": "2, 3, 4",
+      },
+      {
+        File: "catalogue.csv",
+        Key: "0002",
+        Occurrences: 2,
+        "Row Numbers": "5, 6",
+      },
+      {
+        File: "reference.csv",
+        Key: "0001",
+        Occurrences: 2,
+        "Row Numbers": "2, 4",
+      },
+    ]);
+  });
+
+  test("looks at a composite key as a whole", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("catalogue.csv", "catalogue.csv", {
+      selectedColumns: ["UPC", "Title"],
+    });
+    assert.equal(result.duplicates.fileA.keyCount, 0);
+    assert.equal(result.duplicates.fileB.keyCount, 0);
+  });
+
+  test("is not written when every key is unique", async (t) => {
+    const { run } = createFixture(t, {
+      "a.csv": "UPC\n0001\n0002\n",
+      "b.csv": "UPC\n0002\n0003\n",
+    });
+    const result = await run("a.csv", "b.csv", { selectedColumns: "UPC" });
+    assert.equal(result.duplicates.fileA.keyCount, 0);
+    assert.equal(result.duplicates.fileB.keyCount, 0);
+    assert.equal(result.duplicatesCsvFilename, null);
+  });
+});
@@ -0,0 +1,150 @@
+// Tests of the encoding and delimiter detection of CSV and text files, and of
+// the encoding result files are written in.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import iconv from "iconv-lite";
+import { readFileContent } from "../crossCheck.js";
+import { createFixture } from "./helpers/crossCheck.js";
+
+const CATALOGUE = "UPC,Title\n0001,Café\n0002,Naïve\n";
+
+const FILES = {
+  "utf8.csv": CATALOGUE,
+  "utf8-bom.csv": iconv.encode(CATALOGUE, "utf-8", { addBOM: true }),
+  "utf16le-bom.csv": iconv.encode(CATALOGUE, "utf-16le", { addBOM: true }),
+  "utf16le.csv": iconv.encode(CATALOGUE, "utf-16le"),
+  "utf16be.csv": iconv.encode(CATALOGUE, "utf-16be"),
+  "windows1252.csv": iconv.encode(CATALOGUE, "windows-1252"),
+  // A European export, with decimal commas
+  "semicolon.csv": "UPC;Price;Title\n0001;1,50;Café\n0002;2,00;Naïve\n",
+  "tab.csv": "UPC\tTitle\n0001\tCafé\n0002\tNaïve\n",
+  "pipe.csv": "UPC|Title\n0001|Café\n0002|Naïve\n",
+  // Commas inside quoted fields are not delimiters
+  "quoted.csv": 'UPC;Title\n0001;"Café, Live, 2019"\n0002;Naïve\n',
+  "codes.txt": iconv.encode("0001\tCafé\n0002\tNaïve\n", "windows-1252"),
+};
+
+/**
+ * Reads a file of the test.
+ * @param {Function} filePath The fixture's filePath.
+ * @param {string} name The file name.
+ * @param {Object} [options] Read options.
+ * @returns {Object} The content, from readFileContent.
+ */
+function read(filePath, name, options) {
+  return readFileContent(filePath(name), name, options);
+}
+
+describe("encoding detection", () => {
+  for (const [name, encoding, bom] of [
+    ["utf8.csv", "utf-8", false],
+    ["utf8-bom.csv", "utf-8", true],
+    ["utf16le-bom.csv", "utf-16le", true],
+    ["utf16le.csv", "utf-16le", false],
+    ["utf16be.csv", "utf-16be", false],
+    ["windows1252.csv", "windows-1252", false],
+  ]) {
+    test(`reads ${name}`, (t) => {
+      const { filePath } = createFixture(t, FILES);
+      const content = read(filePath, name);
+      assert.deepEqual(content.textFormat, {
+        encoding: encoding,
+        bom: bom,
+        delimiter: "comma",
+      });
+      // The BOM is not part of the first header
+      assert.deepEqual(content.headers, ["UPC", "Title"]);
+      assert.deepEqual(
+        content.data.map((row) => row.Title),
+        ["Café", "Naïve"]
+      );
+    });
+  }
+
+  test("can be overridden", (t) => {
+    const { filePath } = createFixture(t, FILES);
+    const content = read(filePath, "utf8.csv", { encoding: "windows-1252" });
+    assert.equal(content.textFormat.encoding, "windows-1252");
+    assert.equal(content.data[0].Title, "CafÃ©");
+  });
+
+  test("reads text files too", (t) => {
+    const { filePath } = createFixture(t, FILES);
+    const content = read(filePath, "codes.txt");
+    assert.deepEqual(content.textFormat, {
+      encoding: "windows-1252",
+      bom: false,
+      delimiter: null,
+    });
+    assert.deepEqual(content.data, ["0001\tCafé", "0002\tNaïve"]);
+  });
+});
+
+describe("delimiter detection", () => {
+  for (const [name, delimiter] of [
+    ["semicolon.csv", "semicolon"],
+    ["tab.csv", "tab"],
+    ["pipe.csv", "pipe"],
+    ["quoted.csv", "semicolon"],
+  ]) {
+    test(`finds the ${delimiter} of ${name}`, (t) => {
+      const { filePath } = createFixture(t, FILES);
+      const content = read(filePath, name);
+      assert.equal(content.textFormat.delimiter, delimiter);
+      assert.equal(content.headers[0], "UPC");
+      assert.equal(content.data[0].UPC, "0001");
+    });
+  }
+
+  test("can be overridden", (t) => {
+    const { filePath } = createFixture(t, FILES);
+    const content = read(filePath, "semicolon.csv", { delimiter: "comma" });
+    assert.equal(content.textFormat.delimiter, "comma");
+    assert.equal(content.headers[0], "UPC;Price;Title");
+  });
+
+  test("splits a text file only when asked", (t) => {
+    const { filePath } = createFixture(t, FILES);
+    const content = read(filePath, "codes.txt", { delimiter: "tab" });
+    assert.equal(content.type, "structured");
+    assert.deepEqual(content.headers, ["Column_1", "Column_2"]);
+    assert.deepEqual(content.data[1], { Column_1: "0002", Column_2: "Naïve" });
+  });
+});
+
+describe("output encoding", () => {
+  test("is UTF-8 with a BOM by default", async (t) => {
+    const { run, filePath } = createFixture(t, FILES);
+    const result = await run("windows1252.csv", "utf16le.csv", {
+      selectedColumns: "UPC",
+      outputFormat: "csv",
+    });
+    assert.equal(result.foundCount, 2);
+    assert.equal(result.outputEncoding, "utf-8 with BOM");
+    const bytes = fs.readFileSync(filePath(result.matchedCsvFilename));
+    assert.deepEqual([...bytes.subarray(0, 3)], [0xef, 0xbb, 0xbf]);
+    assert.match(iconv.decode(bytes, "utf-8"), /Café/);
+  });
+
+  test("can follow File A", async (t) => {
+    const { run, filePath } = createFixture(t, FILES);
+    const result = await run("windows1252.csv", "utf8.csv", {
+      selectedColumns: "UPC",
+      outputFormat: "csv",
+      outputEncoding: "source",
+    });
+    assert.equal(result.outputEncoding, "windows-1252");
+    const bytes = fs.readFileSync(filePath(result.matchedCsvFilename));
+    assert.ok(bytes.includes(0xe9));
+    assert.match(iconv.decode(bytes, "windows-1252"), /Café/);
+
+    // Excel only recognises UTF-16 by its BOM, so one is always written
+    const utf16 = await run("utf16le.csv", "utf8.csv", {
+      selectedColumns: "UPC",
+      outputFormat: "csv",
+      outputEncoding: "source",
+    });
+    assert.equal(utf16.outputEncoding, "utf-16le with BOM");
+  });
+});
@@ -0,0 +1,192 @@
+// Tests of the row filters that restrict which rows are compared.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { describeFilters, parseCrossCheckSettings } from "../crossCheck.js";
+import { createFixture } from "./helpers/crossCheck.js";
+
+const FILES = {
+  "catalogue.csv":
+    "UPC,Genre,Released,Title\n" +
+    "0001,Pop,2021-06-01,Song A\n" +
+    "0002,Christian,2022-03-01,Song B\n" +
+    "0003,Rock,2022-05-10,Song C (Live)\n" +
+    "0004,pop ,2023-01-01,Song D\n" +
+    ", Pop,2023-02-02,Song E\n",
+  "reference.csv": "UPC,Label\n0001,Label W\n0002,Label X\n0003,Label Y\n",
+  "upcs.txt": "0001\n0002\n0005\n",
+};
+
+/**
+ * Cross-checks the catalogue against the reference with File A filters.
+ * @param {Function} run The fixture's run.
+ * @param {Array<Object>} filtersA The File A rules.
+ * @param {Object} [fields] More form fields.
+ * @returns {Promise<Object>} The result.
+ */
+function filterCatalogue(run, filtersA, fields = {}) {
+  return run("catalogue.csv", "reference.csv", {
+    selectedColumns: "UPC",
+    filtersA: filtersA,
+    ...fields,
+  });
+}
+
+describe("filter settings", () => {
+  test("read the rules of each file", () => {
+    const settings = parseCrossCheckSettings({
+      selectedColumns: "UPC",
+      filtersA: JSON.stringify([
+        { column: " Genre ", operator: "notEquals", value: "Christian" },
+        { column: "Title", operator: "regex", value: "^song" },
+      ]),
+    });
+    assert.deepEqual(settings.filtersA, [
+      { column: "Genre", operator: "notEquals", value: "Christian" },
+      { column: "Title", operator: "regex", value: "^song", flags: "i" },
+    ]);
+    assert.deepEqual(settings.filtersB, []);
+    assert.equal(
+      describeFilters(settings.filtersA),
+      "Genre notEquals 'Christian'; Title regex '^song' (i)"
+    );
+  });
+
+  test("reject a rule that cannot be applied", () => {
+    for (const rules of [
+      { column: "Genre", operator: "equals", value: "Pop" },
+      [{ operator: "equals", value: "Pop" }],
+      [{ column: "Genre", operator: "is", value: "Pop" }],
+      [{ column: "Released", operator: "after", value: "01/06/2022" }],
+      [{ column: "Released", operator: "after", value: "2022-02-30" }],
+      [{ column: "Title", operator: "regex", value: "(" }],
+    ]) {
+      assert.throws(
+        () =>
+          parseCrossCheckSettings({
+            selectedColumns: "UPC",
+            filtersA: JSON.stringify(rules),
+          }),
+        { statusCode: 400, code: "INVALID_FIELD", field: "filtersA" },
+        JSON.stringify(rules)
+      );
+    }
+  });
+});
+
+describe("row filters", () => {
+  test("compare text ignoring case and surrounding spaces", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await filterCatalogue(run, [
+      { column: "Genre", operator: "equals", value: "POP" },
+    ]);
+    assert.equal(result.excluded.fileA, 2);
+    assert.equal(result.foundCount, 1);
+    assert.deepEqual(
+      result.missingContents.map((row) => row.Title),
+      ["Song D", "Song E"]
+    );
+  });
+
+  test("keep only rows that pass every rule", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await filterCatalogue(run, [
+      { column: "Released", operator: "onOrAfter", value: "2022-01-01" },
+      { column: "Genre", operator: "notEquals", value: "Christian" },
+    ]);
+    assert.equal(result.excluded.fileA, 2);
+    assert.equal(result.foundCount, 1);
+    assert.equal(result.missingCount, 2);
+  });
+
+  test("match part of a cell or a regex", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const contains = await filterCatalogue(run, [
+      { column: "Title", operator: "contains", value: "live" },
+    ]);
+    assert.equal(contains.foundCount, 1);
+    assert.equal(contains.excluded.fileA, 4);
+
+    const regex = await filterCatalogue(run, [
+      { column: "Title", operator: "notRegex", value: "^song [ab]$" },
+    ]);
+    assert.equal(regex.foundCount, 1);
+    assert.equal(regex.excluded.fileA, 2);
+  });
+
+  test("compare dates by day", async (t) => {
+    const { run } = createFixture(t, FILES);
+    for (const [operator, found] of [
+      ["after", 1],
+      ["onOrAfter", 2],
+      ["before", 1],
+      ["onOrBefore", 2],
+    ]) {
+      const result = await filterCatalogue(run, [
+        { column: "Released", operator: operator, value: "2022-03-01" },
+      ]);
+      assert.equal(result.foundCount, found, operator);
+    }
+  });
+
+  test("restrict File B too", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("catalogue.csv", "reference.csv", {
+      selectedColumns: "UPC",
+      filtersB: [{ column: "Label", operator: "notEquals", value: "Label X" }],
+    });
+    assert.equal(result.excluded.fileB, 1);
+    assert.equal(result.foundCount, 2);
+    assert.equal(result.missingCount, 3);
+  });
+
+  test("filter a text file by its lines", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("catalogue.csv", "upcs.txt", {
+      selectedColumns: "UPC",
+      filtersB: [
+        { column: "Line Content", operator: "notEquals", value: "0002" },
+      ],
+    });
+    assert.equal(result.excluded.fileB, 1);
+    assert.equal(result.foundCount, 1);
+  });
+
+  test("reject a column the file does not have", async (t) => {
+    const { run } = createFixture(t, FILES);
+    await assert.rejects(
+      filterCatalogue(run, [
+        { column: "Label", operator: "equals", value: "Label W" },
+      ]),
+      { statusCode: 400, code: "COLUMN_NOT_FOUND", field: "filtersA" }
+    );
+  });
+});
+
+describe("empty keys", () => {
+  test("are reported missing unless excluded", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const kept = await filterCatalogue(run, []);
+    assert.equal(kept.missingCount, 2);
+    assert.equal(kept.excluded.fileA, 0);
+
+    const excluded = await filterCatalogue(run, [], {
+      excludeEmptyKeys: "true",
+    });
+    assert.equal(excluded.missingCount, 1);
+    assert.equal(excluded.excluded.fileA, 1);
+  });
+
+  test("leave totals that add up", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await filterCatalogue(
+      run,
+      [{ column: "Genre", operator: "notEquals", value: "Rock" }],
+      { excludeEmptyKeys: "true" }
+    );
+    assert.equal(result.excluded.fileA, 2);
+    assert.equal(
+      result.foundCount + result.missingCount + result.excluded.fileA,
+      result.totalFile1Rows
+    );
+  });
+});
@@ -0,0 +1,132 @@
+// Tests of the fuzzy match mode and its near-match bucket.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCrossCheckSettings } from "../crossCheck.js";
+import { createFixture } from "./helpers/crossCheck.js";
+
+const FILES = {
+  "releases.csv": "Artist\nRadiohead\nRadiohed\nJuliana Okah\nMetallica\n",
+  "artists.csv": "Artist\nRadiohead\nOkah Juliana\nColdplay\n",
+};
+
+/**
+ * Sums up the near matches of a run.
+ * @param {Object} result The cross-check result.
+ * @returns {Array<Array>} [File A key, File B candidate, score] of each near match.
+ */
+function nearMatches(result) {
+  return result.nearMatches.map((near) => [
+    near.item.Artist,
+    near.candidate,
+    near.score,
+  ]);
+}
+
+describe("fuzzy settings", () => {
+  test("are off unless the match mode is fuzzy", () => {
+    const settings = parseCrossCheckSettings({ selectedColumns: "Artist" });
+    assert.deepEqual(settings.fuzzy, {
+      enabled: false,
+      algorithm: "levenshtein",
+      threshold: 0.85,
+    });
+  });
+
+  test("read the threshold as a fraction or a percentage", () => {
+    for (const fuzzyThreshold of ["0.7", "70"]) {
+      const settings = parseCrossCheckSettings({
+        selectedColumns: "Artist",
+        matchMode: "fuzzy",
+        fuzzyThreshold: fuzzyThreshold,
+      });
+      assert.equal(settings.fuzzy.enabled, true);
+      assert.equal(settings.fuzzy.threshold, 0.7);
+    }
+  });
+
+  test("reject a threshold out of range and an unknown algorithm", () => {
+    for (const fields of [
+      { fuzzyThreshold: "0" },
+      { fuzzyThreshold: "150" },
+      { fuzzyAlgorithm: "soundex" },
+    ]) {
+      assert.throws(
+        () =>
+          parseCrossCheckSettings({
+            selectedColumns: "Artist",
+            matchMode: "fuzzy",
+            ...fields,
+          }),
+        { statusCode: 400, code: "INVALID_FIELD" },
+        JSON.stringify(fields)
+      );
+    }
+  });
+});
+
+describe("fuzzy comparison", () => {
+  test("reports no near matches in exact mode", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("releases.csv", "artists.csv", {
+      selectedColumns: "Artist",
+    });
+    assert.equal(result.foundCount, 1);
+    assert.equal(result.nearMatchCount, 0);
+    assert.equal(result.missingCount, 3);
+  });
+
+  test("pairs a key with its best candidate and score", async (t) => {
+    const { run, rows } = createFixture(t, FILES);
+    const result = await run("releases.csv", "artists.csv", {
+      selectedColumns: "Artist",
+      matchMode: "fuzzy",
+    });
+    assert.equal(result.foundCount, 1);
+    assert.deepEqual(nearMatches(result), [["Radiohed", "Radiohead", 0.889]]);
+    assert.equal(result.missingCount, 2);
+    assert.deepEqual(
+      rows(result, "near").map((row) => [
+        row.Artist,
+        row["Near Match (File B)"],
+        row.Similarity,
+      ]),
+      [["Radiohed", "Radiohead", 0.889]]
+    );
+  });
+
+  test("leaves candidates below the threshold missing", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("releases.csv", "artists.csv", {
+      selectedColumns: "Artist",
+      matchMode: "fuzzy",
+      fuzzyThreshold: "0.9",
+    });
+    assert.equal(result.nearMatchCount, 0);
+    assert.equal(result.missingCount, 3);
+  });
+
+  test("matches reordered words by token set", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("releases.csv", "artists.csv", {
+      selectedColumns: "Artist",
+      matchMode: "fuzzy",
+      fuzzyAlgorithm: "tokenSet",
+    });
+    assert.deepEqual(
+      nearMatches(result).find(([artist]) => artist === "Juliana Okah"),
+      ["Juliana Okah", "Okah Juliana", 1]
+    );
+  });
+
+  test("favours a shared prefix with Jaro-Winkler", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("releases.csv", "artists.csv", {
+      selectedColumns: "Artist",
+      matchMode: "fuzzy",
+      fuzzyAlgorithm: "jaroWinkler",
+    });
+    const [near] = nearMatches(result);
+    assert.equal(near[0], "Radiohed");
+    assert.ok(near[2] > 0.889, String(near[2]));
+  });
+});
@@ -0,0 +1,106 @@
+// Tests of the header row option, its detection and the naming of columns.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseHeaderRowField, readFileContent } from "../crossCheck.js";
+import { createFixture } from "./helpers/crossCheck.js";
+
+const FILES = {
+  "catalogue.csv": "UPC,Title\n0001,Song A\n",
+  // A distributor report with a title and a blank row above its header row
+  "report.csv": "Monthly report,,\n,,\nUPC,Title,Units\n0001,Song A,5\n",
+  // A header row with a blank and repeated names
+  "unnamed.csv": "UPC,,Name,Name,,\n0001,x,A,B,,\n0002,y,C,D,,\n",
+};
+
+describe("header row field", () => {
+  test("reads a row number or 'auto'", () => {
+    assert.equal(parseHeaderRowField(""), undefined);
+    assert.equal(parseHeaderRowField(undefined), undefined);
+    assert.equal(parseHeaderRowField(" 3 "), 3);
+    assert.equal(parseHeaderRowField("AUTO"), "auto");
+  });
+
+  test("rejects anything else", () => {
+    for (const value of ["0", "-1", "2.5", "first"]) {
+      assert.throws(() => parseHeaderRowField(value), {
+        statusCode: 400,
+        code: "INVALID_FIELD",
+      });
+    }
+  });
+});
+
+describe("header row", () => {
+  test("is row 1 unless told otherwise", (t) => {
+    const { filePath } = createFixture(t, FILES);
+    const content = readFileContent(filePath("report.csv"), "report.csv");
+    assert.equal(content.headerRow, 1);
+    assert.equal(content.headers[0], "Monthly report");
+  });
+
+  test("can be given as a row number", (t) => {
+    const { filePath } = createFixture(t, FILES);
+    const content = readFileContent(filePath("report.csv"), "report.csv", {
+      headerRow: 3,
+    });
+    assert.equal(content.headerRow, 3);
+    assert.deepEqual(content.headers, ["UPC", "Title", "Units"]);
+    assert.deepEqual(content.data, [
+      { UPC: "0001", Title: "Song A", Units: "5" },
+    ]);
+    assert.deepEqual(content.rowNumbers, [4]);
+  });
+
+  test("is detected below title and blank rows", (t) => {
+    const { filePath } = createFixture(t, FILES);
+    for (const [name, headerRow] of [
+      ["report.csv", 3],
+      ["catalogue.csv", 1],
+    ]) {
+      const content = readFileContent(filePath(name), name, {
+        headerRow: "auto",
+      });
+      assert.equal(content.headerRow, headerRow, name);
+      assert.equal(content.headers[0], "UPC", name);
+    }
+  });
+
+  test("past the last row leaves no columns", (t) => {
+    const { filePath } = createFixture(t, FILES);
+    const content = readFileContent(
+      filePath("catalogue.csv"),
+      "catalogue.csv",
+      {
+        headerRow: 5,
+      }
+    );
+    assert.deepEqual(content.headers, []);
+    assert.deepEqual(content.data, []);
+  });
+});
+
+describe("column names", () => {
+  test("name a blank header after its column and keep the values aligned", (t) => {
+    const { filePath } = createFixture(t, FILES);
+    const content = readFileContent(filePath("unnamed.csv"), "unnamed.csv");
+    assert.deepEqual(content.headers, ["UPC", "Column_2", "Name", "Name_2"]);
+    assert.deepEqual(content.data[1], {
+      UPC: "0002",
+      Column_2: "y",
+      Name: "C",
+      Name_2: "D",
+    });
+  });
+
+  test("can be selected as key columns", async (t) => {
+    const { run } = createFixture(t, {
+      ...FILES,
+      "names.csv": "Name,Name\nA,B\nC,X\n",
+    });
+    const result = await run("unnamed.csv", "names.csv", {
+      selectedColumns: ["Name", "Name_2"],
+    });
+    assert.equal(result.foundCount, 1);
+    assert.equal(result.missingCount, 1);
+  });
+});
@@ -0,0 +1,50 @@
+// Runs the comparison of crossCheck.js directly on small files written for a
+// test, without the server.
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  ARTIFACT_FIELDS,
+  parseCrossCheckSettings,
+  runCrossCheck,
+} from "../../crossCheck.js";
+
+/**
+ * Writes the files of a test to a temporary directory, removed after the test,
+ * and quiets the comparison's logging for the test.
+ * @param {Object} t The test context.
+ * @param {Object<string, string|Buffer>} files The content of each file, by name.
+ * @returns {Object} { dir, filePath, run, rows }: filePath(name) gives the path
+ * of a file; run(fileA, fileB, fields) cross-checks the named files with the
+ * given form fields and resolves to the result; rows(result, kind) reads back a
+ * result file of the run (written as JSON unless fields.outputFormat is set).
+ */
+export function createFixture(t, files) {
+  t.mock.method(console, "log", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cross-check-unit-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+
+  const filePath = (name) => path.join(dir, name);
+  const upload = (name) => ({
+    path: filePath(name),
+    originalname: name,
+    size: fs.statSync(filePath(name)).size,
+  });
+  const run = (fileA, fileB, fields = {}) =>
+    runCrossCheck(
+      upload(fileA),
+      Array.isArray(fileB) ? fileB.map(upload) : upload(fileB),
+      parseCrossCheckSettings({ outputFormat: "json", ...fields }),
+      dir
+    );
+  const rows = (result, kind) => {
+    const filename = result[ARTIFACT_FIELDS[kind]];
+    return filename
+      ? JSON.parse(fs.readFileSync(filePath(filename), "utf8"))
+      : [];
+  };
+  return { dir, filePath, run, rows };
+}
@@ -0,0 +1,185 @@
+// Checks values against the JSON schemas of the OpenAPI document, for the
+// keywords the document uses, and calls the API checking each response.
+import assert from "node:assert/strict";
+
+/**
+ * Looks up a local reference such as '#/components/schemas/Error'.
+ * @param {Object} document The OpenAPI document.
+ * @param {string} ref The reference.
+ * @returns {Object} The schema it points to.
+ * @throws {Error} If the reference does not resolve.
+ */
+export function resolveRef(document, ref) {
+  const target = ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, key) => (node ? node[key] : undefined), document);
+  if (!target) throw new Error(`Unresolved reference ${ref}`);
+  return target;
+}
+
+/**
+ * @param {*} value A value.
+ * @param {string} type A JSON schema type.
+ * @returns {boolean} True if the value has the type.
+ */
+function hasType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return typeof value === "object" && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Lists how a value fails a schema.
+ * @param {Object} schema The schema.
+ * @param {*} value The value.
+ * @param {Object} document The OpenAPI document, for references.
+ * @param {string} [at] Where the value is, for the messages.
+ * @returns {Array<string>} The problems; empty if the value fits.
+ */
+export function schemaErrors(schema, value, document, at = "$") {
+  if (schema.$ref) {
+    return schemaErrors(resolveRef(document, schema.$ref), value, document, at);
+  }
+  if (value === null) {
+    return schema.nullable ? [] : [`${at} is null`];
+  }
+  const errors = [];
+  for (const part of schema.allOf || []) {
+    errors.push(...schemaErrors(part, value, document, at));
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(
+      (part) => schemaErrors(part, value, document, at).length === 0
+    ).length;
+    if (matches !== 1) {
+      errors.push(`${at} matches ${matches} of its oneOf schemas`);
+    }
+  }
+  if (schema.type && !hasType(value, schema.type)) {
+    return [...errors, `${at} is not of type ${schema.type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} is '${value}', not one of ${schema.enum.join(", ")}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at} is below ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${at} is above ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at} has more than ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(
+          ...schemaErrors(schema.items, item, document, `${at}[${index}]`)
+        );
+      });
+    }
+  } else if (typeof value === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key} is missing`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(
+          ...schemaErrors(properties[key], item, document, `${at}.${key}`)
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...schemaErrors(
+            schema.additionalProperties,
+            item,
+            document,
+            `${at}.${key}`
+          )
+        );
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Lists how a JSON response differs from what the document says the
+ * operation answers with that status.
+ * @param {Object} document The OpenAPI document.
+ * @param {string} method The HTTP method, lowercase.
+ * @param {string} pathTemplate The path as written in the document, e.g. '/runs/{id}'.
+ * @param {number} status The response status.
+ * @param {*} body The parsed response body.
+ * @returns {Array<string>} The problems; empty if the response fits.
+ */
+export function responseErrors(document, method, pathTemplate, status, body) {
+  const operation = (document.paths[pathTemplate] || {})[method];
+  if (!operation)
+    return [`${method.toUpperCase()} ${pathTemplate} is not documented`];
+  const response = operation.responses[status];
+  if (!response) {
+    return [
+      `${method.toUpperCase()} ${pathTemplate} does not document status ${status}`,
+    ];
+  }
+  const content = response.content && response.content["application/json"];
+  if (!content) return [];
+  return schemaErrors(content.schema, body, document);
+}
+
+/**
+ * Creates a function calling the API as one owner, which fails the test when
+ * a JSON response does not match the document.
+ * @param {string} baseUrl The server's address.
+ * @param {Object} document The OpenAPI document.
+ * @param {string|null} ownerToken The X-Owner-Token sent, if any.
+ * @returns {function(string, string, Object): Promise<Object>} Called with
+ * the method, the documented path (e.g. '/runs/{id}') and { params, body,
+ * headers }: the path parameters, a form or an object sent as JSON, and more
+ * request headers. Resolves to { status, body, response }.
+ */
+export function createApiClient(baseUrl, document, ownerToken) {
+  return async (method, pathTemplate, { params = {}, body, headers } = {}) => {
+    const url = pathTemplate.replace(/\{(\w+)\}/g, (match, name) =>
+      encodeURIComponent(params[name])
+    );
+    const init = { method: method, headers: { ...headers } };
+    if (ownerToken) init.headers["X-Owner-Token"] = ownerToken;
+    if (body instanceof FormData) {
+      init.body = body;
+    } else if (body !== undefined) {
+      init.body = JSON.stringify(body);
+      init.headers["Content-Type"] = "application/json";
+    }
+    const response = await fetch(`${baseUrl}/api/v1${url}`, init);
+    const isJson = (response.headers.get("content-type") || "").includes(
+      "application/json"
+    );
+    const parsed = isJson ? await response.json() : await response.text();
+    if (isJson) {
+      assert.deepEqual(
+        responseErrors(
+          document,
+          method.toLowerCase(),
+          pathTemplate,
+          response.status,
+          parsed
+        ),
+        [],
+        `${method} ${pathTemplate} answered ${response.status} outside the spec`
+      );
+    }
+    return { status: response.status, body: parsed, response: response };
+  };
+}
@@ -0,0 +1,104 @@
+// Starts server.js in a child process for integration tests, with its
+// uploads, result files and history in a temporary directory.
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const serverScript = fileURLToPath(new URL("../../server.js", import.meta.url));
+
+// How long the server may take to start listening
+const START_TIMEOUT_MS = 15000;
+
+/**
+ * Finds a port nothing is listening on.
+ * @returns {Promise<number>} The port.
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts the server and waits until it accepts requests.
+ * @param {Object} [options]
+ * @param {string} [options.storageDir] The directory the server keeps its
+ * files in (default: a new temporary directory, removed on stop).
+ * @param {Object} [options.env] More environment variables for the server.
+ * @returns {Promise<Object>} { baseUrl, storageDir, stop() }.
+ */
+export async function startServer({ storageDir, env = {} } = {}) {
+  const ownDir = !storageDir;
+  const dir =
+    storageDir || fs.mkdtempSync(path.join(os.tmpdir(), "cross-check-api-"));
+  const port = await freePort();
+  const child = spawn(process.execPath, [serverScript], {
+    env: { ...process.env, ...env, PORT: String(port), STORAGE_DIR: dir },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`The server did not start:\n${output}`));
+    }, START_TIMEOUT_MS);
+    child.stdout.on("data", () => {
+      if (output.includes("Server is running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`The server exited (${code}):\n${output}`));
+    });
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    storageDir: dir,
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise((resolve) => child.once("exit", resolve));
+        child.kill();
+        await exited;
+      }
+      if (ownDir) fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Builds a multipart form with CSV or text files and other fields.
+ * @param {Object} files The file fields: { field: [filename, content] }, or a
+ * list of those for a repeated field.
+ * @param {Object} [fields] The other fields; objects and arrays are sent as JSON.
+ * @returns {FormData} The form.
+ */
+export function filesForm(files, fields = {}) {
+  const form = new FormData();
+  for (const [field, value] of Object.entries(files)) {
+    const list = Array.isArray(value[0]) ? value : [value];
+    for (const [filename, content] of list) {
+      form.append(field, new Blob([content]), filename);
+    }
+  }
+  for (const [field, value] of Object.entries(fields)) {
+    form.append(
+      field,
+      typeof value === "object" ? JSON.stringify(value) : String(value)
+    );
+  }
+  return form;
+}
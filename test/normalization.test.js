@@ -0,0 +1,126 @@
+// Tests of the normalization applied to key values before they are compared.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_NORMALIZATION,
+  parseCrossCheckSettings,
+} from "../crossCheck.js";
+import { createFixture } from "./helpers/crossCheck.js";
+
+const FILES = {
+  "catalogue.csv":
+    'Code,Title\n" ABC123",Song A\nabc-123,Song B\n0042,Song C\nＸＹＺ  9,Song D\n',
+  "reference.csv": "Code,Label\nABC123,Label X\n42,Label Y\nXYZ 9,Label Z\n",
+};
+
+/**
+ * Lists the keys of the File A rows a run reported missing.
+ * @param {Object} result The cross-check result.
+ * @returns {Array<string>} The Code of each missing row.
+ */
+function missingCodes(result) {
+  return result.missingContents.map((row) => row.Code);
+}
+
+describe("normalization settings", () => {
+  test("default to comparing values exactly as read", () => {
+    const settings = parseCrossCheckSettings({ selectedColumns: "Code" });
+    assert.deepEqual(settings.normalization, DEFAULT_NORMALIZATION);
+  });
+
+  test("keep the steps sent and fill in the others", () => {
+    const settings = parseCrossCheckSettings({
+      selectedColumns: "Code",
+      normalization: JSON.stringify({ trim: true, caseFold: "true" }),
+    });
+    assert.equal(settings.normalization.trim, true);
+    assert.equal(settings.normalization.caseFold, true);
+    assert.equal(settings.normalization.digitsOnly, false);
+  });
+
+  test("reject an unknown step and a regex that does not compile", () => {
+    for (const normalization of [{ lowercase: true }, { regexPattern: "(" }]) {
+      assert.throws(
+        () =>
+          parseCrossCheckSettings({
+            selectedColumns: "Code",
+            normalization: JSON.stringify(normalization),
+          }),
+        { statusCode: 400, code: "INVALID_FIELD" }
+      );
+    }
+  });
+});
+
+describe("normalized comparison", () => {
+  test("matches nothing but identical values without any step", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("catalogue.csv", "reference.csv", {
+      selectedColumns: "Code",
+    });
+    assert.equal(result.foundCount, 0);
+    assert.equal(result.missingCount, 4);
+  });
+
+  test("applies the steps to both files", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const normalization = {
+      unicodeNFKC: true,
+      trim: true,
+      collapseWhitespace: true,
+      caseFold: true,
+      stripPunctuation: true,
+      removeLeadingZeros: true,
+    };
+    const result = await run("catalogue.csv", "reference.csv", {
+      selectedColumns: "Code",
+      normalization: normalization,
+    });
+    assert.equal(result.foundCount, 4);
+    assert.equal(result.missingCount, 0);
+    // Echoed so the run can be repeated
+    assert.deepEqual(result.normalization, {
+      ...DEFAULT_NORMALIZATION,
+      ...normalization,
+    });
+  });
+
+  test("runs each step on its own", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const missing = async (normalization) =>
+      missingCodes(
+        await run("catalogue.csv", "reference.csv", {
+          selectedColumns: "Code",
+          normalization: normalization,
+        })
+      );
+    assert.deepEqual(await missing({ trim: true }), [
+      "abc-123",
+      "0042",
+      "ＸＹＺ  9",
+    ]);
+    assert.deepEqual(await missing({ removeLeadingZeros: true }), [
+      " ABC123",
+      "abc-123",
+      "ＸＹＺ  9",
+    ]);
+    // Collapsing whitespace also trims it
+    assert.deepEqual(
+      await missing({ unicodeNFKC: true, collapseWhitespace: true }),
+      ["abc-123", "0042"]
+    );
+  });
+
+  test("replaces what a custom regex matches", async (t) => {
+    const { run } = createFixture(t, FILES);
+    const result = await run("catalogue.csv", "reference.csv", {
+      selectedColumns: "Code",
+      normalization: {
+        caseFold: true,
+        regexPattern: "[^a-z0-9]",
+        regexReplacement: "",
+      },
+    });
+    assert.deepEqual(missingCodes(result), ["0042", "ＸＹＺ  9"]);
+  });
+});
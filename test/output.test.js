@@ -0,0 +1,139 @@
+// Tests of the columns written to the result files: the File A columns
+// chosen, the File B columns appended to matches and the source row numbers.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createFixture } from "./helpers/crossCheck.js";
+
+const FILES = {
+  "catalogue.csv":
+    "UPC,Title,Genre\n0001,Song A,Pop\n0002,Song B,Rock\n0003,Song C,Jazz\n",
+  "reference.csv":
+    "UPC,Label,Title\n0003,Label Z,Song C\n0001,Label X,Song A (Remaster)\n" +
+    "0009,Label Q,Song Q\n",
+};
+
+/**
+ * Cross-checks the catalogue against the reference on UPC.
+ * @param {Function} run The fixture's run.
+ * @param {Object} [fields] More form fields.
+ * @returns {Promise<Object>} The result.
+ */
+function crossCheck(run, fields = {}) {
+  return run("catalogue.csv", "reference.csv", {
+    selectedColumns: "UPC",
+    ...fields,
+  });
+}
+
+describe("result columns", () => {
+  test("are every column of the file, with its source rows", async (t) => {
+    const { run, rows } = createFixture(t, FILES);
+    const result = await crossCheck(run, { fullDiff: "true" });
+    const [matched] = rows(result, "matched");
+    assert.deepEqual(Object.keys(matched), [
+      "UPC",
+      "Title",
+      "Genre",
+      "File A Row",
+      "File B Row",
+    ]);
+    assert.deepEqual(matched, {
+      UPC: "0001",
+      Title: "Song A",
+      Genre: "Pop",
+      "File A Row": 2,
+      "File B Row": 3,
+    });
+    assert.deepEqual(rows(result, "missing"), [
+      { UPC: "0002", Title: "Song B", Genre: "Rock", "File A Row": 3 },
+    ]);
+    assert.deepEqual(rows(result, "bOnly"), [
+      { UPC: "0009", Label: "Label Q", Title: "Song Q", "File B Row": 4 },
+    ]);
+  });
+
+  test("can be chosen and ordered", async (t) => {
+    const { run, rows } = createFixture(t, FILES);
+    const result = await crossCheck(run, { outputColumns: ["Title", "UPC"] });
+    assert.deepEqual(Object.keys(rows(result, "matched")[0]), [
+      "Title",
+      "UPC",
+      "File A Row",
+      "File B Row",
+    ]);
+    assert.deepEqual(Object.keys(rows(result, "missing")[0]), [
+      "Title",
+      "UPC",
+      "File A Row",
+    ]);
+  });
+
+  test("can leave out the row numbers", async (t) => {
+    const { run, rows } = createFixture(t, FILES);
+    const result = await crossCheck(run, { includeRowNumbers: "false" });
+    assert.deepEqual(rows(result, "matched")[1], {
+      UPC: "0003",
+      Title: "Song C",
+      Genre: "Jazz",
+    });
+  });
+
+  test("must exist in their file", async (t) => {
+    const { run } = createFixture(t, FILES);
+    for (const [field, column] of [
+      ["outputColumns", "Label"],
+      ["appendColumnsB", "Genre"],
+    ]) {
+      await assert.rejects(crossCheck(run, { [field]: [column] }), {
+        statusCode: 400,
+        code: "COLUMN_NOT_FOUND",
+        field: field,
+      });
+    }
+  });
+});
+
+describe("appended File B columns", () => {
+  test("come from the File B row each row matched", async (t) => {
+    const { run, rows } = createFixture(t, FILES);
+    const result = await crossCheck(run, {
+      outputColumns: ["UPC", "Title"],
+      appendColumnsB: ["Label", "Title"],
+    });
+    const matched = rows(result, "matched");
+    assert.deepEqual(Object.keys(matched[0]), [
+      "UPC",
+      "Title",
+      "Label",
+      "B.Title",
+      "File A Row",
+      "File B Row",
+    ]);
+    assert.deepEqual(
+      matched.map((row) => [row.UPC, row.Label, row["B.Title"]]),
+      [
+        ["0001", "Label X", "Song A (Remaster)"],
+        ["0003", "Label Z", "Song C"],
+      ]
+    );
+    // Rows without a match have nothing to append
+    assert.deepEqual(Object.keys(rows(result, "missing")[0]), [
+      "UPC",
+      "Title",
+      "File A Row",
+    ]);
+  });
+
+  test("are prefixed only when File A writes a column of that name", async (t) => {
+    const { run, rows } = createFixture(t, FILES);
+    const result = await crossCheck(run, {
+      outputColumns: ["UPC"],
+      appendColumnsB: ["Title"],
+      includeRowNumbers: "false",
+    });
+    assert.deepEqual(rows(result, "matched")[0], {
+      UPC: "0001",
+      Title: "Song A (Remaster)",
+    });
+  });
+});
@@ -0,0 +1,114 @@
+// Benchmark fixture for the streamed comparison: a large File A against a
+// small File B must not keep anything per File A row in memory.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import v8 from "v8";
+import vm from "vm";
+
+// Stream every CSV, however small
+process.env.STREAM_THRESHOLD_MB = "0.001";
+const { parseCrossCheckSettings, runCrossCheck } = await import(
+  "../crossCheck.js"
+);
+
+v8.setFlagsFromString("--expose-gc");
+const gc = vm.runInNewContext("gc");
+
+// File A rows, all with distinct keys, and how often one is also in File B
+const ROWS_A = 200000;
+const SHARED_EVERY = 100;
+const ONLY_IN_B = 100;
+// Heap the comparison may keep by the time File A has been read
+const MAX_RETAINED_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Writes a CSV file of generated catalogue rows.
+ * @param {string} filePath The file to write.
+ * @param {Iterable<number>} ids The numbers of the rows' keys.
+ */
+function writeCatalogue(filePath, ids) {
+  const fd = fs.openSync(filePath, "w");
+  fs.writeSync(fd, "ISRC,Title,Artist\n");
+  let chunk = "";
+  for (const id of ids) {
+    const key = String(id).padStart(7, "0");
+    chunk += `USRC1${key},Track ${id},Artist ${id % 997}\n`;
+    if (chunk.length > 64 * 1024) {
+      fs.writeSync(fd, chunk);
+      chunk = "";
+    }
+  }
+  fs.writeSync(fd, chunk);
+  fs.closeSync(fd);
+}
+
+/**
+ * Lists the numbers from start up to, not including, end in the given steps.
+ * @param {number} start The first number.
+ * @param {number} end The number to stop before.
+ * @param {number} [step] The distance between two numbers (default 1).
+ * @yields {number} Each number.
+ */
+function* range(start, end, step = 1) {
+  for (let n = start; n < end; n += step) yield n;
+}
+
+test("streams a large File A in memory bounded by File B's keys", async (t) => {
+  // Keep the comparison's logging quiet; restored after the test
+  t.mock.method(console, "log", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cross-check-stream-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const fileA = path.join(dir, "catalogue.csv");
+  const fileB = path.join(dir, "reference.csv");
+  writeCatalogue(fileA, range(0, ROWS_A));
+  writeCatalogue(fileB, [
+    ...range(0, ROWS_A, SHARED_EVERY),
+    ...range(ROWS_A, ROWS_A + ONLY_IN_B),
+  ]);
+  const upload = (filePath) => ({
+    path: filePath,
+    originalname: path.basename(filePath),
+    size: fs.statSync(filePath).size,
+  });
+
+  let heapAtStart = null;
+  let heapAtEnd = null;
+  const onProgress = ({ phase }) => {
+    if (phase === "comparing" && heapAtStart === null) {
+      gc();
+      heapAtStart = process.memoryUsage().heapUsed;
+    } else if (phase === "saving") {
+      gc();
+      heapAtEnd = process.memoryUsage().heapUsed;
+    }
+  };
+  const started = Date.now();
+  const result = await runCrossCheck(
+    upload(fileA),
+    upload(fileB),
+    parseCrossCheckSettings({ selectedColumns: ["ISRC"], fullDiff: "true" }),
+    dir,
+    onProgress
+  );
+  const seconds = (Date.now() - started) / 1000;
+
+  assert.equal(result.streamed, true);
+  assert.equal(result.totalFile1Rows, ROWS_A);
+  assert.equal(result.foundCount, ROWS_A / SHARED_EVERY);
+  assert.equal(result.missingCount, ROWS_A - ROWS_A / SHARED_EVERY);
+  assert.equal(result.bOnlyCount, ONLY_IN_B);
+  assert.equal(result.duplicatesTruncated, true);
+  const retained = heapAtEnd - heapAtStart;
+  t.diagnostic(
+    `${ROWS_A} rows in ${seconds.toFixed(1)} s, ${Math.round(
+      ROWS_A / seconds
+    )} rows/s, heap retained ${(retained / 1024 / 1024).toFixed(1)} MB`
+  );
+  assert.ok(
+    retained < MAX_RETAINED_BYTES,
+    `Streaming File A kept ${retained} bytes of heap`
+  );
+});